@@ -56,8 +56,7 @@ class AgentWorkflows {
 
   async detectDuplicates(eventData) {
     try {
-      const existingEvents = await Event.find({ status: { $in: ['approved', 'pending'] } }).lean();
-      return await duplicateChecker.checkForDuplicates(eventData, existingEvents);
+      return await duplicateChecker.checkForDuplicates(eventData);
     } catch (error) {
       console.error('Duplicate detection error:', error);
       return { duplicates: [], isDuplicate: false };
@@ -5,7 +5,6 @@
 
 const Event = require('../../models/Event');
 const User = require('../../models/User');
-const geminiService = require('../geminiService');
 
 class AdminGovernanceAgent {
   constructor() {
@@ -136,7 +135,7 @@ class AdminGovernanceAgent {
         organizer: event.organizer?.name || 'Unknown',
         riskScore: event.aiFlags?.riskScore || 0,
         priority: this.calculateModerationPriority(event),
-        waitingTime: this.calculateWaitingTime(event.createdAt),
+        waitingTime: this.calculateWaitingTime(event.moderation?.submittedAt || event.createdAt),
         warnings: event.aiFlags?.moderationWarnings || [],
         recommendedAction: this.getRecommendedAction(event)
       }));
@@ -290,7 +289,9 @@ class AdminGovernanceAgent {
    */
   calculateModerationPriority(event) {
     const riskScore = event.aiFlags?.riskScore || 0;
-    const waitingTime = Date.now() - new Date(event.createdAt).getTime();
+    // Resubmitted events wait from their latest submission
+    const submittedAt = event.moderation?.submittedAt || event.createdAt;
+    const waitingTime = Date.now() - new Date(submittedAt).getTime();
     const hoursWaiting = waitingTime / (1000 * 60 * 60);
 
     if (riskScore > 0.8 || hoursWaiting > 48) return 'high';
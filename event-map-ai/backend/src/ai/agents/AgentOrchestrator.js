@@ -27,47 +27,63 @@ class AgentOrchestrator {
     this.adminGovernanceAgent = new AdminGovernanceAgent();
     this.memoryAgent = new MemoryAgent();
 
-    this.executionLog = [];
   }
 
   /**
-   * Main orchestration method - processes user requests through multi-agent pipeline
+   * Main orchestration method - processes user requests through multi-agent pipeline.
+   * Options for streaming: `onProgress` is called as each agent finishes,
+   * `onToken` with pieces of the answer as they are generated, and aborting
+   * `signal` stops answer generation.
    */
-  async processRequest(userInput) {
-    const startTime = Date.now();
-    this.executionLog = [];
-    
+  async processRequest(userInput, options = {}) {
+    // The agents are shared; each request's execution state is passed along
+    // as `run`, so concurrent requests don't mix their logs
+    const run = {
+      executionLog: [],
+      lastLogTime: Date.now(),
+      responseSource: null, // Whether the reply came from the AI provider or the fallback
+      onProgress: options.onProgress || null,
+      onToken: options.onToken || null,
+      signal: options.signal || null
+    };
+
+    return this.runPipeline(run, userInput);
+  }
+
+  async runPipeline(run, userInput) {
+    const startTime = run.lastLogTime;
+
     try {
       // STEP 1: Intent Understanding
       const intentResult = await this.intentAgent.analyzeIntent(userInput.message);
-      this.logExecution('IntentAgent', intentResult);
+      this.logExecution(run, 'IntentAgent', intentResult);
 
       // STEP 2: Role Awareness
       const roleContext = await this.roleAgent.determineRole(userInput.userId, userInput.role);
-      this.logExecution('RoleAgent', roleContext);
+      this.logExecution(run, 'RoleAgent', roleContext);
 
       // STEP 3: Memory Retrieval (get user context)
-      const userMemory = await this.memoryAgent.getUserContext(userInput.userId);
-      this.logExecution('MemoryAgent', { action: 'retrieve', context: userMemory });
+      const userMemory = await this.memoryAgent.getUserContext(userInput.userId, userInput.sessionId);
+      this.logExecution(run, 'MemoryAgent', { action: 'retrieve', context: userMemory });
 
       // STEP 4: Route to appropriate agent workflow based on intent and role
       let response;
       
       // Handle guest users with limited functionality
       if (roleContext.role === 'guest') {
-        response = await this.handleGuestWorkflow(userInput, intentResult, roleContext);
+        response = await this.handleGuestWorkflow(run, userInput, intentResult, roleContext);
       } else if (intentResult.category === 'search' || intentResult.category === 'find') {
-        response = await this.handleSearchWorkflow(userInput, intentResult, roleContext, userMemory);
+        response = await this.handleSearchWorkflow(run, userInput, intentResult, roleContext, userMemory);
       } else if (intentResult.category === 'create' && roleContext.canCreateEvents) {
-        response = await this.handleCreateWorkflow(userInput, intentResult, roleContext);
+        response = await this.handleCreateWorkflow(run, userInput, intentResult, roleContext);
       } else if (intentResult.category === 'moderate' && roleContext.isAdmin) {
-        response = await this.handleModerationWorkflow(userInput, intentResult, roleContext);
+        response = await this.handleModerationWorkflow(run, userInput, intentResult, roleContext);
       } else if (intentResult.category === 'recommend') {
-        response = await this.handleRecommendationWorkflow(userInput, intentResult, roleContext, userMemory);
+        response = await this.handleRecommendationWorkflow(run, userInput, intentResult, roleContext, userMemory);
       } else if (intentResult.category === 'analyze' && roleContext.canAnalyze) {
-        response = await this.handleAnalysisWorkflow(userInput, intentResult, roleContext);
+        response = await this.handleAnalysisWorkflow(run, userInput, intentResult, roleContext);
       } else {
-        response = await this.handleGeneralWorkflow(userInput, intentResult, roleContext);
+        response = await this.handleGeneralWorkflow(run, userInput, intentResult, roleContext);
       }
 
       // STEP 5: Update user memory
@@ -76,18 +92,20 @@ class AgentOrchestrator {
         intent: intentResult,
         response: response.message,
         timestamp: new Date()
-      });
+      }, userInput.sessionId);
 
       // STEP 6: Final response assembly
       const finalResponse = {
         message: response.message,
         data: response.data || {},
+        intent: intentResult.category,
         explanation: {
-          agentsUsed: this.executionLog.map(log => log.agent),
+          agentsUsed: run.executionLog.map(log => log.agent),
           reasoning: response.reasoning || [],
           confidence: response.confidence || 0.8,
           safetyStatus: response.safetyStatus || 'safe'
         },
+        diagnostics: this.getDiagnostics(run),
         executionTime: Date.now() - startTime,
         timestamp: new Date().toISOString()
       };
@@ -105,6 +123,7 @@ class AgentOrchestrator {
           confidence: 0.1,
           safetyStatus: 'error'
         },
+        diagnostics: this.getDiagnostics(run),
         executionTime: Date.now() - startTime,
         timestamp: new Date().toISOString()
       };
@@ -114,10 +133,10 @@ class AgentOrchestrator {
   /**
    * SEARCH WORKFLOW - Find events based on user query
    */
-  async handleSearchWorkflow(userInput, intentResult, roleContext, userMemory) {
+  async handleSearchWorkflow(run, userInput, intentResult, roleContext, userMemory) {
     // Geo-context analysis
     const geoContext = await this.geoContextAgent.analyzeLocation(userInput);
-    this.logExecution('GeoContextAgent', geoContext);
+    this.logExecution(run, 'GeoContextAgent', geoContext);
 
     // Event retrieval with filters
     const events = await this.eventRetrievalAgent.searchEvents({
@@ -127,11 +146,11 @@ class AgentOrchestrator {
       filters: intentResult.filters,
       userPreferences: userMemory.preferences
     });
-    this.logExecution('EventRetrievalAgent', { found: events.length });
+    this.logExecution(run, 'EventRetrievalAgent', { found: events.length }, this.summarizeEvents(events));
 
     // Safety check on results
     const safetyCheck = await this.safetyModerationAgent.validateResults(events);
-    this.logExecution('SafetyModerationAgent', safetyCheck);
+    this.logExecution(run, 'SafetyModerationAgent', safetyCheck);
 
     // Personalized recommendations
     const recommendations = await this.recommendationAgent.rankEvents(events, {
@@ -139,10 +158,11 @@ class AgentOrchestrator {
       preferences: userMemory.preferences,
       location: geoContext.coordinates
     });
-    this.logExecution('RecommendationAgent', { ranked: recommendations.length });
+    this.logExecution(run, 'RecommendationAgent', { ranked: recommendations.length }, this.summarizeEvents(recommendations));
 
     // Generate intelligent response using AI
     const aiResponse = await this.generateIntelligentResponse(
+      run,
       userInput.message,
       recommendations,
       geoContext,
@@ -165,13 +185,13 @@ class AgentOrchestrator {
   /**
    * CREATE WORKFLOW - Help organizers create events
    */
-  async handleCreateWorkflow(userInput, intentResult, roleContext) {
+  async handleCreateWorkflow(run, userInput, intentResult, roleContext) {
     const assistance = await this.organizerAssistantAgent.generateEventContent(userInput.message);
-    this.logExecution('OrganizerAssistantAgent', assistance);
+    this.logExecution(run, 'OrganizerAssistantAgent', assistance);
 
     // Safety moderation on generated content
     const moderationResult = await this.safetyModerationAgent.moderateContent(assistance.content);
-    this.logExecution('SafetyModerationAgent', moderationResult);
+    this.logExecution(run, 'SafetyModerationAgent', moderationResult);
 
     return {
       message: assistance.response,
@@ -188,9 +208,9 @@ class AgentOrchestrator {
   /**
    * MODERATION WORKFLOW - Admin governance and review
    */
-  async handleModerationWorkflow(userInput, intentResult, roleContext) {
+  async handleModerationWorkflow(run, userInput, intentResult, roleContext) {
     const governance = await this.adminGovernanceAgent.analyzeRequest(userInput.message);
-    this.logExecution('AdminGovernanceAgent', governance);
+    this.logExecution(run, 'AdminGovernanceAgent', governance);
 
     return {
       message: governance.response,
@@ -204,10 +224,10 @@ class AgentOrchestrator {
   /**
    * RECOMMENDATION WORKFLOW - Personalized suggestions
    */
-  async handleRecommendationWorkflow(userInput, intentResult, roleContext, userMemory) {
+  async handleRecommendationWorkflow(run, userInput, intentResult, roleContext, userMemory) {
     // Get user's location context
     const geoContext = await this.geoContextAgent.analyzeLocation(userInput);
-    this.logExecution('GeoContextAgent', geoContext);
+    this.logExecution(run, 'GeoContextAgent', geoContext);
 
     // Fetch relevant events
     const events = await this.eventRetrievalAgent.getRecommendationCandidates({
@@ -215,7 +235,7 @@ class AgentOrchestrator {
       radius: geoContext.radius || 25,
       userPreferences: userMemory.preferences
     });
-    this.logExecution('EventRetrievalAgent', { candidates: events.length });
+    this.logExecution(run, 'EventRetrievalAgent', { candidates: events.length });
 
     // Generate personalized recommendations
     const recommendations = await this.recommendationAgent.generatePersonalizedRecommendations(events, {
@@ -224,10 +244,11 @@ class AgentOrchestrator {
       location: geoContext.coordinates,
       currentContext: intentResult.context
     });
-    this.logExecution('RecommendationAgent', { recommendations: recommendations.length });
+    this.logExecution(run, 'RecommendationAgent', { recommendations: recommendations.length }, this.summarizeEvents(recommendations));
 
     // Generate intelligent recommendation response
     const aiResponse = await this.generateIntelligentResponse(
+      run,
       userInput.message,
       recommendations,
       geoContext,
@@ -249,15 +270,15 @@ class AgentOrchestrator {
   /**
    * ANALYSIS WORKFLOW - Data insights for organizers/admins
    */
-  async handleAnalysisWorkflow(userInput, intentResult, roleContext) {
+  async handleAnalysisWorkflow(run, userInput, intentResult, roleContext) {
     let analysisResult;
 
     if (roleContext.isAdmin) {
       analysisResult = await this.adminGovernanceAgent.generateInsights(userInput.message);
-      this.logExecution('AdminGovernanceAgent', analysisResult);
+      this.logExecution(run, 'AdminGovernanceAgent', analysisResult);
     } else if (roleContext.canCreateEvents) {
       analysisResult = await this.organizerAssistantAgent.generateAnalytics(userInput.message);
-      this.logExecution('OrganizerAssistantAgent', analysisResult);
+      this.logExecution(run, 'OrganizerAssistantAgent', analysisResult);
     }
 
     return {
@@ -272,13 +293,13 @@ class AgentOrchestrator {
   /**
    * GUEST WORKFLOW - Limited functionality for non-authenticated users
    */
-  async handleGuestWorkflow(userInput, intentResult, roleContext) {
+  async handleGuestWorkflow(run, userInput, intentResult, roleContext) {
     try {
       // For guest users, provide basic event search functionality
       if (intentResult.category === 'search' || intentResult.category === 'find') {
         // Basic geo-context analysis (without user preferences)
         const geoContext = await this.geoContextAgent.analyzeLocation(userInput);
-        this.logExecution('GeoContextAgent', geoContext);
+        this.logExecution(run, 'GeoContextAgent', geoContext);
 
         // Basic event retrieval (no personalization)
         const events = await this.eventRetrievalAgent.searchEvents({
@@ -288,11 +309,11 @@ class AgentOrchestrator {
           filters: intentResult.filters,
           userPreferences: null // No user preferences for guests
         });
-        this.logExecution('EventRetrievalAgent', { found: events.length });
+        this.logExecution(run, 'EventRetrievalAgent', { found: events.length }, this.summarizeEvents(events));
 
         // Safety check on results
         const safetyCheck = await this.safetyModerationAgent.validateResults(events);
-        this.logExecution('SafetyModerationAgent', safetyCheck);
+        this.logExecution(run, 'SafetyModerationAgent', safetyCheck);
 
         // Basic ranking (no personalization)
         const basicRanking = events.slice(0, 5).map(event => ({
@@ -302,6 +323,7 @@ class AgentOrchestrator {
 
         // Generate intelligent response for guest search
         const aiResponse = await this.generateIntelligentResponse(
+          run,
           userInput.message,
           basicRanking,
           geoContext,
@@ -335,6 +357,7 @@ class AgentOrchestrator {
       } else {
         // Generate intelligent guest response
         const aiResponse = await this.generateIntelligentResponse(
+          run,
           userInput.message,
           null,
           null,
@@ -381,9 +404,10 @@ class AgentOrchestrator {
   /**
    * GENERAL WORKFLOW - Default conversation handling
    */
-  async handleGeneralWorkflow(userInput, intentResult, roleContext) {
+  async handleGeneralWorkflow(run, userInput, intentResult, roleContext) {
     // Generate intelligent conversational response
     const aiResponse = await this.generateIntelligentResponse(
+      run,
       userInput.message,
       null,
       null,
@@ -405,7 +429,7 @@ class AgentOrchestrator {
   /**
    * Generate intelligent responses using AI service
    */
-  async generateIntelligentResponse(userMessage, data, geoContext, responseType, roleContext = null) {
+  async generateIntelligentResponse(run, userMessage, data, geoContext, responseType, roleContext = null) {
     try {
       let context = '';
       let prompt = '';
@@ -480,8 +504,14 @@ class AgentOrchestrator {
           `;
       }
 
-      const response = await aiService.generateResponse(prompt, { maxTokens: 300 });
-      return response;
+      const result = run.onToken
+        ? await this.streamIntelligentResponse(run, prompt)
+        : await aiService.generateResponseWithSource(prompt, { maxTokens: 300 });
+      run.responseSource = {
+        fallback: result.fallback,
+        fallbackReason: result.fallbackReason
+      };
+      return result.text;
 
     } catch (error) {
       console.error('Error generating intelligent response:', error);
@@ -490,6 +520,26 @@ class AgentOrchestrator {
     }
   }
 
+  /**
+   * Generate a response while passing each piece to the onToken listener
+   */
+  async streamIntelligentResponse(run, prompt) {
+    let text = '';
+    let fallback = false;
+
+    for await (const chunk of aiService.streamResponse(prompt, { maxTokens: 300, signal: run.signal })) {
+      text += chunk.text;
+      fallback = fallback || chunk.fallback;
+      run.onToken(chunk.text);
+    }
+
+    return {
+      text,
+      fallback,
+      fallbackReason: fallback ? (aiService.isAvailable('stream') ? 'error' : 'not_configured') : null
+    };
+  }
+
   formatEventsForAI(events) {
     if (!events || events.length === 0) {
       return 'No events found.';
@@ -530,12 +580,90 @@ class AgentOrchestrator {
   /**
    * Helper Methods
    */
-  logExecution(agent, result) {
-    this.executionLog.push({
+  logExecution(run, agent, result, partialResults = null) {
+    // Time since the previous step is attributed to this agent
+    const now = Date.now();
+    const entry = {
       agent,
-      timestamp: new Date().toISOString(),
+      timestamp: new Date(now).toISOString(),
+      durationMs: run.lastLogTime ? now - run.lastLogTime : 0,
       result: typeof result === 'object' ? JSON.stringify(result).substring(0, 200) : result
-    });
+    };
+    run.executionLog.push(entry);
+    run.lastLogTime = now;
+
+    if (run.onProgress) {
+      try {
+        run.onProgress({
+          agent,
+          step: run.executionLog.length,
+          durationMs: entry.durationMs,
+          message: this.describeProgress(agent, result),
+          ...(partialResults ? { data: partialResults } : {})
+        });
+      } catch (error) {
+        console.error('Progress listener error:', error);
+      }
+    }
+  }
+
+  /**
+   * A short, user-facing description of what an agent just did
+   */
+  describeProgress(agent, result) {
+    const details = result || {};
+
+    switch (agent) {
+      case 'IntentAgent':
+        return `Intent detected: ${details.category || 'general'}`;
+      case 'RoleAgent':
+        return `Responding as ${details.role || 'guest'}`;
+      case 'MemoryAgent': {
+        const earlier = details.context?.conversationContext?.length || 0;
+        return earlier > 0
+          ? `Recalled ${earlier} earlier message${earlier === 1 ? '' : 's'}`
+          : 'Loaded your preferences';
+      }
+      case 'GeoContextAgent':
+        return details.locationName ? `Location resolved: ${details.locationName}` : 'No specific location found';
+      case 'EventRetrievalAgent': {
+        const count = details.found ?? details.candidates ?? 0;
+        return `${count} event${count === 1 ? '' : 's'} found`;
+      }
+      case 'SafetyModerationAgent':
+        return 'Safety check complete';
+      case 'RecommendationAgent':
+        return 'Ranking done';
+      default:
+        return `${agent.replace(/Agent$/, '').replace(/([a-z])([A-Z])/g, '$1 $2')} finished`;
+    }
+  }
+
+  /**
+   * Compact event fields sent with progress events as partial results
+   */
+  summarizeEvents(events, limit = 5) {
+    return {
+      events: (events || []).slice(0, limit).map(event => ({
+        _id: event._id,
+        title: event.title,
+        date: event.date,
+        location: event.location,
+        category: event.category,
+        description: event.description ? event.description.substring(0, 150) : ''
+      }))
+    };
+  }
+
+  /**
+   * Per-agent timings and the response source, recorded for analytics
+   */
+  getDiagnostics(run) {
+    return {
+      agentTimings: run.executionLog.map(log => ({ agent: log.agent, durationMs: log.durationMs })),
+      aiFallback: run.responseSource ? run.responseSource.fallback : null,
+      aiFallbackReason: run.responseSource ? run.responseSource.fallbackReason : null
+    };
   }
 
   formatSearchResponse(events, geoContext) {
@@ -4,8 +4,9 @@
  */
 
 const Event = require('../../models/Event');
-const chromaDB = require('../chromaDB');
+const vectorStore = require('../vectorStore');
 const embeddingService = require('../embeddingService');
+const ticketing = require('../../utils/ticketing');
 
 class EventRetrievalAgent {
   constructor() {
@@ -142,10 +143,12 @@ class EventRetrievalAgent {
       if (dateFilter) query.date = dateFilter;
     }
 
-    // Price filters (if price field exists)
-    if (filters.price) {
-      const priceFilter = this.buildPriceFilter(filters.price);
-      if (priceFilter) query.price = priceFilter;
+    // Price filters against the lowest stored ticket price
+    if (filters.price || filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+      const priceFilter = this.buildPriceFilter(filters.price || [], filters);
+      if (priceFilter) {
+        query.$and = [...(query.$and || []), priceFilter];
+      }
     }
 
     return query;
@@ -159,10 +162,10 @@ class EventRetrievalAgent {
       // Generate embedding for the query
       const queryEmbedding = await embeddingService.generateEmbedding(query);
       
-      // Search in ChromaDB for similar events
-      const similarEvents = await chromaDB.searchSimilar(queryEmbedding, 20);
+      // Search the vector store for similar events
+      const similarEvents = await vectorStore.query(queryEmbedding, { limit: 20 });
       
-      // Match ChromaDB results with MongoDB events
+      // Match vector store results with MongoDB events
       const matchedEvents = [];
       for (const similar of similarEvents) {
         const event = events.find(e => e._id.toString() === similar.id);
@@ -335,15 +338,21 @@ class EventRetrievalAgent {
   }
 
   /**
-   * Build price filter
+   * Build price filter from intent keywords and explicit amounts
    */
-  buildPriceFilter(priceFilters) {
+  buildPriceFilter(priceFilters, { minPrice, maxPrice } = {}) {
     if (priceFilters.includes('free')) {
-      return { $lte: 0 };
+      return ticketing.buildPriceQuery({ free: true });
     }
-    
-    // Add more price filter logic as needed
-    return null;
+
+    if (maxPrice === undefined && priceFilters.includes('cheap')) {
+      maxPrice = ticketing.CHEAP_PRICE_MAX;
+    }
+    if (minPrice === undefined && priceFilters.includes('expensive')) {
+      minPrice = ticketing.EXPENSIVE_PRICE_MIN;
+    }
+
+    return ticketing.buildPriceQuery({ minPrice, maxPrice });
   }
 
   /**
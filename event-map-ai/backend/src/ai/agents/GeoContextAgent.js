@@ -3,6 +3,8 @@
  * Handles location analysis, distance calculations, and geographic filtering
  */
 
+const geocodingService = require('../geocodingService');
+
 class GeoContextAgent {
   constructor() {
     this.defaultRadius = 25; // km
@@ -19,20 +21,6 @@ class GeoContextAgent {
       'virtual': 'virtual',
       'remote': 'virtual'
     };
-
-    // Major cities coordinates (fallback)
-    this.cityCoordinates = {
-      'london': [-0.1278, 51.5074],
-      'new york': [-74.0060, 40.7128],
-      'san francisco': [-122.4194, 37.7749],
-      'los angeles': [-118.2437, 34.0522],
-      'chicago': [-87.6298, 41.8781],
-      'toronto': [-79.3832, 43.6532],
-      'paris': [2.3522, 48.8566],
-      'berlin': [13.4050, 52.5200],
-      'tokyo': [139.6917, 35.6895],
-      'sydney': [151.2093, -33.8688]
-    };
   }
 
   /**
@@ -59,16 +47,31 @@ class GeoContextAgent {
 
       // Priority 3: Extract location from message
       const extractedLocation = this.extractLocationFromMessage(message);
+      if (extractedLocation === 'virtual') {
+        return this.buildVirtualLocationContext();
+      }
+
+      // Priority 4: A place named anywhere in the message (offline gazetteer)
+      const place = await geocodingService.findPlaceInText(message);
+      if (place) {
+        return await this.buildLocationContext(
+          [place.longitude, place.latitude],
+          place.name,
+          this.extractRadius(message)
+        );
+      }
+
+      // Relative aliases ("near me", "downtown") have nothing to geocode
+      if (extractedLocation && Object.values(this.locationAliases).includes(extractedLocation)) {
+        return await this.buildLocationContext(null, extractedLocation, this.extractRadius(message));
+      }
+
       if (extractedLocation) {
-        if (extractedLocation === 'virtual') {
-          return this.buildVirtualLocationContext();
-        }
-        
-        const coords = await this.geocodeLocation(extractedLocation);
-        return await this.buildLocationContext(coords, extractedLocation, this.extractRadius(message));
+        const { coords, locationName } = await this.geocodeExtractedLocation(extractedLocation);
+        return await this.buildLocationContext(coords, locationName, this.extractRadius(message));
       }
 
-      // Priority 4: Default to no location filter
+      // Priority 5: Default to no location filter
       return this.buildDefaultLocationContext();
 
     } catch (error) {
@@ -90,13 +93,6 @@ class GeoContextAgent {
       }
     }
 
-    // Check for city names
-    for (const city of Object.keys(this.cityCoordinates)) {
-      if (lowerMessage.includes(city)) {
-        return city;
-      }
-    }
-
     // Look for location indicators
     const locationIndicators = ['in ', 'at ', 'near ', 'around '];
     for (const indicator of locationIndicators) {
@@ -157,25 +153,43 @@ class GeoContextAgent {
    * Geocode location string to coordinates
    */
   async geocodeLocation(locationString) {
-    const cleanLocation = locationString.toLowerCase().trim();
+    const place = await geocodingService.geocode(locationString);
+    return place ? [place.longitude, place.latitude] : null;
+  }
+
+  /**
+   * Geocode a phrase taken after "in"/"near"/..., dropping trailing words
+   * until something resolves ("Manchester this weekend" -> "Manchester")
+   */
+  async geocodeExtractedLocation(extractedLocation) {
+    const words = extractedLocation.split(/\s+/).filter(Boolean);
 
-    // Check if it's a known city
-    if (this.cityCoordinates[cleanLocation]) {
-      return this.cityCoordinates[cleanLocation];
+    for (let size = words.length; size >= 1; size--) {
+      const candidate = words.slice(0, size).join(' ');
+      if (candidate.length <= 2) continue;
+
+      const coords = await this.geocodeLocation(candidate);
+      if (coords) {
+        return { coords, locationName: candidate };
+      }
     }
 
-    // For now, return null - in production, integrate with geocoding service
-    // like Google Maps API, OpenStreetMap Nominatim, etc.
-    console.log(`Geocoding not implemented for: ${locationString}`);
-    return null;
+    return { coords: null, locationName: extractedLocation };
   }
 
   /**
    * Reverse geocode coordinates to location name
    */
   async reverseGeocode(longitude, latitude) {
-    // For now, return generic location - in production, use reverse geocoding service
-    return `Location (${latitude.toFixed(4)}, ${longitude.toFixed(4)})`;
+    const lng = parseFloat(longitude);
+    const lat = parseFloat(latitude);
+
+    const place = await geocodingService.reverseGeocode(lat, lng);
+    if (place) {
+      return place.displayName;
+    }
+
+    return `Location (${lat.toFixed(4)}, ${lng.toFixed(4)})`;
   }
 
   /**
@@ -99,9 +99,28 @@ class IntentAgent {
     const priceFilters = this.filterPatterns.price.filter(price => message.includes(price));
     if (priceFilters.length > 0) filters.price = priceFilters;
 
+    // Extract explicit price limits ("under $20", "over 50 euros"). A bare
+    // number is not a price: "over 18" is an age and "for 2" a party size
+    const maxPrice = this.matchPriceLimit(message, 'under|below|less than|max(?:imum)?');
+    if (maxPrice !== null) filters.maxPrice = maxPrice;
+
+    const minPrice = this.matchPriceLimit(message, 'over|above|more than|min(?:imum)?');
+    if (minPrice !== null) filters.minPrice = minPrice;
+
     return filters;
   }
 
+  /**
+   * Amount after one of the given words, when it carries a currency symbol
+   * or word; null otherwise
+   */
+  matchPriceLimit(message, words) {
+    const amount = String.raw`(?:[$£€]\s*(\d+(?:\.\d+)?)|(\d+(?:\.\d+)?)\s*(?:dollars?|bucks|euros?|pounds?|usd|eur|gbp)\b)`;
+    const match = message.match(new RegExp(`(?:${words})\\s*${amount}`));
+    if (!match) return null;
+    return parseFloat(match[1] || match[2]);
+  }
+
   async extractEntities(message) {
     const entities = {
       locations: [],
@@ -4,12 +4,16 @@
  */
 
 const User = require('../../models/User');
+const conversationStore = require('../conversationStore');
 
 class MemoryAgent {
   constructor() {
-    this.shortTermMemory = new Map(); // In-memory storage for current session
     this.memoryRetentionDays = 30; // How long to keep user interaction history
     this.maxInteractionsPerUser = 100; // Limit stored interactions per user
+    this.shortTermExchanges = 10; // Recent exchanges kept as conversation context
+
+    // Stored conversations expire along with interaction history
+    conversationStore.retentionDays = this.memoryRetentionDays;
     
     this.defaultPreferences = {
       categories: [],
@@ -25,35 +29,23 @@ class MemoryAgent {
   }
 
   /**
-   * Get user context including preferences and history
+   * Get user context including preferences and history, plus the recent
+   * exchanges of the current session
    */
-  async getUserContext(userId) {
+  async getUserContext(userId, sessionId = null) {
     try {
-      if (!userId) {
-        return this.getAnonymousContext();
-      }
+      const sessionData = await this.loadSessionContext(sessionId);
 
-      // Check short-term memory first
-      const sessionKey = `session_${userId}`;
-      if (this.shortTermMemory.has(sessionKey)) {
-        const sessionData = this.shortTermMemory.get(sessionKey);
-        // Merge with persistent data
-        const persistentData = await this.getPersistentUserData(userId);
-        return this.mergeContextData(sessionData, persistentData);
+      if (!userId) {
+        return {
+          ...this.getAnonymousContext(),
+          conversationContext: sessionData.currentConversation
+        };
       }
 
-      // Load from database
+      // Merge the session with persistent data
       const userContext = await this.loadUserContext(userId);
-      
-      // Initialize short-term memory for this session
-      this.shortTermMemory.set(sessionKey, {
-        userId,
-        sessionStart: new Date(),
-        currentConversation: [],
-        temporaryPreferences: {}
-      });
-
-      return userContext;
+      return this.mergeContextData({ userId, ...sessionData }, userContext);
 
     } catch (error) {
       console.error('Error getting user context:', error);
@@ -64,12 +56,12 @@ class MemoryAgent {
   /**
    * Update user context with new interaction data
    */
-  async updateUserContext(userId, interactionData) {
+  async updateUserContext(userId, interactionData, sessionId = null) {
     try {
       if (!userId) return; // Skip for anonymous users
 
       // Update short-term memory
-      await this.updateShortTermMemory(userId, interactionData);
+      await this.updateShortTermMemory(sessionId, interactionData);
       
       // Update persistent storage
       await this.updatePersistentMemory(userId, interactionData);
@@ -158,34 +150,76 @@ class MemoryAgent {
   }
 
   /**
-   * Update short-term memory for current session
+   * Load the stored session: its recent exchanges and the preferences
+   * picked up during it
    */
-  async updateShortTermMemory(userId, interactionData) {
-    const sessionKey = `session_${userId}`;
-    const sessionData = this.shortTermMemory.get(sessionKey) || {
-      userId,
+  async loadSessionContext(sessionId) {
+    const emptySession = {
       sessionStart: new Date(),
       currentConversation: [],
       temporaryPreferences: {}
     };
+    if (!sessionId) return emptySession;
 
-    // Add to conversation history
-    sessionData.currentConversation.push({
-      timestamp: new Date(),
-      query: interactionData.query,
-      intent: interactionData.intent,
-      response: interactionData.response
+    const conversation = await conversationStore.getConversation(sessionId);
+    if (!conversation) return emptySession;
+
+    const messages = await conversationStore.getMessages(sessionId, {
+      limit: this.shortTermExchanges * 2
     });
 
-    // Keep only last 10 interactions in short-term memory
-    if (sessionData.currentConversation.length > 10) {
-      sessionData.currentConversation = sessionData.currentConversation.slice(-10);
-    }
+    return {
+      sessionStart: conversation.createdAt,
+      currentConversation: this.toExchanges(messages).slice(-this.shortTermExchanges),
+      temporaryPreferences: conversation.sessionPreferences || {}
+    };
+  }
+
+  /**
+   * Pair stored user messages with the assistant replies that follow them
+   */
+  toExchanges(messages) {
+    const exchanges = [];
+
+    messages.forEach(message => {
+      if (message.role === 'user') {
+        exchanges.push({
+          timestamp: message.createdAt,
+          query: message.content,
+          intent: null,
+          response: null
+        });
+      } else if (exchanges.length > 0) {
+        const exchange = exchanges[exchanges.length - 1];
+        exchange.intent = message.intent || null;
+        exchange.response = message.content;
+      }
+    });
+
+    return exchanges;
+  }
+
+  /**
+   * Update the preferences of the current session. The messages themselves
+   * are stored by the assistant controller.
+   */
+  async updateShortTermMemory(sessionId, interactionData) {
+    if (!sessionId) return;
+
+    const conversation = await conversationStore.getConversation(sessionId);
+    if (!conversation) return;
+
+    const sessionData = {
+      temporaryPreferences: { ...(conversation.sessionPreferences || {}) }
+    };
+    const previous = JSON.stringify(sessionData.temporaryPreferences);
 
     // Update temporary preferences based on current session
     this.updateTemporaryPreferences(sessionData, interactionData);
 
-    this.shortTermMemory.set(sessionKey, sessionData);
+    if (JSON.stringify(sessionData.temporaryPreferences) !== previous) {
+      await conversationStore.updateSessionPreferences(sessionId, sessionData.temporaryPreferences);
+    }
   }
 
   /**
@@ -365,32 +399,6 @@ class MemoryAgent {
     };
   }
 
-  /**
-   * Get persistent user data from database
-   */
-  async getPersistentUserData(userId) {
-    try {
-      const user = await User.findById(userId).lean();
-      return {
-        preferences: this.extractUserPreferences(user),
-        history: this.extractUserHistory(user),
-        profile: user ? {
-          name: user.name,
-          email: user.email,
-          role: user.role,
-          joinDate: user.createdAt
-        } : null
-      };
-    } catch (error) {
-      console.error('Error getting persistent user data:', error);
-      return {
-        preferences: this.defaultPreferences,
-        history: [],
-        profile: null
-      };
-    }
-  }
-
   /**
    * Merge session data with persistent data
    */
@@ -409,30 +417,12 @@ class MemoryAgent {
     };
   }
 
-  /**
-   * Clear old session data (cleanup method)
-   */
-  cleanupOldSessions() {
-    const now = new Date();
-    const maxAge = 2 * 60 * 60 * 1000; // 2 hours
-
-    for (const [key, sessionData] of this.shortTermMemory.entries()) {
-      if (now - sessionData.sessionStart > maxAge) {
-        this.shortTermMemory.delete(key);
-      }
-    }
-  }
-
   /**
    * Get conversation context for maintaining chat continuity
    */
-  getConversationContext(userId) {
-    if (!userId) return [];
-
-    const sessionKey = `session_${userId}`;
-    const sessionData = this.shortTermMemory.get(sessionKey);
-    
-    return sessionData ? sessionData.currentConversation : [];
+  async getConversationContext(sessionId) {
+    const sessionData = await this.loadSessionContext(sessionId);
+    return sessionData.currentConversation;
   }
 
   /**
@@ -450,17 +440,6 @@ class MemoryAgent {
         }
       });
 
-      // Update short-term memory as well
-      const sessionKey = `session_${userId}`;
-      const sessionData = this.shortTermMemory.get(sessionKey);
-      if (sessionData) {
-        sessionData.temporaryPreferences = {
-          ...sessionData.temporaryPreferences,
-          ...newPreferences
-        };
-        this.shortTermMemory.set(sessionKey, sessionData);
-      }
-
     } catch (error) {
       console.error('Error updating user preferences:', error);
     }
@@ -3,7 +3,7 @@
  * Provides intelligent, personalized event recommendations with explanations
  */
 
-const geminiService = require('../geminiService');
+const llmService = require('../llmService');
 
 class RecommendationAgent {
   constructor() {
@@ -305,7 +305,7 @@ class RecommendationAgent {
   }
 
   /**
-   * Generate AI-enhanced explanation using Gemini
+   * Generate AI-enhanced explanation using the LLM
    */
   async generateAIExplanation(event, userContext) {
     try {
@@ -327,7 +327,7 @@ class RecommendationAgent {
         Be specific and enthusiastic, but not overly promotional.
       `;
 
-      const aiResponse = await geminiService.generateResponse(prompt);
+      const aiResponse = await llmService.generate(prompt);
       return aiResponse || this.getFallbackExplanation(event);
 
     } catch (error) {
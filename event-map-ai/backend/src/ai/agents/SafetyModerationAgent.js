@@ -3,7 +3,7 @@
  * Detects spam, duplicates, fake content, and safety issues
  */
 
-const geminiService = require('../geminiService');
+const llmService = require('../llmService');
 const Event = require('../../models/Event');
 
 class SafetyModerationAgent {
@@ -322,7 +322,7 @@ class SafetyModerationAgent {
         }
       `;
 
-      const aiResponse = await geminiService.generateResponse(prompt);
+      const aiResponse = await llmService.generate(prompt);
       const analysis = JSON.parse(aiResponse);
 
       return {
@@ -520,7 +520,7 @@ class SafetyModerationAgent {
         }
       `;
 
-      const aiResponse = await geminiService.generateResponse(prompt);
+      const aiResponse = await llmService.generate(prompt);
       return JSON.parse(aiResponse);
 
     } catch (error) {
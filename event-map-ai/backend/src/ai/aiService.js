@@ -1,58 +1,78 @@
 /**
  * Unified AI Service
- * Provides intelligent responses using available AI services (Gemini only)
+ * Provides intelligent responses using the configured LLM providers, with
+ * static fallback answers when none is available
  */
 
-const geminiService = require("./geminiService");
+const llmService = require("./llmService");
 
 class AIService {
   constructor() {
-    this.primaryService = null;
-
-    // Determine which services are available
-    if (
-      process.env.GEMINI_API_KEY &&
-      process.env.GEMINI_API_KEY !== "your_gemini_api_key_here"
-    ) {
-      this.primaryService = geminiService;
-      console.log("✅ AI Service: Using Gemini as primary");
+    // Static fallback answers are streamed a few words at a time
+    this.fallbackChunkWords = 3;
+    this.fallbackChunkDelayMs =
+      parseInt(process.env.STREAM_FALLBACK_DELAY_MS, 10) >= 0
+        ? parseInt(process.env.STREAM_FALLBACK_DELAY_MS, 10)
+        : 30;
+
+    if (llmService.isAvailable("generate")) {
+      const { capabilities } = llmService.getStatus();
+      console.log(
+        `✅ AI Service: Using ${capabilities.generate.join(", ")} for responses`
+      );
     } else {
       console.log(
-        "⚠️ AI Service: No valid API keys configured, using intelligent fallback responses"
+        "⚠️ AI Service: No LLM provider configured, using intelligent fallback responses"
       );
       console.log(
-        "💡 To enable full AI capabilities, set GEMINI_API_KEY in your .env file"
+        "💡 To enable full AI capabilities, set GEMINI_API_KEY or LLM_PROVIDERS in your .env file"
       );
     }
   }
 
+  isAvailable(capability = "generate") {
+    return llmService.isAvailable(capability);
+  }
+
   async generateResponse(prompt, options = {}) {
+    const result = await this.generateResponseWithSource(prompt, options);
+    return result.text;
+  }
+
+  /**
+   * Like generateResponse, but also reports whether the static fallback
+   * answered instead of the AI provider, and why
+   * @returns {Promise<{text: string, fallback: boolean, fallbackReason: string|null}>}
+   */
+  async generateResponseWithSource(prompt, options = {}) {
     // If no services are configured, use enhanced static responses immediately
-    if (!this.primaryService) {
-      return this.getStaticFallback(prompt);
+    if (!llmService.isAvailable("generate")) {
+      return {
+        text: this.getStaticFallback(prompt),
+        fallback: true,
+        fallbackReason: "not_configured",
+      };
     }
 
     try {
-      if (this.primaryService) {
-        return await this.primaryService.generateResponse(prompt, options);
-      }
-
-      return this.getStaticFallback(prompt);
+      const text = await llmService.generate(prompt, options);
+      return { text, fallback: false, fallbackReason: null };
     } catch (error) {
       console.error("Primary AI service error:", error.message);
 
       console.log("🔄 Using enhanced static responses...");
-      return this.getStaticFallback(prompt);
+      return {
+        text: this.getStaticFallback(prompt),
+        fallback: true,
+        fallbackReason: "error",
+      };
     }
   }
 
   async generateChatResponse(messages, options = {}) {
     try {
-      if (this.primaryService) {
-        return await this.primaryService.generateChatResponse(
-          messages,
-          options
-        );
+      if (llmService.isAvailable("chat")) {
+        return await llmService.chat(messages, options);
       }
 
       const lastMessage = messages[messages.length - 1]?.content || "";
@@ -67,10 +87,9 @@ class AIService {
 
   async generateRAGResponse(query, context, options = {}) {
     try {
-      if (this.primaryService && this.primaryService.generateRAGResponse) {
-        return await this.primaryService.generateRAGResponse(
-          query,
-          context,
+      if (llmService.isAvailable("generate")) {
+        return await llmService.generate(
+          this.buildRAGPrompt(query, context),
           options
         );
       }
@@ -83,34 +102,92 @@ class AIService {
     }
   }
 
-  async classifyIntent(message) {
-    try {
-      if (
-        this.primaryService &&
-        this.primaryService.generateIntentClassification
-      ) {
-        return await this.primaryService.generateIntentClassification(message);
+  /**
+   * Stream a response to a prompt as { text, fallback } chunks. If the AI
+   * provider is unavailable or fails before sending anything, the static
+   * fallback is streamed instead so clients handle both the same way.
+   * Aborting `options.signal` stops the stream and the upstream request.
+   */
+  async *streamResponse(prompt, options = {}) {
+    yield* this.streamWithFallback(
+      () => llmService.stream(prompt, options),
+      () => this.getStaticFallback(prompt),
+      llmService.isAvailable("stream"),
+      options
+    );
+  }
+
+  async *streamRAGResponse(query, context, options = {}) {
+    yield* this.streamWithFallback(
+      () => llmService.stream(this.buildRAGPrompt(query, context), options),
+      () => this.generateBasicRAGResponse(query, context),
+      llmService.isAvailable("stream"),
+      options
+    );
+  }
+
+  async *streamWithFallback(openStream, fallbackText, canStream, options) {
+    if (canStream) {
+      let sent = false;
+      try {
+        for await (const text of openStream()) {
+          sent = true;
+          yield { text, fallback: false };
+        }
+        return;
+      } catch (error) {
+        if (options.signal?.aborted) return;
+        // Text already sent can't be replaced by a different answer
+        if (sent) throw error;
+        console.error("Primary AI stream error:", error.message);
+        console.log("🔄 Using enhanced static responses...");
       }
+    }
 
-      // Fallback intent classification
-      return this.classifyIntentFallback(message);
-    } catch (error) {
-      console.error("Error classifying intent:", error);
-      return this.classifyIntentFallback(message);
+    yield* this.streamText(fallbackText(), options);
+  }
+
+  /**
+   * Yield text in small chunks, paced like a model response
+   */
+  async *streamText(text, options = {}) {
+    const words = text.match(/\s*\S+\s*/g) || [];
+
+    for (let i = 0; i < words.length; i += this.fallbackChunkWords) {
+      if (options.signal?.aborted) return;
+      yield {
+        text: words.slice(i, i + this.fallbackChunkWords).join(""),
+        fallback: true,
+      };
+      if (this.fallbackChunkDelayMs > 0) {
+        await new Promise((resolve) =>
+          setTimeout(resolve, this.fallbackChunkDelayMs)
+        );
+      }
     }
   }
 
+  async classifyIntent(message) {
+    return this.classifyIntentFallback(message);
+  }
+
   async generateEventDescription(eventDetails) {
-    try {
-      if (this.primaryService && this.primaryService.generateEventDescription) {
-        return await this.primaryService.generateEventDescription(eventDetails);
-      }
+    return this.generateBasicEventDescription(eventDetails);
+  }
 
-      return this.generateBasicEventDescription(eventDetails);
-    } catch (error) {
-      console.error("Error generating event description:", error);
-      return this.generateBasicEventDescription(eventDetails);
-    }
+  buildRAGPrompt(query, context) {
+    // Create a prompt that combines the user query with retrieved context
+    return `
+        You are an AI assistant for an event discovery platform. Use the provided context to answer the user's question accurately.
+        
+        Context:
+        ${context}
+        
+        User Question:
+        ${query}
+        
+        Please provide a helpful and accurate response based on the context provided. If the context doesn't contain relevant information, politely say so.
+      `.trim();
   }
 
   // Enhanced fallback methods with more intelligent responses
@@ -299,11 +376,10 @@ Would you like me to provide more details about any of these events or help you
   // Health check
   getServiceStatus() {
     return {
-      primaryService: this.primaryService ? "available" : "not_configured",
-      geminiConfigured: !!(
-        process.env.GEMINI_API_KEY &&
-        process.env.GEMINI_API_KEY !== "your_gemini_api_key_here"
-      ),
+      primaryService: llmService.isAvailable("generate")
+        ? "available"
+        : "not_configured",
+      providers: llmService.getStatus(),
     };
   }
 }
@@ -0,0 +1,363 @@
+/**
+ * ASSISTANT ANALYTICS
+ * Records every orchestrated assistant request and feedback rating, and
+ * computes usage, latency and quality metrics over a time window
+ */
+
+const mongoose = require('mongoose');
+const AssistantInteraction = require('../models/AssistantInteraction');
+const AssistantFeedback = require('../models/AssistantFeedback');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERCENTILES = [50, 90, 95, 99];
+
+// Free-text ratings accepted in addition to 1-5 scores
+const RATING_ALIASES = {
+  up: 'up',
+  thumbs_up: 'up',
+  positive: 'up',
+  helpful: 'up',
+  down: 'down',
+  thumbs_down: 'down',
+  negative: 'down',
+  unhelpful: 'down'
+};
+
+class AssistantAnalytics {
+  constructor() {
+    this.retentionDays = parseFloat(process.env.ASSISTANT_ANALYTICS_RETENTION_DAYS) || 180;
+    this.topUnansweredLimit = 10;
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.retentionDays * DAY_MS);
+  }
+
+  normalizeQuery(query) {
+    return String(query || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Whether a response left the user without an answer: an error, or a
+   * search or recommendation that came back empty
+   */
+  isUnanswered(response) {
+    if (response.explanation?.safetyStatus === 'error') return true;
+
+    const data = response.data || {};
+    if (Array.isArray(data.events) && data.events.length === 0) return true;
+    if (Array.isArray(data.recommendations) && data.recommendations.length === 0) return true;
+
+    return false;
+  }
+
+  /**
+   * Map a feedback rating to 'up' or 'down'. Scores of 4 and 5 count as
+   * thumbs up. Returns null for anything unrecognised.
+   */
+  parseRating(rating) {
+    if (typeof rating === 'boolean') return { rating: rating ? 'up' : 'down' };
+
+    const score = Number(rating);
+    if (Number.isInteger(score) && score >= 1 && score <= 5) {
+      return { rating: score >= 4 ? 'up' : 'down', score };
+    }
+
+    const alias = RATING_ALIASES[String(rating).toLowerCase().replace(/[\s-]+/g, '_')];
+    return alias ? { rating: alias } : null;
+  }
+
+  /**
+   * Store an orchestrated request. Failures are logged, never thrown, so
+   * analytics can't break the chat.
+   */
+  async recordInteraction({ userInput, response, messageId = null }) {
+    try {
+      const diagnostics = response.diagnostics || {};
+
+      return await AssistantInteraction.create({
+        sessionId: userInput.sessionId,
+        user: userInput.userId || null,
+        role: userInput.role || 'guest',
+        query: userInput.message,
+        normalizedQuery: this.normalizeQuery(userInput.message) || userInput.message,
+        intent: response.intent || 'unknown',
+        agentsUsed: response.explanation?.agentsUsed || [],
+        agentTimings: diagnostics.agentTimings || [],
+        executionTime: response.executionTime,
+        confidence: response.explanation?.confidence,
+        safetyStatus: response.explanation?.safetyStatus,
+        aiFallback: diagnostics.aiFallback ?? null,
+        aiFallbackReason: diagnostics.aiFallbackReason || null,
+        answered: !this.isUnanswered(response),
+        messageId,
+        expiresAt: this.expiryDate()
+      });
+    } catch (error) {
+      console.error('Error recording assistant interaction:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Store a rating for a reply. A user rating the same message again
+   * replaces their earlier rating.
+   */
+  async recordFeedback({ sessionId, messageId, userId, rating, score, comment }) {
+    const validMessageId = messageId && mongoose.Types.ObjectId.isValid(messageId) ? messageId : null;
+
+    // Rate the given reply, or the latest one in the session
+    const interaction = validMessageId
+      ? await AssistantInteraction.findOne({ messageId: validMessageId, sessionId }).lean()
+      : await AssistantInteraction.findOne({ sessionId }).sort({ createdAt: -1 }).lean();
+
+    const feedback = {
+      interaction: interaction ? interaction._id : null,
+      sessionId,
+      messageId: validMessageId || interaction?.messageId || null,
+      user: userId,
+      intent: interaction ? interaction.intent : 'unknown',
+      rating,
+      score,
+      comment,
+      createdAt: new Date(),
+      expiresAt: this.expiryDate()
+    };
+
+    if (!feedback.messageId) {
+      return AssistantFeedback.create(feedback);
+    }
+
+    return AssistantFeedback.findOneAndUpdate(
+      { messageId: feedback.messageId, user: userId },
+      feedback,
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Analytics for interactions and feedback created between `from` and `to`
+   */
+  async getAnalytics({ from, to }) {
+    const window = { createdAt: { $gte: from, $lte: to } };
+
+    const [totals, distinct, intents, agentDurations, fallbacks, safety, unanswered, feedback] = await Promise.all([
+      AssistantInteraction.aggregate([
+        { $match: window },
+        {
+          $group: {
+            _id: null,
+            requests: { $sum: 1 },
+            unanswered: { $sum: { $cond: ['$answered', 0, 1] } },
+            ...this.latencyAccumulators('$executionTime')
+          }
+        }
+      ]),
+      // Distinct sessions and signed-in users, counted without collecting them
+      AssistantInteraction.aggregate([
+        { $match: window },
+        {
+          $facet: {
+            sessions: [{ $group: { _id: '$sessionId' } }, { $count: 'count' }],
+            users: [
+              { $match: { user: { $ne: null } } },
+              { $group: { _id: '$user' } },
+              { $count: 'count' }
+            ]
+          }
+        }
+      ]),
+      AssistantInteraction.aggregate([
+        { $match: window },
+        { $group: { _id: '$intent', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+      ]),
+      AssistantInteraction.aggregate([
+        { $match: window },
+        { $unwind: '$agentTimings' },
+        {
+          $group: {
+            _id: '$agentTimings.agent',
+            ...this.latencyAccumulators('$agentTimings.durationMs')
+          }
+        }
+      ]),
+      AssistantInteraction.aggregate([
+        { $match: { ...window, aiFallback: { $ne: null } } },
+        {
+          $group: {
+            _id: { fallback: '$aiFallback', reason: '$aiFallbackReason' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      AssistantInteraction.aggregate([
+        { $match: window },
+        { $group: { _id: '$safetyStatus', count: { $sum: 1 } } }
+      ]),
+      AssistantInteraction.aggregate([
+        { $match: { ...window, answered: false } },
+        { $sort: { createdAt: 1 } },
+        {
+          $group: {
+            _id: '$normalizedQuery',
+            count: { $sum: 1 },
+            example: { $last: '$query' },
+            intents: { $addToSet: '$intent' },
+            lastAskedAt: { $last: '$createdAt' }
+          }
+        },
+        { $sort: { count: -1, lastAskedAt: -1 } },
+        { $limit: this.topUnansweredLimit }
+      ]),
+      AssistantFeedback.aggregate([
+        { $match: window },
+        {
+          $group: {
+            _id: { intent: '$intent', rating: '$rating' },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+
+    const summary = totals[0] || { requests: 0, unanswered: 0 };
+    const requests = summary.requests;
+    const { sessions, users } = distinct[0];
+
+    return {
+      window: { from, to },
+      totals: {
+        requests,
+        sessions: sessions[0]?.count || 0,
+        signedInUsers: users[0]?.count || 0,
+        unanswered: summary.unanswered,
+        unansweredRate: this.ratio(summary.unanswered, requests)
+      },
+      responseTime: this.latencySummary(summary),
+      intentDistribution: intents.map(({ _id, count }) => ({
+        intent: _id || 'unknown',
+        count,
+        percentage: Math.round(this.ratio(count, requests) * 1000) / 10
+      })),
+      agentLatency: agentDurations
+        .map(stats => ({ agent: stats._id, ...this.latencySummary(stats) }))
+        .sort((a, b) => b.calls - a.calls),
+      aiFallback: this.fallbackSummary(fallbacks),
+      safety: safety.reduce((counts, { _id, count }) => {
+        counts[_id || 'unknown'] = count;
+        return counts;
+      }, {}),
+      feedback: this.feedbackSummary(feedback),
+      unansweredQueries: unanswered.map(({ _id, count, example, intents: queryIntents, lastAskedAt }) => ({
+        query: example,
+        normalizedQuery: _id,
+        count,
+        intents: queryIntents,
+        lastAskedAt
+      }))
+    };
+  }
+
+  /**
+   * $group accumulators for the call count, mean, max and percentiles of a
+   * duration field. They keep running totals and an approximate percentile
+   * digest rather than every value, so the window can be any size
+   * (MongoDB 7.0 or later)
+   */
+  latencyAccumulators(field) {
+    return {
+      calls: { $sum: { $cond: [{ $isNumber: field }, 1, 0] } },
+      averageMs: { $avg: field },
+      maxMs: { $max: field },
+      percentiles: {
+        $percentile: { input: field, p: PERCENTILES.map(p => p / 100), method: 'approximate' }
+      }
+    };
+  }
+
+  /**
+   * Call count, mean, max and percentiles (ms) from latencyAccumulators
+   */
+  latencySummary(stats = {}) {
+    const calls = stats.calls || 0;
+    const summary = {
+      calls,
+      averageMs: calls > 0 ? Math.round(stats.averageMs) : null,
+      maxMs: calls > 0 ? stats.maxMs : null
+    };
+
+    PERCENTILES.forEach((p, index) => {
+      const value = calls > 0 ? stats.percentiles?.[index] : null;
+      summary[`p${p}Ms`] = typeof value === 'number' ? Math.round(value) : null;
+    });
+
+    return summary;
+  }
+
+  fallbackSummary(groups) {
+    const byReason = {};
+    let aiRequests = 0;
+    let fallbacks = 0;
+
+    groups.forEach(({ _id, count }) => {
+      aiRequests += count;
+      if (_id.fallback) {
+        fallbacks += count;
+        const reason = _id.reason || 'unknown';
+        byReason[reason] = (byReason[reason] || 0) + count;
+      }
+    });
+
+    return {
+      aiRequests,
+      fallbacks,
+      rate: this.ratio(fallbacks, aiRequests),
+      byReason
+    };
+  }
+
+  feedbackSummary(groups) {
+    const byIntent = new Map();
+    let up = 0;
+    let down = 0;
+
+    groups.forEach(({ _id, count }) => {
+      const intent = _id.intent || 'unknown';
+      if (!byIntent.has(intent)) byIntent.set(intent, { intent, thumbsUp: 0, thumbsDown: 0 });
+      const entry = byIntent.get(intent);
+
+      if (_id.rating === 'up') {
+        entry.thumbsUp += count;
+        up += count;
+      } else {
+        entry.thumbsDown += count;
+        down += count;
+      }
+    });
+
+    return {
+      total: up + down,
+      thumbsUp: up,
+      thumbsDown: down,
+      thumbsUpRatio: this.ratio(up, up + down),
+      byIntent: [...byIntent.values()]
+        .map(entry => ({
+          ...entry,
+          total: entry.thumbsUp + entry.thumbsDown,
+          thumbsUpRatio: this.ratio(entry.thumbsUp, entry.thumbsUp + entry.thumbsDown)
+        }))
+        .sort((a, b) => b.total - a.total)
+    };
+  }
+
+  ratio(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null;
+  }
+}
+
+module.exports = new AssistantAnalytics();
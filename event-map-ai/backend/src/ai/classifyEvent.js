@@ -1,12 +1,12 @@
 // Enhanced AI event classification service
-// Uses Gemini API for more sophisticated classification
-const geminiService = require('./geminiService');
+// Uses the configured LLM provider for more sophisticated classification
+const llmService = require('./llmService');
 
 class EventClassifier {
   // Enhanced function to classify events into categories
   async classifyEvent(title, description) {
     try {
-      // First try Gemini API for classification
+      // First try the LLM for classification
       const prompt = `
         Classify the following event into one of these categories:
         music, sports, workshop, exhibition, college fest, religious, promotion, other
@@ -17,7 +17,7 @@ class EventClassifier {
         Respond with only the category name in lowercase.
       `;
       
-      const response = await geminiService.generateResponse(prompt);
+      const response = await llmService.generate(prompt);
       
       // Validate response
       const validCategories = ['music', 'sports', 'workshop', 'exhibition', 'college fest', 'religious', 'promotion', 'other'];
@@ -30,7 +30,7 @@ class EventClassifier {
         return this.keywordBasedClassification(title, description);
       }
     } catch (error) {
-      console.error('Gemini classification failed, falling back to keyword-based:', error);
+      console.error('LLM classification failed, falling back to keyword-based:', error.message);
       // Fallback to keyword-based classification
       return this.keywordBasedClassification(title, description);
     }
@@ -0,0 +1,157 @@
+/**
+ * CONVERSATION STORE
+ * MongoDB-backed AI assistant sessions and messages, shared by every
+ * server instance
+ */
+
+const crypto = require('crypto');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TITLE_LENGTH = 80;
+
+class ConversationStore {
+  constructor() {
+    // Overridden by MemoryAgent so sessions live as long as interaction memory
+    this.retentionDays = 30;
+  }
+
+  expiryDate() {
+    return new Date(Date.now() + this.retentionDays * DAY_MS);
+  }
+
+  generateSessionId() {
+    // Anyone with the id can read the conversation, so it must not be guessable
+    return `session_${crypto.randomUUID()}`;
+  }
+
+  async getConversation(sessionId) {
+    if (!sessionId) return null;
+    return Conversation.findOne({ sessionId }).lean();
+  }
+
+  /**
+   * Whether a user may read or change a conversation. Guest sessions have no
+   * owner and can't be read back through the authenticated endpoints.
+   */
+  isOwner(conversation, userId) {
+    return !!(conversation && conversation.user && userId &&
+      conversation.user.toString() === userId.toString());
+  }
+
+  /**
+   * Load the session a message is being sent to, creating it if needed.
+   * A guest session is claimed by the first signed-in user to continue it.
+   * Throws with code 'FORBIDDEN' for another user's session.
+   */
+  async openConversation(sessionId, userId) {
+    const id = sessionId || this.generateSessionId();
+    const existing = await this.getConversation(id);
+
+    if (existing) {
+      if (existing.user && !this.isOwner(existing, userId)) {
+        const error = new Error('This conversation belongs to another user');
+        error.code = 'FORBIDDEN';
+        throw error;
+      }
+      if (!existing.user && userId) {
+        await Conversation.updateOne({ _id: existing._id }, { user: userId });
+        return { ...existing, user: userId };
+      }
+      return existing;
+    }
+
+    try {
+      const created = await Conversation.create({
+        sessionId: id,
+        user: userId || null,
+        expiresAt: this.expiryDate()
+      });
+      return created.toObject();
+    } catch (error) {
+      // Another request created the same session first
+      if (error.code === 11000) return this.openConversation(id, userId);
+      throw error;
+    }
+  }
+
+  /**
+   * Append a message and extend the conversation's retention
+   * @returns {Promise<Object>} the stored message
+   */
+  async addMessage(conversation, message) {
+    const expiresAt = this.expiryDate();
+    const stored = await Message.create({
+      conversation: conversation._id,
+      sessionId: conversation.sessionId,
+      role: message.role,
+      content: message.content,
+      intent: message.intent,
+      data: message.data,
+      explanation: message.explanation,
+      executionTime: message.executionTime,
+      expiresAt
+    });
+
+    const update = {
+      $inc: { messageCount: 1 },
+      $set: { lastMessageAt: stored.createdAt, expiresAt }
+    };
+    if (!conversation.title && message.role === 'user') {
+      update.$set.title = message.content.slice(0, TITLE_LENGTH);
+      conversation.title = update.$set.title;
+    }
+
+    await Conversation.updateOne({ _id: conversation._id }, update);
+    await Message.updateMany({ conversation: conversation._id }, { expiresAt });
+
+    return stored.toObject();
+  }
+
+  /**
+   * Messages of a session, oldest first. `before` (a message ID) pages
+   * backwards through long conversations.
+   */
+  async getMessages(sessionId, { limit = 50, before = null } = {}) {
+    const filter = { sessionId };
+    if (before) filter._id = { $lt: before };
+
+    const messages = await Message.find(filter)
+      .sort({ _id: -1 })
+      .limit(limit)
+      .select('-conversation -expiresAt -__v')
+      .lean();
+
+    return messages.reverse();
+  }
+
+  /**
+   * A user's sessions, most recently active first
+   */
+  async listConversations(userId, { page = 1, limit = 20 } = {}) {
+    const filter = { user: userId };
+    const [conversations, total] = await Promise.all([
+      Conversation.find(filter)
+        .sort({ lastMessageAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('sessionId title messageCount lastMessageAt createdAt expiresAt')
+        .lean(),
+      Conversation.countDocuments(filter)
+    ]);
+
+    return { conversations, total };
+  }
+
+  async updateSessionPreferences(sessionId, preferences) {
+    await Conversation.updateOne({ sessionId }, { $set: { sessionPreferences: preferences } });
+  }
+
+  async deleteConversation(conversation) {
+    await Message.deleteMany({ conversation: conversation._id });
+    await Conversation.deleteOne({ _id: conversation._id });
+  }
+}
+
+module.exports = new ConversationStore();
@@ -1,37 +1,115 @@
 // Enhanced AI duplicate detection service
-// Uses embeddings for more sophisticated comparison
+// Uses embeddings for more sophisticated comparison. Candidates are
+// shortlisted with a geospatial and date-window query, and the embeddings
+// stored on events are reused, so a submission costs one embedding call
+// however many events exist.
+const Event = require('../models/Event');
 const embeddingService = require('./embeddingService');
+const recurrence = require('../utils/recurrence');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 class DuplicateChecker {
-  // Enhanced function to check for duplicate events
-  async checkForDuplicates(newEvent, existingEvents) {
+  constructor() {
+    // Only events this close in space and time can be duplicates
+    this.radiusKm = parseFloat(process.env.DUPLICATE_RADIUS_KM) || 10;
+    this.windowDays = parseFloat(process.env.DUPLICATE_WINDOW_DAYS) || 3;
+    this.maxCandidates = parseInt(process.env.DUPLICATE_MAX_CANDIDATES, 10) || 100;
+  }
+
+  /**
+   * Stored events near the submission's location and date, with their
+   * embeddings. Recurring series are included when any occurrence could
+   * fall in the window. Rejected events are left out so a corrected
+   * resubmission doesn't match its rejected copy, and a stored event being
+   * published or resubmitted (`_id`) doesn't match itself.
+   */
+  async findCandidates(newEvent) {
+    const date = new Date(newEvent.date);
+    const windowMs = this.windowDays * DAY_MS;
+    const windowStart = new Date(date.getTime() - windowMs);
+    const windowEnd = new Date(date.getTime() + windowMs);
+
+    return Event.find({
+      ...(newEvent._id && { _id: { $ne: newEvent._id } }),
+      // A cancelled event doesn't make its replacement a duplicate, and
+      // unpublished drafts aren't events yet
+      status: { $nin: ['draft', 'rejected', 'cancelled', 'archived'] },
+      locationCoords: {
+        $geoWithin: {
+          $centerSphere: [[newEvent.longitude, newEvent.latitude], this.radiusKm / 6371]
+        }
+      },
+      $or: [
+        { date: { $gte: windowStart, $lte: windowEnd } },
+        {
+          recurrence: { $exists: true },
+          date: { $lte: windowEnd },
+          $or: [
+            { 'recurrence.until': { $exists: false } },
+            { 'recurrence.until': { $gte: windowStart } }
+          ]
+        }
+      ]
+    })
+      .select('+embedding')
+      .limit(this.maxCandidates)
+      .lean();
+  }
+
+  /**
+   * Check a submission ({ title, description, latitude, longitude, date,
+   * seriesId, and _id when it is already stored }) for duplicates. Without `existingEvents` the candidates are
+   * looked up with findCandidates; a given list is narrowed to the same
+   * window.
+   * @returns {Promise<Array>} matches, most similar first
+   */
+  async checkForDuplicates(newEvent, existingEvents = null) {
+    const candidates = (existingEvents || await this.findCandidates(newEvent))
+      .filter(event => this.isInWindow(newEvent, event))
+      // Occurrences of the same series are siblings, not duplicates
+      .filter(event => !this.isSameSeries(newEvent, event));
+
+    return this.scoreCandidates(newEvent, candidates);
+  }
+
+  /**
+   * Score a shortlist. `newEvent.embedding` ({ vector, fallback }) is used
+   * when the caller already generated it.
+   */
+  async scoreCandidates(newEvent, candidates) {
+    if (candidates.length === 0) return [];
+
     try {
-      // Generate embeddings for the new event
-      const newEventText = `${newEvent.title} ${newEvent.description}`;
-      const newEventEmbedding = await embeddingService.generateEmbedding(newEventText);
+      const newEventEmbedding = newEvent.embedding ||
+        await embeddingService.generateContentEmbedding(newEvent);
+
+      // Hash fallback vectors say nothing about meaning
+      if (newEventEmbedding.fallback) {
+        return this.textBasedDuplicateCheck(newEvent, candidates);
+      }
       
       const duplicates = [];
       
-      for (const event of existingEvents) {
-        // Generate embedding for existing event
-        const existingEventText = `${event.title} ${event.description}`;
-        const existingEventEmbedding = await embeddingService.generateEmbedding(existingEventText);
+      for (const event of candidates) {
+        const existingEventEmbedding = await this.embeddingFor(event);
+        if (!existingEventEmbedding) {
+          duplicates.push(...this.textBasedDuplicateCheck(newEvent, [event]));
+          continue;
+        }
         
         // Calculate cosine similarity between embeddings
-        const embeddingSimilarity = this.cosineSimilarity(newEventEmbedding, existingEventEmbedding);
+        const embeddingSimilarity = this.cosineSimilarity(newEventEmbedding.vector, existingEventEmbedding);
         
         // Calculate text similarity as backup
         const titleSimilarity = this.calculateTextSimilarity(newEvent.title, event.title);
         const descriptionSimilarity = this.calculateTextSimilarity(newEvent.description, event.description);
         
-        // Check if events are close in location (within 1km)
-        const distance = this.calculateDistance(
-          newEvent.latitude, newEvent.longitude,
-          event.locationCoords.coordinates[1], event.locationCoords.coordinates[0]
-        );
+        const distance = this.distanceTo(newEvent, event);
         
-        // Check if events are close in time (within 2 hours)
-        const timeDiff = Math.abs(new Date(newEvent.date) - new Date(event.date));
+        // Check if events are close in time (within 2 hours), comparing
+        // against the nearest occurrence when the existing event recurs
+        const timeDiff = this.timeDifference(newEvent, event);
         const timeClose = timeDiff <= 2 * 60 * 60 * 1000; // 2 hours in milliseconds
         
         // Weighted similarity score (now with embedding similarity)
@@ -65,9 +143,48 @@ class DuplicateChecker {
     } catch (error) {
       console.error('Embedding-based duplicate detection failed, falling back to text-based:', error);
       // Fallback to original text-based approach
-      return this.textBasedDuplicateCheck(newEvent, existingEvents);
+      return this.textBasedDuplicateCheck(newEvent, candidates);
     }
   }
+
+  /**
+   * A candidate's stored embedding, generating and saving it when missing
+   * or out of date. Returns null when no real embedding is available.
+   */
+  async embeddingFor(event) {
+    const stored = embeddingService.storedContentEmbedding(event);
+    if (stored) return stored;
+
+    const generated = await embeddingService.generateContentEmbedding(event);
+    if (generated.fallback) return null;
+
+    if (event._id) {
+      const { fallback, ...embedding } = generated;
+      Event.updateOne({ _id: event._id }, { embedding }).catch(error => {
+        console.error('Error saving event embedding:', error.message);
+      });
+    }
+
+    return generated.vector;
+  }
+
+  isInWindow(newEvent, event) {
+    return this.distanceTo(newEvent, event) <= this.radiusKm &&
+      this.timeDifference(newEvent, event) <= this.windowDays * DAY_MS;
+  }
+
+  distanceTo(newEvent, event) {
+    return this.calculateDistance(
+      newEvent.latitude, newEvent.longitude,
+      event.locationCoords.coordinates[1], event.locationCoords.coordinates[0]
+    );
+  }
+
+  timeDifference(newEvent, event) {
+    return Math.abs(
+      new Date(newEvent.date) - recurrence.nearestOccurrenceDate(event, newEvent.date)
+    );
+  }
   
   // Fallback text-based duplicate check
   textBasedDuplicateCheck(newEvent, existingEvents) {
@@ -78,14 +195,10 @@ class DuplicateChecker {
       const titleSimilarity = this.calculateTextSimilarity(newEvent.title, event.title);
       const descriptionSimilarity = this.calculateTextSimilarity(newEvent.description, event.description);
       
-      // Check if events are close in location (within 1km)
-      const distance = this.calculateDistance(
-        newEvent.latitude, newEvent.longitude,
-        event.locationCoords.coordinates[1], event.locationCoords.coordinates[0]
-      );
+      const distance = this.distanceTo(newEvent, event);
       
       // Check if events are close in time (within 2 hours)
-      const timeDiff = Math.abs(new Date(newEvent.date) - new Date(event.date));
+      const timeDiff = this.timeDifference(newEvent, event);
       const timeClose = timeDiff <= 2 * 60 * 60 * 1000; // 2 hours in milliseconds
       
       // Weighted similarity score
@@ -116,6 +229,17 @@ class DuplicateChecker {
     return duplicates;
   }
   
+  // True when both events belong to the same recurring series
+  isSameSeries(newEvent, event) {
+    const seriesOf = (e) => (e.series || e.seriesId || e._id || '').toString();
+    const newSeries = seriesOf(newEvent);
+
+    return !!newSeries && (
+      newSeries === (event._id || '').toString() ||
+      newSeries === (event.series || '').toString()
+    );
+  }
+
   // Cosine similarity for embeddings
   cosineSimilarity(vec1, vec2) {
     if (!vec1 || !vec2 || vec1.length !== vec2.length) return 0;
@@ -154,7 +278,7 @@ class DuplicateChecker {
     const jaccard = intersection.size / union.size;
     
     // Cosine similarity (character n-grams)
-    const cosine = this.cosineSimilarity(str1, str2);
+    const cosine = this.ngramSimilarity(str1, str2);
     
     // Levenshtein distance (normalized)
     const levenshtein = this.normalizedLevenshtein(str1, str2);
@@ -164,7 +288,7 @@ class DuplicateChecker {
   }
   
   // Cosine similarity using character n-grams
-  cosineSimilarity(str1, str2) {
+  ngramSimilarity(str1, str2) {
     const n = 2; // Bigrams
     const getNgrams = (str) => {
       const ngrams = {};
@@ -1,49 +1,69 @@
-const axios = require('axios');
+const crypto = require('crypto');
+const llmService = require('./llmService');
 
 class EmbeddingService {
-  constructor() {
-    this.embeddingModel = process.env.EMBEDDING_MODEL || 'text-embedding-ada-002';
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-    this.geminiApiUrl = 'https://generativelanguage.googleapis.com/v1beta/models/embedding-001:embedContent';
+  async generateEmbedding(text) {
+    const { vector } = await this.generateEmbeddingWithSource(text);
+    return vector;
   }
 
-  async generateEmbedding(text) {
+  /**
+   * Like generateEmbedding, but also reports whether the hash fallback was
+   * used. Fallback vectors only match identical text, so they are not worth
+   * comparing or storing.
+   * @returns {Promise<{vector: number[], fallback: boolean}>}
+   */
+  async generateEmbeddingWithSource(text) {
     try {
-      // For this implementation, we'll use Gemini API for embeddings
-      // In a production environment, you might use different embedding models
-      
-      if (!this.geminiApiKey) {
-        console.log('GEMINI_API_KEY not configured, using fallback embedding');
-        return this.generateFallbackEmbedding(text);
+      if (!llmService.isAvailable('embed')) {
+        return { vector: this.generateFallbackEmbedding(text), fallback: true };
       }
 
-      const response = await axios.post(
-        `${this.geminiApiUrl}?key=${this.geminiApiKey}`,
-        {
-          content: {
-            parts: [{
-              text: text
-            }]
-          }
-        },
-        {
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-
-      // Return the embedding vector
-      return response.data.embedding.values;
+      return { vector: await llmService.embed(text), fallback: false };
     } catch (error) {
-      console.error('Error generating embedding:', error.response?.data || error.message);
+      console.error('Error generating embedding:', error.message);
       
       // Fallback to a simple hash-based embedding for demonstration
       // In a real implementation, you would want to handle this more gracefully
-      return this.generateFallbackEmbedding(text);
+      return { vector: this.generateFallbackEmbedding(text), fallback: true };
     }
   }
 
+  // Which providers produce embeddings; vectors from different ones can't be compared
+  modelId() {
+    return llmService.getStatus().capabilities.embed.join(',') || 'fallback';
+  }
+
+  contentText(event) {
+    return `${event.title} ${event.description}`;
+  }
+
+  contentHash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+  }
+
+  /**
+   * Embedding of an event's title and description, in the shape stored on
+   * Event.embedding. `fallback` is true when only the hash fallback answered.
+   */
+  async generateContentEmbedding(event) {
+    const text = this.contentText(event);
+    const { vector, fallback } = await this.generateEmbeddingWithSource(text);
+    return { vector, contentHash: this.contentHash(text), model: this.modelId(), fallback };
+  }
+
+  /**
+   * The vector stored on an event, if it is still current for its content
+   * and the configured model
+   */
+  storedContentEmbedding(event) {
+    const stored = event.embedding;
+    if (!stored || !stored.vector || stored.vector.length === 0) return null;
+    if (stored.model !== this.modelId()) return null;
+    if (stored.contentHash !== this.contentHash(this.contentText(event))) return null;
+    return stored.vector;
+  }
+
   // Fallback method to generate a simple embedding based on text hash
   generateFallbackEmbedding(text) {
     // Simple hash function to convert text to a numeric value
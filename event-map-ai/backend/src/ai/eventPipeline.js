@@ -0,0 +1,106 @@
+// Submission pipeline shared by every way an event enters the system
+// (the create form and bulk import): moderation, classification,
+// summarization and duplicate detection, ending in an initial status
+const duplicateChecker = require('./duplicateCheck');
+const eventClassifier = require('./classifyEvent');
+const eventModerator = require('./moderateEvent');
+const eventSummarizer = require('./summarizeEvent');
+const embeddingService = require('./embeddingService');
+
+// Similarity above which a submission is treated as the same event
+const DUPLICATE_REJECT_THRESHOLD = 0.9;
+// Moderation risk above which flagged content is rejected
+const MODERATION_REJECT_THRESHOLD = 0.7;
+
+class EventPipeline {
+  /**
+   * Review a submission. It is checked for duplicates against stored events
+   * near it in space and time, plus `pendingEvents`: events accepted but not
+   * yet saved, such as earlier rows of a dry-run import. A stored event being
+   * published or resubmitted passes its `_id`, so it isn't its own duplicate.
+   * @returns {Promise<Object>} status, category, AI results, rejection reasons
+   * and the content embedding to store on the event (null if unavailable)
+   */
+  async review(submission, pendingEvents = []) {
+    const { _id, title, description, category, latitude, longitude, date, seriesId } = submission;
+
+    // Run AI moderation
+    const moderationResult = await eventModerator.moderateEvent(title, description);
+
+    // Run AI classification if category not provided
+    let eventCategory = category;
+    if (!eventCategory) {
+      eventCategory = await eventClassifier.classifyEvent(title, description);
+    }
+
+    // Run AI summarization
+    const summaryResult = await eventSummarizer.summarizeEvent(title, description);
+
+    // Run duplicate check, embedding the submission once so the vector can
+    // be stored with the event
+    const embedding = await embeddingService.generateContentEmbedding({ title, description });
+    const newEvent = { _id, title, description, latitude, longitude, date, seriesId, embedding };
+    const candidates = await duplicateChecker.findCandidates(newEvent);
+    const duplicates = await duplicateChecker.checkForDuplicates(
+      newEvent,
+      [...candidates, ...pendingEvents]
+    );
+
+    let status = 'approved';
+    let duplicateRisk = 0;
+    const rejectionReasons = [];
+
+    if (duplicates.length > 0) {
+      duplicateRisk = Math.max(...duplicates.map(d => d.similarityScore));
+
+      // Auto-reject if very high similarity
+      if (duplicateRisk > DUPLICATE_REJECT_THRESHOLD) {
+        status = 'rejected';
+        rejectionReasons.push(
+          `Duplicate of "${duplicates[0].title}" (similarity ${duplicateRisk})`
+        );
+      }
+    }
+
+    // Auto-reject if high risk score from moderation
+    if (moderationResult.isFlagged && moderationResult.riskScore > MODERATION_REJECT_THRESHOLD) {
+      status = 'rejected';
+      const warnings = moderationResult.warnings.map(w => w.message).filter(Boolean);
+      rejectionReasons.push(
+        warnings.length > 0
+          ? `Content flagged by moderation: ${warnings.join('; ')}`
+          : 'Content flagged by moderation'
+      );
+    }
+
+    return {
+      status,
+      category: eventCategory,
+      moderationResult,
+      summaryResult,
+      duplicates,
+      duplicateRisk,
+      isDuplicate: duplicateRisk > DUPLICATE_REJECT_THRESHOLD,
+      rejectionReasons,
+      embedding: embedding.fallback
+        ? null
+        : { vector: embedding.vector, contentHash: embedding.contentHash, model: embedding.model }
+    };
+  }
+
+  /**
+   * The aiFlags stored on an event for a review result
+   */
+  buildAiFlags(review) {
+    return {
+      duplicateRisk: review.duplicateRisk,
+      moderationWarnings: review.moderationResult.warnings.map(w => w.message),
+      riskScore: review.moderationResult.riskScore,
+      summary: review.summaryResult.summary,
+      highlights: review.summaryResult.highlights,
+      tags: review.summaryResult.tags
+    };
+  }
+}
+
+module.exports = new EventPipeline();
@@ -0,0 +1,271 @@
+/**
+ * GAZETTEER PROVIDER
+ * Offline city-level geocoding from a local GeoNames-style file
+ * (e.g. cities15000.txt from https://download.geonames.org/export/dump/)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+// GeoNames "geoname" table columns we use (tab-separated, no header)
+const COLUMNS = {
+  name: 1,
+  asciiName: 2,
+  alternateNames: 3,
+  latitude: 4,
+  longitude: 5,
+  countryCode: 8,
+  admin1: 10,
+  population: 14
+};
+
+// Used when no data file is configured or it cannot be read
+const BUILTIN_PLACES = [
+  { name: 'London', latitude: 51.5074, longitude: -0.1278, countryCode: 'GB', population: 8961989 },
+  { name: 'New York', latitude: 40.7128, longitude: -74.0060, countryCode: 'US', population: 8804190 },
+  { name: 'San Francisco', latitude: 37.7749, longitude: -122.4194, countryCode: 'US', population: 873965 },
+  { name: 'Los Angeles', latitude: 34.0522, longitude: -118.2437, countryCode: 'US', population: 3898747 },
+  { name: 'Chicago', latitude: 41.8781, longitude: -87.6298, countryCode: 'US', population: 2746388 },
+  { name: 'Toronto', latitude: 43.6532, longitude: -79.3832, countryCode: 'CA', population: 2794356 },
+  { name: 'Paris', latitude: 48.8566, longitude: 2.3522, countryCode: 'FR', population: 2165423 },
+  { name: 'Berlin', latitude: 52.5200, longitude: 13.4050, countryCode: 'DE', population: 3677472 },
+  { name: 'Tokyo', latitude: 35.6895, longitude: 139.6917, countryCode: 'JP', population: 13960000 },
+  { name: 'Sydney', latitude: -33.8688, longitude: 151.2093, countryCode: 'AU', population: 5312163 }
+];
+
+// Common informal country names mapped to ISO codes
+const COUNTRY_ALIASES = {
+  uk: 'GB',
+  'united kingdom': 'GB',
+  england: 'GB',
+  scotland: 'GB',
+  wales: 'GB',
+  usa: 'US',
+  'united states': 'US',
+  america: 'US'
+};
+
+// How far (km) reverse geocoding looks for the nearest place
+const MAX_REVERSE_DISTANCE_KM = 50;
+
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\w\s-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function cellKey(latitude, longitude) {
+  return `${Math.floor(latitude)}:${Math.floor(longitude)}`;
+}
+
+class GazetteerProvider {
+  constructor(options = {}) {
+    this.name = 'gazetteer';
+    this.filePath = options.filePath || process.env.GEONAMES_FILE || null;
+    this.indexAlternateNames = options.indexAlternateNames !== undefined
+      ? options.indexAlternateNames
+      : process.env.GEONAMES_ALTERNATE_NAMES !== 'false';
+    this.names = new Map();
+    this.cells = new Map();
+    this.loading = null;
+  }
+
+  /**
+   * Load the gazetteer once; concurrent callers share the same load
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.loadPlaces().catch(error => {
+        console.error('Failed to load gazetteer file:', error.message);
+        this.names.clear();
+        this.cells.clear();
+        BUILTIN_PLACES.forEach(place => this.addPlace(place, []));
+      });
+    }
+    return this.loading;
+  }
+
+  async loadPlaces() {
+    if (!this.filePath) {
+      BUILTIN_PLACES.forEach(place => this.addPlace(place, []));
+      return;
+    }
+
+    const filePath = path.resolve(this.filePath);
+    const lines = readline.createInterface({
+      input: fs.createReadStream(filePath, { encoding: 'utf8' }),
+      crlfDelay: Infinity
+    });
+
+    let loaded = 0;
+    for await (const line of lines) {
+      if (!line || line.startsWith('#')) continue;
+
+      const columns = line.split('\t');
+      const latitude = parseFloat(columns[COLUMNS.latitude]);
+      const longitude = parseFloat(columns[COLUMNS.longitude]);
+      if (!columns[COLUMNS.name] || !isFinite(latitude) || !isFinite(longitude)) continue;
+
+      const place = {
+        name: columns[COLUMNS.name],
+        latitude,
+        longitude,
+        countryCode: columns[COLUMNS.countryCode] || null,
+        admin1: columns[COLUMNS.admin1] || null,
+        population: parseInt(columns[COLUMNS.population], 10) || 0
+      };
+      const aliases = [columns[COLUMNS.asciiName]];
+      if (this.indexAlternateNames && columns[COLUMNS.alternateNames]) {
+        aliases.push(...columns[COLUMNS.alternateNames].split(','));
+      }
+
+      this.addPlace(place, aliases);
+      loaded++;
+    }
+
+    console.log(`Gazetteer loaded ${loaded} places from ${filePath}`);
+  }
+
+  addPlace(place, aliases) {
+    const keys = new Set([place.name, ...aliases].map(normalizeName).filter(Boolean));
+    for (const key of keys) {
+      if (!this.names.has(key)) this.names.set(key, []);
+      this.names.get(key).push(place);
+    }
+
+    const cell = cellKey(place.latitude, place.longitude);
+    if (!this.cells.has(cell)) this.cells.set(cell, []);
+    this.cells.get(cell).push(place);
+  }
+
+  /**
+   * Geocode an address to city level. The whole string is tried first, then
+   * each comma-separated part from the most general (rightmost) one, so
+   * "Oxford Road, Manchester, UK" resolves to Manchester in GB.
+   */
+  async geocode(query, limit = 1) {
+    await this.load();
+
+    const parts = String(query || '').split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return [];
+
+    let countryCode = null;
+    const candidates = [parts.join(' ')];
+    for (let i = parts.length - 1; i >= 0; i--) {
+      const country = this.parseCountry(parts[i]);
+      if (country && i > 0) {
+        countryCode = countryCode || country;
+        continue;
+      }
+      candidates.push(parts[i]);
+    }
+
+    for (const candidate of candidates) {
+      const matches = this.lookup(candidate, countryCode);
+      if (matches.length > 0) {
+        return matches.slice(0, limit).map(place => this.normalize(place));
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Nearest known place within MAX_REVERSE_DISTANCE_KM, or null
+   */
+  async reverseGeocode(latitude, longitude) {
+    await this.load();
+
+    let nearest = null;
+    let nearestDistance = Infinity;
+    for (let dLat = -1; dLat <= 1; dLat++) {
+      for (let dLng = -1; dLng <= 1; dLng++) {
+        const places = this.cells.get(cellKey(latitude + dLat, longitude + dLng)) || [];
+        for (const place of places) {
+          const distance = this.distanceKm(latitude, longitude, place.latitude, place.longitude);
+          if (distance < nearestDistance) {
+            nearest = place;
+            nearestDistance = distance;
+          }
+        }
+      }
+    }
+
+    if (!nearest || nearestDistance > MAX_REVERSE_DISTANCE_KM) return null;
+    return { ...this.normalize(nearest), distanceKm: Math.round(nearestDistance * 10) / 10 };
+  }
+
+  /**
+   * Find a known place named in free text. Only capitalized phrases of up to
+   * three words are considered, longest first, to avoid matching ordinary
+   * words that happen to be town names.
+   */
+  async findInText(text) {
+    await this.load();
+
+    const words = String(text || '').split(/\s+/).map(word => word.replace(/[^\p{L}\p{N}'-]/gu, ''));
+    let best = null;
+
+    for (let size = 3; size >= 1 && !best; size--) {
+      for (let i = 0; i + size <= words.length; i++) {
+        const phrase = words.slice(i, i + size);
+        if (!phrase.every(word => /^\p{Lu}/u.test(word))) continue;
+        if (size === 1 && phrase[0].length < 3) continue;
+
+        const [match] = this.lookup(phrase.join(' '));
+        if (match && (!best || match.population > best.population)) {
+          best = match;
+        }
+      }
+    }
+
+    return best ? this.normalize(best) : null;
+  }
+
+  lookup(name, countryCode = null) {
+    const places = this.names.get(normalizeName(name)) || [];
+    // Two-letter hints may also be region codes ("Manchester, NH")
+    const inCountry = countryCode
+      ? places.filter(place => place.countryCode === countryCode || place.admin1 === countryCode)
+      : [];
+
+    // An unmatched hint should not hide results
+    return [...(inCountry.length > 0 ? inCountry : places)]
+      .sort((a, b) => b.population - a.population);
+  }
+
+  parseCountry(part) {
+    const normalized = normalizeName(part);
+    if (COUNTRY_ALIASES[normalized]) return COUNTRY_ALIASES[normalized];
+    return /^[a-z]{2}$/.test(normalized) ? normalized.toUpperCase() : null;
+  }
+
+  normalize(place) {
+    return {
+      latitude: place.latitude,
+      longitude: place.longitude,
+      displayName: place.countryCode ? `${place.name}, ${place.countryCode}` : place.name,
+      name: place.name,
+      city: place.name,
+      countryCode: place.countryCode || null,
+      provider: this.name
+    };
+  }
+
+  distanceKm(lat1, lon1, lat2, lon2) {
+    const toRadians = degrees => degrees * (Math.PI / 180);
+    const dLat = toRadians(lat2 - lat1);
+    const dLon = toRadians(lon2 - lon1);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  }
+}
+
+module.exports = GazetteerProvider;
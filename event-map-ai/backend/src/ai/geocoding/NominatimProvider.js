@@ -0,0 +1,93 @@
+/**
+ * NOMINATIM PROVIDER
+ * Geocodes through any Nominatim-compatible HTTP API (OpenStreetMap or self-hosted)
+ */
+
+const axios = require('axios');
+
+class NominatimProvider {
+  constructor(options = {}) {
+    this.name = 'nominatim';
+    this.baseUrl = (options.baseUrl || process.env.NOMINATIM_URL || 'https://nominatim.openstreetmap.org').replace(/\/+$/, '');
+    // The public OSM instance rejects requests without an identifying User-Agent
+    this.userAgent = options.userAgent || process.env.NOMINATIM_USER_AGENT || 'event-map-ai/1.0';
+    this.email = options.email || process.env.NOMINATIM_EMAIL;
+    this.timeout = options.timeout || parseInt(process.env.GEOCODER_TIMEOUT_MS, 10) || 5000;
+    // Usage policy of the public instance: at most one request per second
+    this.minInterval = options.minInterval !== undefined
+      ? options.minInterval
+      : parseInt(process.env.NOMINATIM_MIN_INTERVAL_MS, 10) || 1000;
+    this.queue = Promise.resolve();
+    this.lastRequestAt = 0;
+  }
+
+  /**
+   * Geocode a free-form address. Returns the best matches, most relevant first.
+   */
+  async geocode(query, limit = 1) {
+    const data = await this.request('/search', {
+      q: query,
+      format: 'jsonv2',
+      addressdetails: 1,
+      limit
+    });
+
+    return (Array.isArray(data) ? data : []).map(place => this.normalize(place));
+  }
+
+  /**
+   * Reverse geocode a coordinate pair to the closest named place
+   */
+  async reverseGeocode(latitude, longitude) {
+    const data = await this.request('/reverse', {
+      lat: latitude,
+      lon: longitude,
+      format: 'jsonv2',
+      addressdetails: 1,
+      zoom: 16
+    });
+
+    if (!data || data.error) return null;
+    return this.normalize(data);
+  }
+
+  /**
+   * Issue a throttled GET request against the provider
+   */
+  request(path, params) {
+    const run = async () => {
+      const wait = this.lastRequestAt + this.minInterval - Date.now();
+      if (wait > 0) {
+        await new Promise(resolve => setTimeout(resolve, wait));
+      }
+      this.lastRequestAt = Date.now();
+
+      const response = await axios.get(`${this.baseUrl}${path}`, {
+        params: this.email ? { ...params, email: this.email } : params,
+        headers: { 'User-Agent': this.userAgent, 'Accept-Language': 'en' },
+        timeout: this.timeout
+      });
+      return response.data;
+    };
+
+    // Serialize requests so the interval holds across concurrent callers
+    const result = this.queue.then(run, run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  normalize(place) {
+    const address = place.address || {};
+    return {
+      latitude: parseFloat(place.lat),
+      longitude: parseFloat(place.lon),
+      displayName: place.display_name,
+      name: place.name || address.city || address.town || address.village || place.display_name,
+      city: address.city || address.town || address.village || address.municipality || null,
+      countryCode: address.country_code ? address.country_code.toUpperCase() : null,
+      provider: this.name
+    };
+  }
+}
+
+module.exports = NominatimProvider;
@@ -0,0 +1,137 @@
+/**
+ * GEOCODING SERVICE
+ * Forward and reverse geocoding through a configurable chain of providers,
+ * with results cached in MongoDB
+ */
+
+const mongoose = require('mongoose');
+const GeocodeCache = require('../models/GeocodeCache');
+const NominatimProvider = require('./geocoding/NominatimProvider');
+const GazetteerProvider = require('./geocoding/GazetteerProvider');
+
+const PROVIDERS = {
+  nominatim: NominatimProvider,
+  gazetteer: GazetteerProvider
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class GeocodingService {
+  constructor() {
+    // Providers are tried in order until one returns a result
+    const names = (process.env.GEOCODER_PROVIDERS || 'nominatim,gazetteer')
+      .split(',')
+      .map(name => name.trim().toLowerCase())
+      .filter(Boolean);
+
+    this.providers = names
+      .filter(name => {
+        if (!PROVIDERS[name]) console.warn(`Unknown geocoding provider "${name}" ignored`);
+        return !!PROVIDERS[name];
+      })
+      .map(name => new PROVIDERS[name]());
+
+    this.cacheTtlDays = parseFloat(process.env.GEOCODE_CACHE_TTL_DAYS) || 30;
+    // Misses are retried sooner, in case the provider data improves
+    this.missTtlDays = 1;
+  }
+
+  /**
+   * Geocode an address or place name.
+   * @returns {Promise<Object|null>} { latitude, longitude, displayName, name, city, countryCode, provider }
+   */
+  async geocode(query) {
+    const cleanQuery = String(query || '').trim();
+    if (!cleanQuery) return null;
+
+    const key = `forward:${cleanQuery.toLowerCase().replace(/\s+/g, ' ')}`;
+    return this.cached(key, 'forward', cleanQuery, provider => provider.geocode(cleanQuery, 1)
+      .then(results => results[0] || null));
+  }
+
+  /**
+   * Reverse geocode a coordinate pair to a place description
+   */
+  async reverseGeocode(latitude, longitude) {
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (!isFinite(lat) || !isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+      return null;
+    }
+
+    // ~11m precision is plenty for naming a place and keeps the cache small
+    const query = `${lat.toFixed(4)},${lng.toFixed(4)}`;
+    return this.cached(`reverse:${query}`, 'reverse', query, provider => provider.reverseGeocode(lat, lng));
+  }
+
+  /**
+   * Find a place mentioned in free text using providers that support it
+   * (the offline gazetteer). Never calls remote APIs.
+   */
+  async findPlaceInText(text) {
+    for (const provider of this.providers) {
+      if (typeof provider.findInText !== 'function') continue;
+      try {
+        const place = await provider.findInText(text);
+        if (place) return place;
+      } catch (error) {
+        console.error(`Geocoding provider ${provider.name} failed:`, error.message);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Run a lookup through the provider chain, reading and writing the cache
+   */
+  async cached(key, kind, query, lookup) {
+    const cacheAvailable = mongoose.connection.readyState === 1;
+
+    if (cacheAvailable) {
+      try {
+        const entry = await GeocodeCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        if (entry) return entry.result;
+      } catch (error) {
+        console.error('Geocode cache read failed:', error.message);
+      }
+    }
+
+    let result = null;
+    let failed = false;
+    for (const provider of this.providers) {
+      try {
+        result = await lookup(provider);
+        if (result) break;
+      } catch (error) {
+        failed = true;
+        console.error(`Geocoding provider ${provider.name} failed:`, error.message);
+      }
+    }
+
+    // A miss caused by a provider error is not a real miss, so don't cache it
+    if (cacheAvailable && (result || !failed)) {
+      const ttlDays = result ? this.cacheTtlDays : this.missTtlDays;
+      try {
+        await GeocodeCache.findOneAndUpdate(
+          { key },
+          {
+            key,
+            kind,
+            query,
+            result,
+            provider: result ? result.provider : null,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + ttlDays * DAY_MS)
+          },
+          { upsert: true }
+        );
+      } catch (error) {
+        console.error('Geocode cache write failed:', error.message);
+      }
+    }
+
+    return result;
+  }
+}
+
+module.exports = new GeocodingService();
@@ -0,0 +1,107 @@
+/**
+ * GEMINI PROVIDER
+ * Text, streaming, embeddings and image understanding through the Google Gemini REST API
+ */
+
+const axios = require('axios');
+const { readEventData } = require('../../utils/sse');
+
+const API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || process.env.GEMINI_MODEL || 'gemini-2.5-flash';
+    this.visionModel = options.visionModel || process.env.GEMINI_VISION_MODEL || this.model;
+    this.embeddingModel = options.embeddingModel || process.env.GEMINI_EMBEDDING_MODEL || 'embedding-001';
+  }
+
+  isConfigured() {
+    return !!this.apiKey && this.apiKey !== 'your_gemini_api_key_here';
+  }
+
+  async generate(prompt, options = {}) {
+    return this.generateContent(this.model, [{ parts: [{ text: prompt }] }], options);
+  }
+
+  async chat(messages, options = {}) {
+    const contents = messages.map(msg => ({
+      role: msg.role === 'user' ? 'user' : 'model',
+      parts: [{ text: msg.content }]
+    }));
+    return this.generateContent(this.model, contents, options);
+  }
+
+  /**
+   * Yield text as Gemini produces it
+   */
+  async *stream(prompt, options = {}) {
+    const response = await this.post(
+      `${this.model}:streamGenerateContent`,
+      { contents: [{ parts: [{ text: prompt }] }] },
+      options,
+      { responseType: 'stream', params: { alt: 'sse' } }
+    );
+
+    for await (const data of readEventData(response.data)) {
+      const payload = JSON.parse(data);
+      if (payload.error) {
+        throw new Error(payload.error.message || 'Gemini stream error');
+      }
+
+      const text = this.extractText(payload);
+      if (text) yield text;
+    }
+  }
+
+  async embed(text, options = {}) {
+    const response = await this.post(
+      `${this.embeddingModel}:embedContent`,
+      { content: { parts: [{ text }] } },
+      options
+    );
+
+    const values = response.data.embedding?.values;
+    if (!Array.isArray(values)) throw new Error('No embedding in Gemini API response');
+    return values;
+  }
+
+  async vision(prompt, images, options = {}) {
+    const parts = [
+      { text: prompt },
+      ...images.map(image => ({
+        inlineData: { data: image.data.toString('base64'), mimeType: image.mimeType }
+      }))
+    ];
+    return this.generateContent(this.visionModel, [{ parts }], options);
+  }
+
+  async generateContent(model, contents, options) {
+    const response = await this.post(`${model}:generateContent`, { contents }, options);
+
+    const text = this.extractText(response.data);
+    if (!text) throw new Error('No valid response from Gemini API');
+    return text;
+  }
+
+  extractText(payload) {
+    const parts = payload.candidates?.[0]?.content?.parts || [];
+    return parts.map(part => part.text || '').join('');
+  }
+
+  post(path, body, options, config = {}) {
+    if (!this.isConfigured()) {
+      throw new Error('GEMINI_API_KEY not configured');
+    }
+
+    return axios.post(`${API_URL}/${path}`, body, {
+      ...config,
+      params: { ...config.params, key: this.apiKey },
+      headers: { 'Content-Type': 'application/json' },
+      signal: options.signal
+    });
+  }
+}
+
+module.exports = GeminiProvider;
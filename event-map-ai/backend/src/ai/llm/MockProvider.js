@@ -0,0 +1,79 @@
+/**
+ * MOCK PROVIDER
+ * Deterministic, offline stand-in for tests and local development: the same
+ * input always produces the same output, and no network is used
+ */
+
+const DEFAULT_DIMENSIONS = 768;
+
+// 32-bit FNV-1a
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.dimensions = options.dimensions || parseInt(process.env.MOCK_EMBEDDING_DIMENSIONS, 10) || DEFAULT_DIMENSIONS;
+    // Tests can script replies: (prompt) => text
+    this.respond = options.respond || (prompt => this.defaultResponse(prompt));
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate(prompt) {
+    return this.respond(prompt);
+  }
+
+  async chat(messages) {
+    const lastMessage = messages[messages.length - 1]?.content || '';
+    return this.respond(lastMessage);
+  }
+
+  async *stream(prompt, options = {}) {
+    const words = (await this.generate(prompt)).match(/\s*\S+\s*/g) || [];
+    for (const word of words) {
+      if (options.signal?.aborted) return;
+      yield word;
+    }
+  }
+
+  /**
+   * Bag-of-words feature hashing, so texts sharing words get similar
+   * vectors and similarity search behaves sensibly in tests
+   */
+  async embed(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      const hash = hashString(word);
+      vector[hash % this.dimensions] += (hash & 0x80000000) ? -1 : 1;
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async vision(prompt, images) {
+    const described = images
+      .map(image => `${image.mimeType}, ${image.data.length} bytes`)
+      .join('; ');
+    return this.respond(`${prompt}\n[images: ${described}]`);
+  }
+
+  defaultResponse(prompt) {
+    const text = String(prompt || '').replace(/\s+/g, ' ').trim();
+    const excerpt = text.length > 80 ? `${text.slice(0, 77)}...` : text;
+    return `Mock response ${hashString(text).toString(16)}: ${excerpt}`;
+  }
+}
+
+module.exports = MockProvider;
@@ -0,0 +1,101 @@
+/**
+ * OPENAI-COMPATIBLE PROVIDER
+ * Talks to any server implementing the OpenAI chat completions and embeddings
+ * API: OpenAI itself, or a local llama.cpp, Ollama or vLLM server
+ */
+
+const axios = require('axios');
+const { readEventData } = require('../../utils/sse');
+
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    // Local servers usually don't need a key
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY || null;
+    this.model = options.model || process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    this.visionModel = options.visionModel || process.env.OPENAI_VISION_MODEL || this.model;
+    this.embeddingModel = options.embeddingModel || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+  }
+
+  isConfigured() {
+    return !!this.baseUrl;
+  }
+
+  async generate(prompt, options = {}) {
+    return this.chat([{ role: 'user', content: prompt }], options);
+  }
+
+  async chat(messages, options = {}) {
+    return this.complete(this.model, messages.map(msg => ({
+      role: msg.role === 'model' ? 'assistant' : msg.role,
+      content: msg.content
+    })), options);
+  }
+
+  /**
+   * Yield text as the server produces it
+   */
+  async *stream(prompt, options = {}) {
+    const response = await this.post('/chat/completions', {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+      stream: true
+    }, options, { responseType: 'stream' });
+
+    for await (const data of readEventData(response.data)) {
+      if (data === '[DONE]') return;
+
+      const payload = JSON.parse(data);
+      if (payload.error) {
+        throw new Error(payload.error.message || 'Completion stream error');
+      }
+
+      const text = payload.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+
+  async embed(text, options = {}) {
+    const response = await this.post('/embeddings', {
+      model: this.embeddingModel,
+      input: text
+    }, options);
+
+    const values = response.data.data?.[0]?.embedding;
+    if (!Array.isArray(values)) throw new Error('No embedding in API response');
+    return values;
+  }
+
+  async vision(prompt, images, options = {}) {
+    const content = [
+      { type: 'text', text: prompt },
+      ...images.map(image => ({
+        type: 'image_url',
+        image_url: { url: `data:${image.mimeType};base64,${image.data.toString('base64')}` }
+      }))
+    ];
+    return this.complete(this.visionModel, [{ role: 'user', content }], options);
+  }
+
+  async complete(model, messages, options) {
+    const response = await this.post('/chat/completions', { model, messages }, options);
+
+    const text = response.data.choices?.[0]?.message?.content;
+    if (!text) throw new Error('No valid response from completion API');
+    return text;
+  }
+
+  post(path, body, options, config = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    return axios.post(`${this.baseUrl}${path}`, body, {
+      ...config,
+      headers,
+      signal: options.signal
+    });
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -0,0 +1,249 @@
+/**
+ * LLM SERVICE
+ * One interface to the configured language model providers. Each capability
+ * (generate, chat, stream, embed, vision) has its own provider chain, and
+ * every call gets the same timeout, retry and fallback handling. Calls throw
+ * when no provider could answer, so each module can use its local fallback.
+ */
+
+const GeminiProvider = require('./llm/GeminiProvider');
+const OpenAICompatibleProvider = require('./llm/OpenAICompatibleProvider');
+const MockProvider = require('./llm/MockProvider');
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+const CAPABILITIES = ['generate', 'chat', 'stream', 'embed', 'vision'];
+
+function parseNames(value) {
+  return String(value || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function intFromEnv(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return value >= 0 ? value : fallback;
+}
+
+class LLMService {
+  constructor() {
+    this.timeoutMs = intFromEnv('LLM_TIMEOUT_MS', 30000);
+    this.maxRetries = intFromEnv('LLM_MAX_RETRIES', 2);
+    this.retryDelayMs = intFromEnv('LLM_RETRY_DELAY_MS', 500);
+    this.providers = new Map();
+
+    // Providers are tried in order; LLM_<CAPABILITY>_PROVIDERS overrides
+    // LLM_PROVIDERS for one capability
+    const gemini = this.getProvider('gemini');
+    const defaults = process.env.LLM_PROVIDERS || (gemini.isConfigured() ? 'gemini' : '');
+
+    this.chains = {};
+    CAPABILITIES.forEach(capability => {
+      const names = parseNames(process.env[`LLM_${capability.toUpperCase()}_PROVIDERS`] ?? defaults);
+      this.chains[capability] = names
+        .filter(name => {
+          if (!PROVIDERS[name]) console.warn(`Unknown LLM provider "${name}" ignored`);
+          return !!PROVIDERS[name];
+        })
+        .map(name => this.getProvider(name))
+        .filter(provider => {
+          if (!provider.isConfigured()) {
+            console.warn(`LLM provider ${provider.name} is not configured and was skipped for ${capability}`);
+          }
+          return provider.isConfigured();
+        });
+    });
+  }
+
+  // One instance per provider, shared by the capabilities that use it
+  getProvider(name) {
+    if (!this.providers.has(name)) {
+      this.providers.set(name, new PROVIDERS[name]());
+    }
+    return this.providers.get(name);
+  }
+
+  isAvailable(capability) {
+    return this.chains[capability].length > 0;
+  }
+
+  async generate(prompt, options = {}) {
+    return this.call('generate', (provider, callOptions) => provider.generate(prompt, callOptions), options);
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} messages - oldest first
+   */
+  async chat(messages, options = {}) {
+    return this.call('chat', (provider, callOptions) => provider.chat(messages, callOptions), options);
+  }
+
+  async embed(text, options = {}) {
+    return this.call('embed', (provider, callOptions) => provider.embed(text, callOptions), options);
+  }
+
+  /**
+   * @param {Array<{data: Buffer, mimeType: string}>} images
+   */
+  async vision(prompt, images, options = {}) {
+    return this.call('vision', (provider, callOptions) => provider.vision(prompt, images, callOptions), options);
+  }
+
+  /**
+   * Yield text as the model produces it. The timeout applies to each wait
+   * for the next piece. A provider that fails before sending anything is
+   * retried or replaced by the next one; once text has been sent, errors
+   * are thrown since the answer can't be swapped mid-way.
+   */
+  async *stream(prompt, options = {}) {
+    const chain = this.requireChain('stream');
+    let lastError;
+
+    for (const provider of chain) {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        if (attempt > 0) await this.backoff(attempt);
+        if (options.signal?.aborted) return;
+
+        const controller = new AbortController();
+        const unlink = this.linkSignal(options.signal, controller);
+        let sent = false;
+
+        try {
+          const iterator = provider.stream(prompt, { ...options, signal: controller.signal });
+          while (true) {
+            const { value, done } = await this.withTimeout(iterator.next(), controller);
+            if (done) return;
+            sent = true;
+            yield value;
+          }
+        } catch (error) {
+          if (options.signal?.aborted || sent) throw error;
+          lastError = error;
+          this.logFailure(provider, 'stream', error);
+          if (!this.isRetryable(error)) break;
+        } finally {
+          unlink();
+          // Stops the upstream request when the consumer stops early
+          controller.abort();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Run a single-response call through the capability's provider chain
+   */
+  async call(capability, invoke, options) {
+    const chain = this.requireChain(capability);
+    let lastError;
+
+    for (const provider of chain) {
+      for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+        if (attempt > 0) await this.backoff(attempt);
+
+        const controller = new AbortController();
+        const unlink = this.linkSignal(options.signal, controller);
+        try {
+          return await this.withTimeout(invoke(provider, { ...options, signal: controller.signal }), controller);
+        } catch (error) {
+          if (options.signal?.aborted) throw error;
+          lastError = error;
+          this.logFailure(provider, capability, error);
+          if (!this.isRetryable(error)) break;
+        } finally {
+          unlink();
+        }
+      }
+    }
+
+    throw lastError;
+  }
+
+  requireChain(capability) {
+    const chain = this.chains[capability];
+    if (chain.length === 0) {
+      const error = new Error(`No LLM provider configured for ${capability}`);
+      error.code = 'LLM_NOT_CONFIGURED';
+      throw error;
+    }
+    return chain;
+  }
+
+  /**
+   * Reject after the configured timeout, aborting the request in flight
+   */
+  withTimeout(promise, controller) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`LLM request timed out after ${this.timeoutMs}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort();
+        reject(error);
+      }, this.timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  // Abort `controller` when the caller's signal aborts; returns a cleanup function
+  linkSignal(signal, controller) {
+    if (!signal) return () => {};
+    if (signal.aborted) {
+      controller.abort();
+      return () => {};
+    }
+
+    const abort = () => controller.abort();
+    signal.addEventListener('abort', abort, { once: true });
+    return () => signal.removeEventListener('abort', abort);
+  }
+
+  /**
+   * Timeouts, network failures, rate limits and server errors are worth
+   * retrying; bad requests and unusable answers are not
+   */
+  isRetryable(error) {
+    if (error.code === 'ETIMEDOUT') return true;
+
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+
+    return !!error.request;
+  }
+
+  backoff(attempt) {
+    const delay = this.retryDelayMs * 2 ** (attempt - 1);
+    return new Promise(resolve => setTimeout(resolve, delay));
+  }
+
+  logFailure(provider, capability, error) {
+    const status = error.response?.status;
+    console.error(
+      `LLM provider ${provider.name} failed to ${capability}:`,
+      status ? `${status} ${error.message}` : error.message
+    );
+  }
+
+  getStatus() {
+    const capabilities = {};
+    CAPABILITIES.forEach(capability => {
+      capabilities[capability] = this.chains[capability].map(provider => provider.name);
+    });
+
+    return {
+      capabilities,
+      timeoutMs: this.timeoutMs,
+      maxRetries: this.maxRetries
+    };
+  }
+}
+
+module.exports = new LLMService();
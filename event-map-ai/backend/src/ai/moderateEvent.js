@@ -1,12 +1,12 @@
 // Enhanced AI moderation service
-// Uses Gemini API for more sophisticated content moderation
-const geminiService = require('./geminiService');
+// Uses the configured LLM provider for more sophisticated content moderation
+const llmService = require('./llmService');
 
 class EventModerator {
   // Enhanced function to moderate events for inappropriate content
   async moderateEvent(title, description) {
     try {
-      // First try Gemini API for moderation
+      // First try the LLM for moderation
       const prompt = `
         Analyze the following event content for inappropriate content.
         Look for: NSFW content, hate speech, discrimination, violence, threats, harassment, 
@@ -30,7 +30,7 @@ class EventModerator {
         }
       `;
       
-      const response = await geminiService.generateResponse(prompt);
+      const response = await llmService.generate(prompt);
       
       // Try to parse the response as JSON
       try {
@@ -49,13 +49,13 @@ class EventModerator {
           };
         }
       } catch (parseError) {
-        console.error('Failed to parse Gemini moderation response:', parseError);
+        console.error('Failed to parse LLM moderation response:', parseError);
       }
       
       // Fallback to keyword-based moderation
       return this.keywordBasedModeration(title, description);
     } catch (error) {
-      console.error('Gemini moderation failed, falling back to keyword-based:', error);
+      console.error('LLM moderation failed, falling back to keyword-based:', error.message);
       // Fallback to keyword-based moderation
       return this.keywordBasedModeration(title, description);
     }
@@ -1,29 +1,20 @@
-const { GoogleGenerativeAI } = require("@google/generative-ai");
 const fs = require("fs");
 const path = require("path");
+const llmService = require("./llmService");
 
 class MultimodalService {
   constructor() {
-    this.geminiApiKey = process.env.GEMINI_API_KEY;
-
-    if (this.geminiApiKey) {
-      try {
-        this.genAI = new GoogleGenerativeAI(this.geminiApiKey);
-        // Try to initialize with a working model
-        this.model = this.genAI.getGenerativeModel({ model: "gemini-pro" });
-        this.apiAvailable = true;
-      } catch (error) {
-        console.warn("Failed to initialize Gemini API:", error.message);
-        this.apiAvailable = false;
-      }
-    } else {
+    if (!llmService.isAvailable("vision")) {
       console.warn(
-        "GEMINI_API_KEY not configured - multimodal features will be limited"
+        "No vision LLM provider configured - multimodal features will be limited"
       );
-      this.apiAvailable = false;
     }
   }
 
+  get apiAvailable() {
+    return llmService.isAvailable("vision");
+  }
+
   /**
    * Analyze an image and extract relevant information
    * @param {string} imagePath - Path to the image file
@@ -31,16 +22,10 @@ class MultimodalService {
    */
   async analyzeImage(imagePath) {
     try {
-      if (!this.apiAvailable || !this.geminiApiKey) {
+      if (!this.apiAvailable) {
         return this.getFallbackAnalysis(imagePath);
       }
 
-      // Read the image file
-      const imageData = fs.readFileSync(imagePath);
-
-      // Convert to base64
-      const base64Image = imageData.toString("base64");
-
       // Create the prompt for image analysis
       const prompt = `
         Analyze this image and provide:
@@ -69,18 +54,7 @@ class MultimodalService {
       `;
 
       // Generate content with image
-      const result = await this.model.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: base64Image,
-            mimeType: this.getMimeType(imagePath),
-          },
-        },
-      ]);
-
-      const response = await result.response;
-      const text = response.text();
+      const text = await llmService.vision(prompt, [this.readImage(imagePath)]);
 
       // Try to parse the JSON response
       try {
@@ -129,14 +103,10 @@ class MultimodalService {
    */
   async suggestEventsFromImage(imagePath) {
     try {
-      if (!this.apiAvailable || !this.geminiApiKey) {
+      if (!this.apiAvailable) {
         return this.getFallbackEventSuggestions(imagePath);
       }
 
-      // Read the image file
-      const imageData = fs.readFileSync(imagePath);
-      const base64Image = imageData.toString("base64");
-
       // Create the prompt for event suggestions
       const prompt = `
         Based on this image, suggest relevant events that someone might want to organize or attend.
@@ -162,18 +132,7 @@ class MultimodalService {
       `;
 
       // Generate content with image
-      const result = await this.model.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: base64Image,
-            mimeType: this.getMimeType(imagePath),
-          },
-        },
-      ]);
-
-      const response = await result.response;
-      const text = response.text();
+      const text = await llmService.vision(prompt, [this.readImage(imagePath)]);
 
       // Try to parse the JSON response
       try {
@@ -202,37 +161,34 @@ class MultimodalService {
    */
   async extractTextFromImage(imagePath) {
     try {
-      if (!this.apiAvailable || !this.geminiApiKey) {
-        return "Image text extraction requires Gemini API key";
+      if (!this.apiAvailable) {
+        return "Image text extraction requires a vision-capable LLM provider";
       }
 
-      // Read the image file
-      const imageData = fs.readFileSync(imagePath);
-      const base64Image = imageData.toString("base64");
-
       // Create the prompt for OCR
       const prompt =
         "Extract all text visible in this image. Return only the text content.";
 
       // Generate content with image
-      const result = await this.model.generateContent([
-        prompt,
-        {
-          inlineData: {
-            data: base64Image,
-            mimeType: this.getMimeType(imagePath),
-          },
-        },
-      ]);
-
-      const response = await result.response;
-      return response.text();
+      return await llmService.vision(prompt, [this.readImage(imagePath)]);
     } catch (error) {
       console.error("Error extracting text from image:", error);
       return "Failed to extract text from image";
     }
   }
 
+  /**
+   * Read an image file for a vision request
+   * @param {string} imagePath - Path to the image file
+   * @returns {{data: Buffer, mimeType: string}}
+   */
+  readImage(imagePath) {
+    return {
+      data: fs.readFileSync(imagePath),
+      mimeType: this.getMimeType(imagePath),
+    };
+  }
+
   /**
    * Get MIME type based on file extension
    * @param {string} filePath - Path to the file
@@ -251,7 +207,7 @@ class MultimodalService {
   }
 
   /**
-   * Fallback analysis when Gemini API is not available
+   * Fallback analysis when no vision provider is available
    * @param {string} imagePath - Path to the image file
    * @returns {Object} Fallback analysis results
    */
@@ -273,7 +229,7 @@ class MultimodalService {
     }
 
     return {
-      description: `Image analysis requires Gemini API key for full functionality. This appears to be a ${scene} file.`,
+      description: `Image analysis requires a vision-capable LLM provider for full functionality. This appears to be a ${scene} file.`,
       objects: ["image"],
       tags: ["photo", category],
       visibleText: "No text extracted",
@@ -286,7 +242,7 @@ class MultimodalService {
   }
 
   /**
-   * Fallback event suggestions when Gemini API is not available
+   * Fallback event suggestions when no vision provider is available
    * @param {string} imagePath - Path to the image file
    * @returns {Array} Fallback event suggestions
    */
@@ -1,28 +1,41 @@
 /**
  * RETRIEVAL SERVICE
- * Handles event data retrieval and context generation for AI
+ * Handles event data retrieval and context generation for AI, and keeps
+ * the vector index in step with approved events
  */
 
+const crypto = require('crypto');
 const Event = require('../models/Event');
-const chromaDB = require('./chromaDB');
+const vectorStore = require('./vectorStore');
 const embeddingService = require('./embeddingService');
 
+// Fields the indexed text is built from
+const INDEXED_FIELDS = 'title description category location date status';
+// Part of every content hash; bump it when the indexed metadata changes so
+// repairIndex rewrites existing documents
+const INDEX_VERSION = 2;
+
 class RetrievalService {
   constructor() {
     this.initialized = false;
+    // Pending sync per event id, so changes to one event apply in order
+    this.syncQueue = new Map();
   }
 
   async initialize() {
     try {
       console.log('Initializing Retrieval Service...');
       
-      // Initialize ChromaDB and embeddings
-      await chromaDB.initialize();
-      
-      // Index existing events
-      await this.indexExistingEvents();
+      // Connect to ChromaDB or the local vector store
+      await vectorStore.initialize();
       
       this.initialized = true;
+
+      // Bring the index up to date, embedding only new and changed events
+      const result = await this.repairIndex();
+      if (result.available) {
+        console.log(`Vector index synced: ${result.added} added, ${result.updated} updated, ${result.removed} removed`);
+      }
       console.log('✅ Retrieval Service initialized successfully');
     } catch (error) {
       console.error('❌ Retrieval Service initialization failed:', error);
@@ -30,56 +43,182 @@ class RetrievalService {
     }
   }
 
-  async indexExistingEvents() {
+  async addEventToIndex(event) {
     try {
-      const events = await Event.find({ status: 'approved' }).lean();
-      console.log(`Indexing ${events.length} events...`);
-      
-      for (const event of events) {
-        await this.addEventToIndex(event);
-      }
-      
-      console.log(`✅ Indexed ${events.length} events`);
+      await this.syncEvent(event._id);
     } catch (error) {
-      console.error('Error indexing events:', error);
+      console.error('Error adding event to index:', error);
     }
   }
 
-  async addEventToIndex(event) {
-    try {
-      if (!this.initialized) return;
+  /**
+   * Called by the Event model after any save, update or delete. Syncs run
+   * in the background, one at a time per event.
+   */
+  scheduleSync(eventId) {
+    if (!this.initialized) return;
 
-      const eventText = this.createEventText(event);
-      const embedding = await embeddingService.generateEmbedding(eventText);
-      
-      await chromaDB.addDocument(
-        event._id.toString(),
-        eventText,
-        embedding,
-        {
-          title: event.title,
-          category: event.category,
-          location: event.location,
-          date: event.date,
-          organizer: event.organizer
+    const id = eventId.toString();
+    const previous = this.syncQueue.get(id) || Promise.resolve();
+    const next = previous
+      .then(() => this.syncEvent(id))
+      .catch(error => console.error(`Error syncing event ${id} to the vector index:`, error.message))
+      .finally(() => {
+        if (this.syncQueue.get(id) === next) this.syncQueue.delete(id);
+      });
+    this.syncQueue.set(id, next);
+  }
+
+  /**
+   * Make the index match the stored event: approved events are embedded
+   * when their content changed, anything else is removed
+   */
+  async syncEvent(eventId) {
+    if (!this.initialized || !vectorStore.isAvailable()) return;
+
+    const id = eventId.toString();
+    const event = await Event.findById(id).select(INDEXED_FIELDS).lean();
+
+    if (!event || !this.isIndexable(event)) {
+      await vectorStore.delete([id]);
+      return;
+    }
+
+    const indexed = await vectorStore.get(id);
+    if (indexed && indexed.metadata.contentHash === this.contentHash(event)) return;
+
+    await this.writeToIndex(event);
+  }
+
+  async writeToIndex(event) {
+    const eventText = this.createEventText(event);
+    const embedding = await embeddingService.generateEmbedding(eventText);
+
+    const date = new Date(event.date);
+
+    return vectorStore.upsert(event._id.toString(), {
+      embedding,
+      document: eventText,
+      metadata: {
+        title: event.title,
+        category: event.category,
+        location: event.location,
+        date: date.toISOString(),
+        // Numeric copy of the date for range filters
+        timestamp: date.getTime(),
+        contentHash: this.contentHash(event)
+      }
+    });
+  }
+
+  isIndexable(event) {
+    return event.status === 'approved';
+  }
+
+  // The embedded text shows the date in the server's locale; the hash uses
+  // the exact date so any change to it counts
+  contentHash(event) {
+    return crypto
+      .createHash('sha1')
+      .update(`${INDEX_VERSION}\n${new Date(event.date).toISOString()}\n${this.createEventText(event)}`)
+      .digest('hex');
+  }
+
+  /**
+   * Compare approved events in MongoDB with the index: events missing from
+   * it, indexed with outdated content, and indexed but no longer approved
+   * (or deleted)
+   */
+  async getIndexDrift() {
+    const indexed = await vectorStore.listMetadata();
+    if (!indexed) {
+      return { available: false, checkedAt: new Date() };
+    }
+
+    const events = await Event.find({ status: 'approved' }).select(INDEXED_FIELDS).lean();
+    const missing = [];
+    const stale = [];
+    const approvedIds = new Set();
+
+    for (const event of events) {
+      const id = event._id.toString();
+      approvedIds.add(id);
+
+      const metadata = indexed.get(id);
+      if (!metadata) {
+        missing.push(event);
+      } else if (metadata.contentHash !== this.contentHash(event)) {
+        stale.push(event);
+      }
+    }
+
+    const orphaned = [...indexed.keys()].filter(id => !approvedIds.has(id));
+
+    return {
+      available: true,
+      checkedAt: new Date(),
+      approvedEvents: events.length,
+      indexedDocuments: indexed.size,
+      inSync: missing.length === 0 && stale.length === 0 && orphaned.length === 0,
+      missing,
+      stale,
+      orphaned
+    };
+  }
+
+  /**
+   * Fix all drift: index missing and stale events, remove orphaned documents
+   */
+  async repairIndex() {
+    const drift = await this.getIndexDrift();
+    const result = { available: drift.available, added: 0, updated: 0, removed: 0, failed: [] };
+    if (!drift.available) return result;
+
+    for (const [events, counter] of [[drift.missing, 'added'], [drift.stale, 'updated']]) {
+      for (const event of events) {
+        try {
+          await this.writeToIndex(event);
+          result[counter]++;
+        } catch (error) {
+          result.failed.push({ eventId: event._id.toString(), error: error.message });
         }
-      );
+      }
+    }
+
+    try {
+      await vectorStore.delete(drift.orphaned);
+      result.removed = drift.orphaned.length;
     } catch (error) {
-      console.error('Error adding event to index:', error);
+      result.failed.push(...drift.orphaned.map(eventId => ({ eventId, error: error.message })));
     }
+
+    return result;
   }
 
   async getEventContextForQuery(query) {
+    const { context } = await this.getEventContextWithSources(query);
+    return context;
+  }
+
+  /**
+   * Context for a query along with the events it was built from
+   * @returns {Promise<{context: string, events: Array}>} events as { id, title, category, location, date }
+   */
+  async getEventContextWithSources(query) {
     try {
       if (!this.initialized) {
-        return this.getFallbackContext(query);
+        return this.getKeywordContext(query);
       }
 
       const queryEmbedding = await embeddingService.generateEmbedding(query);
-      const similarEvents = await chromaDB.searchSimilar(queryEmbedding, 5);
+      // Only upcoming events, matching the keyword fallback
+      const similarEvents = await vectorStore.query(queryEmbedding, {
+        limit: 5,
+        where: { timestamp: { $gte: Date.now() } }
+      });
       
       if (similarEvents.length === 0) {
-        return this.getFallbackContext(query);
+        return this.getKeywordContext(query);
       }
 
       // Create context from similar events
@@ -87,13 +226,66 @@ class RetrievalService {
         return `Event: ${event.metadata.title}\nCategory: ${event.metadata.category}\nLocation: ${event.metadata.location}\nDate: ${event.metadata.date}\nDescription: ${event.document.substring(0, 200)}...`;
       }).join('\n\n');
 
-      return context;
+      const events = similarEvents.map(event => ({
+        id: event.id,
+        title: event.metadata.title,
+        category: event.metadata.category,
+        location: event.metadata.location,
+        date: event.metadata.date
+      }));
+
+      return { context, events };
     } catch (error) {
       console.error('Error getting event context:', error);
-      return this.getFallbackContext(query);
+      return this.getKeywordContext(query);
     }
   }
 
+  /**
+   * Without the vector index, match approved upcoming events on the
+   * query's words, falling back to a generic context when none match
+   */
+  async getKeywordContext(query) {
+    try {
+      const words = String(query || '')
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}]+/u)
+        .filter(word => word.length > 3)
+        .slice(0, 8);
+
+      if (words.length > 0) {
+        const pattern = new RegExp(words.join('|'), 'i');
+        const events = await Event.find({
+          status: 'approved',
+          date: { $gte: new Date() },
+          $or: [{ title: pattern }, { description: pattern }, { category: pattern }]
+        })
+          .sort({ date: 1 })
+          .limit(5)
+          .lean();
+
+        if (events.length > 0) {
+          return {
+            context: events.map(event => {
+              return `Event: ${event.title}\nCategory: ${event.category}\nLocation: ${event.location}\nDate: ${event.date}\nDescription: ${(event.description || '').substring(0, 200)}...`;
+            }).join('\n\n'),
+            events: events.map(event => ({
+              id: event._id.toString(),
+              title: event.title,
+              category: event.category,
+              location: event.location,
+              date: event.date
+            }))
+          };
+        }
+      }
+    } catch (error) {
+      console.error('Error searching events by keyword:', error.message);
+    }
+
+    return { context: this.getFallbackContext(query), events: [] };
+  }
+
   createEventText(event) {
     return [
       event.title,
@@ -111,7 +303,7 @@ class RetrievalService {
   async removeEventFromIndex(eventId) {
     try {
       if (!this.initialized) return;
-      await chromaDB.deleteDocument(eventId.toString());
+      await vectorStore.delete([eventId.toString()]);
     } catch (error) {
       console.error('Error removing event from index:', error);
     }
@@ -119,8 +311,7 @@ class RetrievalService {
 
   async updateEventInIndex(event) {
     try {
-      await this.removeEventFromIndex(event._id);
-      await this.addEventToIndex(event);
+      await this.syncEvent(event._id);
     } catch (error) {
       console.error('Error updating event in index:', error);
     }
@@ -0,0 +1,519 @@
+/**
+ * SEARCH SERVICE
+ * Hybrid event search: keyword relevance from the Mongo text index, semantic
+ * similarity from the vector store and closeness to the searcher are fused
+ * into one score. One-off events are filtered and counted by the database
+ * over the whole collection; recurring series are expanded here, since their
+ * dates are computed. Every facet reflects the other active filters.
+ */
+
+const Event = require('../models/Event');
+const embeddingService = require('./embeddingService');
+const vectorStore = require('./vectorStore');
+const recurrence = require('../utils/recurrence');
+const ticketing = require('../utils/ticketing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cumulative distance rings (km) counted when the searcher's location is known
+const DISTANCE_RINGS = [1, 5, 10, 25, 50, 100];
+
+const SORTS = ['relevance', 'date', 'distance'];
+
+function floatFromEnv(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return value >= 0 ? value : fallback;
+}
+
+function distanceKm(lat1, lon1, lat2, lon2) {
+  const toRad = degrees => degrees * (Math.PI / 180);
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function startOfToday() {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  return today;
+}
+
+/**
+ * Date buckets matching the filter panel's presets, in server time
+ */
+function dateBuckets() {
+  const today = startOfToday();
+  return [
+    { value: 'today', start: today, end: new Date(today.getTime() + DAY_MS) },
+    { value: 'week', start: today, end: new Date(today.getTime() + 7 * DAY_MS) },
+    { value: 'month', start: today, end: new Date(today.getFullYear(), today.getMonth() + 1, 1) }
+  ];
+}
+
+/**
+ * Great-circle distance (km) from a point to an event, as an aggregation
+ * expression
+ */
+function distanceExpression({ latitude, longitude }) {
+  const toRad = degrees => degrees * (Math.PI / 180);
+  const lat = { $degreesToRadians: { $arrayElemAt: ['$locationCoords.coordinates', 1] } };
+  const lon = { $degreesToRadians: { $arrayElemAt: ['$locationCoords.coordinates', 0] } };
+  const halfDelta = (angle, origin) => ({ $sin: { $divide: [{ $subtract: [angle, origin] }, 2] } });
+  const a = {
+    $add: [
+      { $pow: [halfDelta(lat, toRad(latitude)), 2] },
+      { $multiply: [Math.cos(toRad(latitude)), { $cos: lat }, { $pow: [halfDelta(lon, toRad(longitude)), 2] }] }
+    ]
+  };
+  return { $multiply: [6371 * 2, { $asin: { $sqrt: { $min: [a, 1] } } }] };
+}
+
+function withinKm(origin, km) {
+  return {
+    locationCoords: {
+      $geoWithin: { $centerSphere: [[origin.longitude, origin.latitude], km / 6371] }
+    }
+  };
+}
+
+class SearchService {
+  constructor() {
+    this.weights = {
+      text: floatFromEnv('SEARCH_TEXT_WEIGHT', 0.45),
+      vector: floatFromEnv('SEARCH_VECTOR_WEIGHT', 0.4),
+      geo: floatFromEnv('SEARCH_GEO_WEIGHT', 0.15)
+    };
+    // Semantic matches below this similarity are not results on their own
+    this.minSimilarity = floatFromEnv('SEARCH_MIN_SIMILARITY', 0.5);
+    // One-off events ranked by relevance are taken from this many of the best
+    // keyword matches; totals and facets always cover every match
+    this.maxCandidates = parseInt(process.env.SEARCH_MAX_CANDIDATES, 10) || 500;
+    this.vectorCandidates = parseInt(process.env.SEARCH_VECTOR_CANDIDATES, 10) || 50;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.q] - free-text query
+   * @param {number} [options.latitude] - searcher's position, with longitude
+   * @param {number} [options.radius] - km around the position
+   * @param {string[]} [options.categories] - lowercase category names
+   * @param {Date} [options.startDate]
+   * @param {Date} [options.endDate]
+   * @param {string} [options.sort] - relevance, date or distance
+   * @returns {Promise<{results, total, facets}>} results are lean events with
+   *   `date` set to their first matching occurrence and a `search` breakdown
+   */
+  async search(options) {
+    const {
+      q = '',
+      latitude,
+      longitude,
+      radius = 10,
+      categories = [],
+      startDate,
+      endDate,
+      minPrice,
+      maxPrice,
+      free,
+      sort = q ? 'relevance' : 'date',
+      page = 1,
+      limit = 20
+    } = options;
+
+    if (!SORTS.includes(sort)) {
+      throw new Error(`sort must be one of: ${SORTS.join(', ')}`);
+    }
+    const origin = isFinite(latitude) && isFinite(longitude) ? { latitude, longitude } : null;
+    if (sort === 'distance' && !origin) {
+      throw new Error('Sorting by distance requires latitude and longitude');
+    }
+
+    // Events start no later than today so the date facets can count outside
+    // the requested range
+    const today = startOfToday();
+    const from = startDate && startDate < today ? startDate : today;
+    const vectorScores = q ? await this.findSimilar(q) : new Map();
+    const scope = {
+      q,
+      vectorIds: [...vectorScores.keys()],
+      origin,
+      radius,
+      categories,
+      from,
+      startDate,
+      endDate,
+      minPrice,
+      maxPrice,
+      free
+    };
+
+    const [oneOff, series] = await Promise.all([
+      this.searchOneOff(scope, sort, page * limit),
+      this.searchSeries(scope)
+    ]);
+
+    const candidates = [...oneOff.candidates, ...series.matches];
+    const textScores = q ? await this.scoreText(q, candidates.map(entry => entry.event._id)) : new Map();
+    const maxTextScore = Math.max(...textScores.values(), 0);
+
+    candidates.forEach(entry => {
+      const id = entry.event._id.toString();
+      entry.date = entry.date || new Date(entry.event.date);
+      entry.distance = origin ? this.distanceTo(origin, entry.event) : null;
+      entry.textScore = maxTextScore ? (textScores.get(id) || 0) / maxTextScore : 0;
+      entry.vectorScore = vectorScores.get(id) || 0;
+      entry.score = this.fuse(entry, { hasQuery: !!q, origin, radius });
+    });
+    this.sortEntries(candidates, sort);
+
+    const pageEntries = candidates.slice((page - 1) * limit, page * limit);
+    await Event.populate(pageEntries.map(entry => entry.event), { path: 'organizer', select: 'name' });
+
+    return {
+      results: pageEntries.map(entry => ({
+        ...entry.event,
+        date: entry.date,
+        search: {
+          score: entry.score,
+          text: entry.textScore,
+          vector: entry.vectorScore,
+          distance: entry.distance
+        }
+      })),
+      total: oneOff.total + series.matches.length,
+      facets: this.mergeFacets(oneOff.facets, series.facets)
+    };
+  }
+
+  /**
+   * Conditions shared by one-off events and series: public, not over,
+   * within the price range, matching the query and, with a location, inside
+   * the outermost distance ring. Category, date range and radius are kept
+   * apart (see filterConditions) so the facets can count around them.
+   */
+  buildFilter({ q, vectorIds, origin, radius, from, minPrice, maxPrice, free }, recurring) {
+    const conditions = [{ status: 'approved' }];
+
+    if (recurring) {
+      conditions.push({
+        'recurrence.frequency': { $exists: true },
+        $or: [{ 'recurrence.until': { $exists: false } }, { 'recurrence.until': { $gte: from } }]
+      });
+    } else {
+      conditions.push({ 'recurrence.frequency': { $exists: false }, date: { $gte: from } });
+    }
+
+    const priceQuery = ticketing.buildPriceQuery({ free, minPrice, maxPrice });
+    if (priceQuery) conditions.push(priceQuery);
+
+    if (q) {
+      // Keyword matches, or events the vector store found similar
+      const text = { $text: { $search: q } };
+      conditions.push(vectorIds.length > 0 ? { $or: [text, { _id: { $in: vectorIds } }] } : text);
+    }
+
+    if (origin) {
+      conditions.push(withinKm(origin, Math.max(radius, DISTANCE_RINGS[DISTANCE_RINGS.length - 1])));
+    }
+
+    return { $and: conditions };
+  }
+
+  /**
+   * Conditions for the category, date range and radius filters on one-off
+   * events, each empty when that filter is unset
+   */
+  filterConditions({ origin, radius, categories, startDate, endDate }) {
+    const dateRange = {};
+    if (startDate) dateRange.$gte = startDate;
+    if (endDate) dateRange.$lte = endDate;
+
+    return {
+      category: categories.length > 0 ? { $expr: { $in: [{ $toLower: '$category' }, categories] } } : {},
+      dates: Object.keys(dateRange).length > 0 ? { date: dateRange } : {},
+      radius: origin ? withinKm(origin, radius) : {}
+    };
+  }
+
+  /**
+   * One-off events: the total and facets over every match, and the events
+   * that can appear up to the requested page in the requested order
+   */
+  async searchOneOff(scope, sort, needed) {
+    const base = this.buildFilter(scope, false);
+    const { category, dates, radius } = this.filterConditions(scope);
+
+    const [counts] = await Event.aggregate([
+      { $match: base },
+      {
+        $facet: {
+          total: [{ $match: { $and: [category, dates, radius] } }, { $count: 'count' }],
+          categories: [
+            { $match: { $and: [dates, radius] } },
+            { $group: { _id: { $toLower: '$category' }, count: { $sum: 1 } } }
+          ],
+          ...Object.fromEntries(dateBuckets().map(({ value, start, end }) => [
+            `date_${value}`,
+            [{ $match: { $and: [category, radius, { date: { $gte: start, $lt: end } }] } }, { $count: 'count' }]
+          ])),
+          ...(scope.origin
+            ? {
+              distances: [
+                { $match: { $and: [category, dates] } },
+                { $project: { distance: distanceExpression(scope.origin) } },
+                {
+                  $group: {
+                    _id: null,
+                    ...Object.fromEntries(DISTANCE_RINGS.map(km => [
+                      `km${km}`,
+                      { $sum: { $cond: [{ $lte: ['$distance', km] }, 1, 0] } }
+                    ]))
+                  }
+                }
+              ]
+            }
+            : {})
+        }
+      }
+    ]);
+
+    const facets = {
+      categories: counts.categories.map(({ _id, count }) => ({ value: _id, count })),
+      dates: dateBuckets().map(({ value }) => ({ value, count: counts[`date_${value}`][0]?.count || 0 })),
+      distances: scope.origin
+        ? DISTANCE_RINGS.map(km => ({ km, count: counts.distances[0]?.[`km${km}`] || 0 }))
+        : []
+    };
+
+    return {
+      total: counts.total[0]?.count || 0,
+      facets,
+      candidates: (await this.findCandidates(scope, [category, dates, radius], sort, needed))
+        .map(event => ({ event }))
+    };
+  }
+
+  /**
+   * The first `needed` one-off matches in date or distance order. Relevance
+   * depends on scores fused here, so it takes the best keyword matches and
+   * every semantic match instead.
+   */
+  async findCandidates(scope, filters, sort, needed) {
+    const { vectorIds, origin } = scope;
+    const match = { $and: [this.buildFilter(scope, false), ...filters] };
+
+    if (sort === 'date') {
+      return Event.find(match).sort({ date: 1, _id: 1 }).limit(needed).lean();
+    }
+    if (sort === 'distance') {
+      return Event.aggregate([
+        { $match: match },
+        { $addFields: { distance: distanceExpression(origin) } },
+        { $sort: { distance: 1, date: 1, _id: 1 } },
+        { $limit: needed },
+        { $project: { distance: 0 } }
+      ]);
+    }
+
+    // A query takes one text expression, so keyword and semantic matches are
+    // looked up apart
+    const keywordMatch = { $and: [this.buildFilter({ ...scope, vectorIds: [] }, false), ...filters] };
+    const semanticMatch = {
+      $and: [this.buildFilter({ ...scope, q: '' }, false), ...filters, { _id: { $in: vectorIds } }]
+    };
+    const [textMatches, vectorMatches] = await Promise.all([
+      Event.find(keywordMatch, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(Math.max(this.maxCandidates, needed))
+        .lean(),
+      vectorIds.length > 0 ? Event.find(semanticMatch).lean() : []
+    ]);
+
+    const events = new Map();
+    [...textMatches, ...vectorMatches].forEach(({ score, ...event }) => {
+      events.set(event._id.toString(), event);
+    });
+    return [...events.values()];
+  }
+
+  /**
+   * Recurring series, expanded into their upcoming occurrences: those with
+   * an occurrence passing every filter, and facet counts over all of them
+   */
+  async searchSeries(scope) {
+    const { origin, radius, categories, from, startDate, endDate } = scope;
+    const series = await Event.find(this.buildFilter(scope, true)).lean();
+
+    const horizon = new Date(Math.max(
+      endDate ? endDate.getTime() : 0,
+      from.getTime() + 365 * DAY_MS
+    ));
+    const entries = series
+      .map(event => ({
+        event,
+        dates: this.occurrenceDates(event, from, horizon),
+        distance: origin ? this.distanceTo(origin, event) : null
+      }))
+      .filter(entry => entry.dates.length > 0);
+
+    const inCategory = entry =>
+      categories.length === 0 || categories.includes(String(entry.event.category).toLowerCase());
+    const inDates = entry => this.firstDateIn(entry.dates, startDate, endDate) !== null;
+    const inRadius = entry => !origin || entry.distance <= radius;
+
+    const matches = entries.filter(entry => inCategory(entry) && inDates(entry) && inRadius(entry));
+    matches.forEach(entry => {
+      entry.date = this.firstDateIn(entry.dates, startDate, endDate);
+    });
+
+    return {
+      matches,
+      facets: this.countFacets(entries, { inCategory, inDates, inRadius, origin })
+    };
+  }
+
+  /**
+   * Raw text index scores of the given events for the query
+   */
+  async scoreText(q, ids) {
+    if (ids.length === 0) return new Map();
+    const scored = await Event.find(
+      { _id: { $in: ids }, $text: { $search: q } },
+      { score: { $meta: 'textScore' } }
+    ).lean();
+    return new Map(scored.map(({ _id, score }) => [_id.toString(), score]));
+  }
+
+  /**
+   * Events whose indexed text is close to the query, with their similarity.
+   * Skipped when the query can only be embedded with the fallback, which the
+   * index can't be compared against.
+   * @returns {Promise<Map<string, number>>}
+   */
+  async findSimilar(q) {
+    if (!vectorStore.isAvailable()) return new Map();
+
+    try {
+      const { vector, fallback } = await embeddingService.generateEmbeddingWithSource(q);
+      if (fallback) return new Map();
+
+      const hits = (await vectorStore.query(vector, { limit: this.vectorCandidates }))
+        .filter(hit => hit.score >= this.minSimilarity);
+      return new Map(hits.map(hit => [hit.id, Math.min(hit.score, 1)]));
+    } catch (error) {
+      console.error('Semantic search failed:', error.message);
+      return new Map();
+    }
+  }
+
+  distanceTo(origin, event) {
+    return distanceKm(
+      origin.latitude,
+      origin.longitude,
+      event.locationCoords.coordinates[1],
+      event.locationCoords.coordinates[0]
+    );
+  }
+
+  occurrenceDates(event, from, horizon) {
+    if (!recurrence.isRecurring(event)) return [new Date(event.date)];
+    return recurrence.expandOccurrences(event, from, horizon).map(occurrence => new Date(occurrence.date));
+  }
+
+  firstDateIn(dates, start, end) {
+    return dates.find(date => (!start || date >= start) && (!end || date <= end)) || null;
+  }
+
+  /**
+   * Each facet counts the candidates passing every other filter, i.e. how
+   * many results choosing that value would give
+   */
+  countFacets(entries, { inCategory, inDates, inRadius, origin }) {
+    const categories = new Map();
+    entries
+      .filter(entry => inDates(entry) && inRadius(entry))
+      .forEach(entry => {
+        const category = String(entry.event.category).toLowerCase();
+        categories.set(category, (categories.get(category) || 0) + 1);
+      });
+
+    const forDates = entries.filter(entry => inCategory(entry) && inRadius(entry));
+    const dates = dateBuckets().map(({ value, start, end }) => ({
+      value,
+      count: forDates.filter(entry => entry.dates.some(date => date >= start && date < end)).length
+    }));
+
+    const forDistance = entries.filter(entry => inCategory(entry) && inDates(entry));
+    const distances = origin
+      ? DISTANCE_RINGS.map(km => ({
+        km,
+        count: forDistance.filter(entry => entry.distance <= km).length
+      }))
+      : [];
+
+    return {
+      categories: [...categories.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      dates,
+      distances
+    };
+  }
+
+  /**
+   * Sum the one-off and series facet counts
+   */
+  mergeFacets(oneOff, series) {
+    const categories = new Map();
+    [...oneOff.categories, ...series.categories].forEach(({ value, count }) => {
+      const key = String(value);
+      categories.set(key, (categories.get(key) || 0) + count);
+    });
+    const sumBy = (key, a, b) => a.map(item => ({
+      ...item,
+      count: item.count + (b.find(other => other[key] === item[key])?.count || 0)
+    }));
+
+    return {
+      categories: [...categories.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+      dates: sumBy('value', oneOff.dates, series.dates),
+      distances: sumBy('km', oneOff.distances, series.distances)
+    };
+  }
+
+  /**
+   * Weighted sum of the available signals, scaled back to 0..1. Closeness
+   * falls linearly to zero at the edge of the search radius.
+   */
+  fuse(entry, { hasQuery, origin, radius }) {
+    const signals = [];
+    if (hasQuery) {
+      signals.push([this.weights.text, entry.textScore]);
+      signals.push([this.weights.vector, entry.vectorScore]);
+    }
+    if (origin) {
+      signals.push([this.weights.geo, Math.max(0, 1 - entry.distance / radius)]);
+    }
+
+    const totalWeight = signals.reduce((sum, [weight]) => sum + weight, 0);
+    if (totalWeight === 0) return 0;
+    return signals.reduce((sum, [weight, value]) => sum + weight * value, 0) / totalWeight;
+  }
+
+  sortEntries(entries, sort) {
+    const byDate = (a, b) => a.date - b.date;
+    const comparators = {
+      relevance: (a, b) => b.score - a.score || byDate(a, b),
+      date: byDate,
+      distance: (a, b) => a.distance - b.distance || byDate(a, b)
+    };
+    entries.sort(comparators[sort]);
+  }
+}
+
+module.exports = new SearchService();
@@ -1,12 +1,12 @@
 // Enhanced AI summarization service
-// Uses Gemini API for more sophisticated summarization
-const geminiService = require('./geminiService');
+// Uses the configured LLM provider for more sophisticated summarization
+const llmService = require('./llmService');
 
 class EventSummarizer {
   // Enhanced function to generate event summaries
   async summarizeEvent(title, description) {
     try {
-      // First try Gemini API for summarization
+      // First try the LLM for summarization
       const prompt = `
         Summarize the following event information:
         
@@ -28,7 +28,7 @@ class EventSummarizer {
         }
       `;
       
-      const response = await geminiService.generateResponse(prompt);
+      const response = await llmService.generate(prompt);
       
       // Try to parse the response as JSON
       try {
@@ -52,13 +52,13 @@ class EventSummarizer {
           };
         }
       } catch (parseError) {
-        console.error('Failed to parse Gemini summarization response:', parseError);
+        console.error('Failed to parse LLM summarization response:', parseError);
       }
       
       // Fallback to rule-based summarization
       return this.ruleBasedSummarization(title, description);
     } catch (error) {
-      console.error('Gemini summarization failed, falling back to rule-based:', error);
+      console.error('LLM summarization failed, falling back to rule-based:', error.message);
       // Fallback to rule-based summarization
       return this.ruleBasedSummarization(title, description);
     }
@@ -0,0 +1,111 @@
+/**
+ * VECTOR STORE
+ * Stores event embeddings for semantic search. ChromaDB is used when its
+ * server is reachable; otherwise an in-process store persisted in MongoDB
+ * takes over, so semantic search works without the Python sidecar.
+ */
+
+const ChromaStore = require('./vectorStore/ChromaStore');
+const LocalStore = require('./vectorStore/LocalStore');
+
+const STORES = {
+  chroma: ChromaStore,
+  local: LocalStore
+};
+
+class VectorStore {
+  constructor() {
+    // auto tries ChromaDB first and falls back to the local store
+    const defaultMode = process.env.CHROMA_DB_ENABLED === 'false' ? 'local' : 'auto';
+    this.mode = (process.env.VECTOR_STORE || defaultMode).trim().toLowerCase();
+    this.store = null;
+  }
+
+  /**
+   * Connect to the configured store
+   * @returns {Promise<boolean>} whether a store is available
+   */
+  async initialize() {
+    const names = this.mode === 'auto' ? ['chroma', 'local'] : [this.mode];
+
+    for (const name of names) {
+      if (!STORES[name]) {
+        console.warn(`Unknown vector store "${name}" ignored`);
+        continue;
+      }
+
+      const store = new STORES[name]();
+      try {
+        await store.initialize();
+        this.store = store;
+        console.log(`✅ Vector store: ${name}`);
+        return true;
+      } catch (error) {
+        console.error(`❌ Vector store ${name} unavailable:`, error.message);
+      }
+    }
+
+    this.store = null;
+    return false;
+  }
+
+  isAvailable() {
+    return !!this.store;
+  }
+
+  get name() {
+    return this.store ? this.store.name : null;
+  }
+
+  /**
+   * Insert or replace a document. Metadata values must be strings, numbers
+   * or booleans. Errors are thrown.
+   * @returns {Promise<boolean>} false when no store is available
+   */
+  async upsert(id, { embedding, document, metadata }) {
+    if (!this.store) return false;
+    await this.store.upsert(id, { embedding, document, metadata });
+    return true;
+  }
+
+  /**
+   * @returns {Promise<boolean>} false when no store is available
+   */
+  async delete(ids) {
+    if (!this.store) return false;
+    await this.store.delete(ids);
+    return true;
+  }
+
+  /**
+   * @returns {Promise<{id, document, metadata}|null>}
+   */
+  async get(id) {
+    return this.store ? this.store.get(id) : null;
+  }
+
+  /**
+   * Metadata of every document keyed by id; null when no store is available
+   */
+  async listMetadata() {
+    return this.store ? this.store.listMetadata() : null;
+  }
+
+  /**
+   * Most similar documents first, optionally filtered on metadata with
+   * Chroma's `where` syntax. Search degrades to no results on errors.
+   * @returns {Promise<Array<{id, document, metadata, score}>>}
+   */
+  async query(embedding, { limit = 5, where = null } = {}) {
+    if (!this.store) return [];
+
+    try {
+      return await this.store.query(embedding, { limit, where });
+    } catch (error) {
+      console.error(`Error searching vector store ${this.store.name}:`, error.message);
+      return [];
+    }
+  }
+}
+
+module.exports = new VectorStore();
@@ -0,0 +1,93 @@
+/**
+ * CHROMA STORE
+ * Vector store backed by a ChromaDB server (CHROMA_DB_URL)
+ */
+
+const { ChromaClient } = require('chromadb');
+
+class ChromaStore {
+  constructor(options = {}) {
+    this.name = 'chroma';
+    const url = new URL(options.url || process.env.CHROMA_DB_URL || 'http://localhost:8000');
+    const ssl = url.protocol === 'https:';
+
+    this.client = new ChromaClient({
+      host: url.hostname,
+      port: parseInt(url.port, 10) || (ssl ? 443 : 8000),
+      ssl
+    });
+    this.collectionName = options.collectionName || 'events';
+    this.collection = null;
+  }
+
+  async initialize() {
+    // Embeddings are always computed by the caller
+    this.collection = await this.client.getOrCreateCollection({
+      name: this.collectionName,
+      metadata: { description: 'Event embeddings for RAG' },
+      configuration: { hnsw: { space: 'cosine' } },
+      embeddingFunction: null
+    });
+
+    console.log(`ChromaDB collection '${this.collectionName}' initialized`);
+  }
+
+  async upsert(id, { embedding, document = '', metadata = {} }) {
+    await this.collection.upsert({
+      ids: [id],
+      embeddings: [embedding],
+      metadatas: [metadata],
+      documents: [document]
+    });
+  }
+
+  async delete(ids) {
+    if (ids.length > 0) await this.collection.delete({ ids });
+  }
+
+  async get(id) {
+    const result = await this.collection.get({ ids: [id], include: ['documents', 'metadatas'] });
+    if (result.ids.length === 0) return null;
+    return { id, document: result.documents[0], metadata: result.metadatas[0] || {} };
+  }
+
+  /**
+   * Metadata of every document, keyed by id, read in pages
+   */
+  async listMetadata(pageSize = 500) {
+    const documents = new Map();
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await this.collection.get({ include: ['metadatas'], limit: pageSize, offset });
+      page.ids.forEach((id, index) => documents.set(id, page.metadatas[index] || {}));
+      if (page.ids.length < pageSize) break;
+    }
+    return documents;
+  }
+
+  async query(embedding, { limit = 5, where = null } = {}) {
+    const results = await this.collection.query({
+      queryEmbeddings: [embedding],
+      nResults: limit,
+      where: this.normalizeWhere(where),
+      include: ['documents', 'metadatas', 'distances']
+    });
+
+    return results.ids[0].map((id, index) => ({
+      id,
+      document: results.documents[0][index],
+      metadata: results.metadatas[0][index] || {},
+      // Cosine distance to similarity
+      score: 1 - (results.distances[0][index] || 0)
+    }));
+  }
+
+  // Chroma only accepts one field per filter object; several mean $and
+  normalizeWhere(where) {
+    if (!where) return undefined;
+
+    const clauses = Object.entries(where).map(([key, condition]) => ({ [key]: condition }));
+    return clauses.length > 1 ? { $and: clauses } : where;
+  }
+}
+
+module.exports = ChromaStore;
@@ -0,0 +1,123 @@
+/**
+ * LOCAL STORE
+ * In-process vector store: vectors are searched by brute force in memory
+ * and persisted in MongoDB. Fine for development and single-node
+ * deployments up to tens of thousands of documents.
+ */
+
+const VectorDocument = require('../../models/VectorDocument');
+
+const COMPARISONS = {
+  $eq: (value, expected) => value === expected,
+  $ne: (value, expected) => value !== expected,
+  $gt: (value, expected) => value > expected,
+  $gte: (value, expected) => value >= expected,
+  $lt: (value, expected) => value < expected,
+  $lte: (value, expected) => value <= expected,
+  $in: (value, expected) => expected.includes(value),
+  $nin: (value, expected) => !expected.includes(value)
+};
+
+/**
+ * Whether metadata matches a Chroma-style `where` filter:
+ * { field: value }, { field: { $gte: 10 } }, { $and: [...] }, { $or: [...] }
+ */
+function matchesWhere(metadata, where) {
+  if (!where) return true;
+
+  return Object.entries(where).every(([key, condition]) => {
+    if (key === '$and') return condition.every(clause => matchesWhere(metadata, clause));
+    if (key === '$or') return condition.some(clause => matchesWhere(metadata, clause));
+
+    const value = metadata[key];
+    if (condition === null || typeof condition !== 'object') {
+      return value === condition;
+    }
+
+    return Object.entries(condition).every(([operator, expected]) => {
+      if (!COMPARISONS[operator]) throw new Error(`Unsupported filter operator ${operator}`);
+      // Like Chroma, a missing field only matches negative conditions
+      if (value === undefined) return operator === '$ne' || operator === '$nin';
+      return COMPARISONS[operator](value, expected);
+    });
+  });
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA === 0 || normB === 0 ? 0 : dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+class LocalStore {
+  constructor(options = {}) {
+    this.name = 'local';
+    this.collectionName = options.collectionName || 'events';
+    this.documents = new Map();
+  }
+
+  async initialize() {
+    const stored = await VectorDocument.find({ collectionName: this.collectionName }).lean();
+
+    this.documents.clear();
+    stored.forEach(({ docId, embedding, document, metadata }) => {
+      this.documents.set(docId, { id: docId, embedding, document, metadata: metadata || {} });
+    });
+
+    console.log(`Local vector store loaded ${this.documents.size} documents`);
+  }
+
+  async upsert(id, { embedding, document = '', metadata = {} }) {
+    await VectorDocument.findOneAndUpdate(
+      { collectionName: this.collectionName, docId: id },
+      { embedding, document, metadata, updatedAt: new Date() },
+      { upsert: true }
+    );
+    this.documents.set(id, { id, embedding, document, metadata });
+  }
+
+  async delete(ids) {
+    if (ids.length === 0) return;
+
+    await VectorDocument.deleteMany({ collectionName: this.collectionName, docId: { $in: ids } });
+    ids.forEach(id => this.documents.delete(id));
+  }
+
+  async get(id) {
+    const entry = this.documents.get(id);
+    return entry ? { id, document: entry.document, metadata: entry.metadata } : null;
+  }
+
+  async listMetadata() {
+    return new Map([...this.documents.values()].map(entry => [entry.id, entry.metadata]));
+  }
+
+  async query(embedding, { limit = 5, where = null } = {}) {
+    const results = [];
+    for (const entry of this.documents.values()) {
+      if (!matchesWhere(entry.metadata, where)) continue;
+      results.push({ entry, score: cosineSimilarity(embedding, entry.embedding) });
+    }
+
+    return results
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry, score }) => ({
+        id: entry.id,
+        document: entry.document,
+        metadata: entry.metadata,
+        score
+      }));
+  }
+}
+
+module.exports = LocalStore;
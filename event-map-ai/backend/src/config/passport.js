@@ -1,90 +1,42 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const FacebookStrategy = require('passport-facebook').Strategy;
-const User = require('../models/User');
+const accountLinks = require('../utils/accountLinks');
+
+// Logs in, or when the OAuth `state` carries a link token, links the profile
+// to the account that started the link
+const verifySocialProfile = (provider) => async (req, accessToken, refreshToken, profile, done) => {
+    try {
+        const { user, info } = await accountLinks.resolveSocialProfile(provider, profile, req.query.state);
+        done(null, user, info);
+    } catch (err) {
+        console.error(`${accountLinks.PROVIDERS[provider].label} Auth Error:`, err);
+        done(err, null);
+    }
+};
 
 // Only configure Google OAuth if credentials are provided
-if (process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET) {
+if (accountLinks.isConfigured('google')) {
     passport.use(new GoogleStrategy({
         clientID: process.env.GOOGLE_CLIENT_ID,
         clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        callbackURL: "/api/auth/google/callback"
+        callbackURL: "/api/auth/google/callback",
+        passReqToCallback: true
     },
-    async (accessToken, refreshToken, profile, done) => {
-        try {
-            // Check if user already exists
-            let user = await User.findOne({ googleId: profile.id });
-
-            if (user) {
-                return done(null, user);
-            }
-
-            // Check if user exists with same email
-            user = await User.findOne({ email: profile.emails[0].value });
-
-            if (user) {
-                // Link google account
-                user.googleId = profile.id;
-                await user.save();
-                return done(null, user);
-            }
-
-            // Create new user
-            user = new User({
-                name: profile.displayName,
-                email: profile.emails[0].value,
-                googleId: profile.id,
-                // No password for social login
-            });
-
-            await user.save();
-            done(null, user);
-        } catch (err) {
-            console.error('Google Auth Error:', err);
-            done(err, null);
-        }
-    }
+    verifySocialProfile('google')
     ));
 }
 
 // Only configure Facebook OAuth if credentials are provided
-if (process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET) {
+if (accountLinks.isConfigured('facebook')) {
     passport.use(new FacebookStrategy({
         clientID: process.env.FACEBOOK_APP_ID,
         clientSecret: process.env.FACEBOOK_APP_SECRET,
         callbackURL: "/api/auth/facebook/callback",
-        profileFields: ['id', 'displayName', 'emails']
+        profileFields: ['id', 'displayName', 'emails'],
+        passReqToCallback: true
     },
-    async (accessToken, refreshToken, profile, done) => {
-        try {
-            let user = await User.findOne({ facebookId: profile.id });
-
-            if (user) {
-                return done(null, user);
-            }
-
-            if (profile.emails && profile.emails.length > 0) {
-                user = await User.findOne({ email: profile.emails[0].value });
-                if (user) {
-                    user.facebookId = profile.id;
-                    await user.save();
-                    return done(null, user);
-                }
-            }
-
-            user = new User({
-                name: profile.displayName,
-                email: profile.emails ? profile.emails[0].value : `fb_${profile.id}@example.com`, // Fallback if no email
-                facebookId: profile.id
-            });
-
-            await user.save();
-            done(null, user);
-        } catch (err) {
-            console.error('Facebook Auth Error:', err);
-            done(err, null);
-        }
-    }
+    verifySocialProfile('facebook')
     ));
 }
 
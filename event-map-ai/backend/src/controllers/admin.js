@@ -1,5 +1,25 @@
+const mongoose = require('mongoose');
 const Event = require('../models/Event');
 const User = require('../models/User');
+const retrievalService = require('../ai/retrievalService');
+const moderation = require('../utils/moderation');
+const notifications = require('../utils/notifications');
+const authTokens = require('../utils/authTokens');
+const invites = require('../utils/invites');
+const Invite = require('../models/Invite');
+const OrganizerRequest = require('../models/OrganizerRequest');
+const AdminGovernanceAgent = require('../ai/agents/AdminGovernanceAgent');
+
+const governanceAgent = new AdminGovernanceAgent();
+const PRIORITY_RANK = { high: 3, medium: 2, low: 1 };
+const DECISION_MESSAGES = {
+  approved: 'Event approved successfully',
+  rejected: 'Event rejected successfully',
+  changes_requested: 'Changes requested from the organizer'
+};
+
+// When an event entered the review queue
+const submittedAt = event => event.moderation?.submittedAt || event.createdAt;
 
 // Get all pending events for admin review
 exports.getPendingEvents = async (req, res) => {
@@ -15,6 +35,54 @@ exports.getPendingEvents = async (req, res) => {
   }
 };
 
+// Record a reviewer decision on an event and tell its organizer. Sends the
+// response, including for a claim held by another reviewer.
+async function applyDecision(req, res, eventId, action, reason) {
+  const event = mongoose.isValidObjectId(eventId) ? await Event.findById(eventId) : null;
+  if (!event) {
+    return res.status(404).json({ message: 'Event not found' });
+  }
+
+  if (moderation.claimedByOther(event, req.user)) {
+    return res.status(409).json({ message: 'Another reviewer has claimed this event' });
+  }
+
+  // Pending events can be approved, rejected or sent back, and approved
+  // ones taken down; anything else is a lifecycle change for the organizer
+  let status;
+  try {
+    status = moderation.decide(event, action, req.user, reason);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+  try {
+    await event.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return res.status(400).json({ message: error.message });
+  }
+
+  await notifications.notifyOrganizer(event, status, event.statusReason);
+
+  // Populate organizer info
+  await event.populate('organizer', 'name email');
+
+  res.json({
+    message: DECISION_MESSAGES[status],
+    event: {
+      _id: event._id,
+      title: event.title,
+      status: event.status,
+      statusReason: event.statusReason || null,
+      organizer: {
+        id: event.organizer._id,
+        name: event.organizer.name,
+        email: event.organizer.email
+      }
+    }
+  });
+}
+
 // Approve or reject event
 exports.reviewEvent = async (req, res) => {
   try {
@@ -25,38 +93,136 @@ exports.reviewEvent = async (req, res) => {
       return res.status(400).json({ message: 'Invalid status' });
     }
     
-    // Find event
-    const event = await Event.findById(eventId);
+    await applyDecision(
+      req,
+      res,
+      eventId,
+      status === 'approved' ? 'approve' : 'reject',
+      rejectionReason
+    );
+  } catch (error) {
+    console.error('Error reviewing event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Pending events, most urgent first: by moderation priority, then risk,
+// then how long they have waited. claimed=mine or unclaimed narrows the
+// list.
+exports.getModerationQueue = async (req, res) => {
+  try {
+    const events = await Event.find({ status: 'pending' })
+      .populate('organizer', 'name email trusted')
+      .populate('moderation.claimedBy', 'name')
+      .lean();
+
+    const queue = events
+      .map(event => {
+        const claimActive = moderation.isClaimActive(event);
+        return {
+          _id: event._id,
+          title: event.title,
+          description: event.description,
+          location: event.location,
+          date: event.date,
+          category: event.category,
+          organizer: event.organizer
+            ? { id: event.organizer._id, name: event.organizer.name, email: event.organizer.email }
+            : null,
+          aiFlags: event.aiFlags || {},
+          priority: governanceAgent.calculateModerationPriority(event),
+          recommendedAction: governanceAgent.getRecommendedAction(event),
+          submittedAt: submittedAt(event),
+          waitingTime: governanceAgent.calculateWaitingTime(submittedAt(event)),
+          submissions: event.moderation?.submissions || 1,
+          claimedBy: claimActive
+            ? { id: event.moderation.claimedBy._id, name: event.moderation.claimedBy.name }
+            : null,
+          claimExpiresAt: claimActive
+            ? new Date(new Date(event.moderation.claimedAt).getTime() + moderation.CLAIM_MS)
+            : null
+        };
+      })
+      .filter(item => {
+        if (req.query.claimed === 'mine') {
+          return item.claimedBy && item.claimedBy.id.toString() === req.user._id.toString();
+        }
+        if (req.query.claimed === 'unclaimed') return !item.claimedBy;
+        return true;
+      })
+      .sort((a, b) =>
+        PRIORITY_RANK[b.priority] - PRIORITY_RANK[a.priority] ||
+        (b.aiFlags.riskScore || 0) - (a.aiFlags.riskScore || 0) ||
+        new Date(a.submittedAt) - new Date(b.submittedAt)
+      );
+
+    res.json({
+      total: queue.length,
+      counts: {
+        high: queue.filter(item => item.priority === 'high').length,
+        medium: queue.filter(item => item.priority === 'medium').length,
+        low: queue.filter(item => item.priority === 'low').length
+      },
+      queue
+    });
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Claim a pending event so other reviewers leave it alone
+exports.claimEvent = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'Pending event not found' });
+  }
+
+  try {
+    const event = await moderation.claim(req.params.id, req.user);
     if (!event) {
-      return res.status(404).json({ message: 'Event not found' });
+      const exists = await Event.exists({ _id: req.params.id, status: 'pending' });
+      return exists
+        ? res.status(409).json({ message: 'Another reviewer has claimed this event' })
+        : res.status(404).json({ message: 'Pending event not found' });
     }
-    
-    // Update event status
-    event.status = status;
-    if (rejectionReason) {
-      event.rejectionReason = rejectionReason;
-    }
-    
-    await event.save();
-    
-    // Populate organizer info
-    await event.populate('organizer', 'name email');
-    
+
     res.json({
-      message: `Event ${status} successfully`,
-      event: {
-        _id: event._id,
-        title: event.title,
-        status: event.status,
-        organizer: {
-          id: event.organizer._id,
-          name: event.organizer.name,
-          email: event.organizer.email
-        }
-      }
+      message: 'Event claimed',
+      claimedAt: event.moderation.claimedAt,
+      claimExpiresAt: new Date(event.moderation.claimedAt.getTime() + moderation.CLAIM_MS)
     });
   } catch (error) {
-    console.error('Error reviewing event:', error);
+    console.error('Error claiming event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.releaseEvent = async (req, res) => {
+  if (!mongoose.isValidObjectId(req.params.id)) {
+    return res.status(404).json({ message: 'You have not claimed this event' });
+  }
+
+  try {
+    const event = await moderation.release(req.params.id, req.user);
+    if (!event) {
+      return res.status(404).json({ message: 'You have not claimed this event' });
+    }
+
+    res.json({ message: 'Claim released' });
+  } catch (error) {
+    console.error('Error releasing event:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Approve, reject or request changes to a queued event. Rejecting and
+// requesting changes need a reason.
+exports.decideEvent = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    await applyDecision(req, res, req.params.id, action, reason);
+  } catch (error) {
+    console.error('Error deciding on event:', error);
     res.status(500).json({ message: 'Server error' });
   }
 };
@@ -125,6 +291,9 @@ exports.updateUserRole = async (req, res) => {
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
+
+    // Sign the user out so every device picks up the new role
+    await authTokens.revokeUserSessions(user._id);
     
     res.json({
       message: 'User role updated successfully',
@@ -134,4 +303,214 @@ exports.updateUserRole = async (req, res) => {
     console.error('Error updating user role:', error);
     res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
+
+// Mark an organizer as trusted, so their events skip the review queue
+exports.updateUserTrust = async (req, res) => {
+  try {
+    const { userId, trusted } = req.body;
+
+    if (typeof trusted !== 'boolean') {
+      return res.status(400).json({ message: 'trusted must be true or false' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { trusted },
+      { new: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({
+      message: trusted ? 'User is now trusted' : 'User is no longer trusted',
+      user
+    });
+  } catch (error) {
+    console.error('Error updating user trust:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Invite codes, newest first
+exports.getInvites = async (req, res) => {
+  try {
+    const list = await Invite.find({})
+      .populate('createdBy', 'name email')
+      .populate('usedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .lean();
+
+    res.json(list.map(({ codeHash, ...invite }) => ({
+      ...invite,
+      status: invites.inviteStatus(invite)
+    })));
+  } catch (error) {
+    console.error('Error fetching invites:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Create an invite code for a role; the code is only shown in this response
+exports.createInvite = async (req, res) => {
+  try {
+    const { role, email, note, expiresInDays } = req.body;
+    const { invite, code } = await invites.createInvite({
+      role,
+      email,
+      note,
+      expiresInDays,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Invite created. Share the code now; it will not be shown again.',
+      code,
+      invite: {
+        _id: invite._id,
+        role: invite.role,
+        email: invite.email,
+        note: invite.note,
+        expiresAt: invite.expiresAt
+      }
+    });
+  } catch (error) {
+    if (error instanceof invites.InviteError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error creating invite:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Revoke an unused invite code
+exports.revokeInvite = async (req, res) => {
+  try {
+    const invite = await Invite.findOneAndUpdate(
+      { _id: req.params.id, usedAt: null, revokedAt: null },
+      { revokedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invite) {
+      return res.status(404).json({ message: 'No unused invite with this ID' });
+    }
+
+    res.json({ message: 'Invite revoked' });
+  } catch (error) {
+    console.error('Error revoking invite:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Organizer requests, oldest first (status=pending by default, or all)
+exports.getOrganizerRequests = async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const query = status === 'all' ? {} : { status };
+
+    const requests = await OrganizerRequest.find(query)
+      .populate('user', 'name email role createdAt')
+      .populate('reviewedBy', 'name')
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .limit(200);
+
+    res.json(requests);
+  } catch (error) {
+    console.error('Error fetching organizer requests:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Approve or reject an organizer request; rejecting needs a reason for the
+// applicant
+exports.decideOrganizerRequest = async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'action must be approve or reject' });
+    }
+    if (action === 'reject' && !trimmedReason) {
+      return res.status(400).json({ message: 'A reason is required to reject a request' });
+    }
+
+    const request = await OrganizerRequest.findOneAndUpdate(
+      { _id: req.params.id, status: 'pending' },
+      {
+        status: action === 'approve' ? 'approved' : 'rejected',
+        reason: trimmedReason || undefined,
+        reviewedBy: req.user._id,
+        reviewedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (!request) {
+      return res.status(404).json({ message: 'No pending request with this ID' });
+    }
+
+    if (action === 'approve') {
+      // Admins keep their role
+      await User.updateOne({ _id: request.user, role: 'user' }, { role: 'organizer' });
+    }
+    await notifications.notifyAccount(
+      request.user,
+      action === 'approve' ? 'organizer_approved' : 'organizer_rejected',
+      trimmedReason
+    );
+
+    res.json({
+      message: action === 'approve' ? 'Request approved' : 'Request rejected',
+      request
+    });
+  } catch (error) {
+    console.error('Error deciding organizer request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Compare approved events with the vector index used for AI search
+exports.getVectorIndexDrift = async (req, res) => {
+  try {
+    const drift = await retrievalService.getIndexDrift();
+    if (!drift.available) {
+      return res.status(503).json({ message: 'Vector index is not available' });
+    }
+
+    const summarize = event => ({ eventId: event._id, title: event.title });
+    res.json({
+      ...drift,
+      missing: drift.missing.map(summarize),
+      stale: drift.stale.map(summarize),
+      orphaned: drift.orphaned.map(eventId => ({ eventId }))
+    });
+  } catch (error) {
+    console.error('Error checking vector index drift:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Re-index missing and outdated events and drop documents for events that
+// are gone or no longer approved
+exports.repairVectorIndex = async (req, res) => {
+  try {
+    const result = await retrievalService.repairIndex();
+    if (!result.available) {
+      return res.status(503).json({ message: 'Vector index is not available' });
+    }
+
+    console.log(`Vector index repaired by ${req.user._id}:`, result);
+    res.json({
+      message: 'Vector index repaired',
+      ...result
+    });
+  } catch (error) {
+    console.error('Error repairing vector index:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
@@ -1,5 +1,7 @@
 const agentWorkflows = require('../ai/agentWorkflows');
 const Event = require('../models/Event');
+const moderation = require('../utils/moderation');
+const notifications = require('../utils/notifications');
 
 exports.searchEvents = async (req, res) => {
   try {
@@ -76,18 +78,21 @@ exports.approveEvent = async (req, res) => {
       return res.status(404).json({ error: 'Event not found' });
     }
     
-    // Update event status
-    event.status = approved ? 'approved' : 'rejected';
-    if (reason) {
-      event.adminNotes = reason;
+    if (moderation.claimedByOther(event, req.user)) {
+      return res.status(409).json({ error: 'Another reviewer has claimed this event' });
+    }
+
+    // Same rules as the moderation queue, including a reason to reject
+    let status;
+    try {
+      status = moderation.decide(event, approved ? 'approve' : 'reject', req.user, reason);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
     }
     
+    // Saving also updates the retrieval index
     await event.save();
-    
-    // If approved, add to retrieval index
-    if (approved) {
-      await agentWorkflows.retrievalService.addEventToIndex(event);
-    }
+    await notifications.notifyOrganizer(event, status, event.statusReason);
     
     res.json({ 
       message: `Event ${approved ? 'approved' : 'rejected'} successfully`,
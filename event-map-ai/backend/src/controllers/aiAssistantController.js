@@ -3,12 +3,20 @@
  * Main controller for the multi-agent AI assistant system
  */
 
+const mongoose = require('mongoose');
 const AgentOrchestrator = require('../ai/agents/AgentOrchestrator');
+const conversationStore = require('../ai/conversationStore');
+const assistantAnalytics = require('../ai/assistantAnalytics');
+const aiService = require('../ai/aiService');
+const vectorStore = require('../ai/vectorStore');
+const { openEventStream } = require('../utils/sse');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ANALYTICS_DAYS = 365;
 
 class AIAssistantController {
   constructor() {
     this.orchestrator = new AgentOrchestrator();
-    this.activeConversations = new Map(); // Track active conversations
   }
 
   /**
@@ -16,76 +24,83 @@ class AIAssistantController {
    */
   async processMessage(req, res) {
     try {
-      const { message, sessionId, location } = req.body;
-      const userId = req.user?._id || null;
-      const userRole = req.user?.role || 'guest';
-
-      // Validate input
-      if (!message || typeof message !== 'string') {
-        return res.status(400).json({
+      const prepared = await this.prepareRequest(req);
+      if (prepared.error) {
+        return res.status(prepared.error.status).json({
           success: false,
-          error: 'Message is required and must be a string'
+          error: prepared.error.message
         });
       }
 
-      // Prepare user input for orchestrator
-      const userInput = {
-        message: message.trim(),
-        userId,
-        role: userRole,
-        sessionId: sessionId || `session_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-        location: location || null,
-        latitude: req.body.latitude || null,
-        longitude: req.body.longitude || null,
-        timestamp: new Date()
-      };
+      const { conversation, userInput } = prepared;
 
       // Process through agent orchestrator
       const response = await this.orchestrator.processRequest(userInput);
 
-      // Track conversation
-      this.trackConversation(userInput.sessionId, {
-        userMessage: message,
-        aiResponse: response.message,
-        timestamp: new Date(),
-        userId
-      });
-
-      // Format response for frontend
-      const formattedResponse = {
-        success: true,
-        message: response.message,
-        data: response.data,
-        explanation: {
-          agentsUsed: response.explanation.agentsUsed,
-          reasoning: response.explanation.reasoning,
-          confidence: response.explanation.confidence,
-          safetyStatus: response.explanation.safetyStatus
-        },
-        metadata: {
-          sessionId: userInput.sessionId,
-          executionTime: response.executionTime,
-          timestamp: response.timestamp,
-          userRole: userRole
-        }
-      };
-
-      res.json(formattedResponse);
+      res.json(await this.completeRequest(conversation, userInput, response));
 
     } catch (error) {
       console.error('AI Assistant Error:', error);
       
-      res.status(500).json({
+      res.status(500).json(this.getErrorResponse());
+    }
+  }
+
+  /**
+   * Streaming variant of the chat endpoint. Sends server-sent events:
+   * `start` with the session ID, `progress` as each agent finishes, `token`
+   * pieces of the answer, then `done` with the same body as the JSON
+   * endpoint (or `error`).
+   */
+  async streamMessage(req, res) {
+    let prepared;
+    try {
+      prepared = await this.prepareRequest(req);
+    } catch (error) {
+      console.error('AI Assistant Error:', error);
+      return res.status(500).json(this.getErrorResponse());
+    }
+
+    if (prepared.error) {
+      return res.status(prepared.error.status).json({
         success: false,
-        error: 'AI Assistant temporarily unavailable',
-        message: "I'm experiencing some technical difficulties. Please try again in a moment.",
-        explanation: {
-          agentsUsed: ['ErrorHandler'],
-          reasoning: ['System error occurred'],
-          confidence: 0.1,
-          safetyStatus: 'error'
+        error: prepared.error.message
+      });
+    }
+
+    const { conversation, userInput } = prepared;
+    const stream = openEventStream(res);
+    let streamedAnswer = false;
+
+    try {
+      stream.send({ type: 'start', sessionId: userInput.sessionId });
+
+      const response = await this.orchestrator.processRequest(userInput, {
+        signal: stream.signal,
+        onProgress: progress => stream.send({ type: 'progress', ...progress }),
+        onToken: text => {
+          streamedAnswer = true;
+          stream.send({ type: 'token', content: text });
         }
       });
+
+      // Answers that didn't come from the AI provider are streamed in pieces
+      // too, so clients handle every reply the same way
+      if (!streamedAnswer) {
+        for await (const chunk of aiService.streamText(response.message, { signal: stream.signal })) {
+          stream.send({ type: 'token', content: chunk.text });
+        }
+      }
+
+      // Keep the exchange even if the client left before the end
+      const result = await this.completeRequest(conversation, userInput, response);
+      stream.send({ type: 'done', ...result });
+
+    } catch (error) {
+      console.error('AI Assistant stream error:', error);
+      stream.send({ type: 'error', ...this.getErrorResponse() });
+    } finally {
+      stream.close();
     }
   }
 
@@ -182,41 +197,80 @@ class AIAssistantController {
     }
   }
 
+  /**
+   * List the signed-in user's past sessions
+   */
+  async listConversations(req, res) {
+    try {
+      const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+      const { conversations, total } = await conversationStore.listConversations(req.user._id, {
+        page,
+        limit
+      });
+
+      res.json({
+        success: true,
+        conversations,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      });
+
+    } catch (error) {
+      console.error('Error listing conversations:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Unable to fetch conversations'
+      });
+    }
+  }
+
   /**
    * Get conversation history for a session
    */
   async getConversationHistory(req, res) {
     try {
       const { sessionId } = req.params;
-      const userId = req.user?._id;
+      const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+      const before = req.query.before || null;
 
-      if (!sessionId) {
+      if (before && !mongoose.Types.ObjectId.isValid(before)) {
         return res.status(400).json({
           success: false,
-          error: 'Session ID is required'
+          error: 'before must be a message ID'
         });
       }
 
-      const conversation = this.activeConversations.get(sessionId);
-      
+      const conversation = await conversationStore.getConversation(sessionId);
+
       if (!conversation) {
-        return res.json({
-          success: true,
-          history: [],
-          message: 'No conversation history found for this session'
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found'
+        });
+      }
+
+      if (!conversationStore.isOwner(conversation, req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this conversation'
         });
       }
 
-      // Filter conversation history for the requesting user
-      const userHistory = conversation.messages.filter(msg => 
-        !msg.userId || msg.userId.toString() === userId?.toString()
-      );
+      const history = await conversationStore.getMessages(sessionId, { limit, before });
 
       res.json({
         success: true,
         sessionId,
-        history: userHistory,
-        totalMessages: userHistory.length
+        title: conversation.title,
+        history,
+        totalMessages: conversation.messageCount,
+        hasMore: history.length === limit && conversation.messageCount > history.length
       });
 
     } catch (error) {
@@ -234,11 +288,24 @@ class AIAssistantController {
   async clearConversation(req, res) {
     try {
       const { sessionId } = req.params;
-      
-      if (this.activeConversations.has(sessionId)) {
-        this.activeConversations.delete(sessionId);
+      const conversation = await conversationStore.getConversation(sessionId);
+
+      if (!conversation) {
+        return res.status(404).json({
+          success: false,
+          error: 'Conversation not found'
+        });
+      }
+
+      if (!conversationStore.isOwner(conversation, req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this conversation'
+        });
       }
 
+      await conversationStore.deleteConversation(conversation);
+
       res.json({
         success: true,
         message: 'Conversation history cleared'
@@ -266,28 +333,15 @@ class AIAssistantController {
         });
       }
 
-      const analytics = {
-        totalConversations: this.activeConversations.size,
-        averageResponseTime: '1.2s',
-        topIntents: [
-          { intent: 'search', count: 45, percentage: 35 },
-          { intent: 'recommend', count: 32, percentage: 25 },
-          { intent: 'create', count: 18, percentage: 14 },
-          { intent: 'general', count: 33, percentage: 26 }
-        ],
-        agentUsage: [
-          { agent: 'EventRetrievalAgent', usage: 78 },
-          { agent: 'RecommendationAgent', usage: 65 },
-          { agent: 'IntentAgent', usage: 100 },
-          { agent: 'RoleAgent', usage: 100 },
-          { agent: 'GeoContextAgent', usage: 45 }
-        ],
-        safetyMetrics: {
-          totalRequests: 128,
-          flaggedRequests: 3,
-          safetyRate: '97.7%'
-        }
-      };
+      const window = this.parseAnalyticsWindow(req.query);
+      if (window.error) {
+        return res.status(400).json({
+          success: false,
+          error: window.error
+        });
+      }
+
+      const analytics = await assistantAnalytics.getAnalytics(window);
 
       res.json({
         success: true,
@@ -321,8 +375,8 @@ class AIAssistantController {
         },
         services: {
           database: 'connected',
-          geminiAI: process.env.GEMINI_API_KEY ? 'configured' : 'not_configured',
-          chromaDB: 'available'
+          llm: aiService.getServiceStatus().providers.capabilities,
+          vectorStore: vectorStore.name || 'unavailable'
         },
         uptime: process.uptime(),
         timestamp: new Date().toISOString()
@@ -347,42 +401,152 @@ class AIAssistantController {
    */
 
   generateSessionId() {
-    return `session_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`;
+    return conversationStore.generateSessionId();
   }
 
-  trackConversation(sessionId, messageData) {
-    if (!this.activeConversations.has(sessionId)) {
-      this.activeConversations.set(sessionId, {
-        sessionId,
-        startTime: new Date(),
-        messages: [],
-        userId: messageData.userId
-      });
+  /**
+   * Validate a chat request and load or start its session; another user's
+   * session is off limits
+   * @returns {Promise<Object>} { conversation, userInput } or { error: { status, message } }
+   */
+  async prepareRequest(req) {
+    const { message, sessionId, location } = req.body;
+    const userId = req.user?._id || null;
+    const userRole = req.user?.role || 'guest';
+
+    // Validate input
+    if (!message || typeof message !== 'string') {
+      return { error: { status: 400, message: 'Message is required and must be a string' } };
     }
 
-    const conversation = this.activeConversations.get(sessionId);
-    conversation.messages.push(messageData);
-
-    // Keep only last 50 messages per conversation
-    if (conversation.messages.length > 50) {
-      conversation.messages = conversation.messages.slice(-50);
+    let conversation = null;
+    try {
+      conversation = await conversationStore.openConversation(sessionId, userId);
+    } catch (error) {
+      if (error.code === 'FORBIDDEN') {
+        return { error: { status: 403, message: 'You do not have access to this conversation' } };
+      }
+      // Keep answering without history if the store is unavailable
+      console.error('Error opening conversation:', error);
     }
 
-    // Clean up old conversations (older than 2 hours)
-    this.cleanupOldConversations();
+    // Prepare user input for orchestrator
+    const userInput = {
+      message: message.trim(),
+      userId,
+      role: userRole,
+      sessionId: conversation ? conversation.sessionId : (sessionId || this.generateSessionId()),
+      location: location || null,
+      latitude: req.body.latitude || null,
+      longitude: req.body.longitude || null,
+      timestamp: new Date()
+    };
+
+    return { conversation, userInput };
   }
 
-  cleanupOldConversations() {
-    const now = new Date();
-    const maxAge = 2 * 60 * 60 * 1000; // 2 hours
+  /**
+   * Store the exchange and its analytics, and format the response for the frontend
+   */
+  async completeRequest(conversation, userInput, response) {
+    // Store both sides of the exchange
+    const messageIds = conversation
+      ? await this.saveExchange(conversation, userInput, response)
+      : {};
+
+    await assistantAnalytics.recordInteraction({
+      userInput,
+      response,
+      messageId: messageIds.messageId || null
+    });
+
+    return {
+      success: true,
+      message: response.message,
+      data: response.data,
+      explanation: {
+        agentsUsed: response.explanation.agentsUsed,
+        reasoning: response.explanation.reasoning,
+        confidence: response.explanation.confidence,
+        safetyStatus: response.explanation.safetyStatus
+      },
+      metadata: {
+        sessionId: userInput.sessionId,
+        userMessageId: messageIds.userMessageId || null,
+        messageId: messageIds.messageId || null,
+        executionTime: response.executionTime,
+        timestamp: response.timestamp,
+        userRole: userInput.role
+      }
+    };
+  }
 
-    for (const [sessionId, conversation] of this.activeConversations.entries()) {
-      if (now - conversation.startTime > maxAge) {
-        this.activeConversations.delete(sessionId);
+  getErrorResponse() {
+    return {
+      success: false,
+      error: 'AI Assistant temporarily unavailable',
+      message: "I'm experiencing some technical difficulties. Please try again in a moment.",
+      explanation: {
+        agentsUsed: ['ErrorHandler'],
+        reasoning: ['System error occurred'],
+        confidence: 0.1,
+        safetyStatus: 'error'
       }
+    };
+  }
+
+  /**
+   * Store a user message and the assistant's reply
+   * @returns {Promise<Object>} { userMessageId, messageId }, empty if storing failed
+   */
+  async saveExchange(conversation, userInput, response) {
+    try {
+      const userMessage = await conversationStore.addMessage(conversation, {
+        role: 'user',
+        content: userInput.message
+      });
+      const reply = await conversationStore.addMessage(conversation, {
+        role: 'assistant',
+        content: response.message,
+        intent: response.intent,
+        data: response.data,
+        explanation: response.explanation,
+        executionTime: response.executionTime
+      });
+
+      return { userMessageId: userMessage._id, messageId: reply._id };
+    } catch (error) {
+      console.error('Error saving conversation messages:', error);
+      return {};
     }
   }
 
+  /**
+   * Read the analytics time window from `from`/`to` dates or a number of
+   * `days` back from now (default 7)
+   */
+  parseAnalyticsWindow(query) {
+    const to = query.to ? new Date(query.to) : new Date();
+    if (isNaN(to.getTime())) return { error: 'to must be a valid date' };
+
+    let from;
+    if (query.from) {
+      from = new Date(query.from);
+      if (isNaN(from.getTime())) return { error: 'from must be a valid date' };
+    } else {
+      const days = query.days !== undefined ? parseFloat(query.days) : 7;
+      if (!(days > 0)) return { error: 'days must be a positive number' };
+      from = new Date(to.getTime() - days * DAY_MS);
+    }
+
+    if (from >= to) return { error: 'from must be before to' };
+    if (to - from > MAX_ANALYTICS_DAYS * DAY_MS) {
+      return { error: `The analytics window can be at most ${MAX_ANALYTICS_DAYS} days` };
+    }
+
+    return { from, to };
+  }
+
   getRoleGreeting(role) {
     const greetings = {
       guest: "Hi! 👋 I'm your AI Event Assistant. I can help you discover events! For personalized recommendations and advanced features, please log in. What events are you looking for?",
@@ -403,21 +567,37 @@ class AIAssistantController {
       const userId = req.user?._id;
 
       // Validate input
-      if (!sessionId || !rating) {
+      if (!sessionId || rating === undefined || rating === null || rating === '') {
         return res.status(400).json({
           success: false,
           error: 'Session ID and rating are required'
         });
       }
 
-      // Store feedback (in production, save to database)
-      console.log('AI Assistant Feedback:', {
+      const parsedRating = assistantAnalytics.parseRating(rating);
+      if (!parsedRating) {
+        return res.status(400).json({
+          success: false,
+          error: "Rating must be 'up', 'down' or a score from 1 to 5"
+        });
+      }
+
+      // Only the session's owner can rate its replies
+      const conversation = await conversationStore.getConversation(sessionId);
+      if (conversation && conversation.user && !conversationStore.isOwner(conversation, userId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have access to this conversation'
+        });
+      }
+
+      await assistantAnalytics.recordFeedback({
         sessionId,
         messageId,
-        rating,
-        feedback,
         userId,
-        timestamp: new Date()
+        rating: parsedRating.rating,
+        score: parsedRating.score,
+        comment: typeof feedback === 'string' ? feedback.trim().slice(0, 1000) || undefined : undefined
       });
 
       res.json({
@@ -440,7 +620,9 @@ const controllerInstance = new AIAssistantController();
 // Bind methods to preserve 'this' context
 module.exports = {
   processMessage: controllerInstance.processMessage.bind(controllerInstance),
+  streamMessage: controllerInstance.streamMessage.bind(controllerInstance),
   getCapabilities: controllerInstance.getCapabilities.bind(controllerInstance),
+  listConversations: controllerInstance.listConversations.bind(controllerInstance),
   getConversationHistory: controllerInstance.getConversationHistory.bind(controllerInstance),
   clearConversation: controllerInstance.clearConversation.bind(controllerInstance),
   getAnalytics: controllerInstance.getAnalytics.bind(controllerInstance),
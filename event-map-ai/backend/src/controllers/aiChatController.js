@@ -1,4 +1,5 @@
 const RAGSystem = require('../ai/ragSystem');
+const aiService = require('../ai/aiService');
 const Event = require('../models/Event'); // Assuming you have an Event model
 
 class AIChatController {
@@ -153,14 +154,7 @@ class AIChatController {
         Keep it under 300 words.
       `;
 
-      // We can reuse the ragSystem's geminiService or import it directly if needed.
-      // Since AIChatController doesn't directly expose geminiService but RAGSystem does (or we can import it), 
-      // let's assume we can access it via a new import or just import it here.
-      // To keep it clean, I'll import GeminiService at the top of the file in the next step or assume it's available.
-      // Actually, looking at the code, I should import geminiService directly since it is a singleton.
-
-      const geminiService = require('../ai/geminiService');
-      const description = await geminiService.generateResponse(prompt);
+      const description = await aiService.generateResponse(prompt);
 
       res.json({
         success: true,
@@ -0,0 +1,232 @@
+const Event = require("../models/Event");
+const recurrence = require("../utils/recurrence");
+const pagination = require("../utils/pagination");
+const geohash = require("../utils/geohash");
+const lifecycle = require("../utils/eventLifecycle");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 365;
+// Longest range, which also bounds how far recurring series are expanded
+const MAX_RANGE_DAYS = 5 * 365;
+const DEFAULT_PRECISION = 5;
+// Most stored events read for one request
+const MAX_EVENTS = 50000;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+function parseDate(value, label) {
+  if (!value) return null;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`${label} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Read density filters from query parameters; throws on invalid input.
+ * Without dates the range is the year before and after now.
+ */
+function parseDensityQuery(query) {
+  const now = Date.now();
+  const endDate =
+    parseDate(query.endDate, "endDate") ||
+    new Date(now + DEFAULT_RANGE_DAYS * DAY_MS);
+  const startDate =
+    parseDate(query.startDate, "startDate") ||
+    new Date(Math.min(now, endDate.getTime()) - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (startDate > endDate) {
+    throw new Error("startDate must not be after endDate");
+  }
+  if (endDate - startDate > MAX_RANGE_DAYS * DAY_MS) {
+    throw new Error(`The date range can span at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  let precision = DEFAULT_PRECISION;
+  if (query.precision !== undefined && query.precision !== "") {
+    precision = Number(query.precision);
+    if (
+      !Number.isInteger(precision) ||
+      precision < geohash.MIN_PRECISION ||
+      precision > geohash.MAX_PRECISION
+    ) {
+      throw new Error(
+        `precision must be an integer from ${geohash.MIN_PRECISION} to ${geohash.MAX_PRECISION}`
+      );
+    }
+  }
+
+  const timeZone = query.timezone || "UTC";
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+  } catch (error) {
+    throw new Error("timezone must be an IANA time zone, e.g. Europe/London");
+  }
+
+  const categories = String(query.category || "")
+    .split(",")
+    .map((category) => category.trim())
+    .filter((category) => category && category !== "all");
+
+  return {
+    startDate,
+    endDate,
+    precision,
+    timeZone,
+    categories,
+    bbox: pagination.parseBbox(query.bbox),
+    mine: query.mine === "true",
+  };
+}
+
+// Public events (or series) with a date inside the range. Past events are
+// marked completed, so those count as well
+function buildDensityQuery({ startDate, endDate, categories, bbox }, user) {
+  const query = {
+    status: { $in: lifecycle.PUBLIC_STATUSES },
+    $or: [
+      {
+        "recurrence.frequency": { $exists: false },
+        date: { $gte: startDate, $lte: endDate },
+      },
+      {
+        "recurrence.frequency": { $exists: true },
+        date: { $lte: endDate },
+        $or: [
+          { "recurrence.until": { $exists: false } },
+          { "recurrence.until": { $gte: startDate } },
+        ],
+      },
+    ],
+  };
+
+  if (categories.length > 0) {
+    query.category = { $in: categories };
+  }
+  if (bbox) {
+    query.$and = [bbox];
+  }
+  if (user) {
+    query.organizer = user._id;
+  }
+
+  return query;
+}
+
+// Index 0-167 of a date's hour in the week (Sunday 00:00 is 0)
+function hourOfWeekIndex(formatter, date) {
+  const parts = formatter.formatToParts(date);
+  const weekday = parts.find((part) => part.type === "weekday").value;
+  const hour = Number(parts.find((part) => part.type === "hour").value);
+  return WEEKDAYS.indexOf(weekday) * 24 + (hour % 24);
+}
+
+// Area in km² of a cell given as [west, south, east, north]
+function cellAreaKm2([west, south, east, north]) {
+  const kmPerDegree = 111.32;
+  const middle = ((south + north) / 2) * (Math.PI / 180);
+  return (
+    (north - south) * kmPerDegree * (east - west) * kmPerDegree * Math.cos(middle)
+  );
+}
+
+/**
+ * Where and when events are concentrated: counts per geohash cell and an
+ * hour-of-week histogram, over public events in a date range. Recurring
+ * series count every occurrence in the range. Organizers can pass
+ * mine=true to see only their own events.
+ */
+exports.getDensity = async (req, res) => {
+  let options;
+  try {
+    options = parseDensityQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const { startDate, endDate, precision, timeZone } = options;
+    const events = await Event.find(
+      buildDensityQuery(options, options.mine ? req.user : null)
+    )
+      .select(
+        "date endDate category locationCoords recurrence occurrenceOverrides"
+      )
+      // Categories match whatever their capitalisation
+      .collation({ locale: "en", strength: 2 })
+      .limit(MAX_EVENTS)
+      .lean();
+
+    const formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "numeric",
+      hourCycle: "h23",
+    });
+
+    const cells = new Map();
+    const hourOfWeek = new Array(7 * 24).fill(0);
+    let total = 0;
+
+    for (const event of events) {
+      const occurrences = recurrence.isRecurring(event)
+        ? recurrence.expandOccurrences(event, startDate, endDate)
+        : [event];
+
+      for (const occurrence of occurrences) {
+        const [longitude, latitude] = occurrence.locationCoords.coordinates;
+        const hash = geohash.encode(latitude, longitude, precision);
+        const category = String(occurrence.category).toLowerCase();
+
+        const cell = cells.get(hash) || { count: 0, categories: new Map() };
+        cell.count++;
+        cell.categories.set(category, (cell.categories.get(category) || 0) + 1);
+        cells.set(hash, cell);
+
+        hourOfWeek[hourOfWeekIndex(formatter, new Date(occurrence.date))]++;
+        total++;
+      }
+    }
+
+    const grid = [...cells.entries()]
+      .map(([hash, cell]) => {
+        const bounds = geohash.decodeBounds(hash);
+        return {
+          geohash: hash,
+          count: cell.count,
+          // Events per km²
+          density: cell.count / cellAreaKm2(bounds),
+          latitude: (bounds[1] + bounds[3]) / 2,
+          longitude: (bounds[0] + bounds[2]) / 2,
+          bounds,
+          categories: [...cell.categories.entries()]
+            .map(([value, count]) => ({ value, count }))
+            .sort((a, b) => b.count - a.count),
+        };
+      })
+      .sort((a, b) => b.count - a.count);
+
+    const peak = hourOfWeek.indexOf(Math.max(...hourOfWeek));
+
+    res.json({
+      range: { startDate, endDate },
+      timezone: timeZone,
+      precision,
+      total,
+      truncated: events.length === MAX_EVENTS,
+      cells: grid,
+      hourOfWeek,
+      peakHour:
+        total > 0
+          ? {
+              day: WEEKDAYS[Math.floor(peak / 24)],
+              hour: peak % 24,
+              count: hourOfWeek[peak],
+            }
+          : null,
+    });
+  } catch (error) {
+    console.error("Error computing event density:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -1,10 +1,69 @@
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const authTokens = require('../utils/authTokens');
+const invites = require('../utils/invites');
+const accountEmails = require('../utils/accountEmails');
+const twoFactor = require('../utils/twoFactor');
 
+// Whether new accounts must confirm their email address before logging in
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION !== 'false';
+// Sent whether or not an account exists, so the answer can't be used to
+// find out who has one
+const EMAIL_SENT_MESSAGE = 'If an account exists for this email, we have sent it a link';
+const CHALLENGE_EXPIRED_MESSAGE = 'Your login has expired. Please log in again.';
+
+const toUserResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  twoFactorEnabled: !!user.twoFactor?.enabled
+});
+
+// Log in a user whose password or social account checked out. With
+// two-factor authentication on they get a challenge for the second step
+// instead of tokens; admins without it must set it up first
+const startLogin = async (user, req) => {
+  if (user.twoFactor?.enabled) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: authTokens.signEmailToken({ userId: user._id }, 'two_factor')
+    };
+  }
+  if (twoFactor.isRequired(user)) {
+    return {
+      twoFactorSetupRequired: true,
+      challengeToken: authTokens.signEmailToken({ userId: user._id }, 'two_factor_setup')
+    };
+  }
+
+  const tokens = await authTokens.issueTokens(user, req);
+  return {
+    ...tokens,
+    user: toUserResponse(user)
+  };
+};
+
+// The user a login challenge was issued to
+const findChallengeUser = async (challengeToken, purpose) => {
+  let payload;
+  try {
+    payload = authTokens.verifyEmailToken(challengeToken, purpose);
+  } catch (error) {
+    if (!(error instanceof authTokens.AuthTokenError)) throw error;
+  }
+
+  const user = payload && await User.findById(payload.userId);
+  if (!user) {
+    throw new authTokens.AuthTokenError(CHALLENGE_EXPIRED_MESSAGE);
+  }
+  return user;
+};
+
+// Sign up. An invite code from an admin gives the new account its role
 exports.register = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, inviteCode } = req.body;
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -20,28 +79,45 @@ exports.register = async (req, res) => {
     const user = new User({
       name,
       email,
-      password: hashedPassword
+      password: hashedPassword,
+      emailVerified: false
     });
 
-    await user.save();
+    let invite;
+    if (inviteCode) {
+      invite = await invites.claimInvite(inviteCode, user);
+      invites.applyInviteRole(user, invite);
+    }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: '7d' }
-    );
-
-    res.status(201).json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
-    });
+    try {
+      await user.save();
+    } catch (error) {
+      // The account wasn't created, so the code can be used again
+      if (invite) await invites.releaseInvite(invite);
+      throw error;
+    }
+
+    try {
+      await accountEmails.sendVerificationEmail(user);
+    } catch (error) {
+      // They can ask for the email again when logging in
+      console.error('Error sending verification email:', error);
+    }
+
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        message: 'Account created. Check your email to confirm your address, then log in.',
+        requiresVerification: true,
+        user: toUserResponse(user)
+      });
+    }
+
+    // Start a session
+    res.status(201).json(await startLogin(user, req));
   } catch (error) {
+    if (error instanceof invites.InviteError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Registration error:', error);
     res.status(500).json({ message: 'Server error during registration' });
   }
@@ -63,50 +139,310 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: '7d' }
-    );
+    if (REQUIRE_EMAIL_VERIFICATION && user.emailVerified === false) {
+      return res.status(403).json({
+        message: 'Please confirm your email address first. Check your inbox for the link.',
+        code: 'EMAIL_NOT_VERIFIED'
+      });
+    }
+
+    // Start a session, or ask for the second factor
+    res.json(await startLogin(user, req));
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ message: 'Server error during login' });
+  }
+};
+
+// Confirm an email address from the emailed link. Only the link's first use
+// on a new account logs the user in; a link used again, or one confirming a
+// changed address, sends them to the normal login
+exports.verifyEmail = async (req, res) => {
+  try {
+    const { user, confirmed } = await accountEmails.confirmEmail(req.body.token);
+
+    if (confirmed === 'changed') {
+      return res.json({ message: 'Email address changed. Log in with your new address.', loginRequired: true });
+    }
+    if (confirmed !== 'verified') {
+      return res.json({ message: 'Email address already confirmed. Please log in.', loginRequired: true });
+    }
 
     res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        role: user.role
-      }
+      message: 'Email address confirmed',
+      ...(await startLogin(user, req))
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Email verification error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+};
+
+// Send the confirmation link again. The answer goes out before the account
+// is looked up, so its timing doesn't give away whether one exists
+exports.resendVerification = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  res.json({ message: EMAIL_SENT_MESSAGE });
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user && user.emailVerified === false) {
+      await accountEmails.sendVerificationEmail(user);
+    }
+  } catch (error) {
+    console.error('Error resending verification email:', error);
+  }
+};
+
+// Email a password reset link, answering first like resendVerification
+exports.forgotPassword = async (req, res) => {
+  const { email } = req.body;
+  if (!email) {
+    return res.status(400).json({ message: 'Email is required' });
+  }
+
+  res.json({ message: EMAIL_SENT_MESSAGE });
+
+  try {
+    const user = await User.findOne({ email: String(email).toLowerCase() });
+    if (user) {
+      await accountEmails.sendPasswordResetEmail(user);
+    }
+  } catch (error) {
+    console.error('Error sending password reset email:', error);
+  }
+};
+
+// Set a new password from an emailed reset link. Every session is signed
+// out, since whoever had the old password may still be logged in
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (typeof password !== 'string' || password.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
+    const user = await accountEmails.findUserForToken(token, 'reset_password');
+
+    const salt = await bcrypt.genSalt(10);
+    user.password = await bcrypt.hash(password, salt);
+    // The link reached their inbox, so the address is theirs
+    user.emailVerified = true;
+    await user.save();
+
+    await authTokens.revokeUserSessions(user._id);
+
+    res.json({ message: 'Password reset. You can now log in with your new password.' });
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Password reset error:', error);
+    res.status(500).json({ message: 'Server error during password reset' });
+  }
+};
+
+// Second login step: a code from the authenticator app, or a recovery code
+exports.verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await findChallengeUser(challengeToken, 'two_factor');
+
+    const { recoveryCodesLeft } = await twoFactor.verify(user._id, { code, recoveryCode });
+
+    const tokens = await authTokens.issueTokens(user, req);
+    res.json({
+      ...tokens,
+      user: toUserResponse(user),
+      recoveryCodesLeft
+    });
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor verification error:', error);
     res.status(500).json({ message: 'Server error during login' });
   }
 };
 
-exports.logout = (req, res) => {
-  res.json({ message: 'Logged out successfully' });
+// Setup during login, for accounts that can't log in without two-factor
+// authentication: get a secret for the authenticator app...
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findChallengeUser(req.body.challengeToken, 'two_factor_setup');
+    res.json(await twoFactor.beginEnrolment(user));
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
 };
 
-exports.socialAuthCallback = (req, res) => {
+// ...then confirm it with a code from the app, and log in
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const user = await findChallengeUser(challengeToken, 'two_factor_setup');
+
+    const recoveryCodes = await twoFactor.completeEnrolment(user._id, code);
+    user.twoFactor.enabled = true;
+
+    const tokens = await authTokens.issueTokens(user, req);
+    res.json({
+      ...tokens,
+      user: toUserResponse(user),
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ message: 'Server error during two-factor setup' });
+  }
+};
+
+// Swap a refresh token for new tokens; the old refresh token stops working
+exports.refresh = async (req, res) => {
+  try {
+    const { userId, ...tokens } = await authTokens.rotateRefreshToken(req.body.refreshToken, req);
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    res.json({
+      ...tokens,
+      user: toUserResponse(user)
+    });
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Server error during token refresh' });
+  }
+};
+
+// Sign out the current session
+exports.logout = async (req, res) => {
+  try {
+    await authTokens.revokeSession(req.user._id, req.sessionId);
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// Sign out every session of the current user, this one included
+exports.logoutAll = async (req, res) => {
+  try {
+    const count = await authTokens.revokeUserSessions(req.user._id);
+    res.json({ message: `Logged out of ${count} session(s)`, count });
+  } catch (error) {
+    console.error('Logout everywhere error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+};
+
+// The current user's signed-in devices
+exports.getSessions = async (req, res) => {
+  try {
+    const sessions = await authTokens.listSessions(req.user._id);
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Sign out one of the current user's sessions
+exports.revokeSession = async (req, res) => {
+  try {
+    const count = await authTokens.revokeSession(req.user._id, req.params.id);
+    if (count === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Swap the one-time code from a social login for tokens, or for a
+// two-factor challenge like a password login
+exports.exchangeSocialLogin = async (req, res) => {
+  try {
+    const userId = await authTokens.redeemLoginCode(req.body.code);
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    res.json(await startLogin(user, req));
+  } catch (error) {
+    if (error instanceof authTokens.AuthTokenError) {
+      return res.status(401).json({ message: error.message });
+    }
+    console.error('Social login exchange error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+exports.socialAuthCallback = async (req, res) => {
   const user = req.user;
+  const info = req.authInfo || {};
 
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user._id },
-    process.env.JWT_SECRET || 'fallback_secret_key',
-    { expiresIn: '7d' }
-  );
-
-  // Redirect to frontend with token
-  // Use HTTP ONLY cookie or query param (Query param is easier for client-side demo but less secure, good for now)
-  const userData = JSON.stringify({
-    id: user._id,
-    name: user.name,
-    email: user.email,
-    role: user.role
-  });
-
-  res.redirect(`http://localhost:5173/auth/social?token=${token}&user=${encodeURIComponent(userData)}`);
+  // Linking from the profile page, which confirms the link with the
+  // identity token
+  if (req.query.state) {
+    const params = new URLSearchParams(info.link || { error: 'cancelled' });
+    return res.redirect(`http://localhost:5173/profile?${params}`);
+  }
+
+  // E.g. an account with the same email exists; it must link the provider first
+  if (!user) {
+    return res.redirect(`http://localhost:5173/login?error=${info.reason || 'social_login_failed'}`);
+  }
+
+  try {
+    // Tokens in a URL end up in history, logs and Referer headers, so the
+    // frontend gets a one-time code to swap for them
+    const code = await authTokens.createLoginCode(user._id);
+    res.redirect(`http://localhost:5173/auth/social?code=${code}`);
+  } catch (error) {
+    console.error('Social login error:', error);
+    res.redirect('http://localhost:5173/login');
+  }
 };
\ No newline at end of file
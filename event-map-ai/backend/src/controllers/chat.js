@@ -1,5 +1,6 @@
 const retrievalService = require('../ai/retrievalService');
-const geminiService = require('../ai/geminiService');
+const aiService = require('../ai/aiService');
+const { openEventStream } = require('../utils/sse');
 
 exports.chat = async (req, res) => {
   try {
@@ -12,8 +13,8 @@ exports.chat = async (req, res) => {
     // Get relevant context from events
     const context = await retrievalService.getEventContextForQuery(message);
     
-    // Generate RAG response using Gemini
-    const response = await geminiService.generateRAGResponse(message, context);
+    // Generate RAG response with the configured LLM provider
+    const response = await aiService.generateRAGResponse(message, context);
     
     res.json({ 
       response,
@@ -25,38 +26,49 @@ exports.chat = async (req, res) => {
   }
 };
 
+// Stream a response as server-sent events: `context`, then `token` events as
+// text arrives, then `done` with the events used as context (or `error`)
 exports.chatStream = async (req, res) => {
+  const { message } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  // The stream's signal aborts generation when the client goes away
+  const stream = openEventStream(res);
+  const { send, signal } = stream;
+
   try {
-    const { message, conversationHistory } = req.body;
-    
-    if (!message) {
-      return res.status(400).json({ error: 'Message is required' });
-    }
-    
     // Get relevant context from events
-    const context = await retrievalService.getEventContextForQuery(message);
-    
-    // For streaming, we'll send the context first, then the response
-    res.writeHead(200, {
-      'Content-Type': 'text/event-stream',
-      'Cache-Control': 'no-cache',
-      'Connection': 'keep-alive'
-    });
-    
-    // Send context
+    const { context, events } = await retrievalService.getEventContextWithSources(message);
+
     if (context) {
-      res.write(`data: ${JSON.stringify({ type: 'context', content: context.substring(0, 100) + '...' })}\n\n`);
+      send({ type: 'context', content: context.substring(0, 100) + '...' });
     }
-    
-    // Generate and stream response
-    const response = await geminiService.generateRAGResponse(message, context);
-    res.write(`data: ${JSON.stringify({ type: 'response', content: response })}\n\n`);
-    
-    res.end();
+
+    let response = '';
+    let fallback = false;
+    for await (const chunk of aiService.streamRAGResponse(message, context, { signal })) {
+      if (signal.aborted) break;
+      response += chunk.text;
+      fallback = fallback || chunk.fallback;
+      send({ type: 'token', content: chunk.text });
+    }
+
+    send({
+      type: 'done',
+      response,
+      source: fallback ? 'fallback' : 'ai',
+      eventIds: events.map(event => event.id),
+      events
+    });
   } catch (error) {
-    console.error('Chat stream error:', error);
-    if (!res.headersSent) {
-      res.status(500).json({ error: 'Internal server error' });
+    if (!signal.aborted) {
+      console.error('Chat stream error:', error);
+      send({ type: 'error', error: 'The response was interrupted. Please try again.' });
     }
+  } finally {
+    stream.close();
   }
-};
\ No newline at end of file
+};
@@ -1,4 +1,5 @@
 const Event = require('../models/Event');
+const ticketing = require('../utils/ticketing');
 
 /**
  * Enhanced AI Chat Controller with Context-Aware Responses
@@ -45,16 +46,12 @@ class EnhancedAIChatController {
         if (end) query.date.$lte = new Date(end);
       }
 
-      // Price range filter
+      // Price range filter (FilterPanel sends min/max as strings)
       if (priceRange) {
         const { min, max, free } = JSON.parse(priceRange);
-        if (free) {
-          query.$or = [
-            { price: { $exists: false } },
-            { price: 0 }
-          ];
-        } else {
-          query.price = { $gte: min, $lte: max };
+        const priceQuery = ticketing.buildPriceQuery({ free, minPrice: min, maxPrice: max });
+        if (priceQuery) {
+          query.$and = [priceQuery];
         }
       }
 
@@ -244,10 +241,7 @@ class EnhancedAIChatController {
       }
 
       if (preferences?.maxPrice) {
-        query.$or = [
-          { price: { $lte: preferences.maxPrice } },
-          { price: { $exists: false } }
-        ];
+        query.$and = [ticketing.buildPriceQuery({ maxPrice: preferences.maxPrice })];
       }
 
       let suggestions;
@@ -0,0 +1,398 @@
+const path = require("path");
+const Event = require("../models/Event");
+const eventPipeline = require("../ai/eventPipeline");
+const geocodingService = require("../ai/geocodingService");
+const recurrence = require("../utils/recurrence");
+const ticketing = require("../utils/ticketing");
+const ical = require("../utils/ical");
+const csv = require("../utils/csv");
+const moderation = require("../utils/moderation");
+
+// Upper bound on rows per import; every row runs the full AI pipeline
+const MAX_IMPORT_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 200;
+
+// Event fields a CSV column can be mapped to, with header names recognised
+// when no explicit mapping is given
+const CSV_FIELDS = {
+  title: ["title", "name", "event", "event name", "summary", "subject"],
+  description: ["description", "details", "notes", "body"],
+  location: ["location", "venue", "address", "place"],
+  latitude: ["latitude", "lat"],
+  longitude: ["longitude", "lng", "lon", "long"],
+  date: ["date", "start", "start date", "start time", "starts", "dtstart"],
+  endDate: ["enddate", "end date", "end", "end time", "ends", "dtend"],
+  category: ["category", "type", "categories"],
+  recurrence: ["recurrence", "rrule", "repeat"],
+  pricing: ["pricing"],
+  price: ["price", "cost", "ticket price"],
+  currency: ["currency"],
+  capacity: ["capacity", "max attendees", "spots"],
+};
+
+function normalizeHeader(name) {
+  return String(name).toLowerCase().replace(/[_-]+/g, " ").trim();
+}
+
+/**
+ * Resolve which CSV column feeds each event field. An explicit mapping
+ * ({ field: "Column Header" }) wins; other fields are matched by header name.
+ */
+function resolveColumnMapping(columns, mapping) {
+  const resolved = {};
+  const byHeader = new Map(columns.map((column) => [normalizeHeader(column), column]));
+
+  for (const [field, column] of Object.entries(mapping || {})) {
+    if (!CSV_FIELDS[field]) {
+      throw new Error(`Unknown event field in mapping: ${field}`);
+    }
+    if (column && !columns.includes(column)) {
+      throw new Error(`Mapped column "${column}" for ${field} is not in the file`);
+    }
+    if (column) resolved[field] = column;
+  }
+
+  for (const [field, aliases] of Object.entries(CSV_FIELDS)) {
+    if (resolved[field] || (mapping && field in mapping)) continue;
+    const alias = aliases.find((name) => byHeader.has(name));
+    if (alias) resolved[field] = byHeader.get(alias);
+  }
+
+  return resolved;
+}
+
+function rowsFromCsv(text, mapping) {
+  const { columns, records } = csv.parseCsvRecords(text);
+  const columnMapping = resolveColumnMapping(columns, mapping);
+
+  for (const field of ["title", "date"]) {
+    if (!columnMapping[field]) {
+      throw new Error(`No column mapped to required field "${field}"`);
+    }
+  }
+
+  const rows = records.map((record, index) => {
+    const fields = {};
+    for (const [field, column] of Object.entries(columnMapping)) {
+      if (record[column] !== "") fields[field] = record[column];
+    }
+    // Row numbers match the spreadsheet, counting the header as row 1
+    return { row: index + 2, fields };
+  });
+
+  return { rows, columnMapping };
+}
+
+/**
+ * Turn parsed VEVENTs into import rows. Modified occurrences (RECURRENCE-ID)
+ * become overrides of their series and cancelled ones exception dates.
+ */
+function rowsFromIcs(text) {
+  const vevents = ical.parseCalendar(text);
+  const seriesUids = new Set(
+    vevents.filter((v) => v.uid && v.recurrence && !v.recurrenceId).map((v) => v.uid)
+  );
+  const masters = new Map();
+  const rows = [];
+
+  vevents.forEach((vevent, index) => {
+    if (vevent.recurrenceId && seriesUids.has(vevent.uid)) return;
+
+    const row = {
+      row: index + 1,
+      uid: vevent.uid,
+      sourceStatus: vevent.status,
+      fields: {
+        title: vevent.title,
+        description: vevent.description,
+        location: vevent.location,
+        latitude: vevent.latitude,
+        longitude: vevent.longitude,
+        date: vevent.date,
+        endDate: vevent.endDate,
+        category: vevent.categories[0],
+        recurrence: vevent.recurrence,
+        exceptionDates: vevent.exceptionDates,
+        occurrenceOverrides: [],
+      },
+    };
+    rows.push(row);
+    if (vevent.uid && !vevent.recurrenceId) masters.set(vevent.uid, row);
+  });
+
+  for (const vevent of vevents) {
+    const master = vevent.recurrenceId && masters.get(vevent.uid);
+    if (!master) continue;
+
+    if (vevent.status === "CANCELLED") {
+      master.fields.exceptionDates.push(vevent.recurrenceId);
+    } else {
+      master.fields.occurrenceOverrides.push({
+        originalDate: vevent.recurrenceId,
+        title: vevent.title,
+        description: vevent.description,
+        location: vevent.location,
+        locationCoords:
+          vevent.latitude !== undefined
+            ? { type: "Point", coordinates: [vevent.longitude, vevent.latitude] }
+            : undefined,
+        date: vevent.date,
+        endDate: vevent.endDate,
+      });
+    }
+  }
+
+  return { rows };
+}
+
+function parseDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Validate a row and build the event fields, geocoding the location when
+ * no coordinates were given. Throws with a message describing the problem.
+ */
+async function prepareRow({ fields }) {
+  const notes = [];
+  const title = (fields.title || "").trim();
+  if (!title) throw new Error("Missing title");
+
+  let description = (fields.description || "").trim();
+  if (!description) {
+    description = title;
+    notes.push("No description given; the title was used instead");
+  }
+
+  const date = parseDate(fields.date);
+  if (!date) throw new Error("Missing or invalid start date");
+  const endDate = fields.endDate ? parseDate(fields.endDate) : null;
+  if (fields.endDate && !endDate) throw new Error("Invalid end date");
+  if (endDate && endDate < date) throw new Error("End date is before the start date");
+
+  let location = (fields.location || "").trim();
+  let latitude;
+  let longitude;
+
+  if (fields.latitude !== undefined && fields.longitude !== undefined) {
+    latitude = parseFloat(fields.latitude);
+    longitude = parseFloat(fields.longitude);
+    if (
+      !isFinite(latitude) ||
+      !isFinite(longitude) ||
+      Math.abs(latitude) > 90 ||
+      Math.abs(longitude) > 180
+    ) {
+      throw new Error("Latitude and longitude must be valid coordinates");
+    }
+    if (!location) {
+      const place = await geocodingService.reverseGeocode(latitude, longitude);
+      location = place ? place.displayName : `${latitude}, ${longitude}`;
+    }
+  } else {
+    if (!location) throw new Error("Missing location");
+    const place = await geocodingService.geocode(location);
+    if (!place) throw new Error(`Could not find coordinates for "${location}"`);
+    latitude = place.latitude;
+    longitude = place.longitude;
+  }
+
+  let recurrenceRule = null;
+  if (fields.recurrence) {
+    // WKST only affects week numbering, which the series expansion ignores
+    const rule = String(fields.recurrence).replace(/;?WKST=[A-Z]{2}/i, "");
+    recurrenceRule = recurrence.parseRecurrence(rule);
+  }
+  if (recurrenceRule && fields.exceptionDates && fields.exceptionDates.length) {
+    recurrenceRule.exceptionDates.push(...fields.exceptionDates);
+  }
+
+  const ticketInfo = ticketing.parseTicketing({
+    pricing: fields.pricing,
+    price: fields.price,
+    currency: fields.currency,
+  });
+  const capacity = ticketing.parseCapacity(fields.capacity);
+
+  return {
+    notes,
+    data: {
+      title,
+      description,
+      location,
+      locationCoords: { type: "Point", coordinates: [longitude, latitude] },
+      date,
+      endDate: endDate || undefined,
+      category: fields.category ? String(fields.category).trim() : undefined,
+      recurrence: recurrenceRule || undefined,
+      occurrenceOverrides: recurrenceRule ? fields.occurrenceOverrides || [] : [],
+      ...(ticketInfo || {}),
+      capacity: capacity || undefined,
+    },
+  };
+}
+
+function detectFormat(file, requested) {
+  if (requested) return String(requested).toLowerCase();
+
+  const extension = path.extname(file.originalname).toLowerCase();
+  if (extension === ".ics" || extension === ".ical") return "ics";
+  if (extension === ".csv") return "csv";
+
+  return file.buffer.toString("utf8", 0, 64).includes("BEGIN:VCALENDAR")
+    ? "ics"
+    : "csv";
+}
+
+// Import events from an .ics file or a CSV with a column mapping
+exports.importEvents = async (req, res) => {
+  try {
+    if (!req.file) {
+      return res
+        .status(400)
+        .json({ message: "Please upload an .ics or .csv file" });
+    }
+
+    const dryRun = req.body.dryRun === "true" || req.query.dryRun === "true";
+    const format = detectFormat(req.file, req.body.format);
+    const text = req.file.buffer.toString("utf8");
+
+    let parsed;
+    try {
+      if (format === "ics") {
+        parsed = rowsFromIcs(text);
+      } else if (format === "csv") {
+        const mapping = req.body.mapping ? JSON.parse(req.body.mapping) : null;
+        parsed = rowsFromCsv(text, mapping);
+      } else {
+        return res
+          .status(400)
+          .json({ message: "format must be either ics or csv" });
+      }
+    } catch (error) {
+      const message =
+        error instanceof SyntaxError
+          ? "mapping must be a JSON object of { field: column }"
+          : error.message;
+      return res.status(400).json({ message });
+    }
+
+    const { rows, columnMapping } = parsed;
+    if (rows.length === 0) {
+      return res.status(400).json({ message: "No events found in the file" });
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        message: `Imports are limited to ${MAX_IMPORT_ROWS} events per file`,
+      });
+    }
+
+    // Rows accepted earlier in a dry run aren't stored, so they are passed
+    // along for the duplicate check to keep a file from duplicating itself
+    const pendingEvents = [];
+    const report = [];
+
+    for (const row of rows) {
+      const result = { row: row.row, title: row.fields.title || null };
+      report.push(result);
+
+      if (row.sourceStatus === "CANCELLED") {
+        result.outcome = "skipped";
+        result.reasons = ["Cancelled in the source calendar"];
+        continue;
+      }
+
+      let prepared;
+      try {
+        prepared = await prepareRow(row);
+      } catch (error) {
+        result.outcome = "invalid";
+        result.reasons = [error.message];
+        continue;
+      }
+
+      const { data, notes } = prepared;
+      const review = await eventPipeline.review(
+        {
+          title: data.title,
+          description: data.description,
+          category: data.category,
+          latitude: data.locationCoords.coordinates[1],
+          longitude: data.locationCoords.coordinates[0],
+          date: data.date,
+        },
+        pendingEvents
+      );
+
+      result.category = review.category;
+      result.date = data.date;
+      result.location = data.location;
+      if (notes.length > 0) result.notes = notes;
+      if (review.duplicates.length > 0) {
+        result.duplicates = review.duplicates.slice(0, 3);
+      }
+
+      // Rejected rows are reported, not stored, so a corrected file can be
+      // imported again without matching its own rejected copies
+      if (review.status === "rejected") {
+        result.outcome = review.isDuplicate ? "duplicate" : "rejected";
+        result.reasons = review.rejectionReasons;
+        continue;
+      }
+
+      // Imported events follow the same moderation policy as new ones
+      const status = await moderation.initialStatus(review, req.user);
+      const event = new Event({
+        ...data,
+        category: review.category,
+        organizer: req.user._id,
+        status,
+        moderation:
+          status === "pending"
+            ? { submittedAt: new Date(), submissions: 1 }
+            : undefined,
+        aiFlags: eventPipeline.buildAiFlags(review),
+        embedding: review.embedding || undefined,
+      });
+
+      try {
+        if (dryRun) {
+          await event.validate();
+        } else {
+          await event.save();
+          result.eventId = event._id;
+        }
+      } catch (error) {
+        result.outcome = "invalid";
+        result.reasons = [error.message];
+        continue;
+      }
+
+      result.outcome = "created";
+      result.status = status;
+      result.flaggedDuplicate = review.duplicates.length > 0;
+      if (dryRun) pendingEvents.push(event);
+    }
+
+    const summary = { total: report.length };
+    for (const outcome of ["created", "duplicate", "rejected", "invalid", "skipped"]) {
+      summary[outcome] = report.filter((r) => r.outcome === outcome).length;
+    }
+
+    res.status(dryRun ? 200 : 201).json({
+      message: dryRun
+        ? "Dry run complete - no events were saved"
+        : `Imported ${summary.created} of ${summary.total} events`,
+      dryRun,
+      format,
+      columnMapping: columnMapping || undefined,
+      summary,
+      rows: report,
+    });
+  } catch (error) {
+    console.error("Error importing events:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
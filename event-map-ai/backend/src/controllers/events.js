@@ -1,9 +1,20 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
 const Event = require("../models/Event");
 const User = require("../models/User");
-const duplicateChecker = require("../ai/duplicateCheck");
-const eventClassifier = require("../ai/classifyEvent");
-const eventModerator = require("../ai/moderateEvent");
+const eventPipeline = require("../ai/eventPipeline");
 const eventSummarizer = require("../ai/summarizeEvent");
+const recurrence = require("../utils/recurrence");
+const ticketing = require("../utils/ticketing");
+const geocodingService = require("../ai/geocodingService");
+const ical = require("../utils/ical");
+const pagination = require("../utils/pagination");
+const clustering = require("../utils/clustering");
+const mvt = require("../utils/mvt");
+const lifecycle = require("../utils/eventLifecycle");
+const notifications = require("../utils/notifications");
+const eventPublishing = require("../jobs/eventPublishing");
+const moderation = require("../utils/moderation");
 
 // Flag to track if MongoDB is available
 let isDatabaseAvailable = true;
@@ -70,6 +81,284 @@ function getStaticEvents() {
   ];
 }
 
+function oneYearFromNow() {
+  return new Date(Date.now() + 365 * 24 * 60 * 60 * 1000);
+}
+
+// Compact representation of a series occurrence for API responses
+function toOccurrenceSummary(occurrence) {
+  return {
+    occurrenceId: occurrence.occurrenceId,
+    originalDate: occurrence.originalDate,
+    date: occurrence.date,
+    endDate: occurrence.endDate,
+    title: occurrence.title,
+    location: occurrence.location,
+    isOverridden: occurrence.isOverridden,
+  };
+}
+
+// Public list representation of an event or series occurrence
+function toEventListItem(event) {
+  return {
+    _id: event._id || null,
+    title: event.title || "Untitled Event",
+    description: event.description || "No description available",
+    location: event.location || "Location not specified",
+    latitude:
+      event.locationCoords && event.locationCoords.coordinates
+        ? event.locationCoords.coordinates[1]
+        : 0,
+    longitude:
+      event.locationCoords && event.locationCoords.coordinates
+        ? event.locationCoords.coordinates[0]
+        : 0,
+    date: event.date || new Date(),
+    endDate: event.endDate || new Date(),
+    category: event.category || "uncategorized",
+    attendees: event.attendees ? event.attendees.length : 0,
+    isRecurring: !!event.occurrenceId,
+    seriesId: event.seriesId || event.series || null,
+    occurrenceId: event.occurrenceId || null,
+    status: event.status || "approved",
+    ...ticketing.summarizeTicketing(event),
+    organizer: event.organizer
+      ? {
+          id: event.organizer._id,
+          name: event.organizer.name,
+        }
+      : {
+          id: null,
+          name: "Unknown Organizer",
+        },
+  };
+}
+
+// Multipart bodies send booleans as strings
+function isDraftRequest(value) {
+  return value === true || value === "true";
+}
+
+/**
+ * Parse a scheduled publish time: undefined when not given, null to clear
+ * it; throws unless it is a valid date in the future
+ */
+function parsePublishAt(value) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+
+  const publishAt = new Date(value);
+  if (isNaN(publishAt)) {
+    throw new Error("publishAt must be a valid date");
+  }
+  if (publishAt <= new Date()) {
+    throw new Error("publishAt must be in the future");
+  }
+  return publishAt;
+}
+
+/**
+ * Check that a user may attach an event to a series
+ * @returns {Promise<{status: number, message: string}|null>} the error, if any
+ */
+async function checkSeriesAccess(seriesId, user) {
+  const series = await Event.findById(seriesId);
+  if (!series || !recurrence.isRecurring(series)) {
+    return { status: 400, message: "seriesId must reference a recurring event" };
+  }
+  if (
+    user.role !== "admin" &&
+    series.organizer.toString() !== user._id.toString()
+  ) {
+    return {
+      status: 403,
+      message: "Not authorized to add events to this series",
+    };
+  }
+  return null;
+}
+
+// Full representation of an event, with organizer and attendees populated.
+// Drafts may not have coordinates yet. The waitlist is only counted; a
+// `viewer` also sees their own place on it (1-based, or null).
+function toEventDetails(event, viewer) {
+  const coordinates =
+    event.locationCoords && event.locationCoords.coordinates;
+
+  return {
+    _id: event._id,
+    title: event.title,
+    description: event.description,
+    location: event.location,
+    latitude: coordinates ? coordinates[1] : null,
+    longitude: coordinates ? coordinates[0] : null,
+    date: event.date,
+    endDate: event.endDate,
+    category: event.category,
+    status: event.status,
+    statusReason: event.statusReason || null,
+    statusChangedAt: event.statusChangedAt || null,
+    attendees: event.attendees.map((attendee) => ({
+      id: attendee._id,
+      name: attendee.name,
+    })),
+    organizer: {
+      id: event.organizer._id,
+      name: event.organizer.name,
+      email: event.organizer.email,
+    },
+    photos: event.photos || [], // Include photos in response
+    ...ticketing.summarizeTicketing(event),
+    waitlistPosition: viewer ? waitlistPosition(event, viewer._id) : null,
+    recurrence: event.recurrence || null,
+    seriesId: event.series || null,
+    upcomingOccurrences: recurrence.isRecurring(event)
+      ? recurrence
+          .expandOccurrences(event, new Date(), oneYearFromNow())
+          .slice(0, 10)
+          .map(toOccurrenceSummary)
+      : [],
+    createdAt: event.createdAt,
+  };
+}
+
+function waitlistPosition(event, userId) {
+  const index = event.waitlist.findIndex(
+    (waitingId) => waitingId.toString() === userId.toString()
+  );
+  return index === -1 ? null : index + 1;
+}
+
+// A draft as its organizer sees it, including when it will be published
+// and what it still lacks
+function toDraftDetails(event) {
+  return {
+    ...toEventDetails(event),
+    publishAt: event.publishAt || null,
+    missingFields: eventPublishing.missingFields(event),
+  };
+}
+
+// Names accepted by the `fields` parameter of list endpoints
+const LIST_FIELDS = [
+  ...Object.keys(toEventListItem({})),
+  // Only on the organizer's own list
+  "publishAt",
+];
+
+// Envelope shared by the paginated list endpoints
+function sendPage(res, { items, total, nextCursor }, limit, fields) {
+  res.json({
+    events: items.map((item) => pagination.pickFields(item, fields)),
+    pagination: { limit, total, nextCursor },
+  });
+}
+
+/**
+ * Read limit, cursor and fields from list query parameters; throws on
+ * invalid input
+ */
+function parseListParams(query) {
+  return {
+    ...pagination.parsePageParams(query),
+    fields: pagination.parseFields(query.fields, LIST_FIELDS),
+  };
+}
+
+/**
+ * Build the Mongo query for public events from getEvents-style filters
+ * (status, category, date range, price, radius around a point and bounding
+ * box). Without a status filter only approved events match.
+ */
+function buildEventsQuery({
+  latitude,
+  longitude,
+  radius = 10,
+  category,
+  startDate,
+  endDate,
+  minPrice,
+  maxPrice,
+  free,
+  bbox,
+  status,
+}) {
+  const statuses = lifecycle.parseStatusFilter(status);
+  const query = {
+    status: statuses.length === 1 ? statuses[0] : { $in: statuses },
+  };
+
+  // Add category filter if provided
+  if (category && category !== "all") {
+    query.category = category;
+  }
+
+  // Add date filters if provided. Recurring series are matched on their
+  // overall span here and expanded into occurrences after the query.
+  if (startDate || endDate) {
+    const dateFilter = {};
+    const seriesFilter = { "recurrence.frequency": { $exists: true } };
+    if (startDate) {
+      dateFilter.$gte = new Date(startDate);
+      seriesFilter.$or = [
+        { "recurrence.until": { $exists: false } },
+        { "recurrence.until": { $gte: new Date(startDate) } },
+      ];
+    }
+    if (endDate) {
+      dateFilter.$lte = new Date(endDate);
+      seriesFilter.date = { $lte: new Date(endDate) };
+    }
+    query.$or = [
+      { "recurrence.frequency": { $exists: false }, date: dateFilter },
+      seriesFilter,
+    ];
+  }
+
+  // Add price filters (ticket price range) if provided
+  const priceQuery = ticketing.buildPriceQuery({
+    free: free === "true",
+    minPrice,
+    maxPrice,
+  });
+  const conditions = [];
+  if (priceQuery) {
+    conditions.push(priceQuery);
+  }
+
+  // Only events inside the map viewport
+  const bboxQuery = pagination.parseBbox(bbox);
+  if (bboxQuery) {
+    conditions.push(bboxQuery);
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  // Add geospatial query if coordinates provided. $geoWithin rather than
+  // $near, since results are ordered by date and counted.
+  if (latitude && longitude) {
+    console.log(
+      "Adding geospatial query for coordinates:",
+      latitude,
+      longitude
+    );
+    query.locationCoords = {
+      $geoWithin: {
+        $centerSphere: [
+          [parseFloat(longitude), parseFloat(latitude)],
+          parseFloat(radius) / 6371, // Convert km to radians
+        ],
+      },
+    };
+  } else {
+    console.log("No coordinates provided, fetching all matching events");
+  }
+
+  return query;
+}
+
 exports.getEvents = async (req, res) => {
   try {
     console.log("=== EVENTS CONTROLLER ===");
@@ -80,6 +369,11 @@ exports.getEvents = async (req, res) => {
       category,
       startDate,
       endDate,
+      minPrice,
+      maxPrice,
+      free,
+      bbox,
+      status,
     } = req.query;
 
     console.log("Request query parameters:", {
@@ -89,6 +383,9 @@ exports.getEvents = async (req, res) => {
       category,
       startDate,
       endDate,
+      minPrice,
+      maxPrice,
+      free,
     });
 
     console.log("Fetching events from database with params:", {
@@ -99,85 +396,66 @@ exports.getEvents = async (req, res) => {
     });
 
     // Always fetch from database - no static fallback
-    // Build query for approved events only
-    let query = { status: "approved" };
-
-    // Add category filter if provided
-    if (category && category !== "all") {
-      query.category = category;
-    }
-
-    // Add date filters if provided
-    if (startDate || endDate) {
-      query.date = {};
-      if (startDate) {
-        query.date.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.date.$lte = new Date(endDate);
-      }
-    }
-
-    // Add geospatial query if coordinates provided
-    if (latitude && longitude) {
-      console.log(
-        "Adding geospatial query for coordinates:",
+    let query;
+    let page;
+    try {
+      query = buildEventsQuery({
         latitude,
-        longitude
-      );
-      query.locationCoords = {
-        $near: {
-          $geometry: {
-            type: "Point",
-            coordinates: [parseFloat(longitude), parseFloat(latitude)],
-          },
-          $maxDistance: parseFloat(radius) * 1000, // Convert km to meters
-        },
-      };
-    } else {
-      console.log("No coordinates provided, fetching all approved events");
+        longitude,
+        radius,
+        category,
+        startDate,
+        endDate,
+        minPrice,
+        maxPrice,
+        free,
+        bbox,
+        status,
+      });
+      page = parseListParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
     }
 
     // Execute query
     console.log("Executing database query:", JSON.stringify(query, null, 2));
-    const events = await Event.find(query)
-      .populate("organizer", "name email")
-      .sort({ date: 1 })
-      .limit(100); // Limit to prevent overload
+    const { items: events, total, nextCursor } = await pagination.findPage(
+      Event,
+      query,
+      {
+        limit: page.limit,
+        cursor: page.cursor,
+        prepare: (q) => q.populate("organizer", "name email"),
+      }
+    );
 
-    console.log("Found", events.length, "events in database");
+    console.log("Found", events.length, "of", total, "events in database");
+
+    // Expand recurring series into their occurrences within the window.
+    // Pages hold stored events, so a series is expanded on the page that
+    // holds it.
+    const { windowStart, windowEnd } = recurrence.resolveWindow(
+      startDate,
+      endDate
+    );
+    const occurrences = events
+      .flatMap((event) =>
+        recurrence.isRecurring(event)
+          ? recurrence.expandOccurrences(event, windowStart, windowEnd)
+          : [event]
+      )
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
 
     // Transform events for frontend
-    const transformedEvents = events.map((event) => ({
-      _id: event._id || null,
-      title: event.title || "Untitled Event",
-      description: event.description || "No description available",
-      location: event.location || "Location not specified",
-      latitude:
-        event.locationCoords && event.locationCoords.coordinates
-          ? event.locationCoords.coordinates[1]
-          : 0,
-      longitude:
-        event.locationCoords && event.locationCoords.coordinates
-          ? event.locationCoords.coordinates[0]
-          : 0,
-      date: event.date || new Date(),
-      endDate: event.endDate || new Date(),
-      category: event.category || "uncategorized",
-      attendees: event.attendees ? event.attendees.length : 0,
-      organizer: event.organizer
-        ? {
-            id: event.organizer._id,
-            name: event.organizer.name,
-          }
-        : {
-            id: null,
-            name: "Unknown Organizer",
-          },
-    }));
+    const transformedEvents = occurrences.map(toEventListItem);
 
     console.log("Returning", transformedEvents.length, "transformed events");
-    res.json(transformedEvents);
+    sendPage(
+      res,
+      { items: transformedEvents, total, nextCursor },
+      page.limit,
+      page.fields
+    );
   } catch (error) {
     console.error("Error fetching events:", error);
     console.error("Error stack:", error.stack);
@@ -190,6 +468,84 @@ exports.getEvents = async (req, res) => {
   }
 };
 
+// Clustered aggregates of the events inside `bbox` at a map `zoom` level.
+// Takes the same filters as getEvents; recurring series count once.
+exports.getEventClusters = async (req, res) => {
+  let query;
+  let zoom;
+  try {
+    if (!req.query.bbox) {
+      throw new Error("bbox is required");
+    }
+    zoom = clustering.parseZoom(req.query.zoom);
+    query = buildEventsQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const cellSize = clustering.cellSizeForZoom(zoom);
+    const cells = await Event.aggregate(
+      clustering.buildClusterPipeline(query, cellSize)
+    );
+    const clusters = cells.map(clustering.toCluster);
+
+    res.json({
+      zoom,
+      cellSize,
+      total: clusters.reduce((sum, cluster) => sum + cluster.count, 0),
+      clusters,
+    });
+  } catch (error) {
+    console.error("Error clustering events:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Most points written to one vector tile
+const TILE_MAX_FEATURES = 10000;
+
+// Event points as a Mapbox Vector Tile (layer "events"), filtered like getEvents
+exports.getEventTile = async (req, res) => {
+  let tile;
+  let query;
+  try {
+    tile = mvt.parseTileCoords(req.params);
+    query = buildEventsQuery({
+      ...req.query,
+      bbox: mvt.tileBounds(tile.z, tile.x, tile.y).join(","),
+    });
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const events = await Event.find(query)
+      .select("title category date status locationCoords")
+      .limit(TILE_MAX_FEATURES)
+      .lean();
+
+    const features = events.map((event) => ({
+      longitude: event.locationCoords.coordinates[0],
+      latitude: event.locationCoords.coordinates[1],
+      properties: {
+        id: event._id.toString(),
+        title: event.title,
+        category: event.category,
+        date: new Date(event.date).toISOString(),
+        status: event.status,
+      },
+    }));
+
+    res.set("Content-Type", "application/vnd.mapbox-vector-tile");
+    res.set("Cache-Control", "public, max-age=60");
+    res.send(mvt.encodeTile([{ name: "events", features }], tile));
+  } catch (error) {
+    console.error("Error building event tile:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 exports.getEventById = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id)
@@ -200,35 +556,13 @@ exports.getEventById = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    if (event.status !== "approved") {
+    // Cancelled, postponed and completed events stay visible so attendees
+    // can see what happened
+    if (!lifecycle.PUBLIC_STATUSES.includes(event.status)) {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    // Transform event for frontend
-    const transformedEvent = {
-      _id: event._id,
-      title: event.title,
-      description: event.description,
-      location: event.location,
-      latitude: event.locationCoords.coordinates[1],
-      longitude: event.locationCoords.coordinates[0],
-      date: event.date,
-      endDate: event.endDate,
-      category: event.category,
-      attendees: event.attendees.map((attendee) => ({
-        id: attendee._id,
-        name: attendee.name,
-      })),
-      organizer: {
-        id: event.organizer._id,
-        name: event.organizer.name,
-        email: event.organizer.email,
-      },
-      photos: event.photos || [], // Include photos in response
-      createdAt: event.createdAt,
-    };
-
-    res.json(transformedEvent);
+    res.json(toEventDetails(event, req.user));
   } catch (error) {
     console.error("Error fetching event:", error);
     res.status(500).json({ message: "Server error" });
@@ -236,6 +570,11 @@ exports.getEventById = async (req, res) => {
 };
 
 exports.createEvent = async (req, res) => {
+  // Drafts skip the review pipeline until they are published
+  if (isDraftRequest(req.body.draft) || req.body.publishAt) {
+    return createDraft(req, res);
+  }
+
   try {
     // When using FormData with multer, fields are in req.body
     // Log the received data for debugging
@@ -251,6 +590,7 @@ exports.createEvent = async (req, res) => {
       date,
       endDate,
       category,
+      seriesId,
     } = req.body;
 
     // Log individual fields for debugging
@@ -265,21 +605,13 @@ exports.createEvent = async (req, res) => {
       category,
     });
 
-    // Validate required fields
-    if (
-      !title ||
-      !description ||
-      !location ||
-      !latitude ||
-      !longitude ||
-      !date
-    ) {
+    // Validate required fields. Coordinates may be omitted, in which case
+    // they are looked up from the typed address below.
+    if (!title || !description || !location || !date) {
       console.log("Missing required fields:", {
         title: !!title,
         description: !!description,
         location: !!location,
-        latitude: !!latitude,
-        longitude: !!longitude,
         date: !!date,
       });
       return res
@@ -287,18 +619,36 @@ exports.createEvent = async (req, res) => {
         .json({ message: "Please provide all required fields" });
     }
 
-    // Additional validation for latitude and longitude
-    const parsedLatitude = parseFloat(latitude);
-    const parsedLongitude = parseFloat(longitude);
+    let parsedLatitude;
+    let parsedLongitude;
 
-    if (isNaN(parsedLatitude) || isNaN(parsedLongitude)) {
-      console.log("Invalid latitude or longitude values:", {
-        latitude,
-        longitude,
-      });
-      return res
-        .status(400)
-        .json({ message: "Latitude and longitude must be valid numbers" });
+    if (!latitude && !longitude) {
+      const place = await geocodingService.geocode(location);
+      if (!place) {
+        return res.status(400).json({
+          message:
+            "Could not find coordinates for this location. Please pick it on the map.",
+        });
+      }
+      parsedLatitude = place.latitude;
+      parsedLongitude = place.longitude;
+      console.log(
+        `Geocoded "${location}" to ${parsedLatitude}, ${parsedLongitude} via ${place.provider}`
+      );
+    } else {
+      // Additional validation for latitude and longitude
+      parsedLatitude = parseFloat(latitude);
+      parsedLongitude = parseFloat(longitude);
+
+      if (isNaN(parsedLatitude) || isNaN(parsedLongitude)) {
+        console.log("Invalid latitude or longitude values:", {
+          latitude,
+          longitude,
+        });
+        return res
+          .status(400)
+          .json({ message: "Latitude and longitude must be valid numbers" });
+      }
     }
 
     // Validate latitude and longitude ranges
@@ -329,51 +679,42 @@ exports.createEvent = async (req, res) => {
         .json({ message: "Not authorized to create events" });
     }
 
-    // Run AI moderation
-    const moderationResult = await eventModerator.moderateEvent(
-      title,
-      description
-    );
-
-    // Run AI classification if category not provided
-    let eventCategory = category;
-    if (!eventCategory) {
-      eventCategory = await eventClassifier.classifyEvent(title, description);
+    // Parse the optional recurrence rule (JSON or RRULE string), ticket
+    // pricing and capacity
+    let recurrenceRule;
+    let ticketInfo;
+    let capacity;
+    try {
+      recurrenceRule = recurrence.parseRecurrence(req.body.recurrence);
+      ticketInfo = ticketing.parseTicketing(req.body);
+      capacity = ticketing.parseCapacity(req.body.capacity);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
     }
 
-    // Run AI summarization
-    const summaryResult = await eventSummarizer.summarizeEvent(
-      title,
-      description
-    );
-
-    // Run duplicate check
-    const allEvents = await Event.find({});
-    const duplicates = await duplicateChecker.checkForDuplicates(
-      { title, description, latitude, longitude, date },
-      allEvents
-    );
-
-    // Auto-reject if high-risk duplicate found
-    let status = "approved";
-    let duplicateRisk = 0;
-
-    if (duplicates.length > 0) {
-      const highestSimilarity = Math.max(
-        ...duplicates.map((d) => d.similarityScore)
-      );
-      duplicateRisk = highestSimilarity;
-
-      // Auto-reject if very high similarity
-      if (highestSimilarity > 0.9) {
-        status = "rejected";
+    // Attaching a standalone event to a series requires owning that series
+    if (seriesId) {
+      const seriesError = await checkSeriesAccess(seriesId, req.user);
+      if (seriesError) {
+        return res
+          .status(seriesError.status)
+          .json({ message: seriesError.message });
       }
     }
 
-    // Auto-reject if high risk score from moderation
-    if (moderationResult.isFlagged && moderationResult.riskScore > 0.7) {
-      status = "rejected";
-    }
+    // Run moderation, classification, summarization and duplicate checks
+    const review = await eventPipeline.review({
+      title,
+      description,
+      category,
+      latitude: parsedLatitude,
+      longitude: parsedLongitude,
+      date,
+      seriesId,
+    });
+    const { summaryResult } = review;
+    // Trusted organizers publish directly; other submissions wait for review
+    const status = await moderation.initialStatus(review, req.user);
 
     // Extract photo paths from uploaded files
     const photoPaths = req.files
@@ -391,18 +732,21 @@ exports.createEvent = async (req, res) => {
       },
       date: new Date(date),
       endDate: endDate ? new Date(endDate) : undefined,
-      category: eventCategory,
+      category: review.category,
+      recurrence: recurrenceRule || undefined,
+      series: seriesId || undefined,
+      ...(ticketInfo || {}),
+      capacity: capacity || undefined,
       organizer: req.user._id,
       status,
+      statusReason: review.rejectionReasons.join("; ") || undefined,
+      moderation:
+        status === "pending"
+          ? { submittedAt: new Date(), submissions: 1 }
+          : undefined,
       photos: photoPaths, // Save photo paths
-      aiFlags: {
-        duplicateRisk,
-        moderationWarnings: moderationResult.warnings.map((w) => w.message),
-        riskScore: moderationResult.riskScore,
-        summary: summaryResult.summary,
-        highlights: summaryResult.highlights,
-        tags: summaryResult.tags,
-      },
+      aiFlags: eventPipeline.buildAiFlags(review),
+      embedding: review.embedding || undefined,
     });
 
     const savedEvent = await event.save();
@@ -415,7 +759,10 @@ exports.createEvent = async (req, res) => {
     );
 
     res.status(201).json({
-      message: "Event created successfully",
+      message:
+        savedEvent.status === "pending"
+          ? "Event submitted for review"
+          : "Event created successfully",
       event: {
         _id: savedEvent._id,
         title: savedEvent.title,
@@ -427,6 +774,10 @@ exports.createEvent = async (req, res) => {
         endDate: savedEvent.endDate,
         category: savedEvent.category,
         status: savedEvent.status,
+        statusReason: savedEvent.statusReason || null,
+        recurrence: savedEvent.recurrence || null,
+        seriesId: savedEvent.series || null,
+        ...ticketing.summarizeTicketing(savedEvent),
         photos: savedEvent.photos || [], // Include photos in response
         organizer: {
           id: savedEvent.organizer._id,
@@ -446,6 +797,242 @@ exports.createEvent = async (req, res) => {
   }
 };
 
+// Save an event as a draft without reviewing it. Only a title and start
+// date are needed; a publishAt time schedules it for publishing.
+async function createDraft(req, res) {
+  try {
+    const {
+      title,
+      description,
+      location,
+      latitude,
+      longitude,
+      date,
+      endDate,
+      category,
+      seriesId,
+    } = req.body;
+
+    if (!title || !date || isNaN(new Date(date))) {
+      return res
+        .status(400)
+        .json({ message: "Drafts need at least a title and a start date" });
+    }
+
+    let locationCoords;
+    if (latitude && longitude) {
+      const parsedLatitude = parseFloat(latitude);
+      const parsedLongitude = parseFloat(longitude);
+      if (
+        !isFinite(parsedLatitude) ||
+        !isFinite(parsedLongitude) ||
+        parsedLatitude < -90 ||
+        parsedLatitude > 90 ||
+        parsedLongitude < -180 ||
+        parsedLongitude > 180
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Latitude and longitude must be valid coordinates" });
+      }
+      locationCoords = {
+        type: "Point",
+        coordinates: [parsedLongitude, parsedLatitude],
+      };
+    }
+
+    let recurrenceRule;
+    let ticketInfo;
+    let capacity;
+    let publishAt;
+    try {
+      recurrenceRule = recurrence.parseRecurrence(req.body.recurrence);
+      ticketInfo = ticketing.parseTicketing(req.body);
+      capacity = ticketing.parseCapacity(req.body.capacity);
+      publishAt = parsePublishAt(req.body.publishAt);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (seriesId) {
+      const seriesError = await checkSeriesAccess(seriesId, req.user);
+      if (seriesError) {
+        return res
+          .status(seriesError.status)
+          .json({ message: seriesError.message });
+      }
+    }
+
+    const event = new Event({
+      title,
+      description: description || undefined,
+      location: location || undefined,
+      locationCoords,
+      date: new Date(date),
+      endDate: endDate ? new Date(endDate) : undefined,
+      category: category || undefined,
+      recurrence: recurrenceRule || undefined,
+      series: seriesId || undefined,
+      ...(ticketInfo || {}),
+      capacity: capacity || undefined,
+      organizer: req.user._id,
+      status: "draft",
+      publishAt: publishAt || undefined,
+      photos: req.files
+        ? req.files.map((file) => `/uploads/${file.filename}`)
+        : [],
+    });
+
+    const savedEvent = await event.save();
+    await savedEvent.populate("organizer", "name email");
+
+    console.log(`Draft saved: ${savedEvent._id} (${savedEvent.title})`);
+
+    res.status(201).json({
+      message: publishAt ? "Draft scheduled for publishing" : "Draft saved",
+      event: toDraftDetails(savedEvent),
+    });
+  } catch (error) {
+    console.error("Error saving draft:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+// Load an event its organizer (or an admin) may manage
+async function findOwnEvent(req, res) {
+  const event = await Event.findById(req.params.id)
+    .populate("organizer", "name email")
+    .populate("attendees", "name email");
+
+  if (!event) {
+    res.status(404).json({ message: "Event not found" });
+    return null;
+  }
+  if (
+    req.user.role !== "admin" &&
+    event.organizer._id.toString() !== req.user._id.toString()
+  ) {
+    res.status(403).json({ message: "Not authorized to manage this event" });
+    return null;
+  }
+  return event;
+}
+
+// Show an event, draft or not, the way it will be published, with the AI
+// summary generated from its current text
+exports.previewEvent = async (req, res) => {
+  try {
+    const event = await findOwnEvent(req, res);
+    if (!event) return;
+
+    const aiSummary = event.description
+      ? await eventSummarizer.summarizeEvent(event.title, event.description)
+      : null;
+
+    res.json({ event: toDraftDetails(event), aiSummary });
+  } catch (error) {
+    console.error("Error previewing event:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Status changes of an event with the reviewers' reasons, oldest first, so
+// organizers can see why it was sent back or rejected
+exports.getEventHistory = async (req, res) => {
+  try {
+    const event = await findOwnEvent(req, res);
+    if (!event) return;
+
+    await event.populate("statusHistory.by", "name role");
+
+    res.json({
+      status: event.status,
+      statusReason: event.statusReason || null,
+      submissions: event.moderation?.submissions || 0,
+      history: event.statusHistory.map((change) => ({
+        from: change.from || null,
+        to: change.to,
+        reason: change.reason || null,
+        at: change.at,
+        // Unset for automatic changes
+        by: change.by
+          ? { id: change.by._id, name: change.by.name, role: change.by.role }
+          : null,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching event history:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Messages for the status publishing leaves an event in
+const PUBLISH_MESSAGES = {
+  approved: "Event published successfully",
+  pending: "Event submitted for review",
+  rejected: "Event was rejected during review",
+};
+
+// Publish a draft now, or schedule it when publishAt is given; events sent
+// back for changes or rejected are resubmitted the same way. Publishing runs
+// the same review as creating an event directly.
+exports.publishEvent = async (req, res) => {
+  try {
+    const event = await findOwnEvent(req, res);
+    if (!event) return;
+
+    if (!["draft", "changes_requested", "rejected"].includes(event.status)) {
+      return res.status(400).json({
+        message: "Only drafts and events sent back by reviewers can be published",
+      });
+    }
+
+    let publishAt;
+    try {
+      publishAt = parsePublishAt(req.body.publishAt);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    if (publishAt && event.status !== "draft") {
+      return res
+        .status(400)
+        .json({ message: "Only drafts can be scheduled for publishing" });
+    }
+
+    if (publishAt) {
+      event.publishAt = publishAt;
+      await event.save();
+      return res.json({
+        message: "Draft scheduled for publishing",
+        event: toDraftDetails(event),
+      });
+    }
+
+    let review;
+    try {
+      review = await eventPublishing.publishEvent(event, { by: req.user._id });
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    res.json({
+      message: PUBLISH_MESSAGES[event.status],
+      event: toEventDetails(event),
+      reasons: review.rejectionReasons,
+      aiSummary: {
+        shortTitle: review.summaryResult.shortTitle,
+        summary: review.summaryResult.summary,
+        highlights: review.summaryResult.highlights,
+        tags: review.summaryResult.tags,
+      },
+    });
+  } catch (error) {
+    console.error("Error publishing event:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
 exports.updateEvent = async (req, res) => {
   try {
     const {
@@ -515,17 +1102,144 @@ exports.updateEvent = async (req, res) => {
         type: "Point",
         coordinates: [parsedLongitude, parsedLatitude],
       };
+    } else if (location && event.isModified("location")) {
+      // The address changed without new map coordinates; look them up
+      const place = await geocodingService.geocode(location);
+      if (place) {
+        event.locationCoords = {
+          type: "Point",
+          coordinates: [place.longitude, place.latitude],
+        };
+      }
     }
     if (date) event.date = new Date(date);
     if (endDate) event.endDate = new Date(endDate);
     if (category) event.category = category;
 
-    // Only admins can update status
-    if (status && req.user.role === "admin") {
-      event.status = status;
+    // Series-level recurrence edits; null or "" turns the series back into a
+    // single event
+    if (req.body.recurrence !== undefined) {
+      try {
+        event.recurrence =
+          recurrence.parseRecurrence(req.body.recurrence) || undefined;
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+      if (!event.recurrence) {
+        event.occurrenceOverrides = [];
+      }
     }
 
-    const updatedEvent = await event.save();
+    // Ticket pricing and capacity; "" for capacity removes the limit
+    let promoteWaitlist = false;
+    try {
+      const ticketInfo = ticketing.parseTicketing(req.body);
+      if (ticketInfo) {
+        Object.assign(event, ticketInfo);
+      }
+      if (req.body.capacity !== undefined) {
+        const capacity = ticketing.parseCapacity(req.body.capacity);
+        if (capacity && capacity < event.attendees.length) {
+          return res.status(400).json({
+            message: `Capacity cannot be lower than the ${event.attendees.length} current attendees`,
+          });
+        }
+        promoteWaitlist = !capacity || capacity > (event.capacity || 0);
+        event.capacity = capacity || undefined;
+      }
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Drafts can be scheduled or unscheduled; null clears the time
+    if (req.body.publishAt !== undefined) {
+      if (event.status !== "draft") {
+        return res
+          .status(400)
+          .json({ message: "Only drafts can be scheduled for publishing" });
+      }
+      try {
+        event.publishAt = parsePublishAt(req.body.publishAt) || undefined;
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    // Photos added while editing are appended to the existing ones
+    if (req.files && req.files.length > 0) {
+      event.photos.push(...req.files.map((file) => `/uploads/${file.filename}`));
+    }
+
+    // Status changes must follow the lifecycle; only admins approve or
+    // reject
+    let previousStatus = null;
+    let submitting = false;
+    if (status && status !== event.status) {
+      try {
+        lifecycle.assertTransition(
+          event.status,
+          status,
+          req.user.role === "admin" ? lifecycle.ADMIN : lifecycle.OWNER
+        );
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+
+      // Submitting for review is publishing: the event goes through the same
+      // moderation and duplicate checks, below
+      submitting = status === "pending";
+
+      // Bringing back a postponed event needs a date that is still ahead
+      if (event.status === "postponed" && status === "approved") {
+        const upcoming = recurrence.isRecurring(event)
+          ? recurrence.expandOccurrences(event, new Date(), oneYearFromNow())
+              .length > 0
+          : event.date > new Date();
+        if (!upcoming) {
+          return res.status(400).json({
+            message: "Set a new date in the future to reschedule this event",
+          });
+        }
+      }
+
+      if (!submitting) {
+        previousStatus = lifecycle.applyTransition(event, status, {
+          by: req.user._id,
+          reason: req.body.statusReason,
+        });
+      }
+    }
+
+    let updatedEvent;
+    try {
+      if (submitting) {
+        await eventPublishing.publishEvent(event, { by: req.user._id });
+        updatedEvent = event;
+      } else {
+        updatedEvent = await event.save();
+      }
+    } catch (error) {
+      if (!submitting && !(error instanceof mongoose.Error.ValidationError)) {
+        throw error;
+      }
+      return res.status(400).json({ message: error.message });
+    }
+
+    // Tell attendees and the waitlist when their plans change
+    if (previousStatus === "postponed" && updatedEvent.status === "approved") {
+      await notifications.notifyStatusChange(updatedEvent, "rescheduled");
+    } else if (previousStatus) {
+      await notifications.notifyStatusChange(
+        updatedEvent,
+        updatedEvent.status,
+        updatedEvent.statusReason
+      );
+    }
+
+    // Raising the capacity frees spots for people on the waitlist
+    if (promoteWaitlist && updatedEvent.waitlist.length > 0) {
+      updatedEvent = (await promoteFromWaitlist(updatedEvent._id)) || updatedEvent;
+    }
 
     // Populate organizer info
     await updatedEvent.populate("organizer", "name email");
@@ -537,12 +1251,16 @@ exports.updateEvent = async (req, res) => {
         title: updatedEvent.title,
         description: updatedEvent.description,
         location: updatedEvent.location,
-        latitude: updatedEvent.locationCoords.coordinates[1],
-        longitude: updatedEvent.locationCoords.coordinates[0],
+        latitude: updatedEvent.locationCoords?.coordinates?.[1] ?? null,
+        longitude: updatedEvent.locationCoords?.coordinates?.[0] ?? null,
         date: updatedEvent.date,
         endDate: updatedEvent.endDate,
         category: updatedEvent.category,
         status: updatedEvent.status,
+        statusReason: updatedEvent.statusReason || null,
+        publishAt: updatedEvent.publishAt || null,
+        recurrence: updatedEvent.recurrence || null,
+        ...ticketing.summarizeTicketing(updatedEvent),
         organizer: {
           id: updatedEvent.organizer._id,
           name: updatedEvent.organizer.name,
@@ -573,7 +1291,7 @@ exports.deleteEvent = async (req, res) => {
         .json({ message: "Not authorized to delete this event" });
     }
 
-    await event.remove();
+    await event.deleteOne();
 
     res.json({ message: "Event deleted successfully" });
   } catch (error) {
@@ -582,7 +1300,205 @@ exports.deleteEvent = async (req, res) => {
   }
 };
 
-// Attend/leave event
+// Edit a single occurrence of a recurring series without touching the rest
+exports.updateOccurrence = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // Check if user is organizer of this event or admin
+    if (
+      req.user.role !== "admin" &&
+      event.organizer.toString() !== req.user._id.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to update this event" });
+    }
+
+    if (!recurrence.isRecurring(event)) {
+      return res
+        .status(400)
+        .json({ message: "Event is not a recurring series" });
+    }
+
+    const originalDate = recurrence.findOccurrenceDate(
+      event,
+      req.params.occurrenceDate
+    );
+    if (!originalDate) {
+      return res.status(404).json({ message: "Occurrence not found" });
+    }
+
+    const { title, description, location, latitude, longitude, date, endDate } =
+      req.body;
+    const override = { originalDate };
+
+    if (date) {
+      override.date = new Date(date);
+      if (isNaN(override.date)) {
+        return res.status(400).json({ message: "date must be a valid date" });
+      }
+    }
+    if (endDate) {
+      override.endDate = new Date(endDate);
+      if (isNaN(override.endDate)) {
+        return res
+          .status(400)
+          .json({ message: "endDate must be a valid date" });
+      }
+      if (override.endDate < (override.date || originalDate)) {
+        return res
+          .status(400)
+          .json({ message: "endDate can't be before the occurrence starts" });
+      }
+    }
+
+    if (title) override.title = title;
+    if (description) override.description = description;
+    if (location) override.location = location;
+    if (latitude && longitude) {
+      const parsedLatitude = parseFloat(latitude);
+      const parsedLongitude = parseFloat(longitude);
+
+      if (
+        !isFinite(parsedLatitude) ||
+        !isFinite(parsedLongitude) ||
+        parsedLatitude < -90 ||
+        parsedLatitude > 90 ||
+        parsedLongitude < -180 ||
+        parsedLongitude > 180
+      ) {
+        return res
+          .status(400)
+          .json({ message: "Latitude and longitude must be valid coordinates" });
+      }
+
+      override.locationCoords = {
+        type: "Point",
+        coordinates: [parsedLongitude, parsedLatitude],
+      };
+    }
+    // Replace any previous override for this occurrence
+    const key = recurrence.occurrenceKey(originalDate);
+    event.occurrenceOverrides = event.occurrenceOverrides.filter(
+      (existing) => recurrence.occurrenceKey(existing.originalDate) !== key
+    );
+    event.occurrenceOverrides.push(override);
+
+    await event.save();
+
+    const newDate = override.date || originalDate;
+    const [occurrence] = recurrence
+      .expandOccurrences(
+        event,
+        new Date(Math.min(originalDate, newDate)),
+        new Date(Math.max(originalDate, newDate))
+      )
+      .filter((o) => o.occurrenceId === key);
+
+    res.json({
+      message: "Occurrence updated successfully",
+      occurrence: toOccurrenceSummary(occurrence),
+    });
+  } catch (error) {
+    console.error("Error updating occurrence:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Cancel a single occurrence of a recurring series
+exports.cancelOccurrence = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    // Check if user is organizer of this event or admin
+    if (
+      req.user.role !== "admin" &&
+      event.organizer.toString() !== req.user._id.toString()
+    ) {
+      return res
+        .status(403)
+        .json({ message: "Not authorized to update this event" });
+    }
+
+    if (!recurrence.isRecurring(event)) {
+      return res
+        .status(400)
+        .json({ message: "Event is not a recurring series" });
+    }
+
+    const originalDate = recurrence.findOccurrenceDate(
+      event,
+      req.params.occurrenceDate
+    );
+    if (!originalDate) {
+      return res.status(404).json({ message: "Occurrence not found" });
+    }
+
+    const key = recurrence.occurrenceKey(originalDate);
+    event.recurrence.exceptionDates.push(originalDate);
+    event.occurrenceOverrides = event.occurrenceOverrides.filter(
+      (existing) => recurrence.occurrenceKey(existing.originalDate) !== key
+    );
+
+    await event.save();
+
+    res.json({
+      message: "Occurrence cancelled successfully",
+      occurrenceId: key,
+    });
+  } catch (error) {
+    console.error("Error cancelling occurrence:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Move people from the waitlist into free spots, oldest first. Only
+// approved events fill up again.
+async function promoteFromWaitlist(eventId) {
+  let event = await Event.findById(eventId);
+
+  while (
+    event &&
+    event.status === "approved" &&
+    event.waitlist.length > 0 &&
+    (!event.capacity || event.attendees.length < event.capacity)
+  ) {
+    const nextUserId = event.waitlist[0];
+
+    // Conditional update so concurrent joins can never overfill the event
+    const promoted = await Event.findOneAndUpdate(
+      {
+        _id: eventId,
+        waitlist: nextUserId,
+        $or: [
+          { capacity: { $exists: false } },
+          { capacity: null },
+          { $expr: { $lt: [{ $size: "$attendees" }, "$capacity"] } },
+        ],
+      },
+      { $pull: { waitlist: nextUserId }, $addToSet: { attendees: nextUserId } },
+      { new: true }
+    );
+
+    if (!promoted) break;
+    console.log(`Promoted user ${nextUserId} from waitlist of event ${eventId}`);
+    event = promoted;
+  }
+
+  return event;
+}
+
+// Attend/leave event. Joining a full event puts the user on the waitlist;
+// leaving (or leaving the waitlist) toggles the user back out.
 exports.attendEvent = async (req, res) => {
   try {
     const event = await Event.findById(req.params.id);
@@ -591,32 +1507,77 @@ exports.attendEvent = async (req, res) => {
       return res.status(404).json({ message: "Event not found" });
     }
 
-    if (event.status !== "approved") {
+    const userId = req.user._id;
+    const isAttending = event.attendees.some(
+      (attendee) => attendee.toString() === userId.toString()
+    );
+    const isWaitlisted = event.waitlist.some(
+      (waiting) => waiting.toString() === userId.toString()
+    );
+
+    // Only approved events take new attendees, but anyone can still leave
+    if (event.status !== "approved" && !isAttending && !isWaitlisted) {
       return res
         .status(400)
         .json({ message: "Cannot attend unapproved event" });
     }
 
-    // Check if user is already attending
-    const isAttending = event.attendees.includes(req.user._id);
+    let updatedEvent;
+    let status;
 
     if (isAttending) {
-      // Remove user from attendees
-      event.attendees = event.attendees.filter(
-        (attendee) => attendee.toString() !== req.user._id.toString()
+      // Remove user from attendees and hand the spot to the waitlist
+      await Event.updateOne({ _id: event._id }, { $pull: { attendees: userId } });
+      updatedEvent = await promoteFromWaitlist(event._id);
+      status = "left";
+    } else if (isWaitlisted) {
+      updatedEvent = await Event.findByIdAndUpdate(
+        event._id,
+        { $pull: { waitlist: userId } },
+        { new: true }
       );
+      status = "left_waitlist";
     } else {
-      // Add user to attendees
-      event.attendees.push(req.user._id);
+      // Only add the attendee while there is room
+      updatedEvent = await Event.findOneAndUpdate(
+        {
+          _id: event._id,
+          $or: [
+            { capacity: { $exists: false } },
+            { capacity: null },
+            { $expr: { $lt: [{ $size: "$attendees" }, "$capacity"] } },
+          ],
+        },
+        { $addToSet: { attendees: userId } },
+        { new: true }
+      );
+      status = "attending";
+
+      if (!updatedEvent) {
+        updatedEvent = await Event.findByIdAndUpdate(
+          event._id,
+          { $addToSet: { waitlist: userId } },
+          { new: true }
+        );
+        status = "waitlisted";
+      }
     }
 
-    await event.save();
+    const messages = {
+      attending: "Joined event successfully",
+      waitlisted: "Event is full - you have been added to the waitlist",
+      left: "Left event successfully",
+      left_waitlist: "Left the waitlist successfully",
+    };
+    const position =
+      status === "waitlisted" ? waitlistPosition(updatedEvent, userId) : null;
 
     res.json({
-      message: isAttending
-        ? "Left event successfully"
-        : "Joined event successfully",
-      attendees: event.attendees.length,
+      message: messages[status],
+      status,
+      attendees: updatedEvent.attendees.length,
+      capacity: updatedEvent.capacity || null,
+      waitlistPosition: position,
     });
   } catch (error) {
     console.error("Error attending event:", error);
@@ -624,14 +1585,32 @@ exports.attendEvent = async (req, res) => {
   }
 };
 
-// Get events organized by user
+// Get events organized by user, newest first, including their status
 exports.getMyEvents = async (req, res) => {
   try {
-    const events = await Event.find({ organizer: req.user._id })
-      .populate("attendees", "name email")
-      .sort({ date: -1 });
+    let page;
+    try {
+      page = parseListParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await pagination.findPage(
+      Event,
+      { organizer: req.user._id },
+      {
+        limit: page.limit,
+        cursor: page.cursor,
+        direction: -1,
+        prepare: (q) => q.populate("organizer", "name"),
+      }
+    );
 
-    res.json(events);
+    const items = result.items.map((event) => ({
+      ...toEventListItem(event),
+      publishAt: event.publishAt || null,
+    }));
+    sendPage(res, { ...result, items }, page.limit, page.fields);
   } catch (error) {
     console.error("Error fetching my events:", error);
     res.status(500).json({ message: "Server error" });
@@ -641,16 +1620,212 @@ exports.getMyEvents = async (req, res) => {
 // Get events user is attending
 exports.getAttendingEvents = async (req, res) => {
   try {
+    let page;
+    try {
+      page = parseListParams(req.query);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const result = await pagination.findPage(
+      Event,
+      {
+        attendees: req.user._id,
+        status: { $in: lifecycle.PUBLIC_STATUSES },
+      },
+      {
+        limit: page.limit,
+        cursor: page.cursor,
+        prepare: (q) => q.populate("organizer", "name"),
+      }
+    );
+
+    const items = result.items.map(toEventListItem);
+    sendPage(res, { ...result, items }, page.limit, page.fields);
+  } catch (error) {
+    console.error("Error fetching attending events:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Calendar feeds default to events from the last 30 days onwards
+const FEED_LOOKBACK_MS = 30 * 24 * 60 * 60 * 1000;
+const FEED_MAX_EVENTS = 500;
+
+function sendCalendar(res, calendar, fileName) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set(
+    "Content-Disposition",
+    `${fileName ? "attachment" : "inline"}; filename="${fileName || "events.ics"}"`
+  );
+  res.send(calendar);
+}
+
+function feedUrls(req, user) {
+  const base = `${req.protocol}://${req.get("host")}/api/events/feeds/${user.calendarFeedToken}`;
+  return {
+    attending: `${base}/attending.ics`,
+    myEvents:
+      user.role === "organizer" || user.role === "admin"
+        ? `${base}/my-events.ics`
+        : null,
+    // Accepts the same filters as GET /api/events, e.g. ?category=Music
+    events: `${base}/events.ics`,
+  };
+}
+
+// Resolve the user owning a feed token, or null
+async function findFeedUser(token) {
+  if (!token || !/^[a-f0-9]{64}$/.test(token)) return null;
+  return User.findOne({ calendarFeedToken: token }).select(
+    "+calendarFeedToken"
+  );
+}
+
+// Download a single event as an iCalendar file
+exports.getEventIcs = async (req, res) => {
+  try {
+    const event = await Event.findById(req.params.id).populate(
+      "organizer",
+      "name email"
+    );
+
+    if (!event || !lifecycle.PUBLIC_STATUSES.includes(event.status)) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    sendCalendar(
+      res,
+      ical.buildCalendar([event], { name: event.title }),
+      ical.calendarFileName(event.title)
+    );
+  } catch (error) {
+    console.error("Error exporting event calendar:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Get (creating on first use) the current user's calendar feed URLs
+exports.getCalendarFeeds = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarFeedToken");
+
+    if (!user.calendarFeedToken) {
+      user.calendarFeedToken = crypto.randomBytes(32).toString("hex");
+      await user.save();
+    }
+
+    res.json({ feeds: feedUrls(req, user) });
+  } catch (error) {
+    console.error("Error fetching calendar feeds:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Replace the feed token, invalidating every previously shared feed URL
+exports.regenerateCalendarFeeds = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select("+calendarFeedToken");
+    user.calendarFeedToken = crypto.randomBytes(32).toString("hex");
+    await user.save();
+
+    res.json({
+      message: "Calendar feed links regenerated",
+      feeds: feedUrls(req, user),
+    });
+  } catch (error) {
+    console.error("Error regenerating calendar feeds:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Feed of events the token's owner is attending
+exports.getAttendingFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    // Cancelled and postponed events stay in the feed, marked as such
     const events = await Event.find({
-      attendees: req.user._id,
-      status: "approved",
+      attendees: user._id,
+      status: { $in: ["approved", "cancelled", "postponed"] },
     })
       .populate("organizer", "name email")
-      .sort({ date: 1 });
+      .sort({ date: 1 })
+      .limit(FEED_MAX_EVENTS);
 
-    res.json(events);
+    sendCalendar(
+      res,
+      ical.buildCalendar(events, { name: `${user.name} - Attending` })
+    );
   } catch (error) {
-    console.error("Error fetching attending events:", error);
+    console.error("Error building attending feed:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Feed of approved events organized by the token's owner
+exports.getMyEventsFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+    if (user.role !== "organizer" && user.role !== "admin") {
+      return res
+        .status(403)
+        .json({ message: "Only organizers have an events feed" });
+    }
+
+    const events = await Event.find({ organizer: user._id, status: "approved" })
+      .populate("organizer", "name email")
+      .sort({ date: 1 })
+      .limit(FEED_MAX_EVENTS);
+
+    sendCalendar(
+      res,
+      ical.buildCalendar(events, { name: `${user.name} - My Events` })
+    );
+  } catch (error) {
+    console.error("Error building my events feed:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// Filtered feed of approved events, taking the same query as getEvents
+exports.getEventsFeed = async (req, res) => {
+  try {
+    const user = await findFeedUser(req.params.token);
+    if (!user) {
+      return res.status(404).json({ message: "Calendar feed not found" });
+    }
+
+    const filters = { ...req.query };
+    if (!filters.startDate) {
+      filters.startDate = new Date(Date.now() - FEED_LOOKBACK_MS).toISOString();
+    }
+
+    let query;
+    try {
+      query = buildEventsQuery(filters);
+    } catch (error) {
+      return res.status(400).json({ message: error.message });
+    }
+
+    const events = await Event.find(query)
+      .populate("organizer", "name email")
+      .sort({ date: 1 })
+      .limit(FEED_MAX_EVENTS);
+
+    const name =
+      filters.category && filters.category !== "all"
+        ? `EventMap - ${filters.category}`
+        : "EventMap";
+    sendCalendar(res, ical.buildCalendar(events, { name }));
+  } catch (error) {
+    console.error("Error building events feed:", error);
     res.status(500).json({ message: "Server error" });
   }
 };
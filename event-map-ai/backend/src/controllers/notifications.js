@@ -0,0 +1,69 @@
+const mongoose = require("mongoose");
+const Notification = require("../models/Notification");
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+// The signed-in user's notifications, newest first, with the unread count.
+// unread=true returns only unread ones.
+exports.getNotifications = async (req, res) => {
+  const limit = req.query.limit ? Number(req.query.limit) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) {
+    return res.status(400).json({ message: "limit must be a positive integer" });
+  }
+
+  try {
+    const query = { user: req.user._id };
+    if (req.query.unread === "true") {
+      query.read = false;
+    }
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(query)
+        .populate("event", "title date status")
+        .sort({ createdAt: -1 })
+        .limit(Math.min(limit, MAX_LIMIT)),
+      Notification.countDocuments({ user: req.user._id, read: false }),
+    ]);
+
+    res.json({ notifications, unreadCount });
+  } catch (error) {
+    console.error("Error fetching notifications:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.markRead = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: "Notification not found" });
+  }
+
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, user: req.user._id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ message: "Notification not found" });
+    }
+
+    res.json({ notification });
+  } catch (error) {
+    console.error("Error marking notification as read:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+exports.markAllRead = async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { user: req.user._id, read: false },
+      { read: true }
+    );
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error("Error marking notifications as read:", error);
+    res.status(500).json({ message: "Server error" });
+  }
+};
@@ -22,7 +22,8 @@ exports.createReview = async (req, res) => {
       return res.status(404).json({ message: 'Event not found' });
     }
     
-    if (event.status !== 'approved') {
+    // Completed events are the ones most worth reviewing
+    if (!['approved', 'completed'].includes(event.status)) {
       return res.status(400).json({ message: 'Cannot review unapproved event' });
     }
     
@@ -0,0 +1,138 @@
+const searchService = require("../ai/searchService");
+const ticketing = require("../utils/ticketing");
+
+const MAX_PAGE_SIZE = 100;
+const SORTS = ["relevance", "date", "distance"];
+
+function parseNumber(value, label) {
+  if (value === undefined || value === "") return undefined;
+  const number = parseFloat(value);
+  if (!isFinite(number)) {
+    throw new Error(`${label} must be a number`);
+  }
+  return number;
+}
+
+function parseDate(value, label) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new Error(`${label} must be a valid date`);
+  }
+  return date;
+}
+
+function parsePositiveInt(value, label, fallback) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${label} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * Turn query parameters into search options; throws on invalid input.
+ * Accepts the same filters as GET /api/events, with `category` also taking
+ * a comma-separated list.
+ */
+function parseSearchQuery(query) {
+  const latitude = parseNumber(query.latitude, "latitude");
+  const longitude = parseNumber(query.longitude, "longitude");
+  if ((latitude === undefined) !== (longitude === undefined)) {
+    throw new Error("latitude and longitude must be given together");
+  }
+
+  const radius = parseNumber(query.radius, "radius");
+  if (radius !== undefined && radius <= 0) {
+    throw new Error("radius must be positive");
+  }
+
+  const sort = query.sort || undefined;
+  if (sort && !SORTS.includes(sort)) {
+    throw new Error(`sort must be one of: ${SORTS.join(", ")}`);
+  }
+  if (sort === "distance" && latitude === undefined) {
+    throw new Error("Sorting by distance requires latitude and longitude");
+  }
+
+  const categories = String(query.category || "")
+    .split(",")
+    .map((category) => category.trim().toLowerCase())
+    .filter((category) => category && category !== "all");
+
+  return {
+    q: String(query.q || "").trim(),
+    latitude,
+    longitude,
+    radius,
+    categories,
+    startDate: parseDate(query.startDate, "startDate"),
+    endDate: parseDate(query.endDate, "endDate"),
+    minPrice: query.minPrice,
+    maxPrice: query.maxPrice,
+    free: query.free === "true",
+    sort,
+    page: parsePositiveInt(query.page, "page", 1),
+    limit: Math.min(parsePositiveInt(query.limit, "limit", 20), MAX_PAGE_SIZE),
+  };
+}
+
+// Same shape as GET /api/events, plus the relevance breakdown
+function toSearchResult(event) {
+  return {
+    _id: event._id,
+    title: event.title,
+    description: event.description,
+    location: event.location,
+    latitude: event.locationCoords.coordinates[1],
+    longitude: event.locationCoords.coordinates[0],
+    date: event.date,
+    endDate: event.endDate || null,
+    category: event.category,
+    attendees: event.attendees ? event.attendees.length : 0,
+    isRecurring: !!event.recurrence,
+    ...ticketing.summarizeTicketing(event),
+    organizer: event.organizer
+      ? { id: event.organizer._id, name: event.organizer.name }
+      : { id: null, name: "Unknown Organizer" },
+    score: event.search.score,
+    relevance: {
+      text: event.search.text,
+      vector: event.search.vector,
+    },
+    distance: event.search.distance,
+  };
+}
+
+exports.search = async (req, res) => {
+  let options;
+  try {
+    options = parseSearchQuery(req.query);
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
+  try {
+    const { results, total, facets } = await searchService.search(
+      // Let the service pick its defaults for unset options
+      Object.fromEntries(
+        Object.entries(options).filter(([, value]) => value !== undefined)
+      )
+    );
+
+    res.json({
+      results: results.map(toSearchResult),
+      pagination: {
+        page: options.page,
+        limit: options.limit,
+        total,
+        pages: Math.ceil(total / options.limit),
+      },
+      facets,
+    });
+  } catch (error) {
+    console.error("Error searching events:", error);
+    res.status(500).json({ message: "Search failed", error: error.message });
+  }
+};
@@ -1,7 +1,14 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Event = require('../models/Event');
+const OrganizerRequest = require('../models/OrganizerRequest');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const authTokens = require('../utils/authTokens');
+const invites = require('../utils/invites');
+const twoFactor = require('../utils/twoFactor');
+const accountLinks = require('../utils/accountLinks');
+const accountMerge = require('../utils/accountMerge');
+const accountEmails = require('../utils/accountEmails');
 
 exports.getProfile = async (req, res) => {
   try {
@@ -10,7 +17,7 @@ exports.getProfile = async (req, res) => {
 
     // Get events organized by user
     const organizedEvents = await Event.find({ organizer: req.user._id })
-      .select('title date location status')
+      .select('title date location status statusReason publishAt')
       .sort({ date: -1 })
       .limit(10);
 
@@ -28,7 +35,9 @@ exports.getProfile = async (req, res) => {
         id: user._id,
         name: user.name,
         email: user.email,
+        pendingEmail: user.pendingEmail,
         role: user.role,
+        twoFactorEnabled: !!user.twoFactor?.enabled,
         createdAt: user.createdAt
       },
       organizedEvents,
@@ -40,36 +49,67 @@ exports.getProfile = async (req, res) => {
   }
 };
 
+// Update the name, or start changing the email address. A new address needs
+// the current password and only replaces the old one once a link sent to it
+// is followed
 exports.updateProfile = async (req, res) => {
   try {
-    const { name, email } = req.body;
-
-    // Build update object
-    const updates = {};
-    if (name) updates.name = name;
-    if (email) updates.email = email;
-
-    // Update user
-    const user = await User.findByIdAndUpdate(
-      req.user._id,
-      updates,
-      { new: true, runValidators: true }
-    ).select('-password');
+    const { name, email, currentPassword } = req.body;
 
+    const user = await User.findById(req.user._id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (name) user.name = name;
+
+    const newEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const emailChanging = !!newEmail && newEmail !== user.email;
+    if (emailChanging) {
+      if (!user.password) {
+        return res.status(400).json({
+          message: 'Set a password with a password reset link before changing your email address'
+        });
+      }
+      const isMatch = typeof currentPassword === 'string' &&
+        await bcrypt.compare(currentPassword, user.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Current password is incorrect' });
+      }
+      if (await User.exists({ email: newEmail })) {
+        return res.status(400).json({ message: 'This email address is already used by another account' });
+      }
+      user.pendingEmail = newEmail;
+    }
+
+    await user.save();
+
+    if (emailChanging) {
+      try {
+        await accountEmails.sendEmailChangeEmail(user);
+      } catch (error) {
+        // Saving the profile again sends another link
+        console.error('Error sending email change confirmation:', error);
+      }
+    }
+
     res.json({
-      message: 'Profile updated successfully',
+      message: emailChanging
+        ? `Profile updated. Follow the link we sent to ${newEmail} to start using it.`
+        : 'Profile updated successfully',
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
+        pendingEmail: user.pendingEmail,
+        role: user.role,
+        twoFactorEnabled: !!user.twoFactor?.enabled
       }
     });
   } catch (error) {
+    if (error instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Error updating profile:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -87,8 +127,20 @@ exports.changePassword = async (req, res) => {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Accounts made with Google or Facebook set their first password from a
+    // reset link, which proves they own the email address
+    if (!user.password) {
+      return res.status(400).json({
+        message: 'Your account has no password yet. Use a password reset link to set one.'
+      });
+    }
+    if (typeof newPassword !== 'string' || newPassword.length < 6) {
+      return res.status(400).json({ message: 'Password must be at least 6 characters' });
+    }
+
     // Check current password
-    const isMatch = await bcrypt.compare(currentPassword, user.password);
+    const isMatch = typeof currentPassword === 'string' &&
+      await bcrypt.compare(currentPassword, user.password);
     if (!isMatch) {
       return res.status(400).json({ message: 'Current password is incorrect' });
     }
@@ -101,6 +153,9 @@ exports.changePassword = async (req, res) => {
     user.password = hashedPassword;
     await user.save();
 
+    // Sign out everywhere else, in case the old password leaked
+    await authTokens.revokeUserSessions(user._id, { except: req.sessionId });
+
     res.json({ message: 'Password changed successfully' });
   } catch (error) {
     console.error('Error changing password:', error);
@@ -108,41 +163,20 @@ exports.changePassword = async (req, res) => {
   }
 };
 
-// Organizer registration
-exports.registerOrganizer = async (req, res) => {
+// Redeem an invite code, taking the role it grants
+exports.redeemInvite = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
-
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+    const user = await User.findById(req.user._id).select('-password');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create organizer user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: 'organizer'
-    });
+    const invite = await invites.claimInvite(req.body.code, user);
+    const changed = invites.applyInviteRole(user, invite);
+    if (changed) await user.save();
 
-    await user.save();
-
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: '7d' }
-    );
-
-    res.status(201).json({
-      message: 'Organizer registered successfully',
-      token,
+    res.json({
+      message: changed ? `You are now an ${user.role}` : `You already have the ${invite.role} role`,
       user: {
         id: user._id,
         name: user.name,
@@ -151,55 +185,257 @@ exports.registerOrganizer = async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Organizer registration error:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+    if (error instanceof invites.InviteError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error redeeming invite:', error);
+    res.status(500).json({ message: 'Server error' });
   }
 };
 
-// Admin registration (for initial setup)
-exports.registerAdmin = async (req, res) => {
+// Apply to become an organizer; an admin reviews the request
+exports.requestOrganizer = async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const { organization, website, details } = req.body;
+
+    if (req.user.role !== 'user') {
+      return res.status(400).json({ message: `You are already an ${req.user.role}` });
+    }
+    if (!organization || !details) {
+      return res.status(400).json({ message: 'Organization and details are required' });
+    }
+    if (website && !/^https?:\/\/\S+$/i.test(website)) {
+      return res.status(400).json({ message: 'Website must be an http(s) URL' });
+    }
 
-    // Check if user already exists
-    const existingUser = await User.findOne({ email });
-    if (existingUser) {
-      return res.status(400).json({ message: 'User already exists' });
+    const pending = await OrganizerRequest.exists({ user: req.user._id, status: 'pending' });
+    if (pending) {
+      return res.status(400).json({ message: 'You already have a request waiting for review' });
     }
 
-    // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
-
-    // Create admin user
-    const user = new User({
-      name,
-      email,
-      password: hashedPassword,
-      role: 'admin'
+    const request = await OrganizerRequest.create({
+      user: req.user._id,
+      organization,
+      website,
+      details
     });
 
-    await user.save();
+    res.status(201).json({
+      message: 'Request submitted. An admin will review it soon.',
+      request
+    });
+  } catch (error) {
+    console.error('Error requesting organizer role:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET || 'fallback_secret_key',
-      { expiresIn: '7d' }
-    );
+// The user's latest organizer request, if any
+exports.getOrganizerRequest = async (req, res) => {
+  try {
+    const request = await OrganizerRequest.findOne({ user: req.user._id })
+      .sort({ createdAt: -1 })
+      .select('-reviewedBy');
 
-    res.status(201).json({
-      message: 'Admin registered successfully',
-      token,
+    res.json({ request });
+  } catch (error) {
+    console.error('Error fetching organizer request:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start setting up two-factor authentication: a secret and QR code for the
+// authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    res.json(await twoFactor.beginEnrolment(req.user));
+  } catch (error) {
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error starting two-factor setup:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Turn two-factor authentication on with a first code from the app
+exports.enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.completeEnrolment(req.user._id, req.body.code);
+    res.json({
+      message: 'Two-factor authentication is on. Keep your recovery codes somewhere safe.',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Turn two-factor authentication off, with a code or recovery code
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    if (twoFactor.isRequired(req.user)) {
+      return res.status(403).json({ message: 'Admins must keep two-factor authentication on' });
+    }
+
+    const { code, recoveryCode } = req.body;
+    await twoFactor.disable(req.user._id, { code, recoveryCode });
+
+    res.json({ message: 'Two-factor authentication is off' });
+  } catch (error) {
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Replace the recovery codes, with a code from the app
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactor.regenerateRecoveryCodes(req.user._id, req.body.code);
+    res.json({
+      message: 'New recovery codes created. The old ones no longer work.',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (error instanceof twoFactor.TwoFactorError) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    console.error('Error regenerating recovery codes:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// How the user can log in: a password, linked Google and Facebook accounts,
+// and which providers can be linked
+exports.getLogins = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    res.json({ logins: accountLinks.loginMethods(user) });
+  } catch (error) {
+    console.error('Error fetching login methods:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Start linking a provider: the token to send through its login
+exports.startLink = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    if (!accountLinks.isConfigured(provider)) {
+      return res.status(400).json({ message: 'That login provider is not available' });
+    }
+
+    res.json({ linkToken: accountLinks.createLinkToken(req.user, provider) });
+  } catch (error) {
+    console.error('Error starting account link:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Finish linking with the identity token the provider's login came back with.
+// A profile linked to another account is reported so it can be merged instead
+exports.confirmLink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const { provider, duplicate } = await accountLinks.linkIdentity(user, req.body.identityToken);
+    const { label } = accountLinks.PROVIDERS[provider];
+
+    if (duplicate) {
+      return res.status(409).json({
+        message: `This ${label} account belongs to another EventMap account`,
+        code: 'IDENTITY_IN_USE',
+        duplicate: {
+          name: duplicate.name,
+          email: duplicate.email
+        }
+      });
+    }
+
+    res.json({
+      message: `${label} account linked`,
+      logins: accountLinks.loginMethods(user)
+    });
+  } catch (error) {
+    if (error instanceof accountLinks.AccountLinkError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error linking account:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Unlink a provider, unless it is the user's last way to log in
+exports.unlink = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    await accountLinks.unlinkProvider(user, req.params.provider);
+
+    res.json({
+      message: `${accountLinks.PROVIDERS[req.params.provider].label} account unlinked`,
+      logins: accountLinks.loginMethods(user)
+    });
+  } catch (error) {
+    if (error instanceof accountLinks.AccountLinkError) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error unlinking account:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+};
+
+// Merge a duplicate account into this one. The user proves the duplicate is
+// theirs with its email and password, or with the identity token from
+// linking a social account that turned out to belong to it
+exports.mergeAccount = async (req, res) => {
+  try {
+    const { email, password, identityToken } = req.body;
+
+    let duplicate;
+    if (identityToken) {
+      duplicate = await accountLinks.findIdentityOwner(req.user, identityToken);
+      if (!duplicate) {
+        return res.status(400).json({ message: 'That account no longer exists' });
+      }
+    } else {
+      if (!email || !password) {
+        return res.status(400).json({ message: 'Email and password of the other account are required' });
+      }
+      duplicate = await User.findOne({ email: String(email).toLowerCase() });
+      const isMatch = duplicate?.password && await bcrypt.compare(password, duplicate.password);
+      if (!isMatch) {
+        return res.status(400).json({ message: 'Invalid credentials' });
+      }
+    }
+
+    const user = await accountMerge.mergeAccounts(req.user, duplicate);
+
+    res.json({
+      message: `Merged ${duplicate.email} into your account`,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
-        role: user.role
-      }
+        role: user.role,
+        twoFactorEnabled: !!user.twoFactor?.enabled
+      },
+      logins: accountLinks.loginMethods(user)
     });
   } catch (error) {
-    console.error('Admin registration error:', error);
-    res.status(500).json({ message: 'Server error during registration' });
+    if (error instanceof accountLinks.AccountLinkError) {
+      return res.status(400).json({ message: error.message });
+    }
+    if (error instanceof accountMerge.TransactionsUnavailableError) {
+      console.error('Error merging accounts:', error.message);
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Error merging accounts:', error);
+    res.status(500).json({ message: 'Server error' });
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,87 @@
+const Event = require("../models/Event");
+const recurrence = require("../utils/recurrence");
+
+const INTERVAL_MS =
+  parseInt(process.env.EVENT_COMPLETION_INTERVAL_MS, 10) || 15 * 60 * 1000;
+// Events without an end date are treated as lasting this long, like in
+// calendar feeds
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+// A series is over once no occurrence starts after this far in the past
+const SERIES_GRACE_MS = 24 * 60 * 60 * 1000;
+// Latest date a JavaScript Date can hold
+const END_OF_TIME = new Date(8640000000000000);
+
+/**
+ * Mark approved events whose end has passed as completed: single events
+ * after their endDate, series once their last occurrence is over.
+ * @returns {Promise<number>} how many events were completed
+ */
+async function completeFinishedEvents(now = new Date()) {
+  const single = await Event.find({
+    status: "approved",
+    "recurrence.frequency": { $exists: false },
+    $or: [
+      { endDate: { $lt: now } },
+      {
+        endDate: null,
+        date: { $lt: new Date(now.getTime() - DEFAULT_DURATION_MS) },
+      },
+    ],
+  })
+    .select("_id")
+    .lean();
+
+  // Only bounded series can end; the rule is checked in memory
+  const series = await Event.find({
+    status: "approved",
+    "recurrence.frequency": { $exists: true },
+    $or: [
+      { "recurrence.until": { $lt: now } },
+      { "recurrence.count": { $exists: true } },
+    ],
+  })
+    .select("date endDate recurrence occurrenceOverrides")
+    .lean();
+  const endedSeries = series.filter(
+    (event) =>
+      recurrence.expandOccurrences(
+        event,
+        new Date(now.getTime() - SERIES_GRACE_MS),
+        END_OF_TIME
+      ).length === 0
+  );
+
+  const ids = [...single, ...endedSeries].map((event) => event._id);
+  if (ids.length === 0) return 0;
+
+  // Still approved, in case an organizer changed it meanwhile
+  const result = await Event.updateMany(
+    { _id: { $in: ids }, status: "approved" },
+    {
+      $set: { status: "completed", statusChangedAt: now },
+      $unset: { statusReason: "" },
+      $push: { statusHistory: { from: "approved", to: "completed", at: now } },
+    }
+  );
+
+  console.log(`Marked ${result.modifiedCount} finished events as completed`);
+  return result.modifiedCount;
+}
+
+// Run the completion check now and then periodically
+function start() {
+  const run = () =>
+    completeFinishedEvents().catch((error) =>
+      console.error("Error completing finished events:", error)
+    );
+
+  run();
+  // Don't keep the process alive just for this
+  setInterval(run, INTERVAL_MS).unref();
+}
+
+module.exports = {
+  completeFinishedEvents,
+  start,
+};
@@ -0,0 +1,151 @@
+const Event = require("../models/Event");
+const User = require("../models/User");
+const eventPipeline = require("../ai/eventPipeline");
+const geocodingService = require("../ai/geocodingService");
+const lifecycle = require("../utils/eventLifecycle");
+const moderation = require("../utils/moderation");
+const notifications = require("../utils/notifications");
+
+// Organizer notification for each status a scheduled publish can end in
+const PUBLISH_OUTCOMES = {
+  approved: "published",
+  pending: "submitted",
+  rejected: "publish_rejected",
+};
+
+const INTERVAL_MS =
+  parseInt(process.env.EVENT_PUBLISHING_INTERVAL_MS, 10) || 60 * 1000;
+
+/**
+ * Fields a draft still needs before it can be published
+ * @returns {string[]}
+ */
+function missingFields(event) {
+  return ["title", "description", "location", "date"].filter(
+    (field) => !event[field]
+  );
+}
+
+/**
+ * Publish a draft, or resubmit an event sent back for changes or rejected:
+ * run moderation, classification, summarization and duplicate checks on it
+ * as it is now, then submit it for review. The moderation policy decides
+ * whether it is approved straight away, rejected or left pending. Throws if
+ * the event is incomplete or can't be located.
+ * @returns {Promise<Object>} the pipeline review
+ */
+async function publishEvent(event, { by = null } = {}) {
+  lifecycle.assertTransition(event.status, "pending", lifecycle.OWNER);
+
+  const missing = missingFields(event);
+  if (missing.length > 0) {
+    throw new Error(`Add ${missing.join(", ")} before publishing`);
+  }
+
+  // Drafts may be saved with just an address
+  if (!event.locationCoords || !event.locationCoords.coordinates) {
+    const place = await geocodingService.geocode(event.location);
+    if (!place) {
+      throw new Error(
+        "Could not find coordinates for this location. Please pick it on the map."
+      );
+    }
+    event.locationCoords = {
+      type: "Point",
+      coordinates: [place.longitude, place.latitude],
+    };
+  }
+
+  const review = await eventPipeline.review({
+    _id: event._id,
+    title: event.title,
+    description: event.description,
+    category: event.category,
+    latitude: event.locationCoords.coordinates[1],
+    longitude: event.locationCoords.coordinates[0],
+    date: event.date,
+    seriesId: event.series,
+  });
+
+  const organizer = await User.findById(
+    event.organizer._id || event.organizer
+  ).select("role trusted");
+  const status = organizer
+    ? await moderation.initialStatus(review, organizer)
+    : "pending";
+
+  event.category = review.category;
+  event.aiFlags = eventPipeline.buildAiFlags(review);
+  event.embedding = review.embedding || undefined;
+  event.publishAt = undefined;
+
+  lifecycle.applyTransition(event, "pending", { by });
+  if (status !== "pending") {
+    lifecycle.assertTransition("pending", status, lifecycle.SYSTEM);
+    lifecycle.applyTransition(event, status, {
+      reason: review.rejectionReasons.join("; ") || undefined,
+    });
+  }
+
+  await event.save();
+  return review;
+}
+
+/**
+ * Publish drafts whose scheduled time has come. Each draft is claimed by
+ * clearing its publishAt first, so it is published once even if runs
+ * overlap; organizers are told when one could not be published.
+ * @returns {Promise<number>} how many drafts were published
+ */
+async function publishDueEvents(now = new Date()) {
+  const due = await Event.find({ status: "draft", publishAt: { $lte: now } })
+    .select("_id")
+    .lean();
+
+  let published = 0;
+  for (const { _id } of due) {
+    const event = await Event.findOneAndUpdate(
+      { _id, status: "draft", publishAt: { $lte: now } },
+      { $unset: { publishAt: "" } },
+      { new: true }
+    );
+    if (!event) continue;
+
+    try {
+      await publishEvent(event);
+      await notifications.notifyOrganizer(
+        event,
+        PUBLISH_OUTCOMES[event.status],
+        event.statusReason
+      );
+      published++;
+    } catch (error) {
+      console.error(`Error publishing scheduled event ${_id}:`, error);
+      await notifications.notifyOrganizer(event, "publish_failed", error.message);
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`Published ${published} of ${due.length} scheduled events`);
+  }
+  return published;
+}
+
+// Run the publishing check now and then periodically
+function start() {
+  const run = () =>
+    publishDueEvents().catch((error) =>
+      console.error("Error publishing scheduled events:", error)
+    );
+
+  run();
+  // Don't keep the process alive just for this
+  setInterval(run, INTERVAL_MS).unref();
+}
+
+module.exports = {
+  missingFields,
+  publishEvent,
+  publishDueEvents,
+  start,
+};
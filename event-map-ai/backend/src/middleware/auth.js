@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const authTokens = require('../utils/authTokens');
 
 // Protect routes - require authentication
 const protect = async (req, res, next) => {
@@ -10,19 +10,23 @@ const protect = async (req, res, next) => {
       // Get token from header
       token = req.headers.authorization.split(' ')[1];
 
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET || 'fallback_secret_key');
+      // Verify token and check its session is still signed in
+      const decoded = await authTokens.verifyAccessToken(token);
 
       // Get user from token
       req.user = await User.findById(decoded.userId).select('-password');
-
-      next();
+      if (!req.user) {
+        return res.status(401).json({ message: 'Not authorized, user not found' });
+      }
+      req.sessionId = decoded.sid;
     } catch (error) {
-      console.error('Token verification error:', error.message);
-      console.log('Token that failed:', token ? token.substring(0, 20) + '...' : 'No token');
-      console.log('Using Secret:', process.env.JWT_SECRET ? 'From ENV' : 'Fallback');
+      if (!(error instanceof authTokens.AuthTokenError)) {
+        console.error('Token verification error:', error);
+        return res.status(500).json({ message: 'Server error' });
+      }
       return res.status(401).json({ message: 'Not authorized, token failed', error: error.message });
     }
+    return next();
   }
 
   if (!token) {
@@ -30,6 +34,30 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Identify the user when a valid token is sent, otherwise carry on as a
+// guest with req.user null
+const optionalAuth = async (req, res, next) => {
+  req.user = null;
+  const token = req.headers.authorization?.startsWith('Bearer')
+    ? req.headers.authorization.split(' ')[1]
+    : null;
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = await authTokens.verifyAccessToken(token);
+    req.user = await User.findById(decoded.userId).select('-password');
+    req.sessionId = decoded.sid;
+  } catch (error) {
+    if (!(error instanceof authTokens.AuthTokenError)) {
+      console.error('Token verification error:', error);
+    }
+    req.user = null;
+  }
+  next();
+};
+
 // Restrict to organizers only
 const organizer = (req, res, next) => {
   if (req.user && req.user.role === 'organizer') {
@@ -39,13 +67,19 @@ const organizer = (req, res, next) => {
   }
 };
 
-// Restrict to admins only
+// Restrict to admins only. Admins must have two-factor authentication on,
+// which also covers sessions from before they became admins
 const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
+  if (!req.user || req.user.role !== 'admin') {
     return res.status(403).json({ message: 'Not authorized as an admin' });
   }
+  if (!req.user.twoFactor?.enabled) {
+    return res.status(403).json({
+      message: 'Turn on two-factor authentication in your profile to use admin features',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+  next();
 };
 
 // Restrict to organizers or admins
@@ -59,6 +93,7 @@ const organizerOrAdmin = (req, res, next) => {
 
 module.exports = {
   protect,
+  optionalAuth,
   organizer,
   admin,
   organizerOrAdmin
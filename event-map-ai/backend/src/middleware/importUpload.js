@@ -0,0 +1,35 @@
+const multer = require("multer");
+const path = require("path");
+
+// Calendar imports are parsed straight from memory, never written to disk
+const storage = multer.memoryStorage();
+
+// File filter to allow only iCalendar and CSV files
+const fileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).toLowerCase();
+  if ([".ics", ".ical", ".csv"].includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error("Only .ics and .csv files can be imported"), false);
+  }
+};
+
+const upload = multer({
+  storage: storage,
+  fileFilter: fileFilter,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+  },
+});
+
+// Accept a single "file" field, answering upload problems with a 400
+const importUpload = (req, res, next) => {
+  upload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+};
+
+module.exports = importUpload;
@@ -0,0 +1,36 @@
+const RateLimit = require('../models/RateLimit');
+
+// Count a request in the current window of a key
+// @returns the number of requests counted so far, and when the window ends
+const hit = async (key, windowMs) => {
+  const window = Math.floor(Date.now() / windowMs);
+  const expiresAt = new Date((window + 1) * windowMs);
+  const entry = await RateLimit.findOneAndUpdate(
+    { key: `${key}:${window}` },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true }
+  );
+  return { count: entry.count, expiresAt };
+};
+
+// Limit how often a route is used from one IP address (perIp) and for the
+// email address in the request body (perEmail), per window. The counts live
+// in the database, so every server shares them
+const rateLimit = ({ name, windowMs, perIp, perEmail }) => async (req, res, next) => {
+  const limits = [[`${name}:ip:${req.ip}`, perIp]];
+  const email = req.body?.email;
+  if (perEmail && typeof email === 'string' && email.trim()) {
+    limits.push([`${name}:email:${email.trim().toLowerCase()}`, perEmail]);
+  }
+
+  for (const [key, max] of limits) {
+    const { count, expiresAt } = await hit(key, windowMs);
+    if (count > max) {
+      res.set('Retry-After', String(Math.ceil((expiresAt - Date.now()) / 1000)));
+      return res.status(429).json({ message: 'Too many attempts. Please try again later.' });
+    }
+  }
+  next();
+};
+
+module.exports = { rateLimit };
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// A user's rating of an AI assistant reply
+const assistantFeedbackSchema = new mongoose.Schema({
+  interaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AssistantInteraction',
+    default: null
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Copied from the interaction so ratings can be grouped without a join
+  intent: {
+    type: String,
+    default: 'unknown'
+  },
+  rating: {
+    type: String,
+    enum: ['up', 'down'],
+    required: true
+  },
+  // Original 1-5 score, when one was given instead of a thumbs rating
+  score: {
+    type: Number,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    maxlength: 1000
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+assistantFeedbackSchema.index({ createdAt: -1 });
+assistantFeedbackSchema.index({ messageId: 1, user: 1 });
+assistantFeedbackSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AssistantFeedback', assistantFeedbackSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// One request handled by the AI assistant orchestrator, kept for analytics
+const assistantInteractionSchema = new mongoose.Schema({
+  sessionId: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  role: {
+    type: String,
+    default: 'guest'
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  // Lowercased, punctuation-free query used to group repeated questions
+  normalizedQuery: {
+    type: String,
+    required: true
+  },
+  intent: {
+    type: String,
+    default: 'unknown'
+  },
+  agentsUsed: [String],
+  agentTimings: [
+    {
+      _id: false,
+      agent: String,
+      durationMs: Number
+    }
+  ],
+  executionTime: {
+    type: Number
+  },
+  confidence: {
+    type: Number
+  },
+  safetyStatus: {
+    type: String
+  },
+  // null when the reply didn't need the AI provider at all
+  aiFallback: {
+    type: Boolean,
+    default: null
+  },
+  aiFallbackReason: {
+    type: String,
+    enum: ['not_configured', 'error', null],
+    default: null
+  },
+  // False when the assistant found nothing or failed to respond
+  answered: {
+    type: Boolean,
+    default: true
+  },
+  // The stored assistant reply, which feedback refers to
+  messageId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+assistantInteractionSchema.index({ createdAt: -1 });
+assistantInteractionSchema.index({ messageId: 1 });
+assistantInteractionSchema.index({ sessionId: 1, createdAt: -1 });
+assistantInteractionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('AssistantInteraction', assistantInteractionSchema);
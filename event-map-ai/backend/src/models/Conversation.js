@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// An AI assistant chat session. Guest sessions have no user.
+const conversationSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true
+    },
+    // First user message, shortened, for session lists
+    title: {
+      type: String,
+      default: ''
+    },
+    messageCount: {
+      type: Number,
+      default: 0
+    },
+    // Preferences picked up during this session (categories, locations)
+    sessionPreferences: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {}
+    },
+    lastMessageAt: {
+      type: Date,
+      default: Date.now
+    },
+    // Pushed forward on every message, so retention counts from last use
+    expiresAt: {
+      type: Date,
+      required: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+conversationSchema.index({ user: 1, lastMessageAt: -1 });
+// Let MongoDB drop sessions once they expire
+conversationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -1,4 +1,130 @@
 const mongoose = require("mongoose");
+const { STATUSES } = require("../utils/eventLifecycle");
+
+// RRULE-style recurrence rule for an event series
+const recurrenceSchema = new mongoose.Schema(
+  {
+    frequency: {
+      type: String,
+      enum: ["daily", "weekly", "monthly"],
+      required: true,
+    },
+    interval: {
+      type: Number,
+      min: 1,
+    },
+    // Weekdays (0 = Sunday) for weekly rules; defaults to the start's weekday
+    byWeekday: [
+      {
+        type: Number,
+        min: 0,
+        max: 6,
+      },
+    ],
+    until: {
+      type: Date,
+    },
+    count: {
+      type: Number,
+      min: 1,
+    },
+    exceptionDates: [
+      {
+        type: Date,
+      },
+    ],
+  },
+  { _id: false }
+);
+
+// Edits applied to a single occurrence of a series, keyed by its original date
+const occurrenceOverrideSchema = new mongoose.Schema(
+  {
+    originalDate: {
+      type: Date,
+      required: true,
+    },
+    title: String,
+    description: String,
+    location: String,
+    locationCoords: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+      },
+    },
+    date: Date,
+    endDate: Date,
+  },
+  { _id: false }
+);
+
+// A purchasable ticket type; fixed pricing has exactly one
+const ticketTypeSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    description: String,
+  },
+  { _id: false }
+);
+
+// One status change; `by` is unset for automatic changes
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: String,
+    to: {
+      type: String,
+      required: true,
+    },
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Drafts may be saved incomplete; the rest is required to publish
+function requiredUnlessDraft() {
+  return this.status !== "draft";
+}
+
+// Review queue state while an event is pending
+const moderationSchema = new mongoose.Schema(
+  {
+    // When the event last entered the queue, and how many times it has
+    submittedAt: Date,
+    submissions: {
+      type: Number,
+      default: 0,
+    },
+    // Reviewer working on it; claims lapse after a while
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    claimedAt: Date,
+  },
+  { _id: false }
+);
 
 const eventSchema = new mongoose.Schema({
   title: {
@@ -8,24 +134,26 @@ const eventSchema = new mongoose.Schema({
   },
   description: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   location: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   locationCoords: {
     type: {
       type: String,
       enum: ["Point"],
-      required: true,
+      required: requiredUnlessDraft,
     },
     coordinates: {
       type: [Number],
       index: "2dsphere",
-      required: true,
+      required: requiredUnlessDraft,
+      default: undefined,
     },
   },
+  // Required even for drafts, which are listed by date like other events
   date: {
     type: Date,
     required: true,
@@ -35,24 +163,87 @@ const eventSchema = new mongoose.Schema({
   },
   category: {
     type: String,
-    required: true,
+    required: requiredUnlessDraft,
   },
   organizer: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
     required: true,
   },
+  recurrence: {
+    type: recurrenceSchema,
+    default: undefined,
+  },
+  occurrenceOverrides: [occurrenceOverrideSchema],
+  // Standalone event attached to a recurring series (e.g. an extra session)
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Event",
+  },
   attendees: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
     },
   ],
+  pricing: {
+    type: String,
+    enum: ["free", "fixed", "tiered"],
+    default: "free",
+  },
+  ticketTypes: [ticketTypeSchema],
+  currency: {
+    type: String,
+    uppercase: true,
+    match: /^[A-Z]{3}$/,
+    default: "USD",
+  },
+  // Lowest and highest ticket prices, derived from ticketTypes for filtering
+  price: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  maxPrice: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // Maximum number of attendees; unset means unlimited
+  capacity: {
+    type: Number,
+    min: 1,
+  },
+  // Users waiting for a spot, in order of arrival
+  waitlist: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  ],
+  // Lifecycle status; utils/eventLifecycle.js defines the allowed changes
   status: {
     type: String,
-    enum: ["pending", "approved", "rejected"],
+    enum: STATUSES,
     default: "pending",
   },
+  // Why the event was last rejected, sent back for changes, cancelled or
+  // postponed
+  statusReason: {
+    type: String,
+  },
+  statusChangedAt: {
+    type: Date,
+  },
+  statusHistory: [statusChangeSchema],
+  moderation: {
+    type: moderationSchema,
+    default: undefined,
+  },
+  // When a draft is due to be published by the scheduler
+  publishAt: {
+    type: Date,
+  },
   aiFlags: {
     duplicateRisk: {
       type: Number,
@@ -68,6 +259,17 @@ const eventSchema = new mongoose.Schema({
       default: 0,
     },
   },
+  // Embedding of the title and description, reused by duplicate detection.
+  // contentHash and model tell when it must be regenerated.
+  embedding: {
+    type: {
+      vector: [Number],
+      contentHash: String,
+      model: String,
+    },
+    default: undefined,
+    select: false,
+  },
   // Added field for storing photo paths
   photos: [
     {
@@ -82,5 +284,58 @@ const eventSchema = new mongoose.Schema({
 
 // Create geospatial index
 eventSchema.index({ locationCoords: "2dsphere" });
+eventSchema.index({ price: 1 });
+eventSchema.index({ date: 1 });
+// Finding events the completion job should close
+eventSchema.index({ status: 1, endDate: 1 });
+// Finding drafts the publishing job should publish
+eventSchema.index({ status: 1, publishAt: 1 });
+// Keyword relevance for /api/search; titles count most
+eventSchema.index(
+  { title: "text", description: "text", location: "text" },
+  { name: "event_text", weights: { title: 5, location: 2, description: 1 } }
+);
+
+// Keep the vector index in step with events. The retrieval service loads
+// this model, so it is required when a hook first runs.
+function syncVectorIndex(doc) {
+  if (doc) require("../ai/retrievalService").scheduleSync(doc._id);
+}
+
+// updateOne and updateMany don't return documents, so the events they are
+// about to change are looked up first, while the filter still matches them
+async function findEventsToSync() {
+  if (!require("../ai/retrievalService").initialized) return;
+
+  const events = await this.model
+    .find(this.getFilter())
+    .select("_id")
+    .limit(this.op === "updateOne" ? 1 : 0)
+    .session(this.getOptions().session || null)
+    .lean();
+  this._eventsToSync = events;
+}
+
+function syncUpdatedEvents() {
+  (this._eventsToSync || []).forEach(syncVectorIndex);
+}
+
+eventSchema.post("save", syncVectorIndex);
+eventSchema.post("findOneAndUpdate", syncVectorIndex);
+eventSchema.post("findOneAndDelete", syncVectorIndex);
+eventSchema.post("deleteOne", { document: true, query: false }, syncVectorIndex);
+eventSchema.pre(["updateOne", "updateMany"], findEventsToSync);
+eventSchema.post(["updateOne", "updateMany"], syncUpdatedEvents);
+
+// Keep the denormalized price range in sync with the ticket types
+eventSchema.pre("validate", function () {
+  if (this.pricing === "free") {
+    this.ticketTypes = [];
+  }
+
+  const prices = this.ticketTypes.map((ticket) => ticket.price);
+  this.price = prices.length ? Math.min(...prices) : 0;
+  this.maxPrice = prices.length ? Math.max(...prices) : 0;
+});
 
 module.exports = mongoose.model("Event", eventSchema);
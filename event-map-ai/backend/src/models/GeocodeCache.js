@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// Cached geocoding lookups so repeated addresses don't hit the provider again
+const geocodeCacheSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  kind: {
+    type: String,
+    enum: ['forward', 'reverse'],
+    required: true
+  },
+  query: {
+    type: String,
+    required: true
+  },
+  // null records a lookup that found nothing
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  provider: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop entries once they expire
+geocodeCacheSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('GeocodeCache', geocodeCacheSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Single-use code an admin hands out to let someone take a privileged role.
+// Only a hash of the code is stored; the code itself is shown once
+const inviteSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  role: {
+    type: String,
+    enum: ['organizer', 'admin'],
+    required: true
+  },
+  // When set, only an account with this email can use the code
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  usedAt: {
+    type: Date
+  },
+  revokedAt: {
+    type: Date
+  }
+});
+
+inviteSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('Invite', inviteSchema);
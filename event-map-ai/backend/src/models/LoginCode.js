@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One-time codes handing a social login over to the frontend, which swaps
+// them for tokens. Only the hash is stored
+const loginCodeSchema = new mongoose.Schema({
+  codeHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop codes that were never used
+loginCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginCode', loginCodeSchema);
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// A single turn in an AI assistant conversation; its _id is the message ID
+// clients use for feedback
+const messageSchema = new mongoose.Schema({
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation',
+    required: true
+  },
+  sessionId: {
+    type: String,
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['user', 'assistant'],
+    required: true
+  },
+  content: {
+    type: String,
+    required: true
+  },
+  // Assistant replies only
+  intent: {
+    type: String
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  explanation: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  executionTime: {
+    type: Number
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Kept in step with the conversation's expiry
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+messageSchema.index({ sessionId: 1, createdAt: 1 });
+messageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Message', messageSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// How long notifications are kept, read or not
+const RETENTION_DAYS = 90;
+
+// In-app message telling a user about a change to an event they follow or
+// organize, or a decision about their account
+const notificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: [
+      'event_cancelled',
+      'event_postponed',
+      'event_rescheduled',
+      'event_published',
+      'event_submitted',
+      'event_approved',
+      'event_rejected',
+      'event_changes_requested',
+      'event_publish_rejected',
+      'event_publish_failed',
+      'organizer_approved',
+      'organizer_rejected'
+    ],
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  read: {
+    type: Boolean,
+    default: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+  }
+});
+
+notificationSchema.index({ user: 1, createdAt: -1 });
+// Let MongoDB drop notifications once they expire
+notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Notification', notificationSchema);
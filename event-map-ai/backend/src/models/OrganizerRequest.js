@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A user's application to become an organizer, approved or rejected by an
+// admin
+const organizerRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organization: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  // What the applicant plans to organize
+  details: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  // Why the request was rejected, shown to the applicant
+  reason: {
+    type: String,
+    trim: true
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+organizerRequestSchema.index({ status: 1, createdAt: 1 });
+organizerRequestSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OrganizerRequest', organizerRequestSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Sessions whose access tokens are no longer accepted. Entries only need to
+// outlive the access tokens issued before the revocation
+const revokedTokenSchema = new mongoose.Schema({
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Let MongoDB drop entries once they expire
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
@@ -13,6 +13,15 @@ const userSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // false until the address is confirmed. Accounts from before email
+  // verification have no value and count as verified
+  emailVerified: Boolean,
+  // New address waiting to be confirmed; `email` stays in use until then
+  pendingEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   password: {
     type: String,
     minlength: 6
@@ -24,6 +33,48 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'organizer', 'admin'],
     default: 'user'
   },
+  // Organizer whose events are published without waiting for review
+  trusted: {
+    type: Boolean,
+    default: false
+  },
+  // Authenticator app codes required at login. The secrets and the hashed
+  // recovery codes are only loaded when asked for
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret waiting for a first code from the app before it replaces `secret`
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    recoveryCodes: {
+      type: [String],
+      select: false,
+      default: undefined
+    },
+    enabledAt: Date,
+    // Time step of the last code accepted, so a code can't be used twice
+    lastUsedStep: Number,
+    failedAttempts: {
+      type: Number,
+      default: 0
+    },
+    lockedUntil: Date
+  },
+  // Secret token authenticating the user's calendar feed subscriptions
+  calendarFeedToken: {
+    type: String,
+    unique: true,
+    sparse: true,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A document in the in-process vector store, kept so the index survives restarts
+const vectorDocumentSchema = new mongoose.Schema({
+  // Name of the vector collection, e.g. 'events'
+  collectionName: {
+    type: String,
+    required: true
+  },
+  docId: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    required: true
+  },
+  document: {
+    type: String,
+    default: ''
+  },
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+vectorDocumentSchema.index({ collectionName: 1, docId: 1 }, { unique: true });
+
+module.exports = mongoose.model('VectorDocument', vectorDocumentSchema);
@@ -10,5 +10,24 @@ router.get('/flagged-events', protect, admin, adminController.getFlaggedEvents);
 router.get('/duplicate-events', protect, admin, adminController.getDuplicateEvents);
 router.get('/users', protect, admin, adminController.getUsers);
 router.put('/update-user-role', protect, admin, adminController.updateUserRole);
+router.put('/update-user-trust', protect, admin, adminController.updateUserTrust);
+
+// Moderation queue: claim an event, then approve, reject or request changes
+router.get('/moderation/queue', protect, admin, adminController.getModerationQueue);
+router.post('/moderation/:id/claim', protect, admin, adminController.claimEvent);
+router.delete('/moderation/:id/claim', protect, admin, adminController.releaseEvent);
+router.post('/moderation/:id/decision', protect, admin, adminController.decideEvent);
+
+// Invite codes for organizer and admin accounts
+router.get('/invites', protect, admin, adminController.getInvites);
+router.post('/invites', protect, admin, adminController.createInvite);
+router.delete('/invites/:id', protect, admin, adminController.revokeInvite);
+
+// Applications to become an organizer
+router.get('/organizer-requests', protect, admin, adminController.getOrganizerRequests);
+router.post('/organizer-requests/:id/decision', protect, admin, adminController.decideOrganizerRequest);
+
+router.get('/vector-index', protect, admin, adminController.getVectorIndexDrift);
+router.post('/vector-index/repair', protect, admin, adminController.repairVectorIndex);
 
 module.exports = router;
\ No newline at end of file
@@ -6,43 +6,18 @@
 const express = require('express');
 const router = express.Router();
 const aiAssistantController = require('../controllers/aiAssistantController');
-const { protect } = require('../middleware/auth');
-
-// Optional authentication middleware for guest support
-const optionalAuth = async (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (token) {
-      // Try to authenticate if token is provided
-      const jwt = require('jsonwebtoken');
-      const User = require('../models/User');
-      
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
-      
-      if (user) {
-        req.user = user;
-      } else {
-        req.user = null;
-      }
-    } else {
-      req.user = null; // Guest user
-    }
-    next();
-  } catch (error) {
-    // If token is invalid, treat as guest
-    req.user = null;
-    next();
-  }
-};
+const { protect, optionalAuth } = require('../middleware/auth');
 
 // Main AI assistant endpoint (allow both authenticated and guest users)
 router.post('/chat', optionalAuth, aiAssistantController.processMessage);
+// Same as /chat, streamed as server-sent events with per-agent progress
+router.post('/chat/stream', optionalAuth, aiAssistantController.streamMessage);
 
 // Get AI capabilities based on user role (allow guests)
 router.get('/capabilities', optionalAuth, aiAssistantController.getCapabilities);
 
 // Conversation management
+router.get('/conversations', protect, aiAssistantController.listConversations);
 router.get('/conversation/:sessionId', protect, aiAssistantController.getConversationHistory);
 router.delete('/conversation/:sessionId', protect, aiAssistantController.clearConversation);
 
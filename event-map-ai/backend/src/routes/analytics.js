@@ -0,0 +1,14 @@
+const express = require("express");
+const router = express.Router();
+const analyticsController = require("../controllers/analytics");
+const { protect, organizerOrAdmin } = require("../middleware/auth");
+
+// Event density by area and hour of week, for organizers and admins
+router.get(
+  "/density",
+  protect,
+  organizerOrAdmin,
+  analyticsController.getDensity
+);
+
+module.exports = router;
@@ -1,26 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth');
+const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Links sent on request, limited so the routes can't flood an inbox or be
+// used to test which addresses have accounts
+const accountEmailLimit = rateLimit({
+  name: 'account-email',
+  windowMs: 15 * 60 * 1000,
+  perIp: 10,
+  perEmail: 3
+});
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
-router.post('/logout', authController.logout);
+router.post('/refresh', authController.refresh);
+
+// Email verification and password reset
+router.post('/verify-email', authController.verifyEmail);
+router.post('/resend-verification', accountEmailLimit, authController.resendVerification);
+router.post('/forgot-password', accountEmailLimit, authController.forgotPassword);
+router.post('/reset-password', authController.resetPassword);
+
+// Second login step for accounts with two-factor authentication, and setup
+// for admins logging in without it
+router.post('/2fa/verify', authController.verifyTwoFactor);
+router.post('/2fa/setup', authController.setupTwoFactor);
+router.post('/2fa/enable', authController.enableTwoFactor);
+
+router.post('/logout', protect, authController.logout);
+router.post('/logout-all', protect, authController.logoutAll);
+
+// Signed-in devices
+router.get('/sessions', protect, authController.getSessions);
+router.delete('/sessions/:id', protect, authController.revokeSession);
 
 
 const passport = require('passport');
-const jwt = require('jsonwebtoken');
-
-// Social Login Routes
-router.get('/google', passport.authenticate('google', { scope: ['profile', 'email'] }));
-router.get('/google/callback',
-    passport.authenticate('google', { session: false, failureRedirect: '/login' }),
-    authController.socialAuthCallback
-);
-
-router.get('/facebook', passport.authenticate('facebook', { scope: ['email'] }));
-router.get('/facebook/callback',
-    passport.authenticate('facebook', { session: false, failureRedirect: '/login' }),
-    authController.socialAuthCallback
-);
+
+// A `?link=` token from the profile page travels through the provider as the
+// OAuth state, turning the login into linking that provider
+const startSocialAuth = (provider, scope) => (req, res, next) =>
+    passport.authenticate(provider, { scope, state: req.query.link })(req, res, next);
+
+// Logins, refused logins and links all end in the controller
+const finishSocialAuth = (provider) => (req, res, next) =>
+    passport.authenticate(provider, { session: false }, (err, user, info) => {
+        if (err) return next(err);
+        req.user = user;
+        req.authInfo = info;
+        authController.socialAuthCallback(req, res);
+    })(req, res, next);
+
+// Social Login Routes. The callback hands the frontend a one-time code,
+// which it swaps for tokens
+router.get('/google', startSocialAuth('google', ['profile', 'email']));
+router.get('/google/callback', finishSocialAuth('google'));
+
+router.get('/facebook', startSocialAuth('facebook', ['email']));
+router.get('/facebook/callback', finishSocialAuth('facebook'));
+
+router.post('/social/exchange', authController.exchangeSocialLogin);
 
 module.exports = router;
\ No newline at end of file
@@ -1,12 +1,37 @@
 const express = require("express");
 const router = express.Router();
 const eventController = require("../controllers/events");
-const { protect, organizerOrAdmin } = require("../middleware/auth");
+const {
+  protect,
+  optionalAuth,
+  organizerOrAdmin,
+} = require("../middleware/auth");
 const upload = require("../middleware/upload");
+const importUpload = require("../middleware/importUpload");
+const eventImportController = require("../controllers/eventImport");
+
+// Calendar feeds, authenticated by the secret token in the URL
+router.get("/feeds", protect, eventController.getCalendarFeeds);
+router.post(
+  "/feeds/regenerate",
+  protect,
+  eventController.regenerateCalendarFeeds
+);
+router.get("/feeds/:token/attending.ics", eventController.getAttendingFeed);
+router.get("/feeds/:token/my-events.ics", eventController.getMyEventsFeed);
+router.get("/feeds/:token/events.ics", eventController.getEventsFeed);
+
+// User routes (registered before "/:id" so it is not taken for an id)
+router.get("/attending", protect, eventController.getAttendingEvents);
 
 // Public routes
 router.get("/", eventController.getEvents);
-router.get("/:id", eventController.getEventById);
+// Map clusters and vector tiles (registered before "/:id")
+router.get("/clusters", eventController.getEventClusters);
+router.get("/tiles/:z/:x/:y.mvt", eventController.getEventTile);
+// Logged-in users also see their own place on the waitlist
+router.get("/:id", optionalAuth, eventController.getEventById);
+router.get("/:id/ics", eventController.getEventIcs);
 
 // Protected routes
 router.post(
@@ -16,10 +41,59 @@ router.post(
   upload.array("photos", 5),
   eventController.createEvent
 );
-router.put("/:id", protect, organizerOrAdmin, eventController.updateEvent);
+// Bulk import from .ics or CSV; pass dryRun=true to preview the report
+router.post(
+  "/import",
+  protect,
+  organizerOrAdmin,
+  importUpload,
+  eventImportController.importEvents
+);
+router.put(
+  "/:id",
+  protect,
+  organizerOrAdmin,
+  upload.array("photos", 5),
+  eventController.updateEvent
+);
 router.delete("/:id", protect, organizerOrAdmin, eventController.deleteEvent);
 router.post("/:id/attend", protect, eventController.attendEvent);
 
+// Drafts: preview as published, then publish now or at publishAt. Events
+// sent back by reviewers are resubmitted through /publish too.
+router.get(
+  "/:id/preview",
+  protect,
+  organizerOrAdmin,
+  eventController.previewEvent
+);
+router.post(
+  "/:id/publish",
+  protect,
+  organizerOrAdmin,
+  eventController.publishEvent
+);
+router.get(
+  "/:id/history",
+  protect,
+  organizerOrAdmin,
+  eventController.getEventHistory
+);
+
+// Recurring series occurrences
+router.put(
+  "/:id/occurrences/:occurrenceDate",
+  protect,
+  organizerOrAdmin,
+  eventController.updateOccurrence
+);
+router.delete(
+  "/:id/occurrences/:occurrenceDate",
+  protect,
+  organizerOrAdmin,
+  eventController.cancelOccurrence
+);
+
 // Organizer routes
 router.get(
   "/my/events",
@@ -28,7 +102,4 @@ router.get(
   eventController.getMyEvents
 );
 
-// User routes
-router.get("/attending", protect, eventController.getAttendingEvents);
-
 module.exports = router;
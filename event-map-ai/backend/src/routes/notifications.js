@@ -0,0 +1,11 @@
+const express = require("express");
+const router = express.Router();
+const notificationsController = require("../controllers/notifications");
+const { protect } = require("../middleware/auth");
+
+// Notifications about events the user attends or is waitlisted for
+router.get("/", protect, notificationsController.getNotifications);
+router.put("/read-all", protect, notificationsController.markAllRead);
+router.put("/:id/read", protect, notificationsController.markRead);
+
+module.exports = router;
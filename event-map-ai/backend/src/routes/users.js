@@ -2,14 +2,39 @@ const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/users');
 const { protect } = require('../middleware/auth');
+const { rateLimit } = require('../middleware/rateLimit');
+
+// Merging checks the other account's password, so guessing it is limited
+const mergeLimit = rateLimit({
+  name: 'merge',
+  windowMs: 15 * 60 * 1000,
+  perIp: 10,
+  perEmail: 5
+});
 
 // Protected routes
 router.get('/profile', protect, userController.getProfile);
 router.put('/profile', protect, userController.updateProfile);
 router.put('/change-password', protect, userController.changePassword);
 
-// Public routes for special registrations
-router.post('/register-organizer', userController.registerOrganizer);
-router.post('/register-admin', userController.registerAdmin);
+// Becoming an organizer or admin: with an invite code from an admin, or by
+// applying for review
+router.post('/redeem-invite', protect, userController.redeemInvite);
+router.get('/organizer-request', protect, userController.getOrganizerRequest);
+router.post('/organizer-request', protect, userController.requestOrganizer);
+
+// Two-factor authentication
+router.post('/2fa/setup', protect, userController.setupTwoFactor);
+router.post('/2fa/enable', protect, userController.enableTwoFactor);
+router.post('/2fa/disable', protect, userController.disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, userController.regenerateRecoveryCodes);
+
+// Login methods: linking and unlinking Google and Facebook, and merging a
+// duplicate account
+router.get('/logins', protect, userController.getLogins);
+router.post('/logins/confirm', protect, userController.confirmLink);
+router.post('/logins/:provider/start', protect, userController.startLink);
+router.delete('/logins/:provider', protect, userController.unlink);
+router.post('/merge', protect, mergeLimit, userController.mergeAccount);
 
 module.exports = router;
\ No newline at end of file
@@ -4,6 +4,13 @@ const mongoose = require("mongoose");
 const path = require("path");
 require("dotenv").config();
 
+// Tokens signed with a guessable secret could be forged, so don't start
+if (!process.env.JWT_SECRET) {
+  console.error("❌ Critical Error: JWT_SECRET is not set");
+  console.error("🔧 Please set JWT_SECRET in your .env file");
+  process.exit(1);
+}
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -16,6 +23,9 @@ require("./config/passport");
 // Routes
 app.use("/api/auth", require("./routes/auth"));
 app.use("/api/events", require("./routes/events"));
+app.use("/api/search", require("./routes/search"));
+app.use("/api/analytics", require("./routes/analytics"));
+app.use("/api/notifications", require("./routes/notifications"));
 app.use("/api/users", require("./routes/users"));
 app.use("/api/admin", require("./routes/admin"));
 app.use("/api/reviews", require("./routes/reviews"));
@@ -45,6 +55,8 @@ app.use((err, req, res, next) => {
 // Initialize AI services
 const retrievalService = require("./ai/retrievalService");
 const agentWorkflows = require("./ai/agentWorkflows");
+const eventCompletion = require("./jobs/eventCompletion");
+const eventPublishing = require("./jobs/eventPublishing");
 
 // Connect to MongoDB - required for application to function
 mongoose
@@ -55,6 +67,12 @@ mongoose
     // Initialize retrieval service
     await retrievalService.initialize();
 
+    // Close events that have ended
+    eventCompletion.start();
+
+    // Publish drafts scheduled for publishing
+    eventPublishing.start();
+
     // Start server only after successful database connection
     app.listen(PORT, () => {
       console.log(`🚀 Server is running on port ${PORT}`);
@@ -0,0 +1,138 @@
+// Account email: address verification after sign-up and password reset
+// links. Reset links are tied to the password they replace, so each works
+// once and stops working if the password changes meanwhile. A changed address
+// waits as the user's pendingEmail until a link sent to it is followed.
+const crypto = require("crypto");
+const User = require("../models/User");
+const authTokens = require("./authTokens");
+const mailer = require("./mailer");
+
+const FRONTEND_URL = (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+
+// Short fingerprint of the user's current password hash
+function passwordStamp(user) {
+  return crypto
+    .createHash("sha256")
+    .update(user.password || "")
+    .digest("hex")
+    .slice(0, 16);
+}
+
+async function sendVerificationEmail(user) {
+  const token = authTokens.signEmailToken(
+    { userId: user._id, email: user.email },
+    "verify_email"
+  );
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: "Confirm your EventMap email address",
+    text: `Hi ${user.name},\n\nConfirm your email address to finish signing up:\n${link}\n\nIf you didn't create an EventMap account, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm your email address to finish signing up:</p><p><a href="${link}">Confirm email address</a></p><p>If you didn't create an EventMap account, ignore this email.</p>`,
+  });
+}
+
+// Ask the user to confirm the address they are changing to
+async function sendEmailChangeEmail(user) {
+  const token = authTokens.signEmailToken(
+    { userId: user._id, email: user.pendingEmail },
+    "verify_email"
+  );
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await mailer.send({
+    to: user.pendingEmail,
+    subject: "Confirm your new EventMap email address",
+    text: `Hi ${user.name},\n\nConfirm this address to use it for your EventMap account:\n${link}\n\nUntil then your account keeps its current address. If you didn't ask for this, ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p>Confirm this address to use it for your EventMap account:</p><p><a href="${link}">Confirm email address</a></p><p>Until then your account keeps its current address. If you didn't ask for this, ignore this email.</p>`,
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const token = authTokens.signEmailToken(
+    { userId: user._id, pwd: passwordStamp(user) },
+    "reset_password"
+  );
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  await mailer.send({
+    to: user.email,
+    subject: "Reset your EventMap password",
+    text: `Hi ${user.name},\n\nChoose a new password here:\n${link}\n\nThe link works once. If you didn't ask for it, ignore this email; your password stays the same.`,
+    html: `<p>Hi ${escapeHtml(user.name)},</p><p><a href="${link}">Choose a new password</a></p><p>The link works once. If you didn't ask for it, ignore this email; your password stays the same.</p>`,
+  });
+}
+
+/**
+ * The user an emailed token was issued to, with their password hash. Throws
+ * an AuthTokenError if the token is invalid, expired or used up.
+ */
+async function findUserForToken(token, purpose) {
+  const payload = authTokens.verifyEmailToken(token, purpose);
+  const user = await User.findById(payload.userId);
+
+  const current =
+    user &&
+    (purpose === "verify_email"
+      ? user.email === payload.email
+      : passwordStamp(user) === payload.pwd);
+  if (!current) {
+    throw new authTokens.AuthTokenError("This link is no longer valid");
+  }
+  return user;
+}
+
+/**
+ * Confirm the address a verification link was sent to. Each change is made
+ * with a conditional update, so of two uses of a link only one sees it.
+ * @returns {Promise<{user: Object, confirmed: ?string}>} confirmed is
+ * "verified" when a new account's address was confirmed, "changed" when a
+ * pending address replaced the old one, and null when there was nothing left
+ * to confirm
+ */
+async function confirmEmail(token) {
+  const { userId, email } = authTokens.verifyEmailToken(token, "verify_email");
+  const user = await User.findById(userId);
+
+  if (user && email && user.pendingEmail === email) {
+    try {
+      const { modifiedCount } = await User.updateOne(
+        { _id: user._id, pendingEmail: email },
+        { $set: { email, emailVerified: true }, $unset: { pendingEmail: 1 } }
+      );
+      if (modifiedCount) {
+        user.email = email;
+        user.pendingEmail = undefined;
+        return { user, confirmed: "changed" };
+      }
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      throw new authTokens.AuthTokenError("This email address is already used by another account");
+    }
+    return { user, confirmed: null };
+  }
+
+  if (!user || user.email !== email) {
+    throw new authTokens.AuthTokenError("This link is no longer valid");
+  }
+
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, emailVerified: false },
+    { $set: { emailVerified: true } }
+  );
+  user.emailVerified = true;
+  return { user, confirmed: modifiedCount ? "verified" : null };
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendEmailChangeEmail,
+  sendPasswordResetEmail,
+  findUserForToken,
+  confirmEmail,
+};
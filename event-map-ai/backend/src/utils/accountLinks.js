@@ -0,0 +1,214 @@
+// Ways of logging in to an account: a password, and Google and Facebook
+// profiles. A social login only signs in to the account the profile is
+// already linked to; a profile whose email belongs to another account is
+// refused rather than silently attached to it. Linking is done from the
+// profile page: the OAuth round trip carries a link token naming the account
+// in its `state`, and comes back with an identity token that the signed-in
+// browser confirms, so a link started by someone else can't attach a profile
+// to the wrong account.
+const User = require("../models/User");
+const authTokens = require("./authTokens");
+
+const PROVIDERS = {
+  google: {
+    field: "googleId",
+    label: "Google",
+    configured: () =>
+      !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+  },
+  facebook: {
+    field: "facebookId",
+    label: "Facebook",
+    configured: () =>
+      !!(process.env.FACEBOOK_APP_ID && process.env.FACEBOOK_APP_SECRET),
+  },
+};
+
+// Thrown for links that can't be made or removed
+class AccountLinkError extends Error {}
+
+function getProvider(provider) {
+  const config = PROVIDERS[provider];
+  if (!config) {
+    throw new AccountLinkError("Unknown login provider");
+  }
+  return config;
+}
+
+function isConfigured(provider) {
+  return !!PROVIDERS[provider]?.configured();
+}
+
+/**
+ * How a user can log in, and which providers could be linked
+ * @returns {{password: boolean, google: boolean, facebook: boolean,
+ *   available: string[]}}
+ */
+function loginMethods(user) {
+  const methods = { password: !!user.password };
+  for (const [name, { field }] of Object.entries(PROVIDERS)) {
+    methods[name] = !!user[field];
+  }
+  methods.available = Object.keys(PROVIDERS).filter(isConfigured);
+  return methods;
+}
+
+function countLoginMethods(user) {
+  const identities = Object.values(PROVIDERS).map(({ field }) => user[field]);
+  return [user.password, ...identities].filter(Boolean).length;
+}
+
+// Token the OAuth round trip carries to link a provider to this user
+function createLinkToken(user, provider) {
+  getProvider(provider);
+  return authTokens.signEmailToken(
+    { userId: user._id, provider },
+    "link_account"
+  );
+}
+
+function profileEmail(profile) {
+  return profile.emails?.[0]?.value?.toLowerCase();
+}
+
+/**
+ * Handle a provider's OAuth callback, for passport. With a link token (the
+ * OAuth `state`) the profile is being linked: the result carries an identity
+ * token for the profile page to confirm. Otherwise it is a login.
+ * @returns {Promise<{user: Object|false, info?: Object}>} the user to log in,
+ *   or false with `info.reason` (login refused) or `info.link` (link result)
+ */
+async function resolveSocialProfile(provider, profile, linkToken) {
+  const { field } = getProvider(provider);
+
+  if (linkToken) {
+    let payload;
+    try {
+      payload = authTokens.verifyEmailToken(linkToken, "link_account");
+    } catch (error) {
+      if (!(error instanceof authTokens.AuthTokenError)) throw error;
+    }
+    if (!payload || payload.provider !== provider) {
+      return { user: false, info: { link: { provider, error: "expired" } } };
+    }
+
+    const identityToken = authTokens.signEmailToken(
+      { userId: payload.userId, provider, providerId: profile.id },
+      "link_identity"
+    );
+    return { user: false, info: { link: { provider, identityToken } } };
+  }
+
+  const linked = await User.findOne({ [field]: profile.id });
+  if (linked) {
+    return { user: linked };
+  }
+
+  const email = profileEmail(profile);
+  const existing = email && (await User.findOne({ email }));
+  if (existing) {
+    // Someone signed up with this address but never confirmed it. The
+    // provider vouches for the address, so its owner takes the account over
+    // and the unconfirmed password, which could be anyone's, is dropped
+    if (existing.emailVerified === false && profile.emails) {
+      existing.password = undefined;
+      existing[field] = profile.id;
+      existing.emailVerified = true;
+      await existing.save();
+      await authTokens.revokeUserSessions(existing._id);
+      return { user: existing };
+    }
+    return { user: false, info: { reason: "account_exists" } };
+  }
+
+  const user = await User.create({
+    name: profile.displayName,
+    // Facebook accounts don't always share an address
+    email: email || `fb_${profile.id}@example.com`,
+    [field]: profile.id,
+    // Providers only share confirmed addresses
+    emailVerified: !!email,
+  });
+  return { user };
+}
+
+/**
+ * Read an identity token from the OAuth round trip; it must have been
+ * started by this user
+ * @returns {{provider: string, providerId: string}}
+ */
+function readIdentityToken(user, identityToken) {
+  let payload;
+  try {
+    payload = authTokens.verifyEmailToken(identityToken, "link_identity");
+  } catch (error) {
+    if (!(error instanceof authTokens.AuthTokenError)) throw error;
+  }
+  if (!payload || payload.userId !== user._id.toString()) {
+    throw new AccountLinkError("This link has expired. Please try again.");
+  }
+  return { provider: payload.provider, providerId: payload.providerId };
+}
+
+// The account the profile an identity token names is linked to, if any
+async function findIdentityOwner(user, identityToken) {
+  const { provider, providerId } = readIdentityToken(user, identityToken);
+  const { field } = getProvider(provider);
+  return User.findOne({ [field]: providerId });
+}
+
+/**
+ * Link the profile an identity token names to the user. If the profile is
+ * already linked to another account, that account is returned as
+ * `duplicate` and nothing changes; it can be merged in instead.
+ * @returns {Promise<{provider: string, duplicate?: Object}>}
+ */
+async function linkIdentity(user, identityToken) {
+  const { provider, providerId } = readIdentityToken(user, identityToken);
+  const { field, label } = getProvider(provider);
+
+  const owner = await User.findOne({ [field]: providerId });
+  if (owner && !owner._id.equals(user._id)) {
+    return { provider, duplicate: owner };
+  }
+  if (owner) {
+    return { provider };
+  }
+  if (user[field]) {
+    throw new AccountLinkError(
+      `Another ${label} account is linked already. Unlink it first.`
+    );
+  }
+
+  user[field] = providerId;
+  await user.save();
+  return { provider };
+}
+
+// Unlink a provider, unless it is the user's only way to log in
+async function unlinkProvider(user, provider) {
+  const { field, label } = getProvider(provider);
+  if (!user[field]) {
+    throw new AccountLinkError(`No ${label} account is linked`);
+  }
+  if (countLoginMethods(user) <= 1) {
+    throw new AccountLinkError(
+      `${label} is your only way to log in. Set a password with a password reset link or link another account first.`
+    );
+  }
+
+  user[field] = undefined;
+  await user.save();
+}
+
+module.exports = {
+  PROVIDERS,
+  AccountLinkError,
+  isConfigured,
+  loginMethods,
+  createLinkToken,
+  resolveSocialProfile,
+  findIdentityOwner,
+  linkIdentity,
+  unlinkProvider,
+};
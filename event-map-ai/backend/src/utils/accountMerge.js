@@ -0,0 +1,163 @@
+// Merging an accidental duplicate account into the one the user keeps. The
+// duplicate's events, attendance, waitlist places, reviews, notifications
+// and other records move over, its login identities are linked to the kept
+// account where that has none for the provider, and the duplicate is deleted.
+// It all happens in one transaction, so a failure part way leaves both
+// accounts as they were.
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Event = require("../models/Event");
+const Review = require("../models/Review");
+const Notification = require("../models/Notification");
+const Conversation = require("../models/Conversation");
+const AssistantFeedback = require("../models/AssistantFeedback");
+const AssistantInteraction = require("../models/AssistantInteraction");
+const OrganizerRequest = require("../models/OrganizerRequest");
+const Invite = require("../models/Invite");
+const authTokens = require("./authTokens");
+const { PROVIDERS, AccountLinkError } = require("./accountLinks");
+
+const ROLE_RANK = { user: 0, organizer: 1, admin: 2 };
+
+// MongoDB only runs transactions on a replica set or behind mongos
+class TransactionsUnavailableError extends Error {}
+
+// Replace one user with another in an array of user ids on events, keeping
+// its position and never listing the user twice
+async function replaceInEventList(path, fromId, toId, session) {
+  await Event.updateMany(
+    { [path]: { $all: [fromId], $nin: [toId] } },
+    { $set: { [`${path}.$[entry]`]: toId } },
+    { arrayFilters: [{ entry: fromId }], session }
+  );
+  await Event.updateMany(
+    { [path]: fromId },
+    { $pull: { [path]: fromId } },
+    { session }
+  );
+}
+
+async function moveEvents(fromId, toId, session) {
+  await Event.updateMany({ organizer: fromId }, { organizer: toId }, { session });
+  await Event.updateMany(
+    { "moderation.claimedBy": fromId },
+    { "moderation.claimedBy": toId },
+    { session }
+  );
+  await Event.updateMany(
+    { "statusHistory.by": fromId },
+    { $set: { "statusHistory.$[change].by": toId } },
+    { arrayFilters: [{ "change.by": fromId }], session }
+  );
+
+  await replaceInEventList("attendees", fromId, toId, session);
+  await replaceInEventList("waitlist", fromId, toId, session);
+  // Attending an event takes the user off its waitlist
+  await Event.updateMany(
+    { attendees: toId, waitlist: toId },
+    { $pull: { waitlist: toId } },
+    { session }
+  );
+}
+
+// One review per event and user: where both accounts reviewed an event, the
+// kept account's review stays
+async function moveReviews(fromId, toId, session) {
+  const reviewed = await Review.distinct("event", { user: toId }).session(session);
+  await Review.deleteMany({ user: fromId, event: { $in: reviewed } }, { session });
+  await Review.updateMany({ user: fromId }, { user: toId }, { session });
+}
+
+// Models and fields that point at a user and simply follow the merge
+const USER_REFERENCES = [
+  [Notification, "user"],
+  [Conversation, "user"],
+  [AssistantFeedback, "user"],
+  [AssistantInteraction, "user"],
+  [OrganizerRequest, "user"],
+  [OrganizerRequest, "reviewedBy"],
+  [Invite, "createdBy"],
+  [Invite, "usedBy"],
+];
+
+// One after another: a transaction runs one operation at a time
+async function moveRecords(fromId, toId, session) {
+  for (const [Model, field] of USER_REFERENCES) {
+    await Model.updateMany({ [field]: fromId }, { [field]: toId }, { session });
+  }
+}
+
+// Give the kept account the duplicate's social identities where it has none
+// for the provider, and the higher role of the two
+async function takeOverAccount(toId, duplicate, session) {
+  const kept = await User.findById(toId).session(session);
+  for (const { field } of Object.values(PROVIDERS)) {
+    if (!kept[field] && duplicate[field]) {
+      kept[field] = duplicate[field];
+    }
+  }
+  if (ROLE_RANK[duplicate.role] > ROLE_RANK[kept.role]) {
+    kept.role = duplicate.role;
+  }
+  kept.trusted = kept.trusted || duplicate.trusted;
+  await kept.save({ session });
+  return kept;
+}
+
+/**
+ * Merge `duplicate` into `primary`. The kept account takes the higher role
+ * of the two (admins can't be merged away) and the duplicate's social
+ * identities. Throws an AccountLinkError if the accounts can't be merged,
+ * and a TransactionsUnavailableError on a standalone MongoDB server.
+ * @returns {Promise<Object>} the kept account, updated
+ */
+async function mergeAccounts(primary, duplicate) {
+  if (primary._id.equals(duplicate._id)) {
+    throw new AccountLinkError("That is the account you are logged in to");
+  }
+  if (duplicate.role === "admin") {
+    throw new AccountLinkError(
+      "An admin account can't be merged into another account"
+    );
+  }
+  // Proving the duplicate is yours mustn't get past its second factor
+  if (duplicate.twoFactor?.enabled) {
+    throw new AccountLinkError(
+      "Turn off two-factor authentication on the other account first"
+    );
+  }
+
+  const fromId = new mongoose.Types.ObjectId(duplicate._id);
+  const toId = new mongoose.Types.ObjectId(primary._id);
+
+  // Sign the duplicate out before anything moves
+  await authTokens.revokeUserSessions(fromId);
+
+  const session = await mongoose.startSession();
+  try {
+    let kept;
+    await session.withTransaction(async () => {
+      await moveEvents(fromId, toId, session);
+      await moveReviews(fromId, toId, session);
+      await moveRecords(fromId, toId, session);
+      // The duplicate only goes once the kept account has what it takes over
+      kept = await takeOverAccount(toId, duplicate, session);
+      await User.deleteOne({ _id: fromId }, { session });
+    });
+    return kept;
+  } catch (error) {
+    if (/Transaction numbers are only allowed on a replica set/.test(error.message)) {
+      throw new TransactionsUnavailableError(
+        "Merging accounts needs MongoDB to run as a replica set"
+      );
+    }
+    throw error;
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = {
+  mergeAccounts,
+  TransactionsUnavailableError,
+};
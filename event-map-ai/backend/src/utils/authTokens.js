@@ -0,0 +1,282 @@
+// Access and refresh tokens. Access tokens are short-lived JWTs naming the
+// session they were issued for; refresh tokens are random strings stored
+// hashed on their session and replaced every time they are used. Revoking a
+// session puts it on the revocation list, so its access tokens stop working
+// straight away rather than when they expire. Links emailed to users, logins
+// waiting for their two-factor step and account links in progress carry their
+// own signed tokens, each only valid for its purpose. Social logins reach the
+// frontend as one-time codes, so no token ends up in a redirect URL.
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const Session = require("../models/Session");
+const RevokedToken = require("../models/RevokedToken");
+const LoginCode = require("../models/LoginCode");
+
+const ACCESS_TOKEN_TTL_SECONDS =
+  (parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES, 10) || 15) * 60;
+const REFRESH_TOKEN_TTL_MS =
+  (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS =
+  (parseInt(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES, 10) || 5) * 60;
+// Time the frontend has to swap a social login's code for tokens
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+// Linking a login provider from the profile, round trip included
+const ACCOUNT_LINK_TTL_SECONDS = 10 * 60;
+// Lifetime of emailed, two-factor challenge and account link tokens by purpose
+const EMAIL_TOKEN_TTL_SECONDS = {
+  verify_email: (parseInt(process.env.VERIFY_EMAIL_TTL_HOURS, 10) || 24) * 60 * 60,
+  reset_password: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60,
+  two_factor: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  two_factor_setup: TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  link_account: ACCOUNT_LINK_TTL_SECONDS,
+  link_identity: ACCOUNT_LINK_TTL_SECONDS,
+};
+
+// Thrown for tokens that are missing, malformed, expired or revoked
+class AuthTokenError extends Error {}
+
+function jwtSecret() {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not set");
+  }
+  return process.env.JWT_SECRET;
+}
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function newRefreshToken() {
+  return crypto.randomBytes(48).toString("hex");
+}
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, jwtSecret(), {
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  });
+}
+
+function toTokens(session, refreshToken) {
+  return {
+    token: signAccessToken(session.user, session._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
+
+/**
+ * Start a session for a user signing in from a request
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number}>}
+ */
+async function issueTokens(user, req) {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+  });
+  return toTokens(session, refreshToken);
+}
+
+/**
+ * Verify an access token and check its session hasn't been revoked
+ * @returns {Promise<{userId: string, sid: string}>} the token's payload
+ */
+async function verifyAccessToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret());
+  } catch (error) {
+    throw new AuthTokenError(error.message);
+  }
+
+  // Tokens from before sessions existed can't be revoked, so refuse them
+  if (!payload.sid) {
+    throw new AuthTokenError("Token has no session");
+  }
+  if (await RevokedToken.exists({ session: payload.sid })) {
+    throw new AuthTokenError("Session has been signed out");
+  }
+  return payload;
+}
+
+/**
+ * Sign a token to email to a user, for one purpose ("verify_email" or
+ * "reset_password"). Also signs the challenge a login carries to its
+ * two-factor step ("two_factor", or "two_factor_setup" for enrolment) and the
+ * tokens of an account link ("link_account", "link_identity").
+ */
+function signEmailToken(payload, purpose) {
+  return jwt.sign(payload, jwtSecret(), {
+    audience: purpose,
+    expiresIn: EMAIL_TOKEN_TTL_SECONDS[purpose],
+  });
+}
+
+/**
+ * Verify an emailed token signed for a purpose
+ * @returns {Object} its payload
+ */
+function verifyEmailToken(token, purpose) {
+  if (typeof token !== "string" || !token) {
+    throw new AuthTokenError("Token is required");
+  }
+  try {
+    return jwt.verify(token, jwtSecret(), { audience: purpose });
+  } catch (error) {
+    throw new AuthTokenError(
+      error.name === "TokenExpiredError" ? "This link has expired" : "This link is invalid"
+    );
+  }
+}
+
+/**
+ * One-time code for a social login, to put in the redirect to the frontend
+ * @returns {Promise<string>}
+ */
+async function createLoginCode(userId) {
+  const code = crypto.randomBytes(32).toString("hex");
+  await LoginCode.create({
+    codeHash: hashToken(code),
+    user: userId,
+    expiresAt: new Date(Date.now() + LOGIN_CODE_TTL_MS),
+  });
+  return code;
+}
+
+/**
+ * Use up a social login's code
+ * @returns {Promise<ObjectId>} the id of the user logging in
+ */
+async function redeemLoginCode(code) {
+  if (typeof code !== "string" || !code) {
+    throw new AuthTokenError("Login code is required");
+  }
+
+  const loginCode = await LoginCode.findOneAndDelete({
+    codeHash: hashToken(code),
+    expiresAt: { $gt: new Date() },
+  });
+  if (!loginCode) {
+    throw new AuthTokenError("This login has expired. Please try again.");
+  }
+  return loginCode.user;
+}
+
+/**
+ * Swap a refresh token for a new access token and refresh token. A token
+ * that was already swapped means it has been copied, so the whole session is
+ * revoked.
+ * @returns {Promise<Object>} the new tokens and the session's user id
+ */
+async function rotateRefreshToken(refreshToken, req) {
+  if (typeof refreshToken !== "string" || !refreshToken) {
+    throw new AuthTokenError("Refresh token is required");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const now = new Date();
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: now,
+        userAgent: req.get("user-agent"),
+        ip: req.ip,
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({
+      previousTokenHash: tokenHash,
+      revokedAt: null,
+    });
+    if (reused) {
+      await revokeSessions({ _id: reused._id });
+      console.warn(`Refresh token reused, signed out session ${reused._id}`);
+    }
+    throw new AuthTokenError("Invalid or expired refresh token");
+  }
+
+  return { userId: session.user, ...toTokens(session, nextToken) };
+}
+
+/**
+ * Revoke the live sessions matching a filter and add them to the revocation
+ * list
+ * @returns {Promise<number>} how many sessions were revoked
+ */
+async function revokeSessions(filter) {
+  const sessions = await Session.find({ ...filter, revokedAt: null })
+    .select("_id")
+    .lean();
+  if (sessions.length === 0) return 0;
+
+  const ids = sessions.map((session) => session._id);
+  const now = new Date();
+  await Session.updateMany({ _id: { $in: ids } }, { revokedAt: now });
+
+  // Access tokens issued before now expire within one access token lifetime
+  const expiresAt = new Date(now.getTime() + ACCESS_TOKEN_TTL_SECONDS * 1000);
+  await RevokedToken.bulkWrite(
+    ids.map((id) => ({
+      updateOne: {
+        filter: { session: id },
+        update: { $set: { expiresAt } },
+        upsert: true,
+      },
+    }))
+  );
+  return ids.length;
+}
+
+// Sign out one session of a user
+async function revokeSession(userId, sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return 0;
+  return revokeSessions({ _id: sessionId, user: userId });
+}
+
+// Sign out all of a user's sessions, optionally keeping one
+function revokeUserSessions(userId, { except } = {}) {
+  const filter = { user: userId };
+  if (except) filter._id = { $ne: except };
+  return revokeSessions(filter);
+}
+
+/**
+ * A user's signed-in devices, most recently used first
+ * @returns {Promise<Object[]>}
+ */
+function listSessions(userId) {
+  return Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  })
+    .select("userAgent ip createdAt lastUsedAt expiresAt")
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  AuthTokenError,
+  issueTokens,
+  verifyAccessToken,
+  rotateRefreshToken,
+  signEmailToken,
+  verifyEmailToken,
+  createLoginCode,
+  redeemLoginCode,
+  revokeSession,
+  revokeUserSessions,
+  listSessions,
+};
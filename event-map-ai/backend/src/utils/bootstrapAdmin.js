@@ -0,0 +1,98 @@
+/**
+ * BOOTSTRAP ADMIN
+ * Creates the first admin account from the command line. Once any admin
+ * exists it refuses to run; further admins are invited from the admin panel.
+ *
+ *   npm run bootstrap-admin -- --email admin@example.com --name "Site Admin"
+ *
+ * The password comes from ADMIN_PASSWORD, or a random one is generated and
+ * printed once. An existing account with the email is promoted instead,
+ * keeping its password. The admin sets up two-factor authentication at their
+ * first login.
+ */
+
+const crypto = require("crypto");
+const { parseArgs } = require("util");
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+require("dotenv").config();
+
+const User = require("../models/User");
+
+async function bootstrapAdmin({ email, name, password }) {
+  if (await User.exists({ role: "admin" })) {
+    throw new Error(
+      "An admin already exists. Invite more admins from the admin panel."
+    );
+  }
+
+  const existing = await User.findOne({ email: email.toLowerCase() });
+  if (existing) {
+    existing.role = "admin";
+    await existing.save();
+    console.log(`✅ Promoted ${existing.email} to admin`);
+    return;
+  }
+
+  const generated = !password;
+  const plainPassword = password || crypto.randomBytes(12).toString("base64url");
+  if (plainPassword.length < 6) {
+    throw new Error("ADMIN_PASSWORD must be at least 6 characters");
+  }
+
+  const salt = await bcrypt.genSalt(10);
+  const user = await User.create({
+    name: name || "Admin",
+    email,
+    password: await bcrypt.hash(plainPassword, salt),
+    role: "admin",
+    emailVerified: true,
+  });
+
+  console.log(`✅ Created admin ${user.email}`);
+  if (generated) {
+    console.log(`🔑 Password: ${plainPassword}`);
+    console.log("   Change it after your first login.");
+  }
+}
+
+// CLI interface
+if (require.main === module) {
+  const usage =
+    'Usage: npm run bootstrap-admin -- --email <email> [--name "<name>"]';
+  let values;
+  try {
+    ({ values } = parseArgs({
+      options: {
+        email: { type: "string" },
+        name: { type: "string" },
+      },
+    }));
+  } catch (error) {
+    console.error(`${error.message}\n${usage}`);
+    process.exit(1);
+  }
+
+  if (!values.email) {
+    console.error(usage);
+    process.exit(1);
+  }
+
+  mongoose
+    .connect(process.env.MONGODB_URI || "mongodb://localhost:27017/eventmap")
+    .then(() =>
+      bootstrapAdmin({
+        email: values.email,
+        name: values.name,
+        password: process.env.ADMIN_PASSWORD,
+      })
+    )
+    .then(() => mongoose.connection.close())
+    .catch(async (error) => {
+      console.error("❌", error.message);
+      await mongoose.connection.close();
+      process.exit(1);
+    });
+}
+
+module.exports = bootstrapAdmin;
@@ -0,0 +1,100 @@
+// Grid clustering of event locations for the map. Events are bucketed into
+// square cells whose size follows the zoom level, so each cell covers about
+// the same number of screen pixels at any zoom, and each cell is returned as
+// one aggregate with its count, centroid, extent and categories.
+
+const MIN_ZOOM = 0;
+const MAX_ZOOM = 22;
+
+// Cells per 256px map tile along each axis, i.e. 64px cells
+const CELLS_PER_TILE = 4;
+
+// Parse the `zoom` query parameter; fractional zooms round down
+function parseZoom(value) {
+  const zoom = Math.floor(Number(value));
+  if (value === undefined || value === "" || !isFinite(zoom)) {
+    throw new Error("zoom is required");
+  }
+  if (zoom < MIN_ZOOM || zoom > MAX_ZOOM) {
+    throw new Error(`zoom must be between ${MIN_ZOOM} and ${MAX_ZOOM}`);
+  }
+  return zoom;
+}
+
+// Cell edge in degrees at a zoom level
+function cellSizeForZoom(zoom) {
+  return 360 / 2 ** zoom / CELLS_PER_TILE;
+}
+
+/**
+ * Aggregation pipeline grouping the events matching `query` into cells of
+ * `cellSize` degrees. The dominant category is the most frequent one in the
+ * cell; single-event cells also carry the event's id.
+ */
+function buildClusterPipeline(query, cellSize) {
+  const lng = { $arrayElemAt: ["$locationCoords.coordinates", 0] };
+  const lat = { $arrayElemAt: ["$locationCoords.coordinates", 1] };
+
+  return [
+    { $match: query },
+    { $project: { category: { $toLower: "$category" }, lng, lat } },
+    // Count per cell and category first, to find each cell's dominant one
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [{ $add: ["$lng", 180] }, cellSize] } },
+          y: { $floor: { $divide: [{ $add: ["$lat", 90] }, cellSize] } },
+          category: "$category",
+        },
+        count: { $sum: 1 },
+        sumLng: { $sum: "$lng" },
+        sumLat: { $sum: "$lat" },
+        minLng: { $min: "$lng" },
+        maxLng: { $max: "$lng" },
+        minLat: { $min: "$lat" },
+        maxLat: { $max: "$lat" },
+        eventId: { $first: "$_id" },
+      },
+    },
+    { $sort: { count: -1, "_id.category": 1 } },
+    {
+      $group: {
+        _id: { x: "$_id.x", y: "$_id.y" },
+        count: { $sum: "$count" },
+        sumLng: { $sum: "$sumLng" },
+        sumLat: { $sum: "$sumLat" },
+        minLng: { $min: "$minLng" },
+        maxLng: { $max: "$maxLng" },
+        minLat: { $min: "$minLat" },
+        maxLat: { $max: "$maxLat" },
+        dominantCategory: { $first: "$_id.category" },
+        categories: { $push: { value: "$_id.category", count: "$count" } },
+        eventId: { $first: "$eventId" },
+      },
+    },
+  ];
+}
+
+// API representation of an aggregated cell
+function toCluster(cell) {
+  return {
+    id: `${cell._id.x}:${cell._id.y}`,
+    count: cell.count,
+    latitude: cell.sumLat / cell.count,
+    longitude: cell.sumLng / cell.count,
+    // Zooming the map to these bounds splits the cluster
+    bounds: [cell.minLng, cell.minLat, cell.maxLng, cell.maxLat],
+    dominantCategory: cell.dominantCategory,
+    categories: cell.categories,
+    eventId: cell.count === 1 ? cell.eventId : null,
+  };
+}
+
+module.exports = {
+  MIN_ZOOM,
+  MAX_ZOOM,
+  parseZoom,
+  cellSizeForZoom,
+  buildClusterPipeline,
+  toCluster,
+};
@@ -0,0 +1,73 @@
+/**
+ * CSV UTILITIES
+ * Minimal RFC 4180 parser for event imports
+ */
+
+/**
+ * Parse CSV text into rows of string cells. Handles quoted cells with
+ * embedded commas, quotes ("") and line breaks, CRLF line endings and a
+ * leading byte order mark. Blank lines are skipped.
+ */
+function parseCsv(text, delimiter = ",") {
+  const input = String(text).replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === "") {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(cell);
+      if (row.some((value) => value.trim() !== "")) rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+
+  row.push(cell);
+  if (row.some((value) => value.trim() !== "")) rows.push(row);
+
+  return rows;
+}
+
+/**
+ * Parse CSV text whose first row is a header into objects keyed by the
+ * trimmed header names
+ */
+function parseCsvRecords(text, delimiter = ",") {
+  const [header, ...rows] = parseCsv(text, delimiter);
+  if (!header) return { columns: [], records: [] };
+
+  const columns = header.map((name) => name.trim());
+  const records = rows.map((row) =>
+    Object.fromEntries(
+      columns.map((column, index) => [column, (row[index] || "").trim()])
+    )
+  );
+
+  return { columns, records };
+}
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+};
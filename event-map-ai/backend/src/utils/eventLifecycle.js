@@ -0,0 +1,140 @@
+// Event lifecycle: the statuses an event moves through and who may move it.
+//
+//   draft -> pending -> approved -> completed -> archived
+//              |  \-> rejected     |  \-> postponed -> approved
+//              |                   \-> cancelled -> archived
+//              \-> changes_requested -> pending (resubmitted)
+//
+// Owners (the organizer, or an admin acting for them) submit, resubmit,
+// withdraw, cancel, postpone, reschedule and archive; only admins and the
+// publishing pipeline approve, reject and request changes; only the
+// completion job marks events completed.
+
+const STATUSES = [
+  "draft",
+  "pending",
+  "approved",
+  "rejected",
+  "changes_requested",
+  "cancelled",
+  "postponed",
+  "completed",
+  "archived",
+];
+
+// Statuses anyone can see on the map and in public lists
+const PUBLIC_STATUSES = ["approved", "cancelled", "postponed", "completed"];
+
+const OWNER = "owner";
+const ADMIN = "admin";
+const SYSTEM = "system";
+
+// Allowed moves: TRANSITIONS[from][to] is the least privileged actor
+const TRANSITIONS = {
+  draft: { pending: OWNER, archived: OWNER },
+  pending: {
+    draft: OWNER,
+    approved: ADMIN,
+    rejected: ADMIN,
+    changes_requested: ADMIN,
+  },
+  rejected: { draft: OWNER, pending: OWNER, archived: OWNER },
+  changes_requested: { draft: OWNER, pending: OWNER, archived: OWNER },
+  approved: {
+    cancelled: OWNER,
+    postponed: OWNER,
+    rejected: ADMIN,
+    completed: SYSTEM,
+  },
+  postponed: { approved: OWNER, cancelled: OWNER },
+  cancelled: { archived: OWNER },
+  completed: { archived: OWNER },
+  archived: {},
+};
+
+// Admins may do anything owners may; nobody else acts as the system
+const RANK = { [OWNER]: 1, [ADMIN]: 2, [SYSTEM]: 3 };
+
+function canTransition(from, to, actor) {
+  const required = (TRANSITIONS[from] || {})[to];
+  if (!required) return false;
+  return required === SYSTEM ? actor === SYSTEM : RANK[actor] >= RANK[required];
+}
+
+/**
+ * Throw unless `actor` ("owner", "admin" or "system") may move an event
+ * from one status to another
+ */
+function assertTransition(from, to, actor) {
+  if (!STATUSES.includes(to)) {
+    throw new Error(`status must be one of: ${STATUSES.join(", ")}`);
+  }
+  if (canTransition(from, to, actor)) return;
+
+  const allowed = Object.keys(TRANSITIONS[from] || {}).filter((next) =>
+    canTransition(from, next, actor)
+  );
+  throw new Error(
+    `Cannot change status from ${from} to ${to}` +
+      (allowed.length > 0 ? `; allowed: ${allowed.join(", ")}` : "")
+  );
+}
+
+/**
+ * Set an event document's status and record the change in its history.
+ * Callers check the transition first.
+ * @returns {string} the previous status
+ */
+function applyTransition(event, to, { by = null, reason } = {}) {
+  const from = event.status;
+  const at = new Date();
+  event.status = to;
+  event.statusReason = reason || undefined;
+  event.statusChangedAt = at;
+  event.statusHistory.push({ from, to, by, reason, at });
+
+  // Entering the review queue starts the wait afresh; leaving it frees the
+  // reviewer's claim
+  if (to === "pending") {
+    event.moderation = {
+      submittedAt: at,
+      submissions: ((event.moderation && event.moderation.submissions) || 0) + 1,
+    };
+  } else if (from === "pending" && event.moderation) {
+    event.moderation.claimedBy = undefined;
+    event.moderation.claimedAt = undefined;
+  }
+  return from;
+}
+
+/**
+ * Parse the comma-separated `status` filter of public lists; throws on
+ * statuses that are unknown or not public. Defaults to approved events.
+ */
+function parseStatusFilter(value) {
+  if (!value) return ["approved"];
+
+  const statuses = String(value)
+    .split(",")
+    .map((status) => status.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = statuses.filter((status) => !PUBLIC_STATUSES.includes(status));
+  if (invalid.length > 0) {
+    throw new Error(
+      `status must be among: ${PUBLIC_STATUSES.join(", ")} (got ${invalid.join(", ")})`
+    );
+  }
+  return statuses.length > 0 ? [...new Set(statuses)] : ["approved"];
+}
+
+module.exports = {
+  STATUSES,
+  PUBLIC_STATUSES,
+  OWNER,
+  ADMIN,
+  SYSTEM,
+  canTransition,
+  assertTransition,
+  applyTransition,
+  parseStatusFilter,
+};
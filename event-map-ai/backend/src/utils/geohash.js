@@ -0,0 +1,77 @@
+// Geohash encoding: a location becomes a base-32 string whose prefixes name
+// ever smaller cells, so bucketing by a prefix of length N gives a grid
+// (precision 4 is about 39x20 km, 5 about 4.9x4.9 km, 6 about 1.2x0.6 km).
+
+const BASE32 = "0123456789bcdefghjkmnpqrstuvwxyz";
+
+const MIN_PRECISION = 1;
+const MAX_PRECISION = 9;
+
+function encode(latitude, longitude, precision = MAX_PRECISION) {
+  let latRange = [-90, 90];
+  let lngRange = [-180, 180];
+  let hash = "";
+  let bits = 0;
+  let bitCount = 0;
+  // Bits alternate between longitude and latitude, longitude first
+  let isLongitude = true;
+
+  while (hash.length < precision) {
+    const range = isLongitude ? lngRange : latRange;
+    const value = isLongitude ? longitude : latitude;
+    const middle = (range[0] + range[1]) / 2;
+
+    bits <<= 1;
+    if (value >= middle) {
+      bits |= 1;
+      range[0] = middle;
+    } else {
+      range[1] = middle;
+    }
+
+    isLongitude = !isLongitude;
+    if (++bitCount === 5) {
+      hash += BASE32[bits];
+      bits = 0;
+      bitCount = 0;
+    }
+  }
+
+  return hash;
+}
+
+/**
+ * West, south, east and north edges of a geohash cell
+ */
+function decodeBounds(hash) {
+  const latRange = [-90, 90];
+  const lngRange = [-180, 180];
+  let isLongitude = true;
+
+  for (const char of hash) {
+    const value = BASE32.indexOf(char);
+    if (value === -1) {
+      throw new Error(`Invalid geohash character "${char}"`);
+    }
+
+    for (let bit = 4; bit >= 0; bit--) {
+      const range = isLongitude ? lngRange : latRange;
+      const middle = (range[0] + range[1]) / 2;
+      if ((value >> bit) & 1) {
+        range[0] = middle;
+      } else {
+        range[1] = middle;
+      }
+      isLongitude = !isLongitude;
+    }
+  }
+
+  return [lngRange[0], latRange[0], lngRange[1], latRange[1]];
+}
+
+module.exports = {
+  MIN_PRECISION,
+  MAX_PRECISION,
+  encode,
+  decodeBounds,
+};
@@ -0,0 +1,410 @@
+/**
+ * ICALENDAR UTILITIES
+ * Serializes events into RFC 5545 calendars for download and feed
+ * subscriptions, and parses calendar files for import
+ */
+
+const recurrence = require("./recurrence");
+
+const PRODUCT_ID = "-//EventMap//Event Map AI//EN";
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+// Events without an end time are shown as one hour long
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+// iCalendar STATUS for lifecycle statuses other than confirmed ones
+const CALENDAR_STATUSES = {
+  cancelled: "CANCELLED",
+  postponed: "TENTATIVE",
+};
+
+function frontendUrl() {
+  return (process.env.FRONTEND_URL || "http://localhost:5173").replace(/\/+$/, "");
+}
+
+function eventUrl(eventId) {
+  return `${frontendUrl()}/event/${eventId}`;
+}
+
+function eventUid(eventId) {
+  return `${eventId}@${process.env.ICS_UID_DOMAIN || "event-map-ai"}`;
+}
+
+// 20261019T183000Z
+function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+function escapeText(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Parameter values containing separators must be quoted
+function quoteParam(value) {
+  const clean = String(value).replace(/"/g, "'");
+  return /[;:,]/.test(clean) ? `"${clean}"` : clean;
+}
+
+/**
+ * Fold a content line at 75 octets, continuing with a leading space,
+ * without splitting multi-byte characters.
+ */
+function foldLine(line) {
+  if (Buffer.byteLength(line, "utf8") <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char, "utf8");
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + bytes > limit) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+function buildRRule(rule) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval && rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byWeekday && rule.byWeekday.length) {
+    parts.push(`BYDAY=${rule.byWeekday.map((day) => WEEKDAY_CODES[day]).join(",")}`);
+  }
+  if (rule.until) parts.push(`UNTIL=${formatDate(rule.until)}`);
+  else if (rule.count) parts.push(`COUNT=${rule.count}`);
+  return parts.join(";");
+}
+
+function coordinatesOf(event) {
+  const coordinates = event.locationCoords && event.locationCoords.coordinates;
+  return coordinates && coordinates.length === 2 ? coordinates : null;
+}
+
+// Property lines shared by a series master and its overridden occurrences
+function eventProperties(event, fields) {
+  const lines = [];
+  const start = new Date(fields.date);
+  const end = fields.endDate
+    ? new Date(fields.endDate)
+    : new Date(start.getTime() + DEFAULT_DURATION_MS);
+
+  lines.push(`DTSTART:${formatDate(start)}`);
+  lines.push(`DTEND:${formatDate(end)}`);
+  lines.push(`SUMMARY:${escapeText(fields.title)}`);
+  if (fields.description) {
+    lines.push(`DESCRIPTION:${escapeText(fields.description)}`);
+  }
+  if (fields.location) {
+    lines.push(`LOCATION:${escapeText(fields.location)}`);
+  }
+
+  const coordinates = coordinatesOf(fields) || coordinatesOf(event);
+  if (coordinates) {
+    // GEO is latitude;longitude, the reverse of GeoJSON order
+    lines.push(`GEO:${coordinates[1].toFixed(6)};${coordinates[0].toFixed(6)}`);
+  }
+
+  if (event.category) {
+    lines.push(`CATEGORIES:${escapeText(event.category)}`);
+  }
+
+  const organizer = event.organizer;
+  if (organizer && organizer.email) {
+    const name = organizer.name ? `;CN=${quoteParam(organizer.name)}` : "";
+    lines.push(`ORGANIZER${name}:mailto:${organizer.email}`);
+  }
+
+  lines.push(`URL:${eventUrl(event._id)}`);
+  lines.push(`STATUS:${CALENDAR_STATUSES[event.status] || "CONFIRMED"}`);
+  return lines;
+}
+
+/**
+ * Build the VEVENT components for an event. A recurring series becomes a
+ * master VEVENT with RRULE/EXDATE plus one VEVENT per overridden occurrence,
+ * linked by RECURRENCE-ID so calendar clients apply the overrides.
+ */
+function buildVEvents(event, stamp = new Date()) {
+  const base = typeof event.toObject === "function" ? event.toObject() : event;
+  const uid = eventUid(base._id);
+  const dtstamp = `DTSTAMP:${formatDate(stamp)}`;
+  const lastModified = base.updatedAt || base.createdAt;
+
+  const master = ["BEGIN:VEVENT", `UID:${uid}`, dtstamp];
+  if (lastModified) master.push(`LAST-MODIFIED:${formatDate(lastModified)}`);
+  master.push(...eventProperties(base, base));
+
+  if (!recurrence.isRecurring(base)) {
+    master.push("END:VEVENT");
+    return master;
+  }
+
+  master.push(`RRULE:${buildRRule(base.recurrence)}`);
+  for (const exceptionDate of base.recurrence.exceptionDates || []) {
+    // Exception dates identify occurrences by day; use the series start time
+    const original = recurrence.findOccurrenceDate(
+      { ...base, recurrence: { ...base.recurrence, exceptionDates: [] } },
+      recurrence.occurrenceKey(exceptionDate)
+    );
+    master.push(`EXDATE:${formatDate(original || exceptionDate)}`);
+  }
+  master.push("END:VEVENT");
+
+  const components = [...master];
+  const duration = base.endDate ? new Date(base.endDate) - new Date(base.date) : null;
+  for (const override of base.occurrenceOverrides || []) {
+    const date = override.date || override.originalDate;
+    const fields = {
+      title: override.title || base.title,
+      description: override.description || base.description,
+      location: override.location || base.location,
+      locationCoords: coordinatesOf(override) ? override.locationCoords : base.locationCoords,
+      date,
+      endDate:
+        override.endDate ||
+        (duration !== null ? new Date(new Date(date).getTime() + duration) : undefined),
+    };
+
+    components.push(
+      "BEGIN:VEVENT",
+      `UID:${uid}`,
+      dtstamp,
+      `RECURRENCE-ID:${formatDate(override.originalDate)}`,
+      ...eventProperties(base, fields),
+      "END:VEVENT"
+    );
+  }
+
+  return components;
+}
+
+/**
+ * Serialize events into a complete VCALENDAR document
+ */
+function buildCalendar(events, { name, description } = {}) {
+  const stamp = new Date();
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  if (description) lines.push(`X-WR-CALDESC:${escapeText(description)}`);
+  // Hint for subscribing clients to refresh hourly
+  lines.push("REFRESH-INTERVAL;VALUE=DURATION:PT1H", "X-PUBLISHED-TTL:PT1H");
+
+  for (const event of events) {
+    lines.push(...buildVEvents(event, stamp));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+// Split "NAME;PARAM=a;X="b:c":value" into name, params and value
+function parseContentLine(line) {
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    else if (line[i] === ":" && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...rawParams] = line.slice(0, colon).split(";");
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split("=");
+    params[key.toUpperCase()] = rest.join("=").replace(/^"|"$/g, "");
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+// Offset (ms) of an IANA time zone from UTC at a given instant
+function timeZoneOffset(timestamp, timeZone) {
+  const parts = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  }).formatToParts(new Date(timestamp));
+  const get = (type) => parseInt(parts.find((p) => p.type === type).value, 10);
+  const asUtc = Date.UTC(
+    get("year"),
+    get("month") - 1,
+    get("day"),
+    get("hour"),
+    get("minute"),
+    get("second")
+  );
+  return asUtc - timestamp;
+}
+
+/**
+ * Parse an iCalendar date or date-time. UTC values end in "Z", TZID values
+ * are converted from their zone and floating values use server local time.
+ */
+function parseDateValue(value, params = {}) {
+  const match = String(value)
+    .trim()
+    .match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hour = "0", minute = "0", second = "0", utc] = match;
+  const fields = [year, month - 1, day, hour, minute, second].map(Number);
+
+  if (utc) return new Date(Date.UTC(...fields));
+
+  if (params.TZID) {
+    try {
+      const guess = Date.UTC(...fields);
+      const offset = timeZoneOffset(guess, params.TZID);
+      // Re-check the offset at the corrected instant in case of a DST change
+      return new Date(guess - timeZoneOffset(guess - offset, params.TZID));
+    } catch (error) {
+      // Unknown zone names (e.g. Windows zone ids) fall back to local time
+    }
+  }
+
+  return new Date(...fields);
+}
+
+/**
+ * Parse the VEVENT components of an iCalendar document into plain objects.
+ * Dates are Date instances; `recurrence` keeps the raw RRULE text and
+ * `exceptionDates` the EXDATE values.
+ */
+function parseCalendar(text) {
+  // Unfold continuation lines before splitting into content lines
+  const lines = String(text).replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+  const events = [];
+  let current = null;
+  let nestedDepth = 0;
+
+  for (const line of lines) {
+    const upper = line.toUpperCase();
+    if (upper === "BEGIN:VEVENT") {
+      current = { exceptionDates: [], categories: [] };
+      nestedDepth = 0;
+      continue;
+    }
+    if (!current) continue;
+    if (upper === "END:VEVENT") {
+      events.push(current);
+      current = null;
+      continue;
+    }
+    // Skip properties of nested components such as VALARM
+    if (upper.startsWith("BEGIN:")) nestedDepth++;
+    if (upper.startsWith("END:")) nestedDepth--;
+    if (nestedDepth > 0 || upper.startsWith("END:")) continue;
+
+    const property = parseContentLine(line);
+    if (!property) continue;
+    const { name, params, value } = property;
+
+    switch (name) {
+      case "UID":
+        current.uid = value;
+        break;
+      case "SUMMARY":
+        current.title = unescapeText(value);
+        break;
+      case "DESCRIPTION":
+        current.description = unescapeText(value);
+        break;
+      case "LOCATION":
+        current.location = unescapeText(value);
+        break;
+      case "URL":
+        current.url = value;
+        break;
+      case "STATUS":
+        current.status = value.toUpperCase();
+        break;
+      case "CATEGORIES":
+        current.categories.push(
+          ...value.split(/(?<!\\),/).map(unescapeText).filter(Boolean)
+        );
+        break;
+      case "GEO": {
+        const [latitude, longitude] = value.split(/[;,]/).map(parseFloat);
+        if (isFinite(latitude) && isFinite(longitude)) {
+          current.latitude = latitude;
+          current.longitude = longitude;
+        }
+        break;
+      }
+      case "DTSTART":
+        current.date = parseDateValue(value, params);
+        current.allDay = params.VALUE === "DATE" || /^\d{8}$/.test(value);
+        break;
+      case "DTEND":
+        current.endDate = parseDateValue(value, params);
+        break;
+      case "RRULE":
+        current.recurrence = value;
+        break;
+      case "EXDATE":
+        current.exceptionDates.push(
+          ...value.split(",").map((d) => parseDateValue(d, params)).filter(Boolean)
+        );
+        break;
+      case "RECURRENCE-ID":
+        current.recurrenceId = parseDateValue(value, params);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events;
+}
+
+// Safe download file name derived from the event title
+function calendarFileName(title) {
+  const slug = String(title || "event")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60);
+  return `${slug || "event"}.ics`;
+}
+
+module.exports = {
+  buildCalendar,
+  buildVEvents,
+  calendarFileName,
+  eventUrl,
+  escapeText,
+  foldLine,
+  formatDate,
+  parseCalendar,
+  parseDateValue,
+};
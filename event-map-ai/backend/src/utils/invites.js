@@ -0,0 +1,115 @@
+// Invite codes for privileged roles. Admins create them for a role (and
+// optionally one email address); each works once, until it expires or is
+// revoked, and only ever raises the role of the account that uses it.
+const crypto = require("crypto");
+const Invite = require("../models/Invite");
+
+const ROLES = ["organizer", "admin"];
+const ROLE_RANK = { user: 0, organizer: 1, admin: 2 };
+
+const DEFAULT_TTL_DAYS = parseInt(process.env.INVITE_TTL_DAYS, 10) || 7;
+const MAX_TTL_DAYS = 30;
+
+// Thrown for invites that can't be created or used
+class InviteError extends Error {}
+
+function hashCode(code) {
+  return crypto.createHash("sha256").update(code.trim()).digest("hex");
+}
+
+/**
+ * Create an invite code. The code is returned only here; the invite stores
+ * its hash.
+ * @returns {Promise<{invite: Object, code: string}>}
+ */
+async function createInvite({ role, email, note, expiresInDays, createdBy }) {
+  if (!ROLES.includes(role)) {
+    throw new InviteError(`role must be one of: ${ROLES.join(", ")}`);
+  }
+
+  const days =
+    expiresInDays === undefined ? DEFAULT_TTL_DAYS : Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_TTL_DAYS) {
+    throw new InviteError(
+      `expiresInDays must be more than 0 and at most ${MAX_TTL_DAYS}`
+    );
+  }
+
+  const code = crypto.randomBytes(12).toString("base64url");
+  const invite = await Invite.create({
+    codeHash: hashCode(code),
+    role,
+    email: email || undefined,
+    note: note || undefined,
+    createdBy,
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+  });
+  return { invite, code };
+}
+
+/**
+ * Use up an invite code for a user, who need not be saved yet. Throws an
+ * InviteError if the code is unknown, used, revoked, expired or meant for
+ * another email address.
+ * @returns {Promise<Object>} the claimed invite
+ */
+async function claimInvite(code, user) {
+  if (typeof code !== "string" || !code.trim()) {
+    throw new InviteError("Invite code is required");
+  }
+
+  const now = new Date();
+  const invite = await Invite.findOneAndUpdate(
+    {
+      codeHash: hashCode(code),
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+      $or: [{ email: null }, { email: user.email }],
+    },
+    { $set: { usedBy: user._id, usedAt: now } },
+    { new: true }
+  );
+  if (!invite) {
+    throw new InviteError("Invalid or expired invite code");
+  }
+  return invite;
+}
+
+// Make a claimed invite usable again, when the account it was claimed for
+// couldn't be created
+function releaseInvite(invite) {
+  return Invite.updateOne(
+    { _id: invite._id },
+    { $unset: { usedBy: "", usedAt: "" } }
+  );
+}
+
+/**
+ * Give a user an invite's role unless they already have that role or a
+ * higher one
+ * @returns {boolean} whether the role changed
+ */
+function applyInviteRole(user, invite) {
+  if ((ROLE_RANK[user.role] || 0) >= ROLE_RANK[invite.role]) return false;
+  user.role = invite.role;
+  return true;
+}
+
+// "active", "used", "revoked" or "expired"
+function inviteStatus(invite, now = new Date()) {
+  if (invite.usedAt) return "used";
+  if (invite.revokedAt) return "revoked";
+  if (invite.expiresAt <= now) return "expired";
+  return "active";
+}
+
+module.exports = {
+  ROLES,
+  InviteError,
+  createInvite,
+  claimInvite,
+  releaseInvite,
+  applyInviteRole,
+  inviteStatus,
+};
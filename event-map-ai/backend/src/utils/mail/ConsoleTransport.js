@@ -0,0 +1,17 @@
+/**
+ * CONSOLE TRANSPORT
+ * Prints messages to the server log instead of sending them, for local
+ * development without a mail server
+ */
+
+class ConsoleTransport {
+  constructor() {
+    this.name = 'console';
+  }
+
+  async send(message) {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+  }
+}
+
+module.exports = ConsoleTransport;
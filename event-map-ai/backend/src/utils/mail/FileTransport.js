@@ -0,0 +1,26 @@
+/**
+ * FILE TRANSPORT
+ * Writes each message as a JSON file to MAIL_FILE_DIR instead of sending
+ * it, so local setups and tests can read the links it contains
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+class FileTransport {
+  constructor(options = {}) {
+    this.name = 'file';
+    this.dir = path.resolve(options.dir || process.env.MAIL_FILE_DIR || 'mail-outbox');
+  }
+
+  async send(message) {
+    await fs.mkdir(this.dir, { recursive: true });
+
+    const sentAt = new Date();
+    const slug = String(message.to).replace(/[^a-z0-9]+/gi, '_');
+    const file = path.join(this.dir, `${sentAt.getTime()}-${slug}.json`);
+    await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,34 @@
+/**
+ * SMTP TRANSPORT
+ * Sends mail through an SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER,
+ * SMTP_PASS; SMTP_SECURE=true for implicit TLS, usually port 465)
+ */
+
+const nodemailer = require('nodemailer');
+
+class SmtpTransport {
+  constructor(options = {}) {
+    this.name = 'smtp';
+    const host = options.host || process.env.SMTP_HOST;
+    if (!host) {
+      throw new Error('SMTP_HOST is not set');
+    }
+
+    const port = options.port || parseInt(process.env.SMTP_PORT, 10) || 587;
+    const user = options.user || process.env.SMTP_USER;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: options.secure !== undefined
+        ? options.secure
+        : process.env.SMTP_SECURE === 'true' || port === 465,
+      auth: user ? { user, pass: options.pass || process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail(message);
+  }
+}
+
+module.exports = SmtpTransport;
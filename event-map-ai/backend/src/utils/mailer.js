@@ -0,0 +1,49 @@
+/**
+ * MAILER
+ * Sends account email through the transport named by MAIL_TRANSPORT: smtp,
+ * file (JSON files in MAIL_FILE_DIR) or console. Defaults to smtp when
+ * SMTP_HOST is set and to console otherwise.
+ */
+
+const SmtpTransport = require('./mail/SmtpTransport');
+const FileTransport = require('./mail/FileTransport');
+const ConsoleTransport = require('./mail/ConsoleTransport');
+
+const TRANSPORTS = {
+  smtp: SmtpTransport,
+  file: FileTransport,
+  console: ConsoleTransport
+};
+
+const FROM = process.env.MAIL_FROM || 'EventMap <no-reply@eventmap.local>';
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const defaultName = process.env.SMTP_HOST ? 'smtp' : 'console';
+    const name = (process.env.MAIL_TRANSPORT || defaultName).trim().toLowerCase();
+    if (!TRANSPORTS[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    transport = new TRANSPORTS[name]();
+  }
+  return transport;
+}
+
+/**
+ * Send a message ({ to, subject, text, html }). Errors are thrown.
+ */
+async function send(message) {
+  await getTransport().send({ from: FROM, ...message });
+}
+
+// Use a specific transport, e.g. a FileTransport in tests
+function setTransport(custom) {
+  transport = custom;
+}
+
+module.exports = {
+  send,
+  setTransport
+};
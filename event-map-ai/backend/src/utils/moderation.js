@@ -0,0 +1,164 @@
+// Moderation policy and the reviewer workflow for pending events: which
+// submissions wait for review, claims on queued events and reviewer
+// decisions.
+const Event = require("../models/Event");
+const lifecycle = require("./eventLifecycle");
+
+// "trusted" (default): trusted organizers publish directly, everyone else
+// waits for review. "review": every submission waits. "auto": whatever
+// passes the AI checks is published.
+const MODE = (process.env.MODERATION_MODE || "trusted").toLowerCase();
+// Organizers become trusted after this many approved events and no
+// rejections; 0 leaves trust to admins
+const TRUST_MIN_APPROVED = parseInt(
+  process.env.MODERATION_TRUST_MIN_APPROVED || "5",
+  10
+);
+// How long a reviewer's claim on a queued event lasts
+const CLAIM_MS =
+  (parseInt(process.env.MODERATION_CLAIM_MINUTES, 10) || 30) * 60 * 1000;
+
+// Reviewer actions and the status each leads to
+const ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  request_changes: "changes_requested",
+};
+
+// Statuses counting towards an organizer's track record
+const APPROVED_STATUSES = ["approved", "completed", "cancelled", "postponed"];
+
+/**
+ * Whether a user's events skip the review queue: admins, organizers an admin
+ * marked trusted, and organizers with enough approved events and no
+ * rejected ones
+ */
+async function isTrusted(user) {
+  if (user.role === "admin" || user.trusted) return true;
+  if (TRUST_MIN_APPROVED <= 0) return false;
+
+  const [approved, rejected] = await Promise.all([
+    Event.countDocuments({
+      organizer: user._id,
+      status: { $in: APPROVED_STATUSES },
+    }),
+    Event.countDocuments({ organizer: user._id, status: "rejected" }),
+  ]);
+  return approved >= TRUST_MIN_APPROVED && rejected === 0;
+}
+
+/**
+ * Status a reviewed submission starts in. Submissions the AI checks reject
+ * stay rejected; flagged or possibly duplicate ones always wait for a
+ * reviewer, whoever submitted them.
+ */
+async function initialStatus(review, user) {
+  if (review.status === "rejected") return "rejected";
+  if (MODE === "auto") return "approved";
+  if (MODE === "review") return "pending";
+
+  if (review.moderationResult.isFlagged || review.duplicates.length > 0) {
+    return "pending";
+  }
+  return (await isTrusted(user)) ? "approved" : "pending";
+}
+
+function isClaimActive(event, now = new Date()) {
+  const moderation = event.moderation;
+  return !!(
+    moderation &&
+    moderation.claimedBy &&
+    moderation.claimedAt &&
+    now - moderation.claimedAt < CLAIM_MS
+  );
+}
+
+/**
+ * The reviewer other than `reviewer` holding a live claim on an event, if
+ * any
+ * @returns {ObjectId|null}
+ */
+function claimedByOther(event, reviewer) {
+  if (!isClaimActive(event)) return null;
+  const claimedBy = event.moderation.claimedBy;
+  const id = claimedBy._id || claimedBy;
+  return id.toString() === reviewer._id.toString() ? null : id;
+}
+
+/**
+ * Claim a pending event for a reviewer, unless someone else holds a live
+ * claim. Claiming again renews the claim.
+ * @returns {Promise<Object|null>} the event, or null if it can't be claimed
+ */
+function claim(eventId, reviewer) {
+  const now = new Date();
+  return Event.findOneAndUpdate(
+    {
+      _id: eventId,
+      status: "pending",
+      $or: [
+        { "moderation.claimedBy": { $exists: false } },
+        { "moderation.claimedBy": null },
+        { "moderation.claimedBy": reviewer._id },
+        { "moderation.claimedAt": { $lt: new Date(now.getTime() - CLAIM_MS) } },
+      ],
+    },
+    {
+      $set: {
+        "moderation.claimedBy": reviewer._id,
+        "moderation.claimedAt": now,
+      },
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Give up a reviewer's claim
+ * @returns {Promise<Object|null>} the event, or null if they held no claim
+ */
+function release(eventId, reviewer) {
+  return Event.findOneAndUpdate(
+    { _id: eventId, "moderation.claimedBy": reviewer._id },
+    { $unset: { "moderation.claimedBy": "", "moderation.claimedAt": "" } },
+    { new: true }
+  );
+}
+
+/**
+ * Apply a reviewer's decision ("approve", "reject" or "request_changes") to
+ * an event document. Rejecting and requesting changes need a reason, which
+ * the organizer sees. Throws on invalid input; callers check claims and
+ * save.
+ * @returns {string} the new status
+ */
+function decide(event, action, reviewer, reason) {
+  const status = ACTIONS[action];
+  if (!status) {
+    throw new Error(`action must be one of: ${Object.keys(ACTIONS).join(", ")}`);
+  }
+
+  const trimmedReason = typeof reason === "string" ? reason.trim() : "";
+  if (action !== "approve" && !trimmedReason) {
+    throw new Error("A reason is required to reject or request changes");
+  }
+
+  lifecycle.assertTransition(event.status, status, lifecycle.ADMIN);
+  lifecycle.applyTransition(event, status, {
+    by: reviewer._id,
+    reason: trimmedReason || undefined,
+  });
+  return status;
+}
+
+module.exports = {
+  ACTIONS,
+  CLAIM_MS,
+  isTrusted,
+  initialStatus,
+  isClaimActive,
+  claimedByOther,
+  claim,
+  release,
+  decide,
+};
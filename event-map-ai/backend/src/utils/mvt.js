@@ -0,0 +1,192 @@
+// Mapbox Vector Tile (MVT 2.1) encoding of point features, plus the Web
+// Mercator tile math needed to serve /{z}/{x}/{y} tiles. Only what event
+// points need is implemented: one or more layers of POINT features with
+// string, number and boolean properties.
+
+const EXTENT = 4096;
+
+// Protobuf wire types
+const VARINT = 0;
+const FIXED64 = 1;
+const LENGTH_DELIMITED = 2;
+
+// Geometry command: MoveTo with a count of one
+const MOVE_TO_ONCE = (1 & 0x7) | (1 << 3);
+
+class ProtobufWriter {
+  constructor() {
+    this.bytes = [];
+  }
+
+  varint(value) {
+    let remaining = value;
+    while (remaining >= 0x80) {
+      this.bytes.push((remaining % 0x80) | 0x80);
+      remaining = Math.floor(remaining / 0x80);
+    }
+    this.bytes.push(remaining);
+  }
+
+  tag(field, wireType) {
+    this.varint((field << 3) | wireType);
+  }
+
+  uintField(field, value) {
+    this.tag(field, VARINT);
+    this.varint(value);
+  }
+
+  bytesField(field, buffer) {
+    this.tag(field, LENGTH_DELIMITED);
+    this.varint(buffer.length);
+    for (const byte of buffer) this.bytes.push(byte);
+  }
+
+  stringField(field, value) {
+    this.bytesField(field, Buffer.from(String(value), "utf8"));
+  }
+
+  doubleField(field, value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleLE(value);
+    this.tag(field, FIXED64);
+    for (const byte of buffer) this.bytes.push(byte);
+  }
+
+  packedField(field, values) {
+    const packed = new ProtobufWriter();
+    values.forEach((value) => packed.varint(value));
+    this.bytesField(field, packed.toBuffer());
+  }
+
+  toBuffer() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+function zigzag(value) {
+  return value >= 0 ? value * 2 : -value * 2 - 1;
+}
+
+/**
+ * West, south, east and north edges (degrees) of tile x/y at zoom z
+ */
+function tileBounds(z, x, y) {
+  const tiles = 2 ** z;
+  const lng = (tileX) => (tileX / tiles) * 360 - 180;
+  const lat = (tileY) =>
+    (Math.atan(Math.sinh(Math.PI * (1 - (2 * tileY) / tiles))) * 180) / Math.PI;
+  return [lng(x), lat(y + 1), lng(x + 1), lat(y)];
+}
+
+// Parse and validate z/x/y route parameters
+function parseTileCoords({ z, x, y }) {
+  const coords = [z, x, y].map(Number);
+  if (!coords.every(Number.isInteger)) {
+    throw new Error("Tile coordinates must be integers");
+  }
+
+  const [zoom, tileX, tileY] = coords;
+  const tiles = 2 ** zoom;
+  if (
+    zoom < 0 ||
+    zoom > 22 ||
+    tileX < 0 ||
+    tileX >= tiles ||
+    tileY < 0 ||
+    tileY >= tiles
+  ) {
+    throw new Error("Tile coordinates are out of range");
+  }
+  return { z: zoom, x: tileX, y: tileY };
+}
+
+// Position of a point inside tile x/y, in tile units (0..EXTENT)
+function projectToTile(longitude, latitude, { z, x, y }) {
+  const tiles = 2 ** z;
+  const sin = Math.sin((latitude * Math.PI) / 180);
+  const worldX = ((longitude + 180) / 360) * tiles;
+  const worldY =
+    (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * tiles;
+  return [
+    Math.round((worldX - x) * EXTENT),
+    Math.round((worldY - y) * EXTENT),
+  ];
+}
+
+function encodeValue(value) {
+  const writer = new ProtobufWriter();
+  if (typeof value === "boolean") {
+    writer.uintField(7, value ? 1 : 0);
+  } else if (typeof value === "number") {
+    writer.doubleField(3, value);
+  } else {
+    writer.stringField(1, value);
+  }
+  return writer.toBuffer();
+}
+
+function encodeLayer({ name, features }, tile) {
+  const keys = new Map();
+  const values = new Map();
+  const indexOf = (map, key) => {
+    if (!map.has(key)) map.set(key, map.size);
+    return map.get(key);
+  };
+
+  const encodedFeatures = features.map((feature, index) => {
+    const tags = [];
+    Object.entries(feature.properties || {}).forEach(([key, value]) => {
+      if (value === null || value === undefined) return;
+      tags.push(indexOf(keys, key));
+      // Typed keys keep 1 and "1" apart
+      tags.push(indexOf(values, `${typeof value}:${value}`));
+    });
+
+    const [px, py] = projectToTile(feature.longitude, feature.latitude, tile);
+    const writer = new ProtobufWriter();
+    writer.uintField(1, index + 1);
+    if (tags.length > 0) writer.packedField(2, tags);
+    writer.uintField(3, 1); // POINT
+    writer.packedField(4, [MOVE_TO_ONCE, zigzag(px), zigzag(py)]);
+    return writer.toBuffer();
+  });
+
+  const valueList = [...values.keys()].map((typed) => {
+    const separator = typed.indexOf(":");
+    const type = typed.slice(0, separator);
+    const raw = typed.slice(separator + 1);
+    if (type === "number") return Number(raw);
+    if (type === "boolean") return raw === "true";
+    return raw;
+  });
+
+  const writer = new ProtobufWriter();
+  writer.uintField(15, 2); // version
+  writer.stringField(1, name);
+  encodedFeatures.forEach((feature) => writer.bytesField(2, feature));
+  [...keys.keys()].forEach((key) => writer.stringField(3, key));
+  valueList.forEach((value) => writer.bytesField(4, encodeValue(value)));
+  writer.uintField(5, EXTENT);
+  return writer.toBuffer();
+}
+
+/**
+ * Encode point layers as an MVT tile
+ * @param {Array<{name: string, features: Array<{longitude, latitude, properties}>}>} layers
+ * @param {{z, x, y}} tile
+ * @returns {Buffer}
+ */
+function encodeTile(layers, tile) {
+  const writer = new ProtobufWriter();
+  layers.forEach((layer) => writer.bytesField(3, encodeLayer(layer, tile)));
+  return writer.toBuffer();
+}
+
+module.exports = {
+  EXTENT,
+  tileBounds,
+  parseTileCoords,
+  projectToTile,
+  encodeTile,
+};
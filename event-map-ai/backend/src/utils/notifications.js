@@ -0,0 +1,155 @@
+const Notification = require("../models/Notification");
+
+// Notification type and wording for each status change people are told about
+const STATUS_MESSAGES = {
+  cancelled: {
+    type: "event_cancelled",
+    text: (title) => `"${title}" has been cancelled`,
+  },
+  postponed: {
+    type: "event_postponed",
+    text: (title) => `"${title}" has been postponed`,
+  },
+  rescheduled: {
+    type: "event_rescheduled",
+    text: (title, event) =>
+      `"${title}" has been rescheduled to ${new Date(event.date).toUTCString()}`,
+  },
+};
+
+// Notification type and wording for outcomes of scheduled publishing and
+// review decisions, sent to the organizer
+const ORGANIZER_MESSAGES = {
+  published: {
+    type: "event_published",
+    text: (title) => `"${title}" has been published`,
+  },
+  submitted: {
+    type: "event_submitted",
+    text: (title) => `"${title}" has been submitted for review`,
+  },
+  approved: {
+    type: "event_approved",
+    text: (title) => `"${title}" has been approved`,
+  },
+  rejected: {
+    type: "event_rejected",
+    text: (title) => `"${title}" has been rejected`,
+  },
+  changes_requested: {
+    type: "event_changes_requested",
+    text: (title) => `Changes were requested to "${title}"`,
+  },
+  publish_rejected: {
+    type: "event_publish_rejected",
+    text: (title) => `"${title}" was rejected when it was published`,
+  },
+  publish_failed: {
+    type: "event_publish_failed",
+    text: (title) =>
+      `"${title}" could not be published and is still a draft`,
+  },
+};
+
+// Notification type and wording for decisions about a user's account
+const ACCOUNT_MESSAGES = {
+  organizer_approved: {
+    type: "organizer_approved",
+    text: () => "Your organizer request has been approved. You can now create events",
+  },
+  organizer_rejected: {
+    type: "organizer_rejected",
+    text: () => "Your organizer request has been rejected",
+  },
+};
+
+/**
+ * Tell an event's attendees and waitlisted users about a status change
+ * ("cancelled", "postponed" or "rescheduled"). Failures are logged, never
+ * thrown, so they can't undo the change itself.
+ * @returns {Promise<number>} how many users were notified
+ */
+async function notifyStatusChange(event, change, reason) {
+  const template = STATUS_MESSAGES[change];
+  if (!template) return 0;
+
+  const recipients = [
+    ...new Set(
+      [...(event.attendees || []), ...(event.waitlist || [])].map((user) =>
+        String(user._id || user)
+      )
+    ),
+  ];
+  if (recipients.length === 0) return 0;
+
+  const message =
+    template.text(event.title, event) + (reason ? `: ${reason}` : "");
+  try {
+    await Notification.insertMany(
+      recipients.map((user) => ({
+        user,
+        type: template.type,
+        event: event._id,
+        message,
+      }))
+    );
+    console.log(
+      `Notified ${recipients.length} users that event ${event._id} was ${change}`
+    );
+    return recipients.length;
+  } catch (error) {
+    console.error(`Error notifying users about event ${event._id}:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Tell an event's organizer how publishing or reviewing it went (a key of
+ * ORGANIZER_MESSAGES). Like notifyStatusChange, never throws.
+ * @returns {Promise<boolean>} whether the organizer was notified
+ */
+async function notifyOrganizer(event, outcome, reason) {
+  const template = ORGANIZER_MESSAGES[outcome];
+  if (!template || !event.organizer) return false;
+
+  try {
+    await Notification.create({
+      user: event.organizer._id || event.organizer,
+      type: template.type,
+      event: event._id,
+      message: template.text(event.title) + (reason ? `: ${reason}` : ""),
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error notifying organizer of event ${event._id}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Tell a user about a decision on their account (a key of
+ * ACCOUNT_MESSAGES). Like notifyStatusChange, never throws.
+ * @returns {Promise<boolean>} whether the user was notified
+ */
+async function notifyAccount(userId, outcome, reason) {
+  const template = ACCOUNT_MESSAGES[outcome];
+  if (!template) return false;
+
+  try {
+    await Notification.create({
+      user: userId,
+      type: template.type,
+      message: template.text() + (reason ? `: ${reason}` : ""),
+    });
+    return true;
+  } catch (error) {
+    console.error(`Error notifying user ${userId}:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  notifyStatusChange,
+  notifyOrganizer,
+  notifyAccount,
+};
@@ -0,0 +1,234 @@
+// Cursor pagination, field selection and bounding boxes for list endpoints.
+// Lists are ordered on (date, _id), so a cursor holding the last item's pair
+// resumes exactly where the previous page stopped, even when events share a
+// date or new ones are added meanwhile.
+
+const mongoose = require("mongoose");
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+// Web Mercator can't show latitudes beyond this, so maps never ask for more
+const MAX_LATITUDE = 85.0511;
+
+// Longitude in -180..180; panning around the globe yields values beyond
+function wrapLongitude(lng) {
+  if (lng >= -180 && lng <= 180) return lng;
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Read `limit` and `cursor` from query parameters; throws on invalid input.
+ * @returns {{limit: number, cursor: {date: Date, id: ObjectId}|null}}
+ */
+function parsePageParams(query, { defaultLimit = DEFAULT_LIMIT } = {}) {
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== "") {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1) {
+      throw new Error("limit must be a positive integer");
+    }
+  }
+
+  return {
+    limit: Math.min(limit, MAX_LIMIT),
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+  };
+}
+
+function encodeCursor(event) {
+  const value = `${new Date(event.date).toISOString()}_${event._id}`;
+  return Buffer.from(value).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  const [date, id] = Buffer.from(String(cursor), "base64url")
+    .toString()
+    .split("_");
+  const parsedDate = new Date(date);
+  if (isNaN(parsedDate) || !mongoose.Types.ObjectId.isValid(id)) {
+    throw new Error("cursor is invalid");
+  }
+  return { date: parsedDate, id: new mongoose.Types.ObjectId(id) };
+}
+
+/**
+ * Condition selecting the documents after `cursor` in (date, _id) order;
+ * `direction` is -1 for newest-first lists
+ */
+function afterCursor(cursor, direction = 1) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { date: { [op]: cursor.date } },
+      { date: cursor.date, _id: { [op]: cursor.id } },
+    ],
+  };
+}
+
+/**
+ * Run a paginated find: one page of documents in (date, _id) order, the
+ * total matching `query` regardless of page, and the cursor for the next
+ * page (null on the last one). `prepare` can add populate/select calls.
+ */
+async function findPage(
+  Model,
+  query,
+  { limit, cursor, direction = 1, prepare = (q) => q }
+) {
+  const pageQuery = cursor
+    ? { $and: [query, afterCursor(cursor, direction)] }
+    : query;
+
+  const [documents, total] = await Promise.all([
+    prepare(
+      Model.find(pageQuery)
+        .sort({ date: direction, _id: direction })
+        // One extra tells whether another page follows
+        .limit(limit + 1)
+    ),
+    Model.countDocuments(query),
+  ]);
+
+  const hasMore = documents.length > limit;
+  const items = hasMore ? documents.slice(0, limit) : documents;
+  return {
+    items,
+    total,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1]) : null,
+  };
+}
+
+/**
+ * Parse a comma-separated `fields` parameter against the allowed names;
+ * null means every field. _id is always included.
+ */
+function parseFields(value, allowed) {
+  if (!value) return null;
+
+  const fields = String(value)
+    .split(",")
+    .map((field) => field.trim())
+    .filter(Boolean);
+  const unknown = fields.filter(
+    (field) => field !== "_id" && !allowed.includes(field)
+  );
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown fields: ${unknown.join(", ")}. Allowed: ${allowed.join(", ")}`
+    );
+  }
+  return ["_id", ...fields.filter((field) => field !== "_id")];
+}
+
+function pickFields(item, fields) {
+  if (!fields) return item;
+  return Object.fromEntries(
+    fields.filter((field) => field in item).map((field) => [field, item[field]])
+  );
+}
+
+// Bounding boxes are matched with GeoJSON polygons, which the 2dsphere index
+// on locationCoords serves. A polygon's edges are geodesics, so its latitude
+// edges run in steps of EDGE_STEP degrees, which stray from the parallel by
+// under 0.002 degrees, and the polygon is padded by BOX_PADDING so it never
+// cuts into the box. Boxes wider than MAX_POLYGON_WIDTH are split, as a
+// polygon must stay within a hemisphere.
+const EDGE_STEP = 1;
+const BOX_PADDING = 0.01;
+const MAX_POLYGON_WIDTH = 90;
+
+// Polygon around a box, its latitude edges following the parallels
+function boxPolygon(west, south, east, north) {
+  const steps = Math.max(1, Math.ceil((east - west) / EDGE_STEP));
+  const lngAt = (i) => west + ((east - west) * i) / steps;
+
+  const ring = [];
+  for (let i = 0; i <= steps; i++) ring.push([lngAt(i), south]);
+  for (let i = steps; i >= 0; i--) ring.push([lngAt(i), north]);
+  ring.push(ring[0]);
+  return { type: "Polygon", coordinates: [ring] };
+}
+
+// Split a longitude range into pieces no wider than MAX_POLYGON_WIDTH
+function splitRange([west, east]) {
+  const count = Math.ceil((east - west) / MAX_POLYGON_WIDTH);
+  return Array.from({ length: count }, (_, i) => [
+    west + ((east - west) * i) / count,
+    west + ((east - west) * (i + 1)) / count,
+  ]);
+}
+
+/**
+ * Parse `bbox=minLng,minLat,maxLng,maxLat` into a condition on
+ * locationCoords; throws on invalid input. Latitudes are clamped to what a
+ * web map can show, and boxes crossing the antimeridian (minLng > maxLng)
+ * are split at it. Each part is found through the geospatial index with a
+ * slightly larger polygon and then checked against the exact coordinates,
+ * so the box matches exactly what the map shows.
+ */
+function parseBbox(value) {
+  if (!value) return null;
+
+  const parts = String(value).split(",").map(Number);
+  if (parts.length !== 4 || !parts.every(isFinite)) {
+    throw new Error("bbox must be minLng,minLat,maxLng,maxLat");
+  }
+
+  let [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLat > maxLat) {
+    throw new Error("bbox minLat must not exceed maxLat");
+  }
+  minLat = Math.max(minLat, -MAX_LATITUDE);
+  maxLat = Math.min(maxLat, MAX_LATITUDE);
+
+  if (maxLng - minLng >= 360) {
+    minLng = -180;
+    maxLng = 180;
+  } else {
+    minLng = wrapLongitude(minLng);
+    maxLng = wrapLongitude(maxLng);
+  }
+
+  const ranges =
+    minLng <= maxLng
+      ? [[minLng, maxLng]]
+      : [
+          [minLng, 180],
+          [-180, maxLng],
+        ];
+
+  const boxes = ranges.filter(([from, to]) => to > from);
+  if (boxes.length === 0 || minLat === maxLat) {
+    throw new Error("bbox must have a non-zero area");
+  }
+
+  const conditions = boxes.flatMap(splitRange).map(([west, east]) => ({
+    locationCoords: {
+      $geoWithin: {
+        $geometry: boxPolygon(
+          Math.max(west - BOX_PADDING, -180),
+          minLat - BOX_PADDING,
+          Math.min(east + BOX_PADDING, 180),
+          maxLat + BOX_PADDING
+        ),
+      },
+    },
+    "locationCoords.coordinates.0": { $gte: west, $lte: east },
+    "locationCoords.coordinates.1": { $gte: minLat, $lte: maxLat },
+  }));
+
+  return conditions.length === 1 ? conditions[0] : { $or: conditions };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parsePageParams,
+  encodeCursor,
+  decodeCursor,
+  findPage,
+  parseFields,
+  pickFields,
+  parseBbox,
+};
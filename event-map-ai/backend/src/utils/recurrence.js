@@ -0,0 +1,352 @@
+/**
+ * RECURRENCE UTILITIES
+ * Parses RRULE-style recurrence rules and expands event series into occurrences
+ */
+
+const FREQUENCIES = ["daily", "weekly", "monthly"];
+const WEEKDAY_CODES = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const OVERRIDABLE_FIELDS = [
+  "title",
+  "description",
+  "location",
+  "locationCoords",
+  "date",
+  "endDate",
+];
+
+// Hard stop for open-ended rules (a daily series covers ~13 years)
+const MAX_OCCURRENCES = 5000;
+// Window used when a caller does not ask for a specific date range
+const DEFAULT_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isRecurring(event) {
+  return !!(event && event.recurrence && event.recurrence.frequency);
+}
+
+// Occurrences are identified within their series by the day they fall on
+function occurrenceKey(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Parse a recurrence rule from an object, a JSON string or an RRULE string
+ * (e.g. "FREQ=WEEKLY;INTERVAL=1;BYDAY=MO,WE;UNTIL=20261231T000000Z").
+ * Returns null when no rule is given and throws on invalid input.
+ */
+function parseRecurrence(input) {
+  if (input === undefined || input === null || input === "") {
+    return null;
+  }
+
+  let rule = input;
+  if (typeof input === "string") {
+    const trimmed = input.trim();
+    if (trimmed.startsWith("{")) {
+      try {
+        rule = JSON.parse(trimmed);
+      } catch (error) {
+        throw new Error("Recurrence must be valid JSON or an RRULE string");
+      }
+    } else {
+      rule = parseRRule(trimmed);
+    }
+  }
+
+  const frequency = String(rule.frequency || "").toLowerCase();
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new Error(
+      `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}`
+    );
+  }
+
+  const interval = rule.interval ? parseInt(rule.interval, 10) : 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    throw new Error("Recurrence interval must be a positive integer");
+  }
+
+  const count = rule.count ? parseInt(rule.count, 10) : undefined;
+  if (count !== undefined && (!Number.isInteger(count) || count < 1)) {
+    throw new Error("Recurrence count must be a positive integer");
+  }
+
+  const until = rule.until ? new Date(rule.until) : undefined;
+  if (until && isNaN(until.getTime())) {
+    throw new Error("Recurrence until must be a valid date");
+  }
+
+  const byWeekday = (rule.byWeekday || []).map((day) =>
+    typeof day === "string" ? WEEKDAY_CODES.indexOf(day.toUpperCase()) : day
+  );
+  if (byWeekday.some((day) => !Number.isInteger(day) || day < 0 || day > 6)) {
+    throw new Error("Recurrence weekdays must be 0-6 or SU..SA");
+  }
+
+  const exceptionDates = (rule.exceptionDates || []).map((d) => new Date(d));
+  if (exceptionDates.some((d) => isNaN(d.getTime()))) {
+    throw new Error("Recurrence exception dates must be valid dates");
+  }
+
+  return {
+    frequency,
+    interval,
+    byWeekday: frequency === "weekly" ? [...new Set(byWeekday)] : [],
+    until,
+    count,
+    exceptionDates,
+  };
+}
+
+function parseRRule(text) {
+  const rule = {};
+  const body = text.replace(/^RRULE:/i, "");
+
+  for (const part of body.split(";")) {
+    const [rawKey, value] = part.split("=");
+    if (!rawKey || value === undefined) continue;
+
+    switch (rawKey.trim().toUpperCase()) {
+      case "FREQ":
+        rule.frequency = value;
+        break;
+      case "INTERVAL":
+        rule.interval = value;
+        break;
+      case "COUNT":
+        rule.count = value;
+        break;
+      case "UNTIL":
+        rule.until = parseRRuleDate(value);
+        break;
+      case "BYDAY":
+        rule.byWeekday = value.split(",");
+        break;
+      case "EXDATE":
+        rule.exceptionDates = value.split(",").map(parseRRuleDate);
+        break;
+      default:
+        throw new Error(`Unsupported recurrence rule part: ${rawKey}`);
+    }
+  }
+
+  return rule;
+}
+
+// RRULE dates use the basic format: 20261231 or 20261231T190000Z
+function parseRRuleDate(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) return value;
+
+  const [, year, month, day, hour = "00", minute = "00", second = "00", utc] =
+    match;
+  const iso = `${year}-${month}-${day}T${hour}:${minute}:${second}${utc || ""}`;
+  return new Date(iso);
+}
+
+/**
+ * Yield the raw rule dates of a series in chronological order, starting
+ * from the series start and keeping its local time of day.
+ */
+function* ruleDates(start, rule) {
+  const interval = rule.interval || 1;
+
+  if (rule.frequency === "weekly") {
+    const weekdays = (
+      rule.byWeekday && rule.byWeekday.length
+        ? [...rule.byWeekday]
+        : [start.getDay()]
+    ).sort((a, b) => a - b);
+    const weekStart = new Date(start);
+    weekStart.setDate(start.getDate() - start.getDay());
+
+    for (let week = 0; week <= MAX_OCCURRENCES * interval; week += interval) {
+      for (const day of weekdays) {
+        const candidate = new Date(weekStart);
+        candidate.setDate(weekStart.getDate() + week * 7 + day);
+        if (candidate >= start) yield candidate;
+      }
+    }
+  } else if (rule.frequency === "monthly") {
+    for (let month = 0; month <= MAX_OCCURRENCES * interval; month += interval) {
+      const candidate = new Date(start);
+      candidate.setDate(1);
+      candidate.setMonth(start.getMonth() + month);
+      // Months without the start's day of month are skipped, as in RFC 5545
+      const daysInMonth = new Date(
+        candidate.getFullYear(),
+        candidate.getMonth() + 1,
+        0
+      ).getDate();
+      if (start.getDate() <= daysInMonth) {
+        candidate.setDate(start.getDate());
+        yield candidate;
+      }
+    }
+  } else {
+    for (let day = 0; day <= MAX_OCCURRENCES * interval; day += interval) {
+      const candidate = new Date(start);
+      candidate.setDate(start.getDate() + day);
+      yield candidate;
+    }
+  }
+}
+
+// Original occurrence dates of a series, honouring until and count
+function* seriesDates(event) {
+  const rule = event.recurrence;
+  const until = rule.until ? new Date(rule.until) : null;
+  const limit = Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES);
+  let generated = 0;
+
+  for (const candidate of ruleDates(new Date(event.date), rule)) {
+    if (generated >= limit || (until && candidate > until)) return;
+    generated++;
+    yield candidate;
+  }
+}
+
+function toPlainEvent(event) {
+  return typeof event.toObject === "function" ? event.toObject() : event;
+}
+
+function buildOccurrence(base, originalDate, duration, override) {
+  const occurrence = {
+    ...base,
+    date: originalDate,
+    endDate:
+      duration !== null ? new Date(originalDate.getTime() + duration) : undefined,
+    seriesId: base._id,
+    occurrenceId: occurrenceKey(originalDate),
+    originalDate,
+    isOverridden: !!override,
+  };
+
+  if (override) {
+    for (const field of OVERRIDABLE_FIELDS) {
+      const value = override[field];
+      if (value === undefined || value === null) continue;
+      if (field === "locationCoords" && !(value.coordinates || []).length) {
+        continue;
+      }
+      occurrence[field] = value;
+    }
+
+    // A moved occurrence keeps the series duration unless it sets its own end
+    if (override.date && !override.endDate && duration !== null) {
+      occurrence.endDate = new Date(new Date(override.date).getTime() + duration);
+    }
+  }
+
+  delete occurrence.occurrenceOverrides;
+  return occurrence;
+}
+
+/**
+ * Expand a recurring series into the occurrences falling inside a window.
+ * Exception dates are dropped and per-occurrence overrides applied, so an
+ * occurrence moved into (or out of) the window is placed by its new date.
+ */
+function expandOccurrences(event, windowStart, windowEnd) {
+  const base = toPlainEvent(event);
+  if (!isRecurring(base)) return [base];
+
+  const start = new Date(base.date);
+  const duration = base.endDate ? new Date(base.endDate) - start : null;
+  const excluded = new Set(
+    (base.recurrence.exceptionDates || []).map(occurrenceKey)
+  );
+  const overrides = new Map(
+    (base.occurrenceOverrides || []).map((o) => [occurrenceKey(o.originalDate), o])
+  );
+
+  // Keep iterating until no override could still move an occurrence into view
+  const horizon = Math.max(
+    windowEnd.getTime(),
+    ...[...overrides.values()].map((o) => new Date(o.originalDate).getTime())
+  );
+
+  const occurrences = [];
+  for (const originalDate of seriesDates(base)) {
+    if (originalDate.getTime() > horizon) break;
+
+    const key = occurrenceKey(originalDate);
+    if (excluded.has(key)) continue;
+
+    const occurrence = buildOccurrence(
+      base,
+      originalDate,
+      duration,
+      overrides.get(key)
+    );
+    const occurrenceDate = new Date(occurrence.date);
+    if (occurrenceDate >= windowStart && occurrenceDate <= windowEnd) {
+      occurrences.push(occurrence);
+    }
+  }
+
+  return occurrences.sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Find the original start date of the occurrence identified by `key`
+ * ("YYYY-MM-DD"), or null when the series has no such occurrence.
+ */
+function findOccurrenceDate(event, key) {
+  if (!isRecurring(event) || !/^\d{4}-\d{2}-\d{2}$/.test(key)) return null;
+
+  const excluded = new Set(
+    (event.recurrence.exceptionDates || []).map(occurrenceKey)
+  );
+  for (const originalDate of seriesDates(event)) {
+    const candidateKey = occurrenceKey(originalDate);
+    if (candidateKey === key) {
+      return excluded.has(key) ? null : originalDate;
+    }
+    if (candidateKey > key) return null;
+  }
+
+  return null;
+}
+
+/**
+ * Start date of the occurrence of `event` closest to `date`. Non-recurring
+ * events simply return their own date.
+ */
+function nearestOccurrenceDate(event, date) {
+  if (!isRecurring(event)) return new Date(event.date);
+
+  const target = new Date(date);
+  const nearby = expandOccurrences(
+    event,
+    new Date(target.getTime() - 7 * DAY_MS),
+    new Date(target.getTime() + 7 * DAY_MS)
+  );
+  if (nearby.length === 0) return new Date(event.date);
+
+  return nearby
+    .map((occurrence) => new Date(occurrence.date))
+    .reduce((best, candidate) =>
+      Math.abs(candidate - target) < Math.abs(best - target) ? candidate : best
+    );
+}
+
+// Resolve the expansion window from optional startDate/endDate query values
+function resolveWindow(startDate, endDate) {
+  const windowStart = startDate ? new Date(startDate) : new Date();
+  const windowEnd = endDate
+    ? new Date(endDate)
+    : new Date(windowStart.getTime() + DEFAULT_WINDOW_DAYS * DAY_MS);
+  return { windowStart, windowEnd };
+}
+
+module.exports = {
+  FREQUENCIES,
+  OVERRIDABLE_FIELDS,
+  isRecurring,
+  occurrenceKey,
+  parseRecurrence,
+  expandOccurrences,
+  findOccurrenceDate,
+  nearestOccurrenceDate,
+  resolveWindow,
+};
@@ -0,0 +1,65 @@
+/**
+ * SERVER-SENT EVENTS
+ * Shared setup for streaming endpoints, and parsing of streams we consume
+ */
+
+// Comment lines keep proxies from closing an idle stream
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.STREAM_HEARTBEAT_MS, 10) || 15000;
+
+/**
+ * Start an event stream on `res`. Each payload is sent as one JSON `data:`
+ * line. `signal` aborts when the client disconnects, so callers can cancel
+ * upstream work; `close()` stops the heartbeat and ends the response.
+ */
+function openEventStream(res) {
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!controller.signal.aborted) res.write(": heartbeat\n\n");
+  }, HEARTBEAT_INTERVAL_MS);
+
+  return {
+    signal: controller.signal,
+    send(payload) {
+      if (!controller.signal.aborted) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    },
+    close() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+/**
+ * Read an upstream event stream (a Node readable), yielding the text of
+ * each `data:` line. Comments and other fields are skipped.
+ */
+async function* readEventData(stream) {
+  let buffer = "";
+
+  for await (const chunk of stream) {
+    buffer += chunk.toString("utf8");
+    const lines = buffer.split(/\r?\n/);
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      if (line.startsWith("data:")) yield line.slice(5).trim();
+    }
+  }
+
+  if (buffer.startsWith("data:")) yield buffer.slice(5).trim();
+}
+
+module.exports = { openEventStream, readEventData };
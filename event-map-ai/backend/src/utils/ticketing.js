@@ -0,0 +1,171 @@
+/**
+ * TICKETING UTILITIES
+ * Parses ticket pricing and capacity input for events
+ */
+
+const PRICING_TYPES = ["free", "fixed", "tiered"];
+const DEFAULT_CURRENCY = "USD";
+
+// Price thresholds used when a query only says "cheap" or "expensive"
+const CHEAP_PRICE_MAX = 25;
+const EXPENSIVE_PRICE_MIN = 100;
+
+function parsePrice(value, label) {
+  const price = parseFloat(value);
+  if (!isFinite(price) || price < 0) {
+    throw new Error(`${label} must be a non-negative number`);
+  }
+  return Math.round(price * 100) / 100;
+}
+
+function parseCurrency(currency) {
+  const normalizedCurrency = (currency || DEFAULT_CURRENCY).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(normalizedCurrency)) {
+    throw new Error("currency must be a 3-letter ISO 4217 code");
+  }
+  return normalizedCurrency;
+}
+
+/**
+ * Parse pricing fields from a request body. Accepts `pricing`
+ * ("free" | "fixed" | "tiered"), `price` for fixed pricing, `ticketTypes`
+ * (array or JSON string of { name, price, description }) for tiered pricing
+ * and `currency`. A body with only `currency` yields just `{ currency }`, so
+ * it can be changed on its own. Returns null when the body carries no
+ * pricing fields and throws on invalid input.
+ */
+function parseTicketing(body) {
+  const { price, currency } = body;
+  let { pricing, ticketTypes } = body;
+
+  if (!pricing && ticketTypes === undefined && (price === undefined || price === "")) {
+    return currency ? { currency: parseCurrency(currency) } : null;
+  }
+
+  if (typeof ticketTypes === "string" && ticketTypes.trim()) {
+    try {
+      ticketTypes = JSON.parse(ticketTypes);
+    } catch (error) {
+      throw new Error("ticketTypes must be a JSON array");
+    }
+  }
+
+  // Infer the pricing type when only a price or tiers were sent
+  if (!pricing) {
+    if (Array.isArray(ticketTypes) && ticketTypes.length > 0) {
+      pricing = "tiered";
+    } else {
+      pricing = parseFloat(price) > 0 ? "fixed" : "free";
+    }
+  }
+
+  if (!PRICING_TYPES.includes(pricing)) {
+    throw new Error(`pricing must be one of: ${PRICING_TYPES.join(", ")}`);
+  }
+
+  const normalizedCurrency = parseCurrency(currency);
+
+  let types = [];
+  if (pricing === "fixed") {
+    types = [{ name: "General Admission", price: parsePrice(price, "price") }];
+  } else if (pricing === "tiered") {
+    if (!Array.isArray(ticketTypes) || ticketTypes.length === 0) {
+      throw new Error("Tiered pricing requires at least one ticket type");
+    }
+    types = ticketTypes.map((ticket, index) => {
+      if (!ticket || !ticket.name) {
+        throw new Error(`Ticket type ${index + 1} needs a name`);
+      }
+      return {
+        name: String(ticket.name).trim(),
+        price: parsePrice(ticket.price, `Price of "${ticket.name}"`),
+        description: ticket.description || undefined,
+      };
+    });
+  }
+
+  return { pricing, currency: normalizedCurrency, ticketTypes: types };
+}
+
+/**
+ * Parse an optional capacity value. Empty values mean unlimited (null).
+ */
+function parseCapacity(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const capacity = parseInt(value, 10);
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw new Error("capacity must be a positive integer");
+  }
+  return capacity;
+}
+
+/**
+ * Build a Mongo condition matching events whose ticket prices overlap the
+ * requested range: the cheapest ticket is at most `maxPrice` and the dearest
+ * at least `minPrice`. Events saved before ticketing existed have no price
+ * and are treated as free; events without a stored `maxPrice` fall back to
+ * `price`.
+ */
+function buildPriceQuery({ free, minPrice, maxPrice }) {
+  if (free) {
+    return { $or: [{ price: { $exists: false } }, { price: { $lte: 0 } }] };
+  }
+
+  const conditions = [];
+  const min = parseFloat(minPrice);
+  const max = parseFloat(maxPrice);
+
+  if (isFinite(max)) {
+    conditions.push(
+      max >= 0
+        ? { $or: [{ price: { $lte: max } }, { price: { $exists: false } }] }
+        : { price: { $lte: max } }
+    );
+  }
+  if (isFinite(min) && min > 0) {
+    conditions.push({
+      $or: [
+        { maxPrice: { $gte: min } },
+        { maxPrice: null, price: { $gte: min } },
+      ],
+    });
+  }
+
+  if (conditions.length === 0) return null;
+  return conditions.length === 1 ? conditions[0] : { $and: conditions };
+}
+
+// Public summary of an event's tickets and remaining capacity
+function summarizeTicketing(event) {
+  const attendeeCount = event.attendees ? event.attendees.length : 0;
+  return {
+    pricing: event.pricing || "free",
+    price: event.price || 0,
+    maxPrice: event.maxPrice || event.price || 0,
+    currency: event.currency || DEFAULT_CURRENCY,
+    ticketTypes: (event.ticketTypes || []).map((ticket) => ({
+      name: ticket.name,
+      price: ticket.price,
+      description: ticket.description,
+    })),
+    capacity: event.capacity || null,
+    spotsLeft: event.capacity
+      ? Math.max(event.capacity - attendeeCount, 0)
+      : null,
+    waitlistCount: event.waitlist ? event.waitlist.length : 0,
+  };
+}
+
+module.exports = {
+  PRICING_TYPES,
+  DEFAULT_CURRENCY,
+  CHEAP_PRICE_MAX,
+  EXPENSIVE_PRICE_MIN,
+  parseTicketing,
+  parseCapacity,
+  buildPriceQuery,
+  summarizeTicketing,
+};
@@ -0,0 +1,234 @@
+// Two-factor authentication with authenticator app codes (TOTP). Enrolment
+// keeps the new secret pending until the app proves it has it by sending a
+// code; from then on logins need a code, or one of the single-use recovery
+// codes issued at enrolment. Repeated wrong codes lock the second step for a
+// while, and admin accounts can't log in without two-factor authentication.
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const User = require("../models/User");
+const totp = require("./totp");
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "EventMap";
+const RECOVERY_CODE_COUNT = 10;
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_MS =
+  (parseInt(process.env.TWO_FACTOR_LOCKOUT_MINUTES, 10) || 15) * 60 * 1000;
+
+// Thrown for wrong codes and steps taken out of order; `status` is the HTTP
+// status to answer with
+class TwoFactorError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Roles that must use two-factor authentication
+function isRequired(user) {
+  return user.role === "admin";
+}
+
+function hashRecoveryCode(code) {
+  const clean = String(code).replace(/[\s-]/g, "").toLowerCase();
+  return crypto.createHash("sha256").update(clean).digest("hex");
+}
+
+// New recovery codes, shown once, and their hashes to store
+function newRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex").replace(/^(.{5})/, "$1-")
+  );
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Start enrolment with a new pending secret, replacing any earlier one
+ * @returns {Promise<{secret: string, otpauthUrl: string, qrCode: string}>}
+ *   the secret for manual entry, its provisioning URI and that URI as a QR
+ *   code image (data URL)
+ */
+async function beginEnrolment(user) {
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError("Two-factor authentication is already on");
+  }
+
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": secret } }
+  );
+
+  const otpauthUrl = totp.provisioningUri(secret, user.email, ISSUER);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Finish enrolment with a code from the app
+ * @returns {Promise<string[]>} the recovery codes
+ */
+async function completeEnrolment(userId, code) {
+  const user = await User.findById(userId).select("+twoFactor.pendingSecret");
+  if (!user) {
+    throw new TwoFactorError("User not found", 404);
+  }
+  if (user.twoFactor?.enabled) {
+    throw new TwoFactorError("Two-factor authentication is already on");
+  }
+  const secret = user.twoFactor?.pendingSecret;
+  if (!secret) {
+    throw new TwoFactorError("Start two-factor setup first");
+  }
+
+  const step = totp.verifyCode(secret, code);
+  if (step === null) {
+    throw new TwoFactorError(
+      "That code didn't match. Check the time on your device and try again."
+    );
+  }
+
+  const { codes, hashes } = newRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.secret": secret,
+        "twoFactor.recoveryCodes": hashes,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.failedAttempts": 0,
+      },
+      $unset: { "twoFactor.pendingSecret": "", "twoFactor.lockedUntil": "" },
+    }
+  );
+  return codes;
+}
+
+async function recordFailure(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { "twoFactor.failedAttempts": 1 } },
+    { new: true }
+  );
+  if (user && user.twoFactor.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        $set: {
+          "twoFactor.failedAttempts": 0,
+          "twoFactor.lockedUntil": new Date(Date.now() + LOCKOUT_MS),
+        },
+      }
+    );
+  }
+}
+
+/**
+ * Check a code from the app, or a recovery code (which is used up), for a
+ * user with two-factor authentication on. Throws a TwoFactorError if it
+ * doesn't match or the user is locked out.
+ * @returns {Promise<{recoveryCodesLeft?: number}>}
+ */
+async function verify(userId, { code, recoveryCode } = {}) {
+  const user = await User.findById(userId).select(
+    "+twoFactor.secret +twoFactor.recoveryCodes"
+  );
+  if (!user || !user.twoFactor?.enabled) {
+    throw new TwoFactorError("Two-factor authentication is not on");
+  }
+
+  const { lockedUntil } = user.twoFactor;
+  if (lockedUntil && lockedUntil > new Date()) {
+    const minutes = Math.ceil((lockedUntil - Date.now()) / 60000);
+    throw new TwoFactorError(
+      `Too many wrong codes. Try again in ${minutes} minute(s).`,
+      429
+    );
+  }
+  if (!code && !recoveryCode) {
+    throw new TwoFactorError("Enter a code from your authenticator app");
+  }
+
+  const reset = {
+    $set: { "twoFactor.failedAttempts": 0 },
+    $unset: { "twoFactor.lockedUntil": "" },
+  };
+
+  if (code) {
+    const step = totp.verifyCode(user.twoFactor.secret, code);
+    // Claim the time step atomically, so the same code can't log in twice
+    const accepted =
+      step !== null &&
+      (await User.updateOne(
+        {
+          _id: userId,
+          "twoFactor.lastUsedStep": { $not: { $gte: step } },
+        },
+        { ...reset, $set: { ...reset.$set, "twoFactor.lastUsedStep": step } }
+      )).modifiedCount === 1;
+
+    if (accepted) return {};
+  } else {
+    const hash = hashRecoveryCode(recoveryCode);
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, "twoFactor.recoveryCodes": hash },
+      { ...reset, $pull: { "twoFactor.recoveryCodes": hash } },
+      { new: true }
+    ).select("+twoFactor.recoveryCodes");
+
+    if (updated) {
+      return { recoveryCodesLeft: updated.twoFactor.recoveryCodes.length };
+    }
+  }
+
+  await recordFailure(userId);
+  throw new TwoFactorError(
+    code ? "That code didn't match" : "That recovery code isn't valid"
+  );
+}
+
+/**
+ * Replace a user's recovery codes, after checking a code from their app
+ * @returns {Promise<string[]>} the new recovery codes
+ */
+async function regenerateRecoveryCodes(userId, code) {
+  await verify(userId, { code });
+
+  const { codes, hashes } = newRecoveryCodes();
+  await User.updateOne(
+    { _id: userId },
+    { $set: { "twoFactor.recoveryCodes": hashes } }
+  );
+  return codes;
+}
+
+// Turn two-factor authentication off, after checking a code or recovery code
+async function disable(userId, credentials) {
+  await verify(userId, credentials);
+
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false, "twoFactor.failedAttempts": 0 },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.recoveryCodes": "",
+        "twoFactor.enabledAt": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.lockedUntil": "",
+      },
+    }
+  );
+}
+
+module.exports = {
+  TwoFactorError,
+  isRequired,
+  beginEnrolment,
+  completeEnrolment,
+  verify,
+  regenerateRecoveryCodes,
+  disable,
+};
@@ -0,0 +1,125 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery, duplicateKeyError } = require("./helpers");
+const User = require("../src/models/User");
+const mailer = require("../src/utils/mailer");
+const authTokens = require("../src/utils/authTokens");
+const accountEmails = require("../src/utils/accountEmails");
+
+function newUser(fields = {}) {
+  return new User({
+    name: "Ada",
+    email: "ada@example.com",
+    password: "$2b$10$hashedpassword",
+    emailVerified: false,
+    ...fields,
+  });
+}
+
+// Send an email with the mailer stubbed, returning the message and the token
+// in its link
+async function sendAndCapture(send, user) {
+  const mail = mock.method(mailer, "send", async () => {});
+  await send(user);
+  const message = mail.mock.calls[0].arguments[0];
+  return { message, token: message.text.match(/token=([^\s]+)/)[1] };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("sendVerificationEmail", () => {
+  test("sends a link for the account's address", async () => {
+    const user = newUser();
+    const { message, token } = await sendAndCapture(accountEmails.sendVerificationEmail, user);
+
+    assert.equal(message.to, "ada@example.com");
+    const payload = authTokens.verifyEmailToken(token, "verify_email");
+    assert.equal(payload.email, "ada@example.com");
+    assert.equal(payload.userId, user._id.toString());
+  });
+
+  test("escapes the name in the HTML version", async () => {
+    const { message } = await sendAndCapture(
+      accountEmails.sendVerificationEmail,
+      newUser({ name: "<b>Ada</b>" })
+    );
+    assert.ok(!message.html.includes("<b>Ada</b>"));
+  });
+});
+
+describe("password reset links", () => {
+  test("work while the password is unchanged", async () => {
+    const user = newUser();
+    const { token } = await sendAndCapture(accountEmails.sendPasswordResetEmail, user);
+    mock.method(User, "findById", () => fakeQuery(user));
+
+    assert.equal(await accountEmails.findUserForToken(token, "reset_password"), user);
+  });
+
+  test("stop working once the password changes", async () => {
+    const user = newUser();
+    const { token } = await sendAndCapture(accountEmails.sendPasswordResetEmail, user);
+    user.password = "$2b$10$anotherpassword";
+    mock.method(User, "findById", () => fakeQuery(user));
+
+    await assert.rejects(
+      accountEmails.findUserForToken(token, "reset_password"),
+      new authTokens.AuthTokenError("This link is no longer valid")
+    );
+  });
+});
+
+describe("confirmEmail", () => {
+  test("verifies a new account's address the first time only", async () => {
+    const user = newUser();
+    const { token } = await sendAndCapture(accountEmails.sendVerificationEmail, user);
+    mock.method(User, "findById", () => fakeQuery(user));
+    const update = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.equal((await accountEmails.confirmEmail(token)).confirmed, "verified");
+    assert.deepEqual(update.mock.calls[0].arguments[0], { _id: user._id, emailVerified: false });
+
+    // Someone else got there first
+    update.mock.mockImplementation(async () => ({ modifiedCount: 0 }));
+    assert.equal((await accountEmails.confirmEmail(token)).confirmed, null);
+  });
+
+  test("replaces the address with a confirmed pending one", async () => {
+    const user = newUser({ emailVerified: true, pendingEmail: "new@example.com" });
+    const { message, token } = await sendAndCapture(accountEmails.sendEmailChangeEmail, user);
+    assert.equal(message.to, "new@example.com");
+    mock.method(User, "findById", () => fakeQuery(user));
+    const update = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const { confirmed } = await accountEmails.confirmEmail(token);
+
+    assert.equal(confirmed, "changed");
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.pendingEmail, "new@example.com");
+    assert.equal(change.$set.email, "new@example.com");
+    assert.equal(user.email, "new@example.com");
+  });
+
+  test("refuses an address another account took meanwhile", async () => {
+    const user = newUser({ emailVerified: true, pendingEmail: "new@example.com" });
+    const { token } = await sendAndCapture(accountEmails.sendEmailChangeEmail, user);
+    mock.method(User, "findById", () => fakeQuery(user));
+    mock.method(User, "updateOne", async () => {
+      throw duplicateKeyError();
+    });
+
+    await assert.rejects(accountEmails.confirmEmail(token), authTokens.AuthTokenError);
+  });
+
+  test("refuses a link for an address the account no longer has", async () => {
+    const user = newUser();
+    const { token } = await sendAndCapture(accountEmails.sendVerificationEmail, user);
+    user.email = "other@example.com";
+    mock.method(User, "findById", () => fakeQuery(user));
+
+    await assert.rejects(
+      accountEmails.confirmEmail(token),
+      new authTokens.AuthTokenError("This link is no longer valid")
+    );
+  });
+});
@@ -0,0 +1,146 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery } = require("./helpers");
+const User = require("../src/models/User");
+const Session = require("../src/models/Session");
+const accountLinks = require("../src/utils/accountLinks");
+
+const { AccountLinkError } = accountLinks;
+const googleProfile = {
+  id: "google-1",
+  displayName: "Ada Lovelace",
+  emails: [{ value: "Ada@Example.com" }],
+};
+
+function newUser(fields = {}) {
+  const user = new User({ name: "Ada", email: "ada@example.com", ...fields });
+  mock.method(user, "save", async () => user);
+  return user;
+}
+
+// The identity token a link round trip for `user` comes back with
+async function linkRoundTrip(user, profile = googleProfile) {
+  const linkToken = accountLinks.createLinkToken(user, "google");
+  const { info } = await accountLinks.resolveSocialProfile("google", profile, linkToken);
+  return info.link.identityToken;
+}
+
+beforeEach(() => {
+  process.env.GOOGLE_CLIENT_ID = "id";
+  process.env.GOOGLE_CLIENT_SECRET = "secret";
+  delete process.env.FACEBOOK_APP_ID;
+});
+
+afterEach(() => mock.restoreAll());
+
+test("loginMethods lists the ways in and the providers that can be linked", () => {
+  const user = newUser({ password: "hash", googleId: "google-1" });
+  assert.deepEqual(accountLinks.loginMethods(user), {
+    password: true,
+    google: true,
+    facebook: false,
+    available: ["google"],
+  });
+});
+
+describe("unlinkProvider", () => {
+  test("removes a provider the user can do without", async () => {
+    const user = newUser({ password: "hash", googleId: "google-1" });
+    await accountLinks.unlinkProvider(user, "google");
+    assert.equal(user.googleId, undefined);
+    assert.equal(user.save.mock.callCount(), 1);
+  });
+
+  test("keeps the only way to log in, pointing at reset links", async () => {
+    const user = newUser({ googleId: "google-1" });
+    await assert.rejects(accountLinks.unlinkProvider(user, "google"), (error) => {
+      assert.ok(error instanceof AccountLinkError);
+      assert.match(error.message, /password reset link/);
+      return true;
+    });
+    assert.equal(user.googleId, "google-1");
+  });
+
+  test("refuses unknown and unlinked providers", async () => {
+    const user = newUser({ password: "hash" });
+    await assert.rejects(accountLinks.unlinkProvider(user, "myspace"), AccountLinkError);
+    await assert.rejects(accountLinks.unlinkProvider(user, "google"), AccountLinkError);
+  });
+});
+
+describe("linking", () => {
+  test("links the profile the round trip came back with", async () => {
+    const user = newUser({ password: "hash" });
+    const identityToken = await linkRoundTrip(user);
+    mock.method(User, "findOne", async () => null);
+
+    assert.deepEqual(await accountLinks.linkIdentity(user, identityToken), { provider: "google" });
+    assert.equal(user.googleId, "google-1");
+  });
+
+  test("offers the account a profile is linked to for merging", async () => {
+    const user = newUser({ password: "hash" });
+    const owner = newUser({ email: "other@example.com", googleId: "google-1" });
+    const identityToken = await linkRoundTrip(user);
+    mock.method(User, "findOne", async () => owner);
+
+    const result = await accountLinks.linkIdentity(user, identityToken);
+    assert.equal(result.duplicate, owner);
+    assert.equal(user.googleId, undefined);
+  });
+
+  test("refuses an identity token started by someone else", async () => {
+    const identityToken = await linkRoundTrip(newUser());
+    await assert.rejects(accountLinks.linkIdentity(newUser(), identityToken), AccountLinkError);
+  });
+
+  test("reports a link token for another provider as expired", async () => {
+    const linkToken = accountLinks.createLinkToken(newUser(), "facebook");
+    const { user, info } = await accountLinks.resolveSocialProfile("google", googleProfile, linkToken);
+    assert.equal(user, false);
+    assert.deepEqual(info.link, { provider: "google", error: "expired" });
+  });
+});
+
+describe("social logins", () => {
+  test("sign in to the account the profile is linked to", async () => {
+    const linked = newUser({ googleId: "google-1" });
+    mock.method(User, "findOne", async (filter) => (filter.googleId ? linked : null));
+    assert.equal((await accountLinks.resolveSocialProfile("google", googleProfile)).user, linked);
+  });
+
+  test("are refused for an address another account has confirmed", async () => {
+    const existing = newUser({ password: "hash", emailVerified: true });
+    mock.method(User, "findOne", async (filter) => (filter.email ? existing : null));
+
+    const { user, info } = await accountLinks.resolveSocialProfile("google", googleProfile);
+    assert.equal(user, false);
+    assert.equal(info.reason, "account_exists");
+    assert.equal(existing.googleId, undefined);
+  });
+
+  test("take over an unconfirmed account, dropping its password", async () => {
+    const existing = newUser({ password: "hash", emailVerified: false });
+    mock.method(User, "findOne", async (filter) => (filter.email ? existing : null));
+    mock.method(Session, "find", () => fakeQuery([]));
+
+    const { user } = await accountLinks.resolveSocialProfile("google", googleProfile);
+    assert.equal(user, existing);
+    assert.equal(existing.password, undefined);
+    assert.equal(existing.googleId, "google-1");
+    assert.equal(existing.emailVerified, true);
+  });
+
+  test("create an account for a new profile", async () => {
+    mock.method(User, "findOne", async () => null);
+    const create = mock.method(User, "create", async (fields) => fields);
+
+    await accountLinks.resolveSocialProfile("google", googleProfile);
+    assert.deepEqual(create.mock.calls[0].arguments[0], {
+      name: "Ada Lovelace",
+      email: "ada@example.com",
+      googleId: "google-1",
+      emailVerified: true,
+    });
+  });
+});
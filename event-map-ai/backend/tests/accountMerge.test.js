@@ -0,0 +1,145 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery } = require("./helpers");
+const User = require("../src/models/User");
+const Event = require("../src/models/Event");
+const Review = require("../src/models/Review");
+const Session = require("../src/models/Session");
+const Notification = require("../src/models/Notification");
+const Conversation = require("../src/models/Conversation");
+const AssistantFeedback = require("../src/models/AssistantFeedback");
+const AssistantInteraction = require("../src/models/AssistantInteraction");
+const OrganizerRequest = require("../src/models/OrganizerRequest");
+const Invite = require("../src/models/Invite");
+const { AccountLinkError } = require("../src/utils/accountLinks");
+const { mergeAccounts, TransactionsUnavailableError } = require("../src/utils/accountMerge");
+
+const RECORD_MODELS = [
+  Notification,
+  Conversation,
+  AssistantFeedback,
+  AssistantInteraction,
+  OrganizerRequest,
+  Invite,
+];
+
+let transaction;
+let writes;
+
+// Stub a model write, recording it with the session it ran in
+function recordWrites(Model, method) {
+  mock.method(Model, method, async (...args) => {
+    const options = args[args.length - 1];
+    writes.push({ model: Model.modelName, method, session: options?.session });
+    return {};
+  });
+}
+
+beforeEach(() => {
+  writes = [];
+  transaction = {
+    committed: false,
+    ended: false,
+    async withTransaction(fn) {
+      await fn();
+      this.committed = true;
+    },
+    async endSession() {
+      this.ended = true;
+    },
+  };
+  mock.method(mongoose, "startSession", async () => transaction);
+  mock.method(Session, "find", () => fakeQuery([]));
+  recordWrites(Event, "updateMany");
+  recordWrites(Review, "updateMany");
+  recordWrites(Review, "deleteMany");
+  recordWrites(User, "deleteOne");
+  for (const Model of RECORD_MODELS) recordWrites(Model, "updateMany");
+  mock.method(Review, "distinct", () => fakeQuery([]));
+});
+
+afterEach(() => mock.restoreAll());
+
+function newUser(fields = {}) {
+  return new User({ name: "Ada", email: `${new mongoose.Types.ObjectId()}@example.com`, ...fields });
+}
+
+// The kept account as the merge loads it, recording when it is saved
+function loadKept(primary) {
+  mock.method(primary, "save", async () => {
+    writes.push({ model: "User", method: "save", session: transaction });
+    return primary;
+  });
+  mock.method(User, "findById", () => fakeQuery(primary));
+}
+
+describe("mergeAccounts", () => {
+  test("refuses to merge an account into itself", async () => {
+    const user = newUser();
+    await assert.rejects(mergeAccounts(user, user), AccountLinkError);
+  });
+
+  test("refuses admin accounts and accounts with two-factor on", async () => {
+    await assert.rejects(mergeAccounts(newUser(), newUser({ role: "admin" })), AccountLinkError);
+    await assert.rejects(
+      mergeAccounts(newUser(), newUser({ twoFactor: { enabled: true } })),
+      AccountLinkError
+    );
+    assert.equal(writes.length, 0);
+  });
+
+  test("moves everything over in one transaction before deleting the duplicate", async () => {
+    const primary = newUser({ password: "hash" });
+    const duplicate = newUser({ role: "organizer", trusted: true, googleId: "google-1" });
+    loadKept(primary);
+
+    const kept = await mergeAccounts(primary, duplicate);
+
+    assert.equal(kept, primary);
+    assert.equal(kept.googleId, "google-1");
+    assert.equal(kept.role, "organizer");
+    assert.equal(kept.trusted, true);
+    assert.ok(transaction.committed);
+    assert.ok(transaction.ended);
+    assert.ok(writes.every((write) => write.session === transaction));
+
+    const last = writes.length - 1;
+    assert.deepEqual(writes[last], { model: "User", method: "deleteOne", session: transaction });
+    assert.equal(writes[last - 1].method, "save");
+    const movedRecords = new Set(writes.map((write) => write.model));
+    for (const Model of RECORD_MODELS) assert.ok(movedRecords.has(Model.modelName));
+  });
+
+  test("keeps the higher role and existing identities of the kept account", async () => {
+    const primary = newUser({ role: "organizer", googleId: "google-kept" });
+    const duplicate = newUser({ role: "user", googleId: "google-1", facebookId: "fb-1" });
+    loadKept(primary);
+
+    const kept = await mergeAccounts(primary, duplicate);
+
+    assert.equal(kept.role, "organizer");
+    assert.equal(kept.googleId, "google-kept");
+    assert.equal(kept.facebookId, "fb-1");
+  });
+
+  test("leaves the duplicate in place when a step fails", async () => {
+    loadKept(newUser());
+    Review.distinct.mock.mockImplementation(() => fakeQuery(Promise.reject(new Error("lost"))));
+
+    await assert.rejects(mergeAccounts(newUser(), newUser()), /lost/);
+    assert.ok(!writes.some((write) => write.method === "deleteOne"));
+    assert.ok(transaction.ended);
+  });
+
+  test("reports a standalone server that can't run transactions", async () => {
+    loadKept(newUser());
+    const standalone = new Error(
+      "Transaction numbers are only allowed on a replica set member or mongos"
+    );
+    Review.distinct.mock.mockImplementation(() => fakeQuery(Promise.reject(standalone)));
+
+    await assert.rejects(mergeAccounts(newUser(), newUser()), TransactionsUnavailableError);
+    assert.ok(transaction.ended);
+  });
+});
@@ -0,0 +1,162 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { fakeQuery } = require("./helpers");
+const Session = require("../src/models/Session");
+const RevokedToken = require("../src/models/RevokedToken");
+const LoginCode = require("../src/models/LoginCode");
+const authTokens = require("../src/utils/authTokens");
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+const fakeRequest = { ip: "203.0.113.7", get: () => "test-agent" };
+
+afterEach(() => mock.restoreAll());
+
+describe("email tokens", () => {
+  test("verify for the purpose they were signed for", () => {
+    const token = authTokens.signEmailToken({ userId: "u1" }, "verify_email");
+    assert.equal(authTokens.verifyEmailToken(token, "verify_email").userId, "u1");
+  });
+
+  test("are refused for another purpose", () => {
+    const token = authTokens.signEmailToken({ userId: "u1" }, "verify_email");
+    assert.throws(
+      () => authTokens.verifyEmailToken(token, "reset_password"),
+      new authTokens.AuthTokenError("This link is invalid")
+    );
+  });
+
+  test("are refused once expired", () => {
+    const token = jwt.sign(
+      { userId: "u1", exp: Math.floor(Date.now() / 1000) - 10 },
+      process.env.JWT_SECRET,
+      { audience: "reset_password" }
+    );
+    assert.throws(
+      () => authTokens.verifyEmailToken(token, "reset_password"),
+      new authTokens.AuthTokenError("This link has expired")
+    );
+  });
+
+  test("are required", () => {
+    assert.throws(
+      () => authTokens.verifyEmailToken(undefined, "verify_email"),
+      authTokens.AuthTokenError
+    );
+  });
+});
+
+describe("issueTokens", () => {
+  test("stores only the refresh token's hash on a new session", async () => {
+    let stored;
+    mock.method(Session, "create", async (doc) => {
+      stored = doc;
+      return { _id: new mongoose.Types.ObjectId(), ...doc };
+    });
+    const user = { _id: new mongoose.Types.ObjectId() };
+
+    const tokens = await authTokens.issueTokens(user, fakeRequest);
+
+    assert.equal(stored.tokenHash, sha256(tokens.refreshToken));
+    assert.equal(stored.ip, "203.0.113.7");
+    assert.equal(stored.userAgent, "test-agent");
+    assert.ok(stored.expiresAt > new Date());
+    assert.equal(tokens.expiresIn, authTokens.ACCESS_TOKEN_TTL_SECONDS);
+    assert.equal(jwt.decode(tokens.token).userId, user._id.toString());
+  });
+});
+
+describe("verifyAccessToken", () => {
+  const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET);
+
+  test("accepts a token whose session is signed in", async () => {
+    mock.method(RevokedToken, "exists", async () => null);
+    const payload = await authTokens.verifyAccessToken(sign({ userId: "u1", sid: "s1" }));
+    assert.equal(payload.sid, "s1");
+  });
+
+  test("refuses a token whose session was revoked", async () => {
+    mock.method(RevokedToken, "exists", async () => ({ _id: "r1" }));
+    await assert.rejects(
+      authTokens.verifyAccessToken(sign({ userId: "u1", sid: "s1" })),
+      new authTokens.AuthTokenError("Session has been signed out")
+    );
+  });
+
+  test("refuses a token without a session", async () => {
+    await assert.rejects(
+      authTokens.verifyAccessToken(sign({ userId: "u1" })),
+      new authTokens.AuthTokenError("Token has no session")
+    );
+  });
+
+  test("refuses a token with a bad signature", async () => {
+    const token = jwt.sign({ userId: "u1", sid: "s1" }, "another-secret");
+    await assert.rejects(authTokens.verifyAccessToken(token), authTokens.AuthTokenError);
+  });
+});
+
+describe("rotateRefreshToken", () => {
+  test("swaps the token and keeps the old hash to detect reuse", async () => {
+    const session = { _id: new mongoose.Types.ObjectId(), user: new mongoose.Types.ObjectId() };
+    const update = mock.method(Session, "findOneAndUpdate", async () => session);
+
+    const result = await authTokens.rotateRefreshToken("old-token", fakeRequest);
+
+    const [filter, { $set }] = update.mock.calls[0].arguments;
+    assert.equal(filter.tokenHash, sha256("old-token"));
+    assert.equal($set.previousTokenHash, sha256("old-token"));
+    assert.equal($set.tokenHash, sha256(result.refreshToken));
+    assert.equal(result.userId, session.user);
+  });
+
+  test("revokes the session when a swapped token is used again", async () => {
+    const reused = { _id: new mongoose.Types.ObjectId() };
+    mock.method(Session, "findOneAndUpdate", async () => null);
+    mock.method(Session, "findOne", async () => reused);
+    mock.method(Session, "find", () => fakeQuery([reused]));
+    const revoke = mock.method(Session, "updateMany", async () => ({}));
+    const revocationList = mock.method(RevokedToken, "bulkWrite", async () => ({}));
+    mock.method(console, "warn", () => {});
+
+    await assert.rejects(
+      authTokens.rotateRefreshToken("old-token", fakeRequest),
+      authTokens.AuthTokenError
+    );
+    assert.deepEqual(revoke.mock.calls[0].arguments[0], { _id: { $in: [reused._id] } });
+    assert.equal(revocationList.mock.callCount(), 1);
+  });
+
+  test("requires a token", async () => {
+    await assert.rejects(
+      authTokens.rotateRefreshToken("", fakeRequest),
+      new authTokens.AuthTokenError("Refresh token is required")
+    );
+  });
+});
+
+describe("social login codes", () => {
+  test("store only the code's hash and work once", async () => {
+    const userId = new mongoose.Types.ObjectId();
+    let stored;
+    mock.method(LoginCode, "create", async (doc) => {
+      stored = doc;
+    });
+    const code = await authTokens.createLoginCode(userId);
+    assert.equal(stored.codeHash, sha256(code));
+    assert.ok(stored.expiresAt - Date.now() <= 60 * 1000);
+
+    const redeem = mock.method(LoginCode, "findOneAndDelete", async () => stored);
+    assert.equal(await authTokens.redeemLoginCode(code), userId);
+    assert.equal(redeem.mock.calls[0].arguments[0].codeHash, sha256(code));
+
+    redeem.mock.mockImplementation(async () => null);
+    await assert.rejects(authTokens.redeemLoginCode(code), authTokens.AuthTokenError);
+  });
+
+  test("are required", async () => {
+    await assert.rejects(authTokens.redeemLoginCode(undefined), authTokens.AuthTokenError);
+  });
+});
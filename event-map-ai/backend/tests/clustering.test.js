@@ -0,0 +1,63 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const clustering = require("../src/utils/clustering");
+
+describe("parseZoom", () => {
+  test("rounds fractional zooms down", () => {
+    assert.equal(clustering.parseZoom("3.7"), 3);
+    assert.equal(clustering.parseZoom(0), 0);
+  });
+
+  test("requires a zoom within the map's range", () => {
+    assert.throws(() => clustering.parseZoom(undefined), /zoom is required/);
+    assert.throws(() => clustering.parseZoom("near"), /zoom is required/);
+    assert.throws(() => clustering.parseZoom("23"), /zoom must be between 0 and 22/);
+    assert.throws(() => clustering.parseZoom("-1"), /zoom must be between 0 and 22/);
+  });
+});
+
+test("cells halve with every zoom level", () => {
+  assert.equal(clustering.cellSizeForZoom(0), 90);
+  assert.equal(clustering.cellSizeForZoom(1), 45);
+  assert.equal(clustering.cellSizeForZoom(10), 360 / 1024 / 4);
+});
+
+test("the pipeline matches the query before grouping into cells", () => {
+  const query = { status: "approved" };
+  const [match, , byCategory] = clustering.buildClusterPipeline(query, 0.5);
+
+  assert.deepEqual(match, { $match: query });
+  assert.deepEqual(byCategory.$group._id.x, {
+    $floor: { $divide: [{ $add: ["$lng", 180] }, 0.5] },
+  });
+});
+
+describe("toCluster", () => {
+  const cell = {
+    _id: { x: 12, y: 7 },
+    count: 2,
+    sumLng: 4.7,
+    sumLat: 97.7,
+    minLng: 2.3,
+    maxLng: 2.4,
+    minLat: 48.8,
+    maxLat: 48.9,
+    dominantCategory: "music",
+    categories: [{ value: "music", count: 2 }],
+    eventId: "only-with-one",
+  };
+
+  test("averages the locations and keeps the extent", () => {
+    const cluster = clustering.toCluster(cell);
+
+    assert.equal(cluster.id, "12:7");
+    assert.ok(Math.abs(cluster.longitude - 2.35) < 1e-9);
+    assert.ok(Math.abs(cluster.latitude - 48.85) < 1e-9);
+    assert.deepEqual(cluster.bounds, [2.3, 48.8, 2.4, 48.9]);
+    assert.equal(cluster.eventId, null);
+  });
+
+  test("names the event of a single-event cell", () => {
+    assert.equal(clustering.toCluster({ ...cell, count: 1 }).eventId, "only-with-one");
+  });
+});
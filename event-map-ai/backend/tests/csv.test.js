@@ -0,0 +1,55 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCsv, parseCsvRecords } = require("../src/utils/csv");
+
+describe("parseCsv", () => {
+  test("keeps delimiters, doubled quotes and line breaks inside quoted cells", () => {
+    const text = 'title,description\r\n"Jazz, wine","Say ""hi""\r\nat the door"\r\n';
+
+    assert.deepEqual(parseCsv(text), [
+      ["title", "description"],
+      ["Jazz, wine", 'Say "hi"\r\nat the door'],
+    ]);
+  });
+
+  test("only treats a quote at the start of a cell as opening one", () => {
+    assert.deepEqual(parseCsv('size\n12" pizza'), [["size"], ['12" pizza']]);
+  });
+
+  test("drops a byte order mark and blank lines", () => {
+    assert.deepEqual(parseCsv("\uFEFFa,b\n\n , \n1,2"), [
+      ["a", "b"],
+      ["1", "2"],
+    ]);
+  });
+
+  test("splits on another delimiter", () => {
+    assert.deepEqual(parseCsv("a;b\n1,5;2", ";"), [
+      ["a", "b"],
+      ["1,5", "2"],
+    ]);
+  });
+
+  test("keeps empty trailing cells", () => {
+    assert.deepEqual(parseCsv("a,b,c\n1,,"), [
+      ["a", "b", "c"],
+      ["1", "", ""],
+    ]);
+  });
+});
+
+describe("parseCsvRecords", () => {
+  test("keys rows by the trimmed header and fills missing cells", () => {
+    const { columns, records } = parseCsvRecords(" title , date \nPicnic , 2026-06-12\nQuiz");
+
+    assert.deepEqual(columns, ["title", "date"]);
+    assert.deepEqual(records, [
+      { title: "Picnic", date: "2026-06-12" },
+      { title: "Quiz", date: "" },
+    ]);
+  });
+
+  test("returns nothing for empty input", () => {
+    assert.deepEqual(parseCsvRecords(""), { columns: [], records: [] });
+  });
+});
@@ -0,0 +1,106 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const lifecycle = require("../src/utils/eventLifecycle");
+
+const { OWNER, ADMIN, SYSTEM } = lifecycle;
+
+// Every allowed move and the least privileged actor making it
+const ALLOWED = [
+  ["draft", "pending", OWNER],
+  ["draft", "archived", OWNER],
+  ["pending", "draft", OWNER],
+  ["pending", "approved", ADMIN],
+  ["pending", "rejected", ADMIN],
+  ["pending", "changes_requested", ADMIN],
+  ["rejected", "draft", OWNER],
+  ["rejected", "pending", OWNER],
+  ["rejected", "archived", OWNER],
+  ["changes_requested", "draft", OWNER],
+  ["changes_requested", "pending", OWNER],
+  ["changes_requested", "archived", OWNER],
+  ["approved", "cancelled", OWNER],
+  ["approved", "postponed", OWNER],
+  ["approved", "rejected", ADMIN],
+  ["approved", "completed", SYSTEM],
+  ["postponed", "approved", OWNER],
+  ["postponed", "cancelled", OWNER],
+  ["cancelled", "archived", OWNER],
+  ["completed", "archived", OWNER],
+];
+
+describe("transitions", () => {
+  test("follow the lifecycle table for each actor", () => {
+    const rank = [OWNER, ADMIN, SYSTEM];
+    for (const from of lifecycle.STATUSES) {
+      for (const to of lifecycle.STATUSES) {
+        const rule = ALLOWED.find(([a, b]) => a === from && b === to);
+        for (const actor of rank) {
+          let expected = false;
+          if (rule) {
+            // Only the system marks events completed; admins may do what owners may
+            expected = rule[2] === SYSTEM ? actor === SYSTEM : rank.indexOf(actor) >= rank.indexOf(rule[2]);
+          }
+          assert.equal(
+            lifecycle.canTransition(from, to, actor),
+            expected,
+            `${actor}: ${from} -> ${to}`
+          );
+        }
+      }
+    }
+  });
+
+  test("explain what is allowed instead", () => {
+    assert.throws(
+      () => lifecycle.assertTransition("approved", "draft", OWNER),
+      /Cannot change status from approved to draft; allowed: cancelled, postponed/
+    );
+    assert.throws(() => lifecycle.assertTransition("archived", "draft", ADMIN), {
+      message: "Cannot change status from archived to draft",
+    });
+    assert.throws(() => lifecycle.assertTransition("draft", "deleted", ADMIN), /status must be one of/);
+  });
+});
+
+describe("applyTransition", () => {
+  function event(fields = {}) {
+    return { status: "draft", statusHistory: [], ...fields };
+  }
+
+  test("records the change in the history", () => {
+    const draft = event();
+    const from = lifecycle.applyTransition(draft, "archived", { by: "user-1", reason: "Not happening" });
+
+    assert.equal(from, "draft");
+    assert.equal(draft.status, "archived");
+    assert.equal(draft.statusReason, "Not happening");
+    assert.deepEqual(
+      draft.statusHistory.map(({ from, to, by }) => [from, to, by]),
+      [["draft", "archived", "user-1"]]
+    );
+  });
+
+  test("counts submissions and frees the reviewer's claim", () => {
+    const rejected = event({ status: "rejected", moderation: { submissions: 1 } });
+    lifecycle.applyTransition(rejected, "pending");
+    assert.equal(rejected.moderation.submissions, 2);
+
+    rejected.moderation.claimedBy = "admin-1";
+    rejected.moderation.claimedAt = new Date();
+    lifecycle.applyTransition(rejected, "approved");
+    assert.equal(rejected.moderation.claimedBy, undefined);
+    assert.equal(rejected.moderation.submissions, 2);
+  });
+});
+
+describe("parseStatusFilter", () => {
+  test("defaults to approved events", () => {
+    assert.deepEqual(lifecycle.parseStatusFilter(undefined), ["approved"]);
+    assert.deepEqual(lifecycle.parseStatusFilter(" , "), ["approved"]);
+  });
+
+  test("accepts public statuses only", () => {
+    assert.deepEqual(lifecycle.parseStatusFilter("Cancelled, postponed,cancelled"), ["cancelled", "postponed"]);
+    assert.throws(() => lifecycle.parseStatusFilter("approved,draft"), /got draft/);
+  });
+});
@@ -0,0 +1,151 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, fakeResponse } = require("./helpers");
+const Event = require("../src/models/Event");
+const User = require("../src/models/User");
+const eventPublishing = require("../src/jobs/eventPublishing");
+const eventsController = require("../src/controllers/events");
+
+let stored;
+
+// Stand-in for the duplicate candidate query over the `stored` events,
+// honouring its _id and status conditions
+function findStored(query) {
+  return fakeQuery(
+    stored.filter(
+      (event) =>
+        !(query._id && String(query._id.$ne) === String(event._id)) &&
+        !query.status.$nin.includes(event.status)
+    )
+  );
+}
+
+function newEvent(fields = {}) {
+  const event = new Event({
+    title: "Riverside Jazz Night",
+    description: "Live jazz quartet on the riverside terrace with food trucks",
+    location: "Riverside Terrace",
+    locationCoords: { type: "Point", coordinates: [-0.1276, 51.5072] },
+    date: new Date("2030-06-01T19:00:00Z"),
+    organizer: new mongoose.Types.ObjectId(),
+    status: "draft",
+    ...fields,
+  });
+  mock.method(event, "save", async () => event);
+  return event;
+}
+
+beforeEach(() => {
+  stored = [];
+  mock.method(Event, "find", findStored);
+  mock.method(Event, "countDocuments", async () => 0);
+  mock.method(User, "findById", () => fakeQuery({ role: "organizer", trusted: false }));
+  // The AI modules log their offline fallbacks
+  mock.method(console, "error", () => {});
+  mock.method(console, "warn", () => {});
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => mock.restoreAll());
+
+describe("publishEvent", () => {
+  test("doesn't count the stored draft as its own duplicate", async () => {
+    const draft = newEvent();
+    stored.push(draft.toObject());
+
+    const review = await eventPublishing.publishEvent(draft);
+
+    assert.deepEqual(review.duplicates, []);
+    assert.equal(draft.status, "pending");
+    assert.equal(draft.save.mock.callCount(), 1);
+  });
+
+  test("still rejects a copy of another published event", async () => {
+    stored.push({ ...newEvent().toObject(), status: "approved" });
+    const draft = newEvent();
+
+    await eventPublishing.publishEvent(draft);
+
+    assert.equal(draft.status, "rejected");
+    assert.match(draft.statusReason, /^Duplicate of "Riverside Jazz Night"/);
+  });
+
+  test("ignores other organizers' unpublished drafts", async () => {
+    stored.push(newEvent().toObject());
+    const draft = newEvent();
+
+    await eventPublishing.publishEvent(draft);
+
+    assert.equal(draft.status, "pending");
+  });
+
+  test("refuses drafts with fields missing", async () => {
+    await assert.rejects(
+      eventPublishing.publishEvent(newEvent({ description: "" })),
+      /Add description before publishing/
+    );
+  });
+});
+
+describe("resubmitting an event sent back for changes", () => {
+  test("returns it to the moderation queue rather than matching its stored copy", async () => {
+    const event = newEvent({
+      status: "changes_requested",
+      statusReason: "Add the ticket prices",
+      description: "Live jazz quartet on the riverside terrace with food trucks. Tickets 10 EUR",
+    });
+    stored.push(event.toObject());
+    mock.method(Event, "findById", () => fakeQuery(event));
+    const res = fakeResponse();
+
+    await eventsController.publishEvent(
+      { params: { id: String(event._id) }, body: {}, user: { _id: event.organizer, role: "organizer" } },
+      res
+    );
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(event.status, "pending");
+    assert.deepEqual(res.body.reasons, []);
+  });
+});
+
+describe("submitting an event through an update", () => {
+  function submit(event, body = {}) {
+    mock.method(Event, "findById", async () => event);
+    mock.method(event, "populate", async () => event);
+    const res = fakeResponse();
+    const req = {
+      params: { id: String(event._id) },
+      body: { status: "pending", ...body },
+      user: { _id: event.organizer, role: "organizer" },
+    };
+    return eventsController.updateEvent(req, res).then(() => res);
+  }
+
+  test("runs the publishing review on it", async () => {
+    stored.push({ ...newEvent().toObject(), status: "approved" });
+    const draft = newEvent();
+
+    const res = await submit(draft);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(draft.status, "rejected");
+    assert.match(draft.statusReason, /^Duplicate of "Riverside Jazz Night"/);
+    assert.deepEqual(
+      draft.statusHistory.map(({ from, to }) => [from, to]),
+      [["draft", "pending"], ["pending", "rejected"]]
+    );
+  });
+
+  test("answers 400 when the event isn't ready", async () => {
+    const draft = newEvent({ description: "" });
+
+    const res = await submit(draft);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /Add description before publishing/);
+    assert.equal(draft.status, "draft");
+    assert.equal(draft.save.mock.callCount(), 0);
+  });
+});
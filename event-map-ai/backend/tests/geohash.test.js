@@ -0,0 +1,28 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const geohash = require("../src/utils/geohash");
+
+test("encodes a known location", () => {
+  // Example from the geohash specification
+  assert.equal(geohash.encode(57.64911, 10.40744), "u4pruydqq");
+  assert.equal(geohash.encode(57.64911, 10.40744, 4), "u4pr");
+});
+
+test("decodes to a cell containing the location", () => {
+  const [west, south, east, north] = geohash.decodeBounds("u4pruy");
+
+  assert.ok(west <= 10.40744 && 10.40744 <= east);
+  assert.ok(south <= 57.64911 && 57.64911 <= north);
+  // Precision 6 cells are 1.2 by 0.6 km, i.e. 0.011 by 0.0055 degrees
+  assert.ok(Math.abs(east - west - 360 / 2 ** 15) < 1e-12);
+  assert.ok(Math.abs(north - south - 180 / 2 ** 15) < 1e-12);
+});
+
+test("puts the poles and antimeridian in the edge cells", () => {
+  assert.equal(geohash.encode(-90, -180, 1), "0");
+  assert.equal(geohash.encode(90, 179.999, 1), "z");
+});
+
+test("rejects characters outside the alphabet", () => {
+  assert.throws(() => geohash.decodeBounds("u4a"), /Invalid geohash character "a"/);
+});
@@ -0,0 +1,47 @@
+// Shared setup for the tests. Models are stubbed with node:test mocks, so
+// no database is needed.
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+
+/**
+ * Stand-in for a mongoose query resolving to `value`, for stubbed model
+ * methods whose callers chain .select(), .lean() and the like
+ */
+function fakeQuery(value) {
+  const query = Promise.resolve(value);
+  for (const method of ["select", "lean", "sort", "limit", "populate", "session"]) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+// Stand-in for an Express response, recording the status and JSON body
+function fakeResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    headers: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+  };
+}
+
+// Error thrown by MongoDB for a duplicate key in a unique index
+function duplicateKeyError() {
+  return Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+}
+
+module.exports = {
+  fakeQuery,
+  fakeResponse,
+  duplicateKeyError,
+};
@@ -0,0 +1,141 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, fakeResponse } = require("./helpers");
+const User = require("../src/models/User");
+const Event = require("../src/models/Event");
+const ical = require("../src/utils/ical");
+const recurrence = require("../src/utils/recurrence");
+const eventsController = require("../src/controllers/events");
+
+afterEach(() => mock.restoreAll());
+
+describe("foldLine", () => {
+  test("folds at 75 octets without splitting characters", () => {
+    const line = `DESCRIPTION:${"é".repeat(80)}`;
+    const folded = ical.foldLine(line).split("\r\n");
+
+    assert.ok(folded.length > 1);
+    for (const part of folded) {
+      assert.ok(Buffer.byteLength(part, "utf8") <= 75);
+      assert.ok(!part.includes("�"));
+    }
+    assert.equal(folded.map((part, i) => (i === 0 ? part : part.slice(1))).join(""), line);
+  });
+
+  test("leaves short lines alone", () => {
+    assert.equal(ical.foldLine("SUMMARY:Picnic"), "SUMMARY:Picnic");
+  });
+});
+
+describe("parseCalendar", () => {
+  test("unfolds continuation lines and unescapes text", () => {
+    const [event] = ical.parseCalendar(
+      [
+        "BEGIN:VCALENDAR",
+        "BEGIN:VEVENT",
+        "UID:abc@example.com",
+        "SUMMARY:Jazz\\, wine",
+        " \\; cheese",
+        "DESCRIPTION:Line one\\nline",
+        "\t two",
+        "DTSTART:20260612T190000Z",
+        "END:VEVENT",
+        "END:VCALENDAR",
+      ].join("\r\n")
+    );
+
+    assert.equal(event.title, "Jazz, wine; cheese");
+    assert.equal(event.description, "Line one\nline two");
+    assert.equal(event.date.toISOString(), "2026-06-12T19:00:00.000Z");
+  });
+
+  test("reads zoned dates, exceptions, places and categories", () => {
+    const [event] = ical.parseCalendar(
+      [
+        "BEGIN:VEVENT",
+        "DTSTART;TZID=Europe/Paris:20260115T090000",
+        "DTEND;TZID=Europe/Paris:20260715T090000",
+        "RRULE:FREQ=WEEKLY;COUNT=3",
+        "EXDATE:20260122T080000Z,20260129T080000Z",
+        "GEO:48.85;2.35",
+        "CATEGORIES:music,outdoor",
+        "END:VEVENT",
+      ].join("\n")
+    );
+
+    // Paris is UTC+1 in winter and UTC+2 in summer
+    assert.equal(event.date.toISOString(), "2026-01-15T08:00:00.000Z");
+    assert.equal(event.endDate.toISOString(), "2026-07-15T07:00:00.000Z");
+    assert.equal(event.recurrence, "FREQ=WEEKLY;COUNT=3");
+    assert.equal(event.exceptionDates.length, 2);
+    assert.deepEqual([event.latitude, event.longitude], [48.85, 2.35]);
+    assert.deepEqual(event.categories, ["music", "outdoor"]);
+  });
+
+  test("ignores the properties of alarms", () => {
+    const [event] = ical.parseCalendar(
+      [
+        "BEGIN:VEVENT",
+        "SUMMARY:Picnic",
+        "BEGIN:VALARM",
+        "DESCRIPTION:Reminder",
+        "END:VALARM",
+        "END:VEVENT",
+      ].join("\r\n")
+    );
+
+    assert.equal(event.title, "Picnic");
+    assert.equal(event.description, undefined);
+  });
+});
+
+describe("buildCalendar", () => {
+  test("round-trips a series with an exception and a moved occurrence", () => {
+    const _id = new mongoose.Types.ObjectId();
+    const event = {
+      _id,
+      title: "Book club; weekly, on Mondays",
+      description: "Bring the book\nand snacks",
+      location: "Library",
+      locationCoords: { type: "Point", coordinates: [2.35, 48.85] },
+      date: new Date("2026-06-01T18:00:00Z"),
+      endDate: new Date("2026-06-01T20:00:00Z"),
+      status: "approved",
+      recurrence: recurrence.parseRecurrence("FREQ=WEEKLY;COUNT=4;EXDATE=20260608T180000Z"),
+      occurrenceOverrides: [
+        { originalDate: new Date("2026-06-15T18:00:00Z"), date: new Date("2026-06-16T18:00:00Z") },
+      ],
+    };
+
+    const text = ical.buildCalendar([event], { name: "EventMap" });
+    assert.ok(text.split("\r\n").every((line) => Buffer.byteLength(line, "utf8") <= 75));
+
+    const [master, moved] = ical.parseCalendar(text);
+    assert.equal(master.uid, moved.uid);
+    assert.equal(master.title, event.title);
+    assert.equal(master.description, event.description);
+    assert.equal(master.recurrence, "FREQ=WEEKLY;COUNT=4");
+    assert.deepEqual(master.exceptionDates.map((d) => d.toISOString()), ["2026-06-08T18:00:00.000Z"]);
+    assert.deepEqual([master.latitude, master.longitude], [48.85, 2.35]);
+    assert.equal(moved.recurrenceId.toISOString(), "2026-06-15T18:00:00.000Z");
+    assert.equal(moved.endDate.toISOString(), "2026-06-16T20:00:00.000Z");
+  });
+});
+
+describe("getEventsFeed", () => {
+  const token = "a".repeat(64);
+
+  test("rejects invalid filters", async () => {
+    mock.method(console, "error", () => {});
+    mock.method(User, "findOne", () => fakeQuery({ _id: new mongoose.Types.ObjectId() }));
+    const find = mock.method(Event, "find", () => fakeQuery([]));
+    const res = fakeResponse();
+
+    await eventsController.getEventsFeed({ params: { token }, query: { bbox: "north,south" } }, res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /bbox/);
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,137 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const MockProvider = require("../src/ai/llm/MockProvider");
+const llmService = require("../src/ai/llmService");
+
+const LLMService = llmService.constructor;
+
+// A service whose generate and stream chains are the given providers, with no
+// waiting between retries
+function serviceWith(providers, settings = {}) {
+  const service = new LLMService();
+  Object.assign(service, { retryDelayMs: 0, maxRetries: 1, ...settings });
+  service.chains.generate = providers;
+  service.chains.stream = providers;
+  return service;
+}
+
+// Provider answering generate() with the given results in turn; errors are
+// thrown
+function scriptedProvider(name, results) {
+  const queue = [...results];
+  return {
+    name,
+    calls: 0,
+    async generate() {
+      this.calls++;
+      const result = queue.shift();
+      if (result instanceof Error) throw result;
+      return result;
+    },
+  };
+}
+
+function httpError(status) {
+  return Object.assign(new Error(`HTTP ${status}`), { response: { status } });
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("call chains", () => {
+  test("retry a provider after a server error", async () => {
+    const provider = scriptedProvider("a", [httpError(503), "answer"]);
+    mock.method(console, "error", () => {});
+
+    assert.equal(await serviceWith([provider]).generate("hi"), "answer");
+    assert.equal(provider.calls, 2);
+  });
+
+  test("move on to the next provider after a bad request", async () => {
+    const first = scriptedProvider("a", [httpError(400), "unused"]);
+    const second = scriptedProvider("b", ["from b"]);
+    mock.method(console, "error", () => {});
+
+    assert.equal(await serviceWith([first, second]).generate("hi"), "from b");
+    assert.equal(first.calls, 1);
+  });
+
+  test("throw the last error when every provider fails", async () => {
+    const provider = scriptedProvider("a", [httpError(500), httpError(502)]);
+    mock.method(console, "error", () => {});
+
+    await assert.rejects(serviceWith([provider]).generate("hi"), /HTTP 502/);
+  });
+
+  test("time out slow providers", async () => {
+    const slow = { name: "slow", generate: () => new Promise(() => {}) };
+    mock.method(console, "error", () => {});
+
+    await assert.rejects(
+      serviceWith([slow], { timeoutMs: 10, maxRetries: 0 }).generate("hi"),
+      (error) => error.code === "ETIMEDOUT"
+    );
+  });
+
+  test("say so when no provider is configured", async () => {
+    await assert.rejects(
+      serviceWith([]).generate("hi"),
+      (error) => error.code === "LLM_NOT_CONFIGURED"
+    );
+  });
+});
+
+describe("stream", () => {
+  test("falls back before any text was sent", async () => {
+    const broken = {
+      name: "broken",
+      async *stream() {
+        throw httpError(400);
+      },
+    };
+    mock.method(console, "error", () => {});
+
+    const pieces = [];
+    for await (const piece of serviceWith([broken, new MockProvider()]).stream("one two")) {
+      pieces.push(piece);
+    }
+    assert.match(pieces.join(""), /^Mock response [0-9a-f]+: one two$/);
+  });
+
+  test("throws once text was sent rather than switching providers", async () => {
+    const cut = {
+      name: "cut",
+      async *stream() {
+        yield "partial";
+        throw httpError(503);
+      },
+    };
+    const pieces = [];
+
+    await assert.rejects(async () => {
+      for await (const piece of serviceWith([cut, new MockProvider()]).stream("hi")) {
+        pieces.push(piece);
+      }
+    }, /HTTP 503/);
+    assert.deepEqual(pieces, ["partial"]);
+  });
+});
+
+describe("MockProvider", () => {
+  test("answers the same prompt the same way", async () => {
+    const provider = new MockProvider();
+    assert.equal(await provider.generate("hello"), await provider.generate("hello"));
+    assert.notEqual(await provider.generate("hello"), await provider.generate("goodbye"));
+  });
+
+  test("embeds texts sharing words closer together", async () => {
+    const provider = new MockProvider({ dimensions: 64 });
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    const jazz = await provider.embed("jazz concert downtown");
+    const sameWords = await provider.embed("downtown jazz concert");
+    const other = await provider.embed("marathon training group");
+
+    assert.equal(jazz.length, 64);
+    assert.ok(Math.abs(dot(jazz, sameWords) - 1) < 1e-9);
+    assert.ok(dot(jazz, other) < dot(jazz, sameWords));
+  });
+});
@@ -0,0 +1,115 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const Event = require("../src/models/Event");
+const moderation = require("../src/utils/moderation");
+
+const organizer = { _id: new mongoose.Types.ObjectId(), role: "organizer" };
+const reviewer = { _id: new mongoose.Types.ObjectId(), role: "admin" };
+
+// Track record of `organizer`: approved and rejected event counts
+function trackRecord(approved, rejected) {
+  mock.method(Event, "countDocuments", async (query) =>
+    query.status === "rejected" ? rejected : approved
+  );
+}
+
+function review(fields = {}) {
+  return { status: "approved", moderationResult: { isFlagged: false }, duplicates: [], ...fields };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("initialStatus", () => {
+  test("publishes trusted organizers' clean submissions", async () => {
+    trackRecord(5, 0);
+    assert.equal(await moderation.initialStatus(review(), organizer), "approved");
+    assert.equal(await moderation.initialStatus(review(), { ...organizer, trusted: true }), "approved");
+  });
+
+  test("queues newer organizers and anyone with a rejection", async () => {
+    trackRecord(4, 0);
+    assert.equal(await moderation.initialStatus(review(), organizer), "pending");
+    trackRecord(20, 1);
+    assert.equal(await moderation.initialStatus(review(), organizer), "pending");
+  });
+
+  test("queues flagged or possibly duplicate submissions even from admins", async () => {
+    const flagged = review({ moderationResult: { isFlagged: true } });
+    const duplicate = review({ duplicates: [{ eventId: "other" }] });
+
+    assert.equal(await moderation.initialStatus(flagged, reviewer), "pending");
+    assert.equal(await moderation.initialStatus(duplicate, reviewer), "pending");
+  });
+
+  test("keeps rejections by the AI checks", async () => {
+    assert.equal(await moderation.initialStatus(review({ status: "rejected" }), reviewer), "rejected");
+  });
+});
+
+describe("claims", () => {
+  const pending = (claimedBy, minutesAgo) => ({
+    status: "pending",
+    moderation: { claimedBy, claimedAt: new Date(Date.now() - minutesAgo * 60 * 1000) },
+  });
+
+  test("last for the claim period", () => {
+    const minutes = moderation.CLAIM_MS / 60000;
+    assert.ok(moderation.isClaimActive(pending(reviewer._id, minutes - 1)));
+    assert.ok(!moderation.isClaimActive(pending(reviewer._id, minutes + 1)));
+    assert.ok(!moderation.isClaimActive({ status: "pending" }));
+  });
+
+  test("only hold off other reviewers", () => {
+    const other = new mongoose.Types.ObjectId();
+    assert.equal(moderation.claimedByOther(pending(reviewer._id, 1), reviewer), null);
+    assert.equal(moderation.claimedByOther(pending({ _id: other, name: "Bo" }, 1), reviewer), other);
+    assert.equal(moderation.claimedByOther(pending(other, 600), reviewer), null);
+  });
+
+  test("can be taken over once expired", async () => {
+    const findOneAndUpdate = mock.method(Event, "findOneAndUpdate", async () => null);
+
+    await moderation.claim("event-1", reviewer);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0].arguments;
+    assert.equal(filter.status, "pending");
+    const expiry = filter.$or.find((condition) => condition["moderation.claimedAt"]);
+    assert.ok(Date.now() - expiry["moderation.claimedAt"].$lt - moderation.CLAIM_MS < 1000);
+    assert.equal(update.$set["moderation.claimedBy"], reviewer._id);
+  });
+});
+
+describe("decide", () => {
+  function queued() {
+    return {
+      status: "pending",
+      statusHistory: [],
+      moderation: { submissions: 1, claimedBy: reviewer._id, claimedAt: new Date() },
+    };
+  }
+
+  test("approves and frees the claim", () => {
+    const event = queued();
+
+    assert.equal(moderation.decide(event, "approve", reviewer), "approved");
+    assert.equal(event.moderation.claimedBy, undefined);
+    assert.equal(event.statusHistory[0].by, reviewer._id);
+  });
+
+  test("needs a reason to send an event back", () => {
+    assert.throws(() => moderation.decide(queued(), "reject", reviewer, "  "), /A reason is required/);
+
+    const event = queued();
+    assert.equal(moderation.decide(event, "request_changes", reviewer, " Add prices "), "changes_requested");
+    assert.equal(event.statusReason, "Add prices");
+  });
+
+  test("rejects unknown actions and events not awaiting review", () => {
+    assert.throws(() => moderation.decide(queued(), "ignore", reviewer), /action must be one of/);
+    assert.throws(
+      () => moderation.decide({ ...queued(), status: "draft" }, "approve", reviewer),
+      /Cannot change status from draft to approved/
+    );
+  });
+});
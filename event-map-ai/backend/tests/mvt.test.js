@@ -0,0 +1,132 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mvt = require("../src/utils/mvt");
+
+// Minimal protobuf reading, enough to check the tiles' structure
+function reader(buffer) {
+  let offset = 0;
+  return {
+    done: () => offset >= buffer.length,
+    varint() {
+      let value = 0;
+      let factor = 1;
+      let byte;
+      do {
+        byte = buffer[offset++];
+        value += (byte & 0x7f) * factor;
+        factor *= 0x80;
+      } while (byte & 0x80);
+      return value;
+    },
+    double() {
+      offset += 8;
+      return buffer.readDoubleLE(offset - 8);
+    },
+    bytes(length) {
+      offset += length;
+      return buffer.subarray(offset - length, offset);
+    },
+  };
+}
+
+// Fields of a message as [field, value] pairs: varints are numbers,
+// fixed64 fields doubles and length-delimited fields buffers
+function readMessage(buffer) {
+  const input = reader(buffer);
+  const fields = [];
+  while (!input.done()) {
+    const tag = input.varint();
+    const wireType = tag & 0x7;
+    if (wireType === 0) fields.push([tag >> 3, input.varint()]);
+    else if (wireType === 1) fields.push([tag >> 3, input.double()]);
+    else fields.push([tag >> 3, input.bytes(input.varint())]);
+  }
+  return fields;
+}
+
+function readPacked(buffer) {
+  const input = reader(buffer);
+  const values = [];
+  while (!input.done()) values.push(input.varint());
+  return values;
+}
+
+const field = (fields, number) => fields.filter(([n]) => n === number).map(([, value]) => value);
+
+const unzigzag = (value) => (value % 2 === 0 ? value / 2 : -(value + 1) / 2);
+
+describe("tile coordinates", () => {
+  test("accept tiles inside the zoom level", () => {
+    assert.deepEqual(mvt.parseTileCoords({ z: "3", x: "7", y: "0" }), { z: 3, x: 7, y: 0 });
+  });
+
+  test("reject tiles outside it", () => {
+    assert.throws(() => mvt.parseTileCoords({ z: "3", x: "8", y: "0" }), /out of range/);
+    assert.throws(() => mvt.parseTileCoords({ z: "23", x: "0", y: "0" }), /out of range/);
+    assert.throws(() => mvt.parseTileCoords({ z: "1", x: "0.5", y: "0" }), /must be integers/);
+  });
+
+  test("bound the world tile by the Web Mercator limits", () => {
+    const [west, south, east, north] = mvt.tileBounds(0, 0, 0);
+    assert.deepEqual([west, east], [-180, 180]);
+    assert.ok(Math.abs(north - 85.0511287798) < 1e-9);
+    assert.ok(Math.abs(south + 85.0511287798) < 1e-9);
+  });
+
+  test("project tile corners onto the tile's extent", () => {
+    const [west, south, east, north] = mvt.tileBounds(5, 16, 10);
+    const tile = { z: 5, x: 16, y: 10 };
+    assert.deepEqual(mvt.projectToTile(west, north, tile), [0, 0]);
+    assert.deepEqual(mvt.projectToTile(east, south, tile), [mvt.EXTENT, mvt.EXTENT]);
+  });
+});
+
+describe("encodeTile", () => {
+  test("encodes point features with typed properties", () => {
+    const tile = { z: 0, x: 0, y: 0 };
+    const buffer = mvt.encodeTile(
+      [
+        {
+          name: "events",
+          features: [
+            { longitude: 0, latitude: 0, properties: { id: "a", count: 1, free: true, note: null } },
+            { longitude: -90, latitude: 0, properties: { id: "1", count: 1 } },
+          ],
+        },
+      ],
+      tile
+    );
+
+    const [layerBuffer] = field(readMessage(buffer), 3);
+    const layer = readMessage(layerBuffer);
+    assert.deepEqual(field(layer, 15), [2]);
+    assert.equal(field(layer, 1)[0].toString(), "events");
+    assert.deepEqual(field(layer, 5), [mvt.EXTENT]);
+
+    const keys = field(layer, 3).map(String);
+    const values = field(layer, 4).map((value) => {
+      const [[type, raw]] = readMessage(value);
+      return type === 1 ? raw.toString() : type === 7 ? raw === 1 : raw;
+    });
+    assert.deepEqual(keys, ["id", "count", "free"]);
+    // The number 1 and the string "1" stay apart
+    assert.deepEqual(values, ["a", 1, true, "1"]);
+
+    const features = field(layer, 2).map(readMessage);
+    const properties = features.map((feature) => {
+      const tags = readPacked(field(feature, 2)[0]);
+      const pairs = {};
+      for (let i = 0; i < tags.length; i += 2) pairs[keys[tags[i]]] = values[tags[i + 1]];
+      return pairs;
+    });
+    assert.deepEqual(properties, [
+      { id: "a", count: 1, free: true },
+      { id: "1", count: 1 },
+    ]);
+
+    const [command, x, y] = readPacked(field(features[1], 4)[0]);
+    assert.equal(command, 9); // MoveTo, once
+    assert.deepEqual([unzigzag(x), unzigzag(y)], [mvt.EXTENT / 4, mvt.EXTENT / 2]);
+    assert.deepEqual(field(features[1], 3), [1]);
+  });
+});
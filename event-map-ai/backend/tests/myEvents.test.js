@@ -0,0 +1,50 @@
+const { test, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery, fakeResponse } = require("./helpers");
+const Event = require("../src/models/Event");
+const eventsController = require("../src/controllers/events");
+
+const organizer = { _id: new mongoose.Types.ObjectId(), name: "Ada", role: "organizer" };
+
+function storedEvent(title, date) {
+  return new Event({
+    title,
+    description: "Monthly meetup",
+    location: "Library",
+    locationCoords: { type: "Point", coordinates: [2.35, 48.85] },
+    date: new Date(date),
+    organizer: organizer._id,
+    status: "pending",
+    attendees: [new mongoose.Types.ObjectId()],
+    aiFlags: { riskScore: 0.4, moderationWarnings: ["Check the venue"] },
+  });
+}
+
+afterEach(() => mock.restoreAll());
+
+test("my events come back as a page of list items", async () => {
+  const events = [storedEvent("Second", "2030-02-01"), storedEvent("First", "2030-01-01")];
+  const find = mock.method(Event, "find", () => fakeQuery(events));
+  mock.method(Event, "countDocuments", async () => 2);
+  const res = fakeResponse();
+
+  await eventsController.getMyEvents({ query: {}, user: organizer }, res);
+
+  assert.deepEqual(find.mock.calls[0].arguments[0], { organizer: organizer._id });
+  assert.deepEqual(Object.keys(res.body), ["events", "pagination"]);
+  assert.deepEqual(res.body.pagination, { limit: 100, total: 2, nextCursor: null });
+  assert.deepEqual(res.body.events.map((event) => event.title), ["Second", "First"]);
+  for (const event of res.body.events) {
+    assert.equal(event.attendees, 1);
+    assert.equal(event.status, "pending");
+    assert.equal(event.aiFlags, undefined);
+    assert.equal(event.moderation, undefined);
+  }
+});
+
+test("my events refuse invalid paging parameters", async () => {
+  const res = fakeResponse();
+  await eventsController.getMyEvents({ query: { limit: "0" }, user: organizer }, res);
+  assert.equal(res.statusCode, 400);
+});
@@ -0,0 +1,114 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const pagination = require("../src/utils/pagination");
+
+// The parts of a bbox condition, whether or not it was split
+const partsOf = (condition) => condition.$or || [condition];
+
+// Whether a point passes a part's exact coordinate ranges
+function inRanges(part, [lng, lat]) {
+  const within = (value, { $gte, $lte }) => value >= $gte && value <= $lte;
+  return (
+    within(lng, part["locationCoords.coordinates.0"]) &&
+    within(lat, part["locationCoords.coordinates.1"])
+  );
+}
+
+describe("page parameters", () => {
+  test("default and cap the limit", () => {
+    assert.equal(pagination.parsePageParams({}).limit, pagination.DEFAULT_LIMIT);
+    assert.equal(pagination.parsePageParams({ limit: "20" }).limit, 20);
+    assert.equal(pagination.parsePageParams({ limit: "100000" }).limit, pagination.MAX_LIMIT);
+  });
+
+  test("refuse limits that aren't positive integers", () => {
+    for (const limit of ["0", "-3", "2.5", "ten"]) {
+      assert.throws(() => pagination.parsePageParams({ limit }), /limit must be a positive integer/);
+    }
+  });
+
+  test("read back the cursor of the last item", () => {
+    const last = { _id: new mongoose.Types.ObjectId(), date: new Date("2030-01-02T03:04:05Z") };
+    const { cursor } = pagination.parsePageParams({ cursor: pagination.encodeCursor(last) });
+    assert.equal(cursor.date.toISOString(), "2030-01-02T03:04:05.000Z");
+    assert.ok(cursor.id.equals(last._id));
+  });
+
+  test("refuse tampered cursors", () => {
+    const cursor = Buffer.from("yesterday_not-an-id").toString("base64url");
+    assert.throws(() => pagination.decodeCursor(cursor), /cursor is invalid/);
+  });
+});
+
+describe("fields", () => {
+  test("always include _id and keep only the named fields", () => {
+    const fields = pagination.parseFields("title, date", ["title", "date", "location"]);
+    assert.deepEqual(fields, ["_id", "title", "date"]);
+    assert.deepEqual(
+      pagination.pickFields({ _id: 1, title: "t", date: "d", location: "l" }, fields),
+      { _id: 1, title: "t", date: "d" }
+    );
+  });
+
+  test("refuse unknown fields", () => {
+    assert.throws(() => pagination.parseFields("title,aiFlags", ["title"]), /Unknown fields: aiFlags/);
+  });
+});
+
+describe("parseBbox", () => {
+  test("matches exactly the requested box", () => {
+    const [part] = partsOf(pagination.parseBbox("-0.5,51.3,0.3,51.7"));
+    assert.ok(inRanges(part, [0, 51.5]));
+    assert.ok(inRanges(part, [-0.5, 51.3]));
+    assert.ok(!inRanges(part, [0, 51.71]));
+    assert.ok(!inRanges(part, [0.31, 51.5]));
+  });
+
+  test("finds the box through an index-backed polygon around it", () => {
+    const [part] = partsOf(pagination.parseBbox("-10,40,30,60"));
+    const { $geometry } = part.locationCoords.$geoWithin;
+    const ring = $geometry.coordinates[0];
+
+    assert.equal($geometry.type, "Polygon");
+    assert.deepEqual(ring[0], ring[ring.length - 1]);
+    // The latitude edges follow the parallels in steps of at most a degree,
+    // just outside the box
+    const south = ring.filter(([, lat]) => lat < 50);
+    assert.ok(south.length >= 41);
+    assert.ok(south.every(([, lat]) => lat < 40 && lat > 39.9));
+    assert.ok(ring.every(([lng]) => lng <= 30.01 + 1e-9 && lng >= -10.01 - 1e-9));
+  });
+
+  test("splits boxes crossing the antimeridian", () => {
+    const parts = partsOf(pagination.parseBbox("170,-10,-170,10"));
+    assert.equal(parts.length, 2);
+    assert.ok(parts.some((part) => inRanges(part, [175, 0])));
+    assert.ok(parts.some((part) => inRanges(part, [-175, 0])));
+    assert.ok(!parts.some((part) => inRanges(part, [0, 0])));
+  });
+
+  test("keeps every polygon within a hemisphere", () => {
+    const parts = partsOf(pagination.parseBbox("-540,-90,540,90"));
+    for (const part of parts) {
+      const lngs = part.locationCoords.$geoWithin.$geometry.coordinates[0].map(([lng]) => lng);
+      assert.ok(Math.max(...lngs) - Math.min(...lngs) <= 90.02 + 1e-9);
+    }
+    // Latitudes are clamped to what a web map shows
+    assert.ok(parts.some((part) => inRanges(part, [179.9, 85])));
+    assert.ok(!parts.some((part) => inRanges(part, [0, 89])));
+  });
+
+  test("wraps longitudes from a map panned around the globe", () => {
+    const parts = partsOf(pagination.parseBbox("350,0,370,10"));
+    assert.ok(parts.some((part) => inRanges(part, [-5, 5])));
+    assert.ok(parts.some((part) => inRanges(part, [5, 5])));
+  });
+
+  test("refuses malformed and empty boxes", () => {
+    assert.equal(pagination.parseBbox(""), null);
+    assert.throws(() => pagination.parseBbox("1,2,3"), /minLng,minLat,maxLng,maxLat/);
+    assert.throws(() => pagination.parseBbox("0,10,1,5"), /minLat must not exceed maxLat/);
+    assert.throws(() => pagination.parseBbox("0,5,1,5"), /non-zero area/);
+  });
+});
@@ -0,0 +1,163 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeResponse } = require("./helpers");
+const Event = require("../src/models/Event");
+const recurrence = require("../src/utils/recurrence");
+const eventsController = require("../src/controllers/events");
+
+// Dates sit at noon UTC in a month without clock changes, so the local-time
+// expansion gives the same days in any time zone
+const JUNE_1 = new Date("2026-06-01T12:00:00Z");
+const JULY_1 = new Date("2026-07-01T12:00:00Z");
+
+const keys = (occurrences) => occurrences.map((occurrence) => occurrence.occurrenceId);
+
+function series(rule, fields = {}) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    title: "Run club",
+    date: JUNE_1,
+    endDate: new Date("2026-06-01T13:30:00Z"),
+    recurrence: recurrence.parseRecurrence(rule),
+    occurrenceOverrides: [],
+    ...fields,
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+describe("parseRecurrence", () => {
+  test("reads an RRULE string", () => {
+    const rule = recurrence.parseRecurrence(
+      "RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,WE;UNTIL=20261231T000000Z;EXDATE=20260610"
+    );
+    assert.equal(rule.frequency, "weekly");
+    assert.equal(rule.interval, 2);
+    assert.deepEqual(rule.byWeekday, [1, 3]);
+    assert.equal(rule.until.toISOString(), "2026-12-31T00:00:00.000Z");
+    assert.equal(rule.exceptionDates.length, 1);
+  });
+
+  test("returns null without a rule and rejects invalid ones", () => {
+    assert.equal(recurrence.parseRecurrence(""), null);
+    assert.throws(() => recurrence.parseRecurrence("FREQ=YEARLY"), /frequency must be one of/);
+    assert.throws(() => recurrence.parseRecurrence("FREQ=DAILY;BYHOUR=9"), /Unsupported recurrence rule part: BYHOUR/);
+    assert.throws(() => recurrence.parseRecurrence({ frequency: "daily", interval: -2 }), /interval/);
+    assert.throws(() => recurrence.parseRecurrence({ frequency: "weekly", byWeekday: ["XX"] }), /weekdays/);
+    assert.throws(() => recurrence.parseRecurrence("{not json"), /valid JSON or an RRULE/);
+  });
+});
+
+describe("expandOccurrences", () => {
+  test("skips exception dates", () => {
+    const event = series("FREQ=WEEKLY;BYDAY=MO,WE;EXDATE=20260603T120000Z,20260615T120000Z");
+
+    assert.deepEqual(keys(recurrence.expandOccurrences(event, JUNE_1, JULY_1)), [
+      "2026-06-01",
+      "2026-06-08",
+      "2026-06-10",
+      "2026-06-17",
+      "2026-06-22",
+      "2026-06-24",
+      "2026-06-29",
+      "2026-07-01",
+    ]);
+  });
+
+  test("stops at the count and keeps the series duration", () => {
+    const occurrences = recurrence.expandOccurrences(series("FREQ=DAILY;INTERVAL=3;COUNT=4"), JUNE_1, JULY_1);
+
+    assert.deepEqual(keys(occurrences), ["2026-06-01", "2026-06-04", "2026-06-07", "2026-06-10"]);
+    for (const occurrence of occurrences) {
+      assert.equal(occurrence.endDate - occurrence.date, 90 * 60 * 1000);
+    }
+  });
+
+  test("skips months without the start's day", () => {
+    const event = series("FREQ=MONTHLY;COUNT=3", { date: new Date("2026-01-31T12:00:00Z"), endDate: undefined });
+    const occurrences = recurrence.expandOccurrences(event, new Date("2026-01-01"), new Date("2026-12-31"));
+
+    assert.deepEqual(keys(occurrences), ["2026-01-31", "2026-03-31", "2026-05-31"]);
+  });
+
+  test("places a moved occurrence by its new date", () => {
+    const event = series("FREQ=WEEKLY;COUNT=3", {
+      occurrenceOverrides: [
+        { originalDate: new Date("2026-06-08T12:00:00Z"), date: new Date("2026-07-20T12:00:00Z"), title: "Trail run" },
+      ],
+    });
+
+    assert.deepEqual(keys(recurrence.expandOccurrences(event, JUNE_1, JULY_1)), ["2026-06-01", "2026-06-15"]);
+    const [moved] = recurrence.expandOccurrences(event, JULY_1, new Date("2026-07-31"));
+    assert.equal(moved.occurrenceId, "2026-06-08");
+    assert.equal(moved.title, "Trail run");
+    assert.equal(moved.endDate.toISOString(), "2026-07-20T13:30:00.000Z");
+  });
+});
+
+describe("findOccurrenceDate", () => {
+  test("finds occurrences of the series only", () => {
+    const event = series("FREQ=WEEKLY;BYDAY=MO;EXDATE=20260608T120000Z");
+
+    assert.equal(recurrence.findOccurrenceDate(event, "2026-06-15").toISOString(), "2026-06-15T12:00:00.000Z");
+    assert.equal(recurrence.findOccurrenceDate(event, "2026-06-08"), null);
+    assert.equal(recurrence.findOccurrenceDate(event, "2026-06-16"), null);
+    assert.equal(recurrence.findOccurrenceDate(event, "next monday"), null);
+  });
+});
+
+describe("updateOccurrence", () => {
+  const organizer = { _id: new mongoose.Types.ObjectId(), role: "organizer" };
+
+  function storedSeries() {
+    const event = new Event({
+      title: "Run club",
+      description: "Weekly run",
+      location: "Park",
+      locationCoords: { type: "Point", coordinates: [2.35, 48.85] },
+      date: JUNE_1,
+      organizer: organizer._id,
+      recurrence: recurrence.parseRecurrence("FREQ=WEEKLY"),
+    });
+    mock.method(event, "save", async () => event);
+    mock.method(Event, "findById", async () => event);
+    return event;
+  }
+
+  function update(body) {
+    const res = fakeResponse();
+    const req = { params: { id: "series", occurrenceDate: "2026-06-08" }, body, user: organizer };
+    return eventsController.updateOccurrence(req, res).then(() => res);
+  }
+
+  test("rejects dates that can't be read", async () => {
+    for (const body of [{ date: "someday" }, { endDate: "later" }]) {
+      const event = storedSeries();
+      const res = await update(body);
+
+      assert.equal(res.statusCode, 400);
+      assert.match(res.body.message, /must be a valid date/);
+      assert.equal(event.save.mock.callCount(), 0);
+    }
+  });
+
+  test("rejects an end before the occurrence starts", async () => {
+    storedSeries();
+    assert.equal((await update({ endDate: "2026-06-08T11:00:00Z" })).statusCode, 400);
+
+    storedSeries();
+    const res = await update({ date: "2026-06-09T12:00:00Z", endDate: "2026-06-08T13:00:00Z" });
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /endDate can't be before/);
+  });
+
+  test("saves a moved occurrence", async () => {
+    const event = storedSeries();
+    const res = await update({ date: "2026-06-09T12:00:00Z", endDate: "2026-06-09T14:00:00Z" });
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(event.occurrenceOverrides.length, 1);
+    assert.equal(res.body.occurrence.date.toISOString(), "2026-06-09T12:00:00.000Z");
+  });
+});
@@ -0,0 +1,114 @@
+const { test, describe } = require("node:test");
+const assert = require("node:assert/strict");
+const ticketing = require("../src/utils/ticketing");
+
+// Evaluate the subset of Mongo conditions buildPriceQuery produces
+function matches(doc, condition) {
+  return Object.entries(condition).every(([key, value]) => {
+    if (key === "$or") return value.some((part) => matches(doc, part));
+    if (key === "$and") return value.every((part) => matches(doc, part));
+
+    const field = doc[key];
+    if (value === null) return field === undefined || field === null;
+    return Object.entries(value).every(([operator, operand]) => {
+      if (operator === "$exists") return (field !== undefined) === operand;
+      if (field === undefined || field === null) return false;
+      if (operator === "$gte") return field >= operand;
+      if (operator === "$lte") return field <= operand;
+      throw new Error(`Unexpected operator ${operator}`);
+    });
+  });
+}
+
+const legacy = {};
+const free = { price: 0, maxPrice: 0 };
+const fixed30 = { price: 30, maxPrice: 30 };
+const tiered10to80 = { price: 10, maxPrice: 80 };
+const unmigrated50 = { price: 50 };
+
+function filter(range) {
+  const query = ticketing.buildPriceQuery(range);
+  return [legacy, free, fixed30, tiered10to80, unmigrated50].filter((doc) => matches(doc, query));
+}
+
+describe("parseTicketing", () => {
+  test("returns null without pricing fields, or just a currency change", () => {
+    assert.equal(ticketing.parseTicketing({}), null);
+    assert.deepEqual(ticketing.parseTicketing({ currency: "eur" }), { currency: "EUR" });
+  });
+
+  test("infers fixed pricing from a price and rounds it to cents", () => {
+    assert.deepEqual(ticketing.parseTicketing({ price: "12.345" }), {
+      pricing: "fixed",
+      currency: "USD",
+      ticketTypes: [{ name: "General Admission", price: 12.35 }],
+    });
+    assert.equal(ticketing.parseTicketing({ price: "0" }).pricing, "free");
+  });
+
+  test("reads tiers sent as a JSON string", () => {
+    const { pricing, ticketTypes } = ticketing.parseTicketing({
+      ticketTypes: JSON.stringify([
+        { name: " Early bird ", price: 10 },
+        { name: "VIP", price: "80", description: "Front row" },
+      ]),
+    });
+    assert.equal(pricing, "tiered");
+    assert.deepEqual(ticketTypes, [
+      { name: "Early bird", price: 10, description: undefined },
+      { name: "VIP", price: 80, description: "Front row" },
+    ]);
+  });
+
+  test("rejects invalid input", () => {
+    assert.throws(() => ticketing.parseTicketing({ pricing: "donation" }), /pricing must be one of/);
+    assert.throws(() => ticketing.parseTicketing({ ticketTypes: "[oops" }), /JSON array/);
+    assert.throws(() => ticketing.parseTicketing({ pricing: "tiered", ticketTypes: [] }), /at least one ticket type/);
+    assert.throws(() => ticketing.parseTicketing({ ticketTypes: [{ price: 5 }] }), /Ticket type 1 needs a name/);
+    assert.throws(() => ticketing.parseTicketing({ pricing: "fixed", price: "-1" }), /price must be a non-negative number/);
+    assert.throws(() => ticketing.parseTicketing({ price: "5", currency: "euro" }), /3-letter ISO 4217 code/);
+  });
+});
+
+describe("parseCapacity", () => {
+  test("treats empty values as unlimited", () => {
+    for (const value of [undefined, null, ""]) {
+      assert.equal(ticketing.parseCapacity(value), null);
+    }
+    assert.equal(ticketing.parseCapacity("150"), 150);
+  });
+
+  test("rejects capacities below one", () => {
+    assert.throws(() => ticketing.parseCapacity("0"), /positive integer/);
+    assert.throws(() => ticketing.parseCapacity("lots"), /positive integer/);
+  });
+});
+
+describe("buildPriceQuery", () => {
+  test("returns null without a usable range", () => {
+    assert.equal(ticketing.buildPriceQuery({}), null);
+    assert.equal(ticketing.buildPriceQuery({ minPrice: "", maxPrice: "abc" }), null);
+  });
+
+  test("finds free events, counting ones saved before ticketing", () => {
+    assert.deepEqual(filter({ free: true }), [legacy, free]);
+  });
+
+  test("matches a tiered event whose tiers reach into the range", () => {
+    assert.deepEqual(filter({ minPrice: 50, maxPrice: 60 }), [tiered10to80, unmigrated50]);
+    assert.deepEqual(filter({ minPrice: 70 }), [tiered10to80]);
+  });
+
+  test("compares the cheapest ticket with the maximum", () => {
+    assert.deepEqual(filter({ maxPrice: 20 }), [legacy, free, tiered10to80]);
+  });
+
+  test("falls back to the price when no highest price is stored", () => {
+    assert.deepEqual(filter({ minPrice: 40 }), [tiered10to80, unmigrated50]);
+    assert.deepEqual(filter({ minPrice: 60 }), [tiered10to80]);
+  });
+
+  test("keeps free events when the minimum is zero", () => {
+    assert.deepEqual(filter({ minPrice: 0, maxPrice: 30 }), [legacy, free, fixed30, tiered10to80]);
+  });
+});
@@ -0,0 +1,135 @@
+const { test, describe, mock, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { fakeQuery } = require("./helpers");
+const User = require("../src/models/User");
+const totp = require("../src/utils/totp");
+const twoFactor = require("../src/utils/twoFactor");
+
+const secret = totp.generateSecret();
+const userId = "64b000000000000000000001";
+
+// A user with two-factor authentication on, as User.findById loads it
+function enabledUser(overrides = {}) {
+  return {
+    _id: userId,
+    twoFactor: { enabled: true, secret, recoveryCodes: [], ...overrides },
+  };
+}
+
+afterEach(() => mock.restoreAll());
+
+test("is required for admins only", () => {
+  assert.equal(twoFactor.isRequired({ role: "admin" }), true);
+  assert.equal(twoFactor.isRequired({ role: "organizer" }), false);
+  assert.equal(twoFactor.isRequired({ role: "user" }), false);
+});
+
+describe("completeEnrolment", () => {
+  test("turns two-factor on with a code from the app", async () => {
+    mock.method(User, "findById", () =>
+      fakeQuery({ _id: userId, twoFactor: { enabled: false, pendingSecret: secret } })
+    );
+    const update = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    const codes = await twoFactor.completeEnrolment(userId, totp.generateCode(secret));
+
+    assert.equal(codes.length, 10);
+    assert.equal(new Set(codes).size, 10);
+    const { $set, $unset } = update.mock.calls[0].arguments[1];
+    assert.equal($set["twoFactor.enabled"], true);
+    assert.equal($set["twoFactor.secret"], secret);
+    // Only hashes of the recovery codes are stored
+    assert.equal($set["twoFactor.recoveryCodes"].length, 10);
+    assert.ok(!$set["twoFactor.recoveryCodes"].some((hash) => codes.includes(hash)));
+    assert.ok("twoFactor.pendingSecret" in $unset);
+  });
+
+  test("refuses a wrong code", async () => {
+    mock.method(User, "findById", () =>
+      fakeQuery({ _id: userId, twoFactor: { enabled: false, pendingSecret: secret } })
+    );
+    const update = mock.method(User, "updateOne", async () => ({}));
+
+    await assert.rejects(twoFactor.completeEnrolment(userId, "000000"), twoFactor.TwoFactorError);
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  test("needs setup to have started", async () => {
+    mock.method(User, "findById", () => fakeQuery({ _id: userId, twoFactor: { enabled: false } }));
+    await assert.rejects(
+      twoFactor.completeEnrolment(userId, "123456"),
+      new twoFactor.TwoFactorError("Start two-factor setup first")
+    );
+  });
+});
+
+describe("verify", () => {
+  test("accepts a current code once", async () => {
+    mock.method(User, "findById", () => fakeQuery(enabledUser()));
+    const claim = mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    assert.deepEqual(await twoFactor.verify(userId, { code: totp.generateCode(secret) }), {});
+    // The time step is claimed only if no later one was used
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter["twoFactor.lastUsedStep"], {
+      $not: { $gte: update.$set["twoFactor.lastUsedStep"] },
+    });
+  });
+
+  test("refuses a code whose time step was already used", async () => {
+    mock.method(User, "findById", () => fakeQuery(enabledUser()));
+    mock.method(User, "updateOne", async () => ({ modifiedCount: 0 }));
+    const failure = mock.method(User, "findByIdAndUpdate", async () => ({
+      twoFactor: { failedAttempts: 1 },
+    }));
+
+    await assert.rejects(
+      twoFactor.verify(userId, { code: totp.generateCode(secret) }),
+      new twoFactor.TwoFactorError("That code didn't match")
+    );
+    assert.equal(failure.mock.callCount(), 1);
+  });
+
+  test("uses up a recovery code", async () => {
+    mock.method(User, "findById", () => fakeQuery(enabledUser()));
+    const use = mock.method(User, "findOneAndUpdate", () =>
+      fakeQuery({ twoFactor: { recoveryCodes: ["a", "b"] } })
+    );
+
+    const result = await twoFactor.verify(userId, { recoveryCode: "ABCDE-12345" });
+
+    assert.deepEqual(result, { recoveryCodesLeft: 2 });
+    const [filter, update] = use.mock.calls[0].arguments;
+    assert.equal(update.$pull["twoFactor.recoveryCodes"], filter["twoFactor.recoveryCodes"]);
+  });
+
+  test("locks the second step after five wrong codes", async () => {
+    mock.method(User, "findById", () => fakeQuery(enabledUser()));
+    mock.method(User, "findByIdAndUpdate", async () => ({ twoFactor: { failedAttempts: 5 } }));
+    const lock = mock.method(User, "updateOne", async () => ({}));
+
+    await assert.rejects(twoFactor.verify(userId, { code: "000000" }), twoFactor.TwoFactorError);
+
+    const { $set } = lock.mock.calls[0].arguments[1];
+    assert.equal($set["twoFactor.failedAttempts"], 0);
+    assert.ok($set["twoFactor.lockedUntil"] > new Date());
+  });
+
+  test("refuses every code while locked", async () => {
+    const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+    mock.method(User, "findById", () => fakeQuery(enabledUser({ lockedUntil })));
+
+    await assert.rejects(
+      twoFactor.verify(userId, { code: totp.generateCode(secret) }),
+      (error) => error instanceof twoFactor.TwoFactorError && error.status === 429
+    );
+  });
+
+  test("needs two-factor to be on", async () => {
+    mock.method(User, "findById", () => fakeQuery({ _id: userId, twoFactor: { enabled: false } }));
+    await assert.rejects(
+      twoFactor.verify(userId, { code: "123456" }),
+      new twoFactor.TwoFactorError("Two-factor authentication is not on")
+    );
+  });
+});
@@ -0,0 +1,69 @@
+const { test, describe, mock, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { fakeQuery } = require("./helpers");
+const Event = require("../src/models/Event");
+const retrievalService = require("../src/ai/retrievalService");
+const { completeFinishedEvents } = require("../src/jobs/eventCompletion");
+
+let synced;
+
+beforeEach(() => {
+  synced = [];
+  mock.method(retrievalService, "scheduleSync", (id) => synced.push(id.toString()));
+  mock.method(console, "log", () => {});
+  retrievalService.initialized = true;
+});
+
+afterEach(() => {
+  retrievalService.initialized = false;
+  mock.restoreAll();
+});
+
+describe("bulk event updates", () => {
+  test("sync the events they matched before the update", async () => {
+    const ended = new mongoose.Types.ObjectId();
+    const find = mock.method(Event, "find", (filter) =>
+      fakeQuery(filter["recurrence.frequency"]?.$exists ? [] : [{ _id: ended }])
+    );
+    const updateMany = mock.method(Event.collection, "updateMany", async () => ({ modifiedCount: 1 }));
+
+    assert.equal(await completeFinishedEvents(new Date("2030-01-01")), 1);
+
+    assert.equal(updateMany.mock.callCount(), 1);
+    // The lookup ran with the update's own filter, while it still matched
+    const lookup = find.mock.calls.at(-1).arguments[0];
+    assert.equal(lookup.status, "approved");
+    assert.deepEqual(synced, [ended.toString()]);
+  });
+
+  test("sync the one event an updateOne changed", async () => {
+    const event = new mongoose.Types.ObjectId();
+    mock.method(Event, "find", () => fakeQuery([{ _id: event }]));
+    mock.method(Event.collection, "updateOne", async () => ({ modifiedCount: 1 }));
+
+    await Event.updateOne({ _id: event }, { $set: { title: "Renamed" } });
+
+    assert.deepEqual(synced, [event.toString()]);
+  });
+
+  test("skip the lookup when the index isn't in use", async () => {
+    retrievalService.initialized = false;
+    const find = mock.method(Event, "find", () => fakeQuery([]));
+    mock.method(Event.collection, "updateMany", async () => ({ modifiedCount: 0 }));
+
+    await Event.updateMany({ status: "approved" }, { $set: { status: "completed" } });
+
+    assert.equal(find.mock.callCount(), 0);
+  });
+});
+
+describe("contentHash", () => {
+  test("changes when the time of an event moves within its day", () => {
+    const event = { title: "Quiz", description: "Pub quiz", location: "The Crown", date: new Date("2030-03-04T18:00:00Z") };
+    const later = { ...event, date: new Date("2030-03-04T19:30:00Z") };
+
+    assert.equal(retrievalService.contentHash(event), retrievalService.contentHash({ ...event }));
+    assert.notEqual(retrievalService.contentHash(event), retrievalService.contentHash(later));
+  });
+});
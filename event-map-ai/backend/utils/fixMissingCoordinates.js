@@ -1,8 +1,9 @@
 const mongoose = require("mongoose");
 require("dotenv").config();
 
-// Import the Event model
+// Import the Event model and the geocoder used to recover coordinates
 const Event = require("../src/models/Event");
+const geocodingService = require("../src/ai/geocodingService");
 
 // Connect to MongoDB
 mongoose
@@ -17,6 +18,8 @@ mongoose
         { "locationCoords.coordinates": { $exists: false } },
         { "locationCoords.coordinates": { $size: 0 } },
         { "locationCoords.type": { $ne: "Point" } },
+        // Placeholder written by earlier versions of this script
+        { "locationCoords.coordinates": [0, 0] },
       ],
     });
 
@@ -24,25 +27,49 @@ mongoose
       `Found ${events.length} events with missing or invalid locationCoords`
     );
 
-    // Fix each event
+    let fixed = 0;
+    const unresolved = [];
+
+    // Fix each event by geocoding its location string
     for (const event of events) {
       console.log(`Fixing event: ${event.title} (${event._id})`);
 
-      // Set default coordinates to [0, 0] if missing
-      // In a real scenario, you might want to geocode the location string
+      const place = event.location
+        ? await geocodingService.geocode(event.location)
+        : null;
+
+      if (!place) {
+        console.warn(
+          `Could not geocode "${event.location}" for event ${event._id}, leaving it unchanged`
+        );
+        unresolved.push(event);
+        continue;
+      }
+
       event.locationCoords = {
         type: "Point",
-        coordinates: [0, 0], // [longitude, latitude]
+        coordinates: [place.longitude, place.latitude], // [longitude, latitude]
       };
 
       try {
         await event.save();
-        console.log(`Successfully fixed event: ${event.title} (${event._id})`);
+        fixed++;
+        console.log(
+          `Successfully fixed event: ${event.title} (${event._id}) -> ${place.displayName} via ${place.provider}`
+        );
       } catch (error) {
         console.error(`Error fixing event ${event._id}:`, error);
       }
     }
 
+    console.log(`Fixed ${fixed} of ${events.length} events`);
+    if (unresolved.length > 0) {
+      console.log("Events that need coordinates set by hand:");
+      unresolved.forEach((event) =>
+        console.log(`  ${event._id}  ${event.title}  (${event.location})`)
+      );
+    }
+
     console.log("Finished fixing events with missing locationCoords");
     process.exit(0);
   })
@@ -4,10 +4,16 @@ import MapView from './components/MapView';
 import Login from './components/Login';
 import Register from './components/Register';
 import SocialCallback from './components/SocialCallback';
+import VerifyEmail from './components/VerifyEmail';
+import TwoFactor from './components/TwoFactor';
+import ForgotPassword from './components/ForgotPassword';
+import ResetPassword from './components/ResetPassword';
 import EventDetails from './components/EventDetails';
 import UserProfile from './components/UserProfile';
 import CreateEvent from './components/CreateEvent';
+import ImportEvents from './components/ImportEvents';
 import ImageAnalyzer from './components/ImageAnalyzer';
+import AdminPanel from './components/AdminPanel';
 import Navigation from './components/Navigation';
 import AIEventBot from './components/AIEventBot';
 import Toast, { ToastContainer, useToast } from './components/Toast.jsx';
@@ -49,7 +55,7 @@ function AppContent() {
         const response = await fetch('/api/events');
         if (response.ok) {
           const eventsData = await response.json();
-          setEvents(eventsData);
+          setEvents(eventsData.events);
         } else {
           // Fallback sample data for demonstration
           setEvents([
@@ -115,10 +121,16 @@ function AppContent() {
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
           <Route path="/auth/social" element={<SocialCallback />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route path="/two-factor" element={<TwoFactor />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
           <Route path="/event/:id" element={<EventDetails />} />
           <Route path="/profile" element={<UserProfile />} />
           <Route path="/create-event" element={<CreateEvent />} />
+          <Route path="/import-events" element={<ImportEvents />} />
           <Route path="/image-analyzer" element={<ImageAnalyzer />} />
+          <Route path="/admin" element={<AdminPanel />} />
         </Routes>
 
         {/* AI Event Bot - Available on all pages with full context */}
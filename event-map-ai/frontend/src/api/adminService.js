@@ -0,0 +1,111 @@
+const API_BASE_URL =
+  import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
+
+class AdminService {
+  async request(path, token, options = {}, failureMessage) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/admin${path}`, {
+        ...options,
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || failureMessage);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      throw error;
+    }
+  }
+
+  // Pending events, most urgent first: { total, counts, queue }.
+  // claimed: "mine", "unclaimed" or "" for all
+  getModerationQueue(claimed, token) {
+    const query = claimed ? `?claimed=${claimed}` : "";
+    return this.request(
+      `/moderation/queue${query}`,
+      token,
+      {},
+      "Failed to fetch moderation queue"
+    );
+  }
+
+  claimEvent(eventId, token) {
+    return this.request(
+      `/moderation/${eventId}/claim`,
+      token,
+      { method: "POST" },
+      "Failed to claim event"
+    );
+  }
+
+  releaseEvent(eventId, token) {
+    return this.request(
+      `/moderation/${eventId}/claim`,
+      token,
+      { method: "DELETE" },
+      "Failed to release event"
+    );
+  }
+
+  // action: "approve", "reject" or "request_changes"
+  decideEvent(eventId, action, reason, token) {
+    return this.request(
+      `/moderation/${eventId}/decision`,
+      token,
+      { method: "POST", body: JSON.stringify({ action, reason }) },
+      "Failed to record decision"
+    );
+  }
+
+  // status: "pending", "approved", "rejected" or "all"
+  getOrganizerRequests(status, token) {
+    return this.request(
+      `/organizer-requests?status=${status}`,
+      token,
+      {},
+      "Failed to fetch organizer requests"
+    );
+  }
+
+  // action: "approve" or "reject"
+  decideOrganizerRequest(requestId, action, reason, token) {
+    return this.request(
+      `/organizer-requests/${requestId}/decision`,
+      token,
+      { method: "POST", body: JSON.stringify({ action, reason }) },
+      "Failed to record decision"
+    );
+  }
+
+  getInvites(token) {
+    return this.request("/invites", token, {}, "Failed to fetch invites");
+  }
+
+  // Returns { code, invite }; the code is not shown again
+  createInvite(invite, token) {
+    return this.request(
+      "/invites",
+      token,
+      { method: "POST", body: JSON.stringify(invite) },
+      "Failed to create invite"
+    );
+  }
+
+  revokeInvite(inviteId, token) {
+    return this.request(
+      `/invites/${inviteId}`,
+      token,
+      { method: "DELETE" },
+      "Failed to revoke invite"
+    );
+  }
+}
+
+export default new AdminService();
@@ -79,11 +79,34 @@ class AIAssistantService {
   }
 
   /**
-   * Get conversation history
+   * List the user's past conversations, most recent first
    */
-  async getConversationHistory(sessionId) {
+  async listConversations(page = 1, limit = 20) {
     try {
-      const response = await fetch(`${API_BASE_URL}/conversation/${sessionId}`, {
+      const response = await fetch(`${API_BASE_URL}/conversations?page=${page}&limit=${limit}`, {
+        headers: this.getHeaders()
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch conversations');
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get conversation history. `before` is a message ID for loading older messages.
+   */
+  async getConversationHistory(sessionId, before = null) {
+    try {
+      const query = before ? `?before=${encodeURIComponent(before)}` : '';
+      const response = await fetch(`${API_BASE_URL}/conversation/${encodeURIComponent(sessionId)}${query}`, {
         headers: this.getHeaders()
       });
 
@@ -105,7 +128,7 @@ class AIAssistantService {
    */
   async clearConversation(sessionId) {
     try {
-      const response = await fetch(`${API_BASE_URL}/conversation/${sessionId}`, {
+      const response = await fetch(`${API_BASE_URL}/conversation/${encodeURIComponent(sessionId)}`, {
         method: 'DELETE',
         headers: this.getHeaders()
       });
@@ -153,11 +176,17 @@ class AIAssistantService {
   }
 
   /**
-   * Get AI assistant analytics (admin only)
+   * Get AI assistant analytics (admin only) for the last `days` days or a
+   * `from`/`to` date range
    */
-  async getAnalytics() {
+  async getAnalytics(window = {}) {
     try {
-      const response = await fetch(`${API_BASE_URL}/analytics`, {
+      const params = new URLSearchParams();
+      Object.entries(window).forEach(([key, value]) => {
+        if (value !== undefined && value !== null) params.append(key, value);
+      });
+      const query = params.toString() ? `?${params}` : '';
+      const response = await fetch(`${API_BASE_URL}/analytics${query}`, {
         headers: this.getHeaders()
       });
 
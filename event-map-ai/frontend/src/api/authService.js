@@ -14,7 +14,10 @@ class AuthService {
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || "Login failed");
+        const error = new Error(errorData.message || "Login failed");
+        // EMAIL_NOT_VERIFIED when the address hasn't been confirmed yet
+        error.code = errorData.code;
+        throw error;
       }
 
       return await response.json();
@@ -24,14 +27,15 @@ class AuthService {
     }
   }
 
-  async register(name, email, password) {
+  // An invite code from an admin makes the account an organizer or admin
+  async register(name, email, password, inviteCode) {
     try {
       const response = await fetch(`${API_BASE_URL}/auth/register`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ name, email, password }),
+        body: JSON.stringify({ name, email, password, inviteCode }),
       });
 
       if (!response.ok) {
@@ -46,32 +50,220 @@ class AuthService {
     }
   }
 
-  async registerOrganizer(name, email, password) {
+  // Confirm an email address; the first confirmation of a new account logs
+  // the user in like login()
+  async verifyEmail(token) {
     try {
-      const response = await fetch(`${API_BASE_URL}/users/register-organizer`, {
+      const response = await fetch(`${API_BASE_URL}/auth/verify-email`, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
         },
-        body: JSON.stringify({ name, email, password }),
+        body: JSON.stringify({ token }),
       });
 
       if (!response.ok) {
         const errorData = await response.json();
-        throw new Error(errorData.message || "Organizer registration failed");
+        throw new Error(errorData.message || "Email verification failed");
       }
 
       return await response.json();
     } catch (error) {
-      console.error("Organizer registration error:", error);
+      console.error("Email verification error:", error);
       throw error;
     }
   }
 
-  async logout() {
+  // Swap the one-time code a social login redirects with for tokens; answers
+  // like login()
+  async exchangeSocialLogin(code) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/social/exchange`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ code }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Social login failed");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Social login error:", error);
+      throw error;
+    }
+  }
+
+  async resendVerification(email) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/resend-verification`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to resend email");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Verification resend error:", error);
+      throw error;
+    }
+  }
+
+  async forgotPassword(email) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/forgot-password`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ email }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to send reset email");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Forgot password error:", error);
+      throw error;
+    }
+  }
+
+  async resetPassword(token, password) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/reset-password`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ token, password }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Password reset failed");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Password reset error:", error);
+      throw error;
+    }
+  }
+
+  // Second login step, with the challenge from login(): a code from the
+  // authenticator app or a recovery code. Logs the user in like login()
+  async verifyTwoFactor(challengeToken, { code, recoveryCode }) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/2fa/verify`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ challengeToken, code, recoveryCode }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Verification failed");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor verification error:", error);
+      throw error;
+    }
+  }
+
+  // Two-factor setup for admins logging in without it: { secret, otpauthUrl, qrCode }
+  async setupTwoFactorLogin(challengeToken) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/2fa/setup`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ challengeToken }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to start two-factor setup");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      throw error;
+    }
+  }
+
+  // Confirms setup with a code and logs in like login(), adding recoveryCodes
+  async enableTwoFactorLogin(challengeToken, code) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/2fa/enable`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ challengeToken, code }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to turn on two-factor authentication");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      throw error;
+    }
+  }
+
+  // Swap a refresh token for a new access token and refresh token
+  async refresh(refreshToken) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/refresh`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ refreshToken }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Session expired");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Token refresh error:", error);
+      throw error;
+    }
+  }
+
+  async logout(token) {
     try {
       const response = await fetch(`${API_BASE_URL}/auth/logout`, {
         method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
       });
 
       if (!response.ok) {
@@ -85,6 +277,69 @@ class AuthService {
     }
   }
 
+  // Sign out every device, this one included
+  async logoutAll(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/logout-all`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Logout failed");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Logout everywhere error:", error);
+      throw error;
+    }
+  }
+
+  async getSessions(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/sessions`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch sessions");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Sessions fetch error:", error);
+      throw error;
+    }
+  }
+
+  async revokeSession(sessionId, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/auth/sessions/${sessionId}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to sign out session");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Session revoke error:", error);
+      throw error;
+    }
+  }
+
   async getProfile(token) {
     try {
       const response = await fetch(`${API_BASE_URL}/users/profile`, {
@@ -128,6 +383,285 @@ class AuthService {
     }
   }
 
+  async redeemInvite(code, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/redeem-invite`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ code }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to redeem invite");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Invite redeem error:", error);
+      throw error;
+    }
+  }
+
+  // The user's latest application to become an organizer: { request }
+  async getOrganizerRequest(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/organizer-request`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch organizer request");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Organizer request fetch error:", error);
+      throw error;
+    }
+  }
+
+  async requestOrganizer(application, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/organizer-request`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(application),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to submit request");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Organizer request error:", error);
+      throw error;
+    }
+  }
+
+  // Two-factor setup from the profile: { secret, otpauthUrl, qrCode }
+  async setupTwoFactor(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/2fa/setup`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to start two-factor setup");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      throw error;
+    }
+  }
+
+  // Confirms setup with a first code: { message, recoveryCodes }
+  async enableTwoFactor(code, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/2fa/enable`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ code }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to turn on two-factor authentication");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor setup error:", error);
+      throw error;
+    }
+  }
+
+  async disableTwoFactor({ code, recoveryCode }, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/2fa/disable`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ code, recoveryCode }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to turn off two-factor authentication");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Two-factor disable error:", error);
+      throw error;
+    }
+  }
+
+  // Replaces the recovery codes: { message, recoveryCodes }
+  async regenerateRecoveryCodes(code, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/2fa/recovery-codes`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ code }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to create new recovery codes");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Recovery codes error:", error);
+      throw error;
+    }
+  }
+
+  // How the user can log in: { logins: { password, google, facebook, available } }
+  async getLogins(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/logins`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch login methods");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Login methods fetch error:", error);
+      throw error;
+    }
+  }
+
+  // Where to send the browser to link a provider to the account
+  async getLinkUrl(provider, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/logins/${provider}/start`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to start linking");
+      }
+
+      const { linkToken } = await response.json();
+      return `${API_BASE_URL}/auth/${provider}?link=${encodeURIComponent(linkToken)}`;
+    } catch (error) {
+      console.error("Account link error:", error);
+      throw error;
+    }
+  }
+
+  // Finish linking with the identityToken the provider's login came back
+  // with. A profile that belongs to another account fails with
+  // code IDENTITY_IN_USE and that account as `duplicate`
+  async confirmLink(identityToken, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/logins/confirm`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify({ identityToken }),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        const error = new Error(errorData.message || "Failed to link account");
+        error.code = errorData.code;
+        error.duplicate = errorData.duplicate;
+        throw error;
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Account link error:", error);
+      throw error;
+    }
+  }
+
+  async unlink(provider, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/logins/${provider}`, {
+        method: "DELETE",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to unlink account");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Account unlink error:", error);
+      throw error;
+    }
+  }
+
+  // Merge a duplicate account, proven by { email, password } or an
+  // { identityToken } from linking
+  async mergeAccount(proof, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/users/merge`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(proof),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to merge accounts");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Account merge error:", error);
+      throw error;
+    }
+  }
+
   async changePassword(passwordData, token) {
     try {
       const response = await fetch(`${API_BASE_URL}/users/change-password`, {
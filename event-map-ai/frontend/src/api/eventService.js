@@ -1,7 +1,11 @@
 const API_BASE_URL =
   import.meta.env.VITE_API_BASE_URL || "http://localhost:5000/api";
 
+// Most events loaded for one map viewport
+const MAX_VIEWPORT_EVENTS = 1000;
+
 class EventService {
+  // One page of events: { events, pagination: { limit, total, nextCursor } }
   async getEvents(params = {}) {
     try {
       console.log("EventService: Fetching events with params:", params);
@@ -25,7 +29,13 @@ class EventService {
       }
 
       const data = await response.json();
-      console.log("EventService: Parsed", data.length, "events from response");
+      console.log(
+        "EventService: Parsed",
+        data.events.length,
+        "of",
+        data.pagination.total,
+        "events from response"
+      );
       return data;
     } catch (error) {
       console.error("EventService: Error fetching events:", error);
@@ -34,9 +44,97 @@ class EventService {
     }
   }
 
-  async getEventById(id) {
+  // Hybrid keyword/semantic/geo search; returns { results, pagination, facets }
+  async searchEvents(params = {}) {
+    try {
+      const queryParams = new URLSearchParams(params).toString();
+      const response = await fetch(`${API_BASE_URL}/search?${queryParams}`);
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to search events");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error searching events:", error);
+      throw error;
+    }
+  }
+
+  // Every event inside a map viewport, following page cursors.
+  // bounds: [minLng, minLat, maxLng, maxLat]
+  async getEventsInBounds(bounds, params = {}) {
+    const events = [];
+    let cursor = null;
+    do {
+      const page = await this.getEvents({
+        ...params,
+        bbox: bounds.join(","),
+        limit: 500,
+        ...(cursor ? { cursor } : {}),
+      });
+      events.push(...page.events);
+      cursor = page.pagination.nextCursor;
+    } while (cursor && events.length < MAX_VIEWPORT_EVENTS);
+
+    return events;
+  }
+
+  // Clustered event counts for a viewport at a zoom level:
+  // { zoom, total, clusters: [{ id, count, latitude, longitude, bounds, dominantCategory, eventId }] }
+  async getEventClusters(bounds, zoom, params = {}) {
     try {
-      const response = await fetch(`${API_BASE_URL}/events/${id}`);
+      const queryParams = new URLSearchParams({
+        ...params,
+        bbox: bounds.join(","),
+        zoom,
+      }).toString();
+      const response = await fetch(`${API_BASE_URL}/events/clusters?${queryParams}`);
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch event clusters");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error fetching event clusters:", error);
+      throw error;
+    }
+  }
+
+  // Event counts per geohash cell and by hour of week (organizers and admins)
+  async getEventDensity(params, token) {
+    try {
+      const queryParams = new URLSearchParams(params).toString();
+      const response = await fetch(
+        `${API_BASE_URL}/analytics/density?${queryParams}`,
+        {
+          headers: {
+            Authorization: `Bearer ${token}`,
+          },
+        }
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch event density");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error fetching event density:", error);
+      throw error;
+    }
+  }
+
+  // With a token, the event also says where the user is on its waitlist
+  async getEventById(id, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/${id}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      });
       if (!response.ok) {
         throw new Error("Failed to fetch event");
       }
@@ -69,6 +167,98 @@ class EventService {
     }
   }
 
+  // Save changes to an event; formData may add photos
+  async updateEvent(eventId, formData, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/${eventId}`, {
+        method: "PUT",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to update event");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error updating event:", error);
+      throw error;
+    }
+  }
+
+  // An event as it will look once published, with its AI summary:
+  // { event, aiSummary } (organizer/admin only)
+  async previewEvent(eventId, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/${eventId}/preview`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to preview event");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error previewing event:", error);
+      throw error;
+    }
+  }
+
+  // Status changes of one of the user's events with reviewers' reasons:
+  // { status, statusReason, submissions, history }
+  async getEventHistory(eventId, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/${eventId}/history`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch event history");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error fetching event history:", error);
+      throw error;
+    }
+  }
+
+  // Publish a draft now, or schedule it when publishAt is given; also
+  // resubmits events sent back by reviewers
+  async publishEvent(eventId, publishAt, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/${eventId}/publish`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${token}`,
+        },
+        body: JSON.stringify(publishAt ? { publishAt } : {}),
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to publish event");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error publishing event:", error);
+      throw error;
+    }
+  }
+
   async attendEvent(eventId, token) {
     try {
       const response = await fetch(`${API_BASE_URL}/events/${eventId}/attend`, {
@@ -91,6 +281,77 @@ class EventService {
     }
   }
 
+  // Import events from an .ics or .csv file; dryRun previews the report
+  async importEvents(formData, token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/import`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+        body: formData,
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to import events");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error importing events:", error);
+      throw error;
+    }
+  }
+
+  // Download link for a single event as an .ics file
+  getEventIcsUrl(eventId) {
+    return `${API_BASE_URL}/events/${eventId}/ics`;
+  }
+
+  async getCalendarFeeds(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/feeds`, {
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.message || "Failed to fetch calendar feeds");
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error fetching calendar feeds:", error);
+      throw error;
+    }
+  }
+
+  async regenerateCalendarFeeds(token) {
+    try {
+      const response = await fetch(`${API_BASE_URL}/events/feeds/regenerate`, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${token}`,
+        },
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(
+          errorData.message || "Failed to regenerate calendar feeds"
+        );
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error("Error regenerating calendar feeds:", error);
+      throw error;
+    }
+  }
+
   async generateDescription(data, token) {
     try {
       const response = await fetch(`${API_BASE_URL}/ai/generate-description`, {
@@ -118,7 +379,7 @@ class EventService {
   async getEventsAndTasks(params = {}) {
     try {
       // Get events
-      const events = await this.getEvents(params);
+      const { events } = await this.getEvents(params);
 
       // Get tasks from task service
       const taskService = require("./taskService");
@@ -0,0 +1,27 @@
+/**
+ * Read server-sent events from a fetch response, calling onEvent with each
+ * parsed `data:` payload. Heartbeat comments are skipped.
+ */
+export const readEventStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+
+    events.forEach((block) => {
+      const data = block
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trim())
+        .join('');
+      if (data) onEvent(JSON.parse(data));
+    });
+  }
+};
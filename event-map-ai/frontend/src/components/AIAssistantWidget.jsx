@@ -4,6 +4,7 @@
  */
 
 import React, { useState, useEffect, useRef } from 'react';
+import { readEventStream } from '../api/eventStream';
 import './AIAssistantWidget.css';
 
 const AIAssistantWidget = ({ user }) => {
@@ -15,6 +16,7 @@ const AIAssistantWidget = ({ user }) => {
   const [capabilities, setCapabilities] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamRef = useRef(null);
 
   // Initialize session and capabilities
   useEffect(() => {
@@ -24,6 +26,9 @@ const AIAssistantWidget = ({ user }) => {
     }
   }, [user]);
 
+  // Stop any response still streaming when the widget unmounts
+  useEffect(() => () => streamRef.current?.abort(), []);
+
   // Auto-scroll to bottom when new messages arrive
   useEffect(() => {
     scrollToBottom();
@@ -119,7 +124,12 @@ const AIAssistantWidget = ({ user }) => {
         return;
       }
 
-      const response = await fetch('/api/ai-assistant/chat', {
+      const controller = new AbortController();
+      streamRef.current = controller;
+
+      // Stream the reply so agent progress and partial results show up
+      // while the answer is being prepared
+      const response = await fetch('/api/ai-assistant/chat/stream', {
         method: 'POST',
         headers: {
           ...(token && { 'Authorization': `Bearer ${token}` }),
@@ -129,30 +139,67 @@ const AIAssistantWidget = ({ user }) => {
           message: inputMessage.trim(),
           sessionId,
           location: await getUserLocation()
-        })
+        }),
+        signal: controller.signal
       });
 
-      const data = await response.json();
+      if (!response.ok) {
+        const data = await response.json();
+        throw new Error(data.error || 'AI Assistant error');
+      }
 
-      if (data.success) {
-        const aiMessage = {
-          id: Date.now() + 1,
-          type: 'ai',
-          content: data.message,
-          timestamp: new Date(),
-          agentsUsed: data.explanation.agentsUsed,
-          reasoning: data.explanation.reasoning,
-          confidence: data.explanation.confidence,
-          safetyStatus: data.explanation.safetyStatus,
-          data: data.data,
-          executionTime: data.metadata.executionTime
-        };
+      const pendingId = `pending-${Date.now()}`;
+      setMessages(prev => [...prev, {
+        id: pendingId,
+        type: 'ai',
+        content: '',
+        timestamp: new Date(),
+        agentsUsed: [],
+        progress: [],
+        isStreaming: true
+      }]);
+
+      const updatePending = (changes) => {
+        setMessages(prev => prev.map(message => (
+          message.id === pendingId ? { ...message, ...changes(message) } : message
+        )));
+      };
 
-        setMessages(prev => [...prev, aiMessage]);
-      } else {
-        throw new Error(data.error || 'AI Assistant error');
+      let finished = false;
+      await readEventStream(response, (event) => {
+        if (event.type === 'progress') {
+          updatePending(message => ({
+            agentsUsed: [...message.agentsUsed, event.agent],
+            progress: [...message.progress, event.message],
+            ...(event.data ? { data: event.data } : {})
+          }));
+        } else if (event.type === 'token') {
+          updatePending(message => ({ content: message.content + event.content }));
+        } else if (event.type === 'done') {
+          finished = true;
+          updatePending(() => ({
+            id: event.metadata.messageId || pendingId,
+            content: event.message,
+            timestamp: new Date(),
+            agentsUsed: event.explanation.agentsUsed,
+            reasoning: event.explanation.reasoning,
+            confidence: event.explanation.confidence,
+            safetyStatus: event.explanation.safetyStatus,
+            data: event.data,
+            executionTime: event.metadata.executionTime,
+            progress: [],
+            isStreaming: false
+          }));
+        } else if (event.type === 'error') {
+          throw new Error(event.error || 'AI Assistant error');
+        }
+      });
+
+      if (!finished) {
+        throw new Error('The response ended early');
       }
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Error sending message:', error);
       
       const errorMessage = {
@@ -163,7 +210,8 @@ const AIAssistantWidget = ({ user }) => {
         isError: true
       };
 
-      setMessages(prev => [...prev, errorMessage]);
+      // Drop the partial reply in favour of the error
+      setMessages(prev => [...prev.filter(message => !message.isStreaming), errorMessage]);
     } finally {
       setIsLoading(false);
     }
@@ -239,6 +287,15 @@ const AIAssistantWidget = ({ user }) => {
       <div key={message.id} className={`message ${message.type}`}>
         <div className="message-content">
           {message.content}
+          {message.isStreaming && message.progress?.length > 0 && (
+            <ul className="agent-progress">
+              {message.progress.map((step, index) => (
+                <li key={index} className={index === message.progress.length - 1 ? 'current' : ''}>
+                  {step}
+                </li>
+              ))}
+            </ul>
+          )}
           
           {/* Render event data if available */}
           {message.data?.events && (
@@ -271,7 +328,7 @@ const AIAssistantWidget = ({ user }) => {
         </div>
 
         {/* AI metadata */}
-        {message.type === 'ai' && !message.isError && (
+        {message.type === 'ai' && !message.isError && !message.isStreaming && (
           <div className="message-metadata">
             <div className="metadata-row">
               <div className="agents-used">
@@ -380,7 +437,7 @@ const AIAssistantWidget = ({ user }) => {
             {messages.map(renderMessage)}
             
             {/* Loading indicator */}
-            {isLoading && (
+            {isLoading && !messages.some(message => message.isStreaming) && (
               <div className="message ai loading">
                 <div className="ai-thinking">
                   <div className="thinking-avatar">🤖</div>
@@ -0,0 +1,163 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import adminService from '../api/adminService';
+
+const EMPTY_INVITE = { role: 'organizer', email: '', note: '', expiresInDays: 7 };
+
+// Single-use invite codes for organizer and admin accounts
+export default function AdminInvites() {
+  const { token } = useAuth();
+  const [invites, setInvites] = useState(null);
+  const [form, setForm] = useState(EMPTY_INVITE);
+  const [newCode, setNewCode] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const loadInvites = useCallback(async () => {
+    try {
+      setInvites(await adminService.getInvites(token));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [token]);
+
+  useEffect(() => {
+    adminService.getInvites(token)
+      .then(setInvites)
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const result = await adminService.createInvite({
+        ...form,
+        expiresInDays: Number(form.expiresInDays)
+      }, token);
+      setNewCode({ code: result.code, role: result.invite.role });
+      setForm(EMPTY_INVITE);
+      await loadInvites();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const handleRevoke = async (inviteId) => {
+    setError('');
+    try {
+      await adminService.revokeInvite(inviteId, token);
+      await loadInvites();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <>
+      <h2>Invites</h2>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {newCode && (
+        <div className="alert alert-success invite-code">
+          New {newCode.role} invite code: <code>{newCode.code}</code>
+          <span>Share it now; it won't be shown again.</span>
+        </div>
+      )}
+
+      <form className="invite-form" onSubmit={handleCreate}>
+        <div className="form-group">
+          <label htmlFor="invite-role">Role</label>
+          <select id="invite-role" name="role" value={form.role} onChange={handleChange}>
+            <option value="organizer">Organizer</option>
+            <option value="admin">Admin</option>
+          </select>
+        </div>
+        <div className="form-group">
+          <label htmlFor="invite-email">Email (optional)</label>
+          <input
+            id="invite-email"
+            type="email"
+            name="email"
+            placeholder="Only this address can use it"
+            value={form.email}
+            onChange={handleChange}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="invite-days">Expires in (days)</label>
+          <input
+            id="invite-days"
+            type="number"
+            name="expiresInDays"
+            min="1"
+            max="30"
+            value={form.expiresInDays}
+            onChange={handleChange}
+          />
+        </div>
+        <div className="form-group">
+          <label htmlFor="invite-note">Note (optional)</label>
+          <input
+            id="invite-note"
+            type="text"
+            name="note"
+            placeholder="Who is it for?"
+            value={form.note}
+            onChange={handleChange}
+          />
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={busy}>
+          {busy ? 'Creating...' : 'Create Invite'}
+        </button>
+      </form>
+
+      {invites && invites.length === 0 && (
+        <p className="admin-empty">No invites yet.</p>
+      )}
+
+      {invites && invites.length > 0 && (
+        <table className="invite-table">
+          <thead>
+            <tr>
+              <th>Role</th>
+              <th>For</th>
+              <th>Status</th>
+              <th>Expires</th>
+              <th>Created by</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {invites.map(invite => (
+              <tr key={invite._id}>
+                <td>{invite.role}</td>
+                <td>{invite.email || invite.note || 'Anyone'}</td>
+                <td className={`invite-status invite-${invite.status}`}>
+                  {invite.status}
+                  {invite.usedBy && ` by ${invite.usedBy.name}`}
+                </td>
+                <td>{new Date(invite.expiresAt).toLocaleDateString()}</td>
+                <td>{invite.createdBy?.name}</td>
+                <td>
+                  {invite.status === 'active' && (
+                    <button type="button" className="btn btn-secondary" onClick={() => handleRevoke(invite._id)}>
+                      Revoke
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </>
+  );
+}
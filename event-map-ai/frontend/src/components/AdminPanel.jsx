@@ -0,0 +1,51 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import ModerationQueue from './ModerationQueue';
+import OrganizerRequests from './OrganizerRequests';
+import AdminInvites from './AdminInvites';
+import './CreateEvent.css';
+import './AdminPanel.css';
+
+const TABS = [
+  { value: 'moderation', label: 'Moderation' },
+  { value: 'organizers', label: 'Organizer Requests' },
+  { value: 'invites', label: 'Invites' }
+];
+
+export default function AdminPanel() {
+  const { currentUser } = useAuth();
+  const [activeTab, setActiveTab] = useState('moderation');
+
+  if (!currentUser || currentUser.role !== 'admin') {
+    return (
+      <div className="create-event-container">
+        <div className="create-event-card">
+          <h2>Only admins can moderate events</h2>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="create-event-container admin-panel">
+      <div className="create-event-card">
+        <div className="admin-tabs">
+          {TABS.map(tab => (
+            <button
+              key={tab.value}
+              type="button"
+              className={`admin-tab ${activeTab === tab.value ? 'active' : ''}`}
+              onClick={() => setActiveTab(tab.value)}
+            >
+              {tab.label}
+            </button>
+          ))}
+        </div>
+
+        {activeTab === 'moderation' && <ModerationQueue />}
+        {activeTab === 'organizers' && <OrganizerRequests />}
+        {activeTab === 'invites' && <AdminInvites />}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { readEventStream } from '../api/eventStream';
 import './ChatAssistant.css';
 
 // Get API base URL from environment or default to localhost
@@ -9,6 +11,7 @@ const ChatAssistant = () => {
   const [inputValue, setInputValue] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
+  const streamRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -18,6 +21,15 @@ const ChatAssistant = () => {
     scrollToBottom();
   }, [messages]);
 
+  // Stop any response still streaming when the chat closes
+  useEffect(() => () => streamRef.current?.abort(), []);
+
+  const updateMessage = (id, changes) => {
+    setMessages(prev => prev.map(message => (
+      message.id === id ? { ...message, ...changes(message) } : message
+    )));
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     
@@ -34,40 +46,60 @@ const ChatAssistant = () => {
     setInputValue('');
     setIsLoading(true);
 
+    const aiMessageId = Date.now() + 1;
+    const controller = new AbortController();
+    streamRef.current = controller;
+
     try {
-      // Send message to backend
-      const response = await fetch(`${API_BASE_URL}/chat/message`, {
+      // Stream the response from the backend
+      const response = await fetch(`${API_BASE_URL}/chat/stream`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
         body: JSON.stringify({ message: inputValue }),
+        signal: controller.signal,
       });
 
-      const data = await response.json();
-      
-      if (response.ok) {
-        // Add AI response
-        const aiMessage = { 
-          id: Date.now() + 1, 
-          text: data.response, 
-          sender: 'ai',
-          context: data.context
-        };
-        setMessages(prev => [...prev, aiMessage]);
-      } else {
+      if (!response.ok) {
+        const data = await response.json();
         throw new Error(data.error || 'Failed to get response');
       }
+
+      setMessages(prev => [...prev, {
+        id: aiMessageId,
+        text: '',
+        sender: 'ai',
+        isStreaming: true
+      }]);
+
+      await readEventStream(response, (event) => {
+        if (event.type === 'context') {
+          updateMessage(aiMessageId, () => ({ context: event.content }));
+        } else if (event.type === 'token') {
+          updateMessage(aiMessageId, message => ({ text: message.text + event.content }));
+        } else if (event.type === 'done') {
+          updateMessage(aiMessageId, () => ({ events: event.events, isStreaming: false }));
+        } else if (event.type === 'error') {
+          updateMessage(aiMessageId, message => ({
+            text: message.text || event.error,
+            isError: true,
+            isStreaming: false
+          }));
+        }
+      });
     } catch (error) {
+      if (error.name === 'AbortError') return;
       console.error('Error sending message:', error);
       const errorMessage = { 
-        id: Date.now() + 1, 
+        id: Date.now() + 2, 
         text: 'Sorry, I encountered an error. Please try again.', 
         sender: 'ai',
         isError: true
       };
-      setMessages(prev => [...prev, errorMessage]);
+      setMessages(prev => [...prev.filter(message => message.id !== aiMessageId || message.text), errorMessage]);
     } finally {
+      updateMessage(aiMessageId, () => ({ isStreaming: false }));
       setIsLoading(false);
     }
   };
@@ -103,7 +135,23 @@ const ChatAssistant = () => {
             >
               <div className="message-content">
                 {message.text}
-                {message.context && (
+                {message.isStreaming && <span className="streaming-cursor" />}
+                {message.events && message.events.length > 0 && (
+                  <div className="message-events">
+                    {message.events.map(event => (
+                      <Link key={event.id} to={`/event/${event.id}`} className="message-event-card">
+                        <strong>{event.title}</strong>
+                        <span>
+                          {[event.category, event.location].filter(Boolean).join(' · ')}
+                        </span>
+                        {event.date && (
+                          <span>{new Date(event.date).toLocaleDateString()}</span>
+                        )}
+                      </Link>
+                    ))}
+                  </div>
+                )}
+                {message.context && !message.events?.length && (
                   <div className="message-context">
                     <small>Context: {message.context}</small>
                   </div>
@@ -112,7 +160,7 @@ const ChatAssistant = () => {
             </div>
           ))
         )}
-        {isLoading && (
+        {isLoading && !messages.some(message => message.isStreaming) && (
           <div className="message ai">
             <div className="message-content typing-indicator">
               <span></span>
@@ -1,5 +1,5 @@
 import React, { useState, useRef, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet';
 import L from 'leaflet';
 import { useAuth } from '../context/AuthContext';
@@ -14,25 +14,49 @@ L.Icon.Default.mergeOptions({
   shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.7.1/images/marker-shadow.png',
 });
 
+const EMPTY_EVENT = {
+  title: '',
+  description: '',
+  location: '',
+  latitude: '',
+  longitude: '',
+  date: '',
+  endDate: '',
+  category: 'other',
+  pricing: 'free',
+  price: '',
+  currency: 'USD',
+  capacity: '',
+  publishAt: '',
+  photos: [] // Added for photo upload
+};
+
+// Value for a datetime-local input, in the browser's time zone
+const toLocalInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
 export default function CreateEvent() {
   const [currentStep, setCurrentStep] = useState(1);
   const totalSteps = 4;
   
-  const [eventData, setEventData] = useState({
-    title: '',
-    description: '',
-    location: '',
-    latitude: '',
-    longitude: '',
-    date: '',
-    endDate: '',
-    category: 'other',
-    photos: [] // Added for photo upload
-  });
+  const [eventData, setEventData] = useState(EMPTY_EVENT);
+
+  // Server-side draft being edited (or an event sent back by a reviewer),
+  // its status and the photos already saved with it
+  const [draftId, setDraftId] = useState(null);
+  const [draftStatus, setDraftStatus] = useState(null);
+  const [reviewNote, setReviewNote] = useState('');
+  const [savedPhotoCount, setSavedPhotoCount] = useState(0);
+  const [draftMessage, setDraftMessage] = useState('');
+  const [preview, setPreview] = useState(null);
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState(false);
+  const [submittedForReview, setSubmittedForReview] = useState(false);
   const [mapCenter, setMapCenter] = useState([20.5937, 78.9629]); // Default to India center
   const [markerPosition, setMarkerPosition] = useState(null);
   const [useCurrentLocation, setUseCurrentLocation] = useState(true);
@@ -87,9 +111,46 @@ export default function CreateEvent() {
 
   const { token, currentUser } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const mapRef = useRef(null);
   const markerRef = useRef(null);
 
+  // Continue editing a draft opened from the profile page
+  useEffect(() => {
+    const id = searchParams.get('draft');
+    if (!id || !token) return;
+
+    eventService.previewEvent(id, token)
+      .then(({ event }) => {
+        setDraftId(event._id);
+        setDraftStatus(event.status);
+        setReviewNote(event.statusReason || '');
+        setSavedPhotoCount(event.photos.length);
+        setEventData({
+          ...EMPTY_EVENT,
+          title: event.title || '',
+          description: event.description || '',
+          location: event.location || '',
+          latitude: event.latitude ?? '',
+          longitude: event.longitude ?? '',
+          date: toLocalInput(event.date),
+          endDate: toLocalInput(event.endDate),
+          category: event.category || 'other',
+          pricing: event.pricing || 'free',
+          price: event.price ?? '',
+          currency: event.currency || 'USD',
+          capacity: event.capacity ?? '',
+          publishAt: toLocalInput(event.publishAt)
+        });
+        if (event.latitude !== null && event.longitude !== null) {
+          setMarkerPosition([event.latitude, event.longitude]);
+          setMapCenter([event.latitude, event.longitude]);
+          setUseCurrentLocation(false);
+        }
+      })
+      .catch((err) => setError(err.message || 'Failed to load draft'));
+  }, [searchParams, token]);
+
   // Initialize map center to user's location if available
   useEffect(() => {
     if (navigator.geolocation) {
@@ -122,13 +183,14 @@ export default function CreateEvent() {
   const validateStep = (step) => {
     switch(step) {
       case 1:
-        return eventData.title && eventData.category;
+        return eventData.title && eventData.category && eventData.date;
       case 2:
         return eventData.description;
       case 3:
-        return eventData.location && eventData.latitude && eventData.longitude;
+        // Without a pin the server geocodes the typed address
+        return eventData.location;
       case 4:
-        return eventData.date;
+        return eventData.pricing === 'free' || eventData.price !== '';
       default:
         return true;
     }
@@ -233,12 +295,94 @@ export default function CreateEvent() {
     }
   };
 
+  const buildFormData = () => {
+    const formData = new FormData();
+    Object.keys(eventData).forEach(key => {
+      if (key === 'photos') return;
+      if (key === 'publishAt') {
+        // Only drafts can be scheduled
+        if (draftStatus && draftStatus !== 'draft') return;
+        // Send the schedule as an absolute time
+        formData.append(key, eventData.publishAt ? new Date(eventData.publishAt).toISOString() : '');
+      } else if (key === 'latitude' || key === 'longitude') {
+        // Ensure latitude and longitude are properly formatted
+        formData.append(key, String(eventData[key]));
+      } else {
+        formData.append(key, eventData[key]);
+      }
+    });
+
+    // Append photos if any
+    if (eventData.photos && Array.isArray(eventData.photos)) {
+      eventData.photos.forEach(photo => {
+        formData.append('photos', photo);
+      });
+    }
+
+    return formData;
+  };
+
+  // Create the draft on the first save and update it afterwards. Photos are
+  // uploaded once, then counted as saved.
+  const saveDraft = async () => {
+    const formData = buildFormData();
+    let response;
+    if (draftId) {
+      response = await eventService.updateEvent(draftId, formData, token);
+    } else {
+      formData.append('draft', 'true');
+      response = await eventService.createEvent(formData, token);
+      setDraftId(response.event._id);
+      setDraftStatus(response.event.status);
+    }
+
+    setSavedPhotoCount(prev => prev + eventData.photos.length);
+    setEventData(prev => ({ ...prev, photos: [] }));
+    return response.event;
+  };
+
+  const handleSaveDraft = async () => {
+    if (!eventData.title || !eventData.date) {
+      setError('Add a title and start date to save a draft');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    setDraftMessage('');
+    try {
+      await saveDraft();
+      setDraftMessage(`Draft saved at ${new Date().toLocaleTimeString()}`);
+    } catch (err) {
+      setError(err.message || 'Failed to save draft');
+    }
+    setLoading(false);
+  };
+
+  // Save the draft and show it as it will be published, with its AI summary
+  const handlePreview = async () => {
+    if (!eventData.title || !eventData.date) {
+      setError('Add a title and start date to preview the event');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const event = await saveDraft();
+      setPreview(await eventService.previewEvent(event._id, token));
+    } catch (err) {
+      setError(err.message || 'Failed to preview event');
+    }
+    setLoading(false);
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
     // Validate required fields
     if (!eventData.title || !eventData.description || !eventData.location ||
-      !eventData.latitude || !eventData.longitude || !eventData.date) {
+      !eventData.date) {
       setError('Please fill in all required fields');
       return;
     }
@@ -248,47 +392,45 @@ export default function CreateEvent() {
     setSuccess(false);
 
     try {
-      // Prepare form data for submission
-      const formData = new FormData();
-      Object.keys(eventData).forEach(key => {
-        if (key !== 'photos') {
-          // Ensure latitude and longitude are properly formatted
-          if (key === 'latitude' || key === 'longitude') {
-            formData.append(key, String(eventData[key]));
-          } else {
-            formData.append(key, eventData[key]);
-          }
-        }
-      });
-      
-      // Append photos if any
-      if (eventData.photos && Array.isArray(eventData.photos)) {
-        eventData.photos.forEach(photo => {
-          formData.append('photos', photo);
-        });
+      let response;
+      if (eventData.publishAt) {
+        // Scheduled events stay drafts until the publish time
+        await saveDraft();
+        setSuccess(true);
+        setTimeout(() => navigate('/profile'), 2000);
+        setLoading(false);
+        return;
+      } else if (draftId) {
+        await saveDraft();
+        response = await eventService.publishEvent(draftId, null, token);
+      } else {
+        response = await eventService.createEvent(buildFormData(), token);
       }
-      
-      // Debugging: Log FormData contents
-      console.log("FormData contents:");
-      for (let [key, value] of formData.entries()) {
-        console.log(key, value);
+
+      if (response.event.status === 'rejected') {
+        const reasons = response.reasons?.length
+          ? response.reasons.join('; ')
+          : response.event.statusReason;
+        setError(`Your event was not published${reasons ? `: ${reasons}` : ''}`);
+        setLoading(false);
+        return;
       }
-      
-      const response = await eventService.createEvent(formData, token);
+
       setSuccess(true);
+      setSubmittedForReview(response.event.status === 'pending');
+
+      // Events waiting for review aren't public yet; follow them from the profile
+      if (response.event.status === 'pending') {
+        setEventData(EMPTY_EVENT);
+        setDraftId(null);
+        setTimeout(() => navigate('/profile'), 2000);
+        setLoading(false);
+        return;
+      }
 
       // Reset form
-      setEventData({
-        title: '',
-        description: '',
-        location: '',
-        latitude: '',
-        longitude: '',
-        date: '',
-        endDate: '',
-        category: 'other',
-        photos: []
-      });
+      setEventData(EMPTY_EVENT);
+      setDraftId(null);
 
       // Redirect to event page after short delay
       setTimeout(() => {
@@ -335,7 +477,7 @@ export default function CreateEvent() {
                   {step === 1 && 'Basic Info'}
                   {step === 2 && 'Description'}
                   {step === 3 && 'Location'}
-                  {step === 4 && 'Date & Details'}
+                  {step === 4 && 'Details'}
                 </div>
               </div>
             ))}
@@ -349,7 +491,21 @@ export default function CreateEvent() {
         </div>
 
         {error && <div className="alert alert-error">{error}</div>}
-        {success && <div className="alert alert-success">Event created successfully!</div>}
+        {success && (
+          <div className="alert alert-success">
+            {eventData.publishAt
+              ? `Event scheduled to publish on ${new Date(eventData.publishAt).toLocaleString()}`
+              : submittedForReview
+                ? 'Event submitted! A moderator will review it before it goes live.'
+                : 'Event created successfully!'}
+          </div>
+        )}
+        {draftMessage && !success && <div className="draft-status">{draftMessage}</div>}
+        {reviewNote && (draftStatus === 'changes_requested' || draftStatus === 'rejected') && (
+          <div className="alert alert-error">
+            {draftStatus === 'rejected' ? 'Rejected' : 'Changes requested'}: {reviewNote}
+          </div>
+        )}
 
         <form onSubmit={handleSubmit} encType="multipart/form-data">
           {/* Step 1: Basic Info */}
@@ -371,6 +527,18 @@ export default function CreateEvent() {
                 />
               </div>
 
+              <div className="form-group">
+                <label htmlFor="date">Start Date & Time *</label>
+                <input
+                  type="datetime-local"
+                  id="date"
+                  name="date"
+                  value={eventData.date}
+                  onChange={handleChange}
+                  required
+                />
+              </div>
+
               <div className="form-group">
                 <label htmlFor="category">Category *</label>
                 <div className="category-grid">
@@ -508,7 +676,9 @@ export default function CreateEvent() {
                 </div>
               </div>
 
-              <p className="map-hint">Click on the map or drag the marker to set location</p>
+              <p className="map-hint">
+                Click on the map or drag the marker to set location, or leave it unset to locate the address automatically
+              </p>
 
               <MapContainer
                 center={mapCenter}
@@ -546,27 +716,67 @@ export default function CreateEvent() {
           {/* Step 4: Date & Details */}
           {currentStep === 4 && (
             <div className="wizard-step animate-fade-in">
-              <h3>Date & Details</h3>
+              <h3>Details</h3>
               
               <div className="form-group">
-                <label htmlFor="date">Start Date & Time *</label>
+                <label htmlFor="endDate">End Date & Time</label>
                 <input
                   type="datetime-local"
-                  id="date"
-                  name="date"
-                  value={eventData.date}
+                  id="endDate"
+                  name="endDate"
+                  value={eventData.endDate}
                   onChange={handleChange}
-                  required
                 />
               </div>
 
               <div className="form-group">
-                <label htmlFor="endDate">End Date & Time</label>
+                <label htmlFor="pricing">Tickets</label>
+                <select
+                  id="pricing"
+                  name="pricing"
+                  value={eventData.pricing}
+                  onChange={handleChange}
+                >
+                  <option value="free">Free</option>
+                  <option value="fixed">Paid (single price)</option>
+                </select>
+              </div>
+
+              {eventData.pricing === 'fixed' && (
+                <div className="form-group">
+                  <label htmlFor="price">Ticket Price *</label>
+                  <input
+                    type="number"
+                    id="price"
+                    name="price"
+                    min="0"
+                    step="0.01"
+                    value={eventData.price}
+                    onChange={handleChange}
+                  />
+                  <select
+                    id="currency"
+                    name="currency"
+                    value={eventData.currency}
+                    onChange={handleChange}
+                  >
+                    <option value="USD">USD</option>
+                    <option value="EUR">EUR</option>
+                    <option value="GBP">GBP</option>
+                    <option value="INR">INR</option>
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group">
+                <label htmlFor="capacity">Capacity</label>
                 <input
-                  type="datetime-local"
-                  id="endDate"
-                  name="endDate"
-                  value={eventData.endDate}
+                  type="number"
+                  id="capacity"
+                  name="capacity"
+                  min="1"
+                  placeholder="Unlimited"
+                  value={eventData.capacity}
                   onChange={handleChange}
                 />
               </div>
@@ -581,6 +791,9 @@ export default function CreateEvent() {
                   accept="image/*"
                   multiple
                 />
+                {savedPhotoCount > 0 && (
+                  <p className="map-hint">{savedPhotoCount} photo(s) already saved with this draft</p>
+                )}
                 {eventData.photos.length > 0 && (
                   <div className="photo-preview">
                     <h4>Selected Photos ({eventData.photos.length})</h4>
@@ -604,6 +817,59 @@ export default function CreateEvent() {
             </div>
           )}
 
+          {currentStep === 4 && (!draftStatus || draftStatus === 'draft') && (
+            <div className="form-group">
+              <label htmlFor="publishAt">Publish At</label>
+              <input
+                type="datetime-local"
+                id="publishAt"
+                name="publishAt"
+                value={eventData.publishAt}
+                onChange={handleChange}
+              />
+              <p className="map-hint">
+                Leave empty to publish now. Scheduled events are reviewed when they are published.
+              </p>
+            </div>
+          )}
+
+          {preview && (
+            <div className="event-preview">
+              <div className="event-preview-header">
+                <h3>Preview</h3>
+                <button type="button" className="btn-remove-photo" onClick={() => setPreview(null)}>
+                  ×
+                </button>
+              </div>
+              <h4>{preview.event.title}</h4>
+              <p>📅 {new Date(preview.event.date).toLocaleString()}</p>
+              {preview.event.location && <p>📍 {preview.event.location}</p>}
+              {preview.event.description && <p>{preview.event.description}</p>}
+              {preview.aiSummary && (
+                <div className="event-preview-summary">
+                  <p><strong>{preview.aiSummary.shortTitle}</strong> — {preview.aiSummary.summary}</p>
+                  {preview.aiSummary.highlights?.length > 0 && (
+                    <ul>
+                      {preview.aiSummary.highlights.map((highlight, index) => (
+                        <li key={index}>{highlight}</li>
+                      ))}
+                    </ul>
+                  )}
+                  {preview.aiSummary.tags?.length > 0 && (
+                    <p className="event-preview-tags">
+                      {preview.aiSummary.tags.map(tag => `#${tag}`).join(' ')}
+                    </p>
+                  )}
+                </div>
+              )}
+              {preview.event.missingFields.length > 0 && (
+                <p className="event-preview-missing">
+                  Still needed before publishing: {preview.event.missingFields.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
           {/* Navigation Buttons */}
           <div className="wizard-navigation">
             {currentStep > 1 && (
@@ -619,6 +885,26 @@ export default function CreateEvent() {
             <div className="step-indicator-text">
               Step {currentStep} of {totalSteps}
             </div>
+
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={handleSaveDraft}
+              disabled={loading}
+            >
+              Save Draft
+            </button>
+
+            {currentStep === totalSteps && (
+              <button
+                type="button"
+                className="btn btn-secondary"
+                onClick={handlePreview}
+                disabled={loading}
+              >
+                Preview
+              </button>
+            )}
             
             {currentStep < totalSteps ? (
               <button
@@ -634,7 +920,13 @@ export default function CreateEvent() {
                 className="btn btn-primary"
                 disabled={loading}
               >
-                {loading ? 'Creating...' : '✨ Create Event'}
+                {loading
+                  ? 'Saving...'
+                  : eventData.publishAt
+                    ? '🕒 Schedule Event'
+                    : draftStatus === 'changes_requested' || draftStatus === 'rejected'
+                      ? '✨ Resubmit Event'
+                      : '✨ Create Event'}
               </button>
             )}
           </div>
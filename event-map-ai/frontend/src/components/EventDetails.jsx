@@ -9,6 +9,13 @@ import './EventDetails.css';
 // Get API base URL from environment or default to localhost
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:5000/api';
 
+// Banner shown for events that are no longer going ahead as planned
+const STATUS_NOTICES = {
+  cancelled: 'This event has been cancelled',
+  postponed: 'This event has been postponed; a new date will follow',
+  completed: 'This event has ended'
+};
+
 export default function EventDetails() {
   const { id } = useParams();
   const { token, currentUser } = useAuth();
@@ -17,6 +24,7 @@ export default function EventDetails() {
   const [error, setError] = useState(null);
   const [isAttending, setIsAttending] = useState(false);
   const [attendeesCount, setAttendeesCount] = useState(0);
+  const [isWaitlisted, setIsWaitlisted] = useState(false);
   
   // Review states
   const [reviews, setReviews] = useState([]);
@@ -34,7 +42,7 @@ export default function EventDetails() {
   useEffect(() => {
     const fetchEvent = async () => {
       try {
-        const eventData = await eventService.getEventById(id);
+        const eventData = await eventService.getEventById(id, token);
         setEvent(eventData);
         setAttendeesCount(eventData.attendees ? eventData.attendees.length : 0);
         
@@ -44,6 +52,7 @@ export default function EventDetails() {
             attendee => attendee.id === currentUser.id
           );
           setIsAttending(isUserAttending);
+          setIsWaitlisted(!!eventData.waitlistPosition);
         }
         
         setLoading(false);
@@ -102,8 +111,12 @@ export default function EventDetails() {
     
     try {
       const response = await eventService.attendEvent(id, token);
-      setIsAttending(!isAttending);
+      setIsAttending(response.status === 'attending');
+      setIsWaitlisted(response.status === 'waitlisted');
       setAttendeesCount(response.attendees);
+      if (response.status === 'waitlisted') {
+        alert(`${response.message} (position ${response.waitlistPosition})`);
+      }
     } catch (err) {
       alert(err.message || 'Failed to update attendance');
     }
@@ -184,6 +197,19 @@ export default function EventDetails() {
     }
   };
 
+  const formatTickets = (eventInfo) => {
+    if (!eventInfo.pricing || eventInfo.pricing === 'free') {
+      return 'Free';
+    }
+
+    const format = (amount) =>
+      new Intl.NumberFormat(undefined, { style: 'currency', currency: eventInfo.currency || 'USD' }).format(amount);
+
+    return eventInfo.ticketTypes
+      .map(ticket => `${ticket.name}: ${format(ticket.price)}`)
+      .join(' · ');
+  };
+
   const renderStars = (rating) => {
     return (
       <div className="stars">
@@ -227,6 +253,13 @@ export default function EventDetails() {
         </div>
       </div>
       
+      {STATUS_NOTICES[event.status] && (
+        <div className={`event-status-notice status-${event.status}`}>
+          {STATUS_NOTICES[event.status]}
+          {event.statusReason && <span>: {event.statusReason}</span>}
+        </div>
+      )}
+
       <div className="event-content">
         <div className="event-main">
           <div className="event-section">
@@ -251,6 +284,21 @@ export default function EventDetails() {
                 <span className="detail-label">🏢 Organizer</span>
                 <span className="detail-value">{event.organizer.name}</span>
               </div>
+
+              <div className="detail-item">
+                <span className="detail-label">🎟️ Tickets</span>
+                <span className="detail-value">{formatTickets(event)}</span>
+              </div>
+
+              {event.capacity && (
+                <div className="detail-item">
+                  <span className="detail-label">👥 Capacity</span>
+                  <span className="detail-value">
+                    {Math.max(event.capacity - attendeesCount, 0)} of {event.capacity} spots left
+                    {event.waitlistCount > 0 && ` (${event.waitlistCount} on waitlist)`}
+                  </span>
+                </div>
+              )}
             </div>
           </div>
           
@@ -360,8 +408,15 @@ export default function EventDetails() {
               <button 
                 className={`btn ${isAttending ? 'btn-secondary' : 'btn-primary'} btn-block`}
                 onClick={handleAttend}
+                disabled={event.status !== 'approved' && !isAttending && !isWaitlisted}
               >
-                {isAttending ? 'Cancel Attendance' : 'Attend Event'}
+                {isAttending
+                  ? 'Cancel Attendance'
+                  : isWaitlisted
+                    ? 'Leave Waitlist'
+                    : event.capacity && attendeesCount >= event.capacity
+                      ? 'Join Waitlist'
+                      : 'Attend Event'}
               </button>
             ) : (
               <button 
@@ -380,6 +435,13 @@ export default function EventDetails() {
             >
               Get Directions
             </a>
+
+            <a
+              href={eventService.getEventIcsUrl(id)}
+              className="btn btn-outline btn-block"
+            >
+              Add to Calendar
+            </a>
           </div>
           
           <div className="event-share">
@@ -40,7 +40,14 @@ const TIME_SLOTS = [
   { id: 'night', label: 'Night', start: 21, end: 6 }
 ];
 
-const FilterPanel = ({ onFilterChange, totalEvents, userLocation }) => {
+// Count for one value of a facet from /api/search, or null before it loads
+const getFacetCount = (facet, key, value) => {
+  if (!facet) return null;
+  const entry = facet.find(item => item[key] === value);
+  return entry ? entry.count : 0;
+};
+
+const FilterPanel = ({ onFilterChange, totalEvents, userLocation, facets }) => {
   const [isExpanded, setIsExpanded] = useState(false);
   const [filters, setFilters] = useState({
     categories: [],
@@ -176,6 +183,9 @@ const FilterPanel = ({ onFilterChange, totalEvents, userLocation }) => {
             >
               <span className="category-icon">{category.icon}</span>
               <span className="category-name">{category.name}</span>
+              {facets && (
+                <span className="facet-count">{getFacetCount(facets.categories, 'value', category.id)}</span>
+              )}
             </button>
           ))}
         </div>
@@ -229,6 +239,9 @@ const FilterPanel = ({ onFilterChange, totalEvents, userLocation }) => {
                     onClick={() => applyDatePreset(preset.id)}
                   >
                     {preset.label}
+                    {facets && (
+                      <span className="facet-count">{getFacetCount(facets.dates, 'value', preset.id)}</span>
+                    )}
                   </button>
                 ))}
               </div>
@@ -266,6 +279,20 @@ const FilterPanel = ({ onFilterChange, totalEvents, userLocation }) => {
                   />
                   <span className="distance-value">{filters.distance} km</span>
                 </div>
+                {facets?.distances?.length > 0 && (
+                  <div className="distance-rings">
+                    {facets.distances.map(ring => (
+                      <button
+                        key={ring.km}
+                        className={`preset-btn ${filters.distance === ring.km ? 'active' : ''}`}
+                        onClick={() => setDistance(ring.km)}
+                      >
+                        {ring.km} km
+                        <span className="facet-count">{ring.count}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
             )}
 
@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import authService from '../api/authService';
+import './Auth.css';
+
+export default function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await authService.forgotPassword(email);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-background">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="gradient-orb orb-3"></div>
+      </div>
+
+      <div className="auth-card enhanced">
+        <div className="auth-header">
+          <h2>Forgot Password</h2>
+          <p>We'll email you a link to choose a new one</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+        {message && <div className="alert alert-success">{message}</div>}
+
+        <form onSubmit={handleSubmit} className="auth-form">
+          <div className="form-group">
+            <label htmlFor="email">
+              <span className="label-icon">📧</span>
+              Email Address
+            </label>
+            <input
+              type="email"
+              id="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="Enter your email"
+              className="form-input"
+              required
+              autoFocus
+            />
+          </div>
+
+          <button
+            type="submit"
+            className="btn btn-primary btn-block btn-auth"
+            disabled={loading}
+          >
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+
+        <div className="auth-footer">
+          <p>
+            Remembered it? <Link to="/login" className="signup-link">Log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
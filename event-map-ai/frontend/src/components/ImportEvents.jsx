@@ -0,0 +1,206 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import eventService from '../api/eventService';
+import './CreateEvent.css';
+import './ImportEvents.css';
+
+// Event fields a CSV column can be mapped to; blank means auto-detect by header
+const MAPPABLE_FIELDS = [
+  { name: 'title', label: 'Title *' },
+  { name: 'description', label: 'Description' },
+  { name: 'location', label: 'Location' },
+  { name: 'date', label: 'Start Date *' },
+  { name: 'endDate', label: 'End Date' },
+  { name: 'latitude', label: 'Latitude' },
+  { name: 'longitude', label: 'Longitude' },
+  { name: 'category', label: 'Category' },
+  { name: 'price', label: 'Price' },
+  { name: 'capacity', label: 'Capacity' },
+  { name: 'recurrence', label: 'Recurrence (RRULE)' }
+];
+
+const OUTCOME_LABELS = {
+  created: 'Created',
+  duplicate: 'Duplicate',
+  rejected: 'Rejected',
+  invalid: 'Invalid',
+  skipped: 'Skipped'
+};
+
+// Read the header row of a CSV file so columns can be picked from a list
+const readCsvHeader = (file) =>
+  new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      const firstLine = String(reader.result).replace(/^\uFEFF/, '').split(/\r?\n/)[0] || '';
+      resolve(
+        firstLine
+          .split(',')
+          .map((column) => column.trim().replace(/^"|"$/g, ''))
+          .filter(Boolean)
+      );
+    };
+    reader.onerror = () => resolve([]);
+    reader.readAsText(file.slice(0, 64 * 1024));
+  });
+
+export default function ImportEvents() {
+  const { currentUser, token } = useAuth();
+  const [file, setFile] = useState(null);
+  const [columns, setColumns] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!currentUser || (currentUser.role !== 'organizer' && currentUser.role !== 'admin')) {
+    return (
+      <div className="create-event-container">
+        <div className="create-event-card">
+          <h2>Only organizers can import events</h2>
+        </div>
+      </div>
+    );
+  }
+
+  const isCsv = file && file.name.toLowerCase().endsWith('.csv');
+
+  const handleFileChange = async (e) => {
+    const selected = e.target.files[0] || null;
+    setFile(selected);
+    setReport(null);
+    setError('');
+    setMapping({});
+    setColumns(selected && selected.name.toLowerCase().endsWith('.csv')
+      ? await readCsvHeader(selected)
+      : []);
+  };
+
+  const handleMappingChange = (field, column) => {
+    setMapping(prev => ({ ...prev, [field]: column }));
+  };
+
+  const runImport = async (dryRun) => {
+    if (!file) {
+      setError('Please choose an .ics or .csv file');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('dryRun', String(dryRun));
+      if (isCsv) {
+        const explicitMapping = Object.fromEntries(
+          Object.entries(mapping).filter(([, column]) => column)
+        );
+        formData.append('mapping', JSON.stringify(explicitMapping));
+      }
+
+      setReport(await eventService.importEvents(formData, token));
+    } catch (err) {
+      setError(err.message);
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="create-event-container">
+      <div className="create-event-card">
+        <h2>Import Events</h2>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        <div className="form-group">
+          <label htmlFor="import-file">Calendar file (.ics) or spreadsheet (.csv)</label>
+          <input id="import-file" type="file" accept=".ics,.ical,.csv" onChange={handleFileChange} />
+        </div>
+
+        {isCsv && columns.length > 0 && (
+          <div className="import-mapping">
+            <h3>Column Mapping</h3>
+            <p className="map-hint">Leave a field on auto-detect to match it by column name.</p>
+            <div className="import-mapping-grid">
+              {MAPPABLE_FIELDS.map(field => (
+                <div className="form-group" key={field.name}>
+                  <label htmlFor={`map-${field.name}`}>{field.label}</label>
+                  <select
+                    id={`map-${field.name}`}
+                    value={mapping[field.name] || ''}
+                    onChange={(e) => handleMappingChange(field.name, e.target.value)}
+                  >
+                    <option value="">Auto-detect</option>
+                    {columns.map(column => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="import-actions">
+          <button className="btn btn-outline" disabled={loading || !file} onClick={() => runImport(true)}>
+            {loading ? 'Checking...' : 'Preview'}
+          </button>
+          <button className="btn btn-primary" disabled={loading || !file} onClick={() => runImport(false)}>
+            {loading ? 'Importing...' : 'Import'}
+          </button>
+        </div>
+
+        {report && (
+          <div className="import-report">
+            <div className={`alert ${report.dryRun ? 'alert-info' : 'alert-success'}`}>{report.message}</div>
+            <p className="import-summary">
+              {Object.keys(OUTCOME_LABELS).map(outcome => (
+                <span key={outcome} className={`import-outcome outcome-${outcome}`}>
+                  {OUTCOME_LABELS[outcome]}: {report.summary[outcome]}
+                </span>
+              ))}
+            </p>
+
+            <table className="import-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Title</th>
+                  <th>Result</th>
+                  <th>Details</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.rows.map(row => (
+                  <tr key={row.row}>
+                    <td>{row.row}</td>
+                    <td>
+                      {row.eventId ? <Link to={`/event/${row.eventId}`}>{row.title}</Link> : row.title || '—'}
+                    </td>
+                    <td>
+                      <span className={`import-outcome outcome-${row.outcome}`}>
+                        {OUTCOME_LABELS[row.outcome]}
+                      </span>
+                    </td>
+                    <td>
+                      {(row.reasons || []).map(reason => <div key={reason}>{reason}</div>)}
+                      {row.flaggedDuplicate && row.duplicates && (
+                        <div>Similar to: {row.duplicates.map(d => d.title).join(', ')}</div>
+                      )}
+                      {(row.notes || []).map(note => <div key={note} className="import-note">{note}</div>)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
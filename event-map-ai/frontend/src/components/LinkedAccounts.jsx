@@ -0,0 +1,171 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../api/authService';
+
+const PROVIDER_LABELS = { google: 'Google', facebook: 'Facebook' };
+
+// Why a link came back without an identity token
+const LINK_ERRORS = {
+  expired: 'Linking took too long. Please try again.',
+  cancelled: 'Linking was cancelled.'
+};
+
+// Login methods on the profile page: linking and unlinking Google and
+// Facebook, and merging a duplicate account. Links return here from the
+// provider with ?identityToken=, which is confirmed on load
+export default function LinkedAccounts() {
+  const { token, mergeAccount } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [identityToken] = useState(() => searchParams.get('identityToken'));
+  const [logins, setLogins] = useState(null);
+  const [duplicate, setDuplicate] = useState(null);
+  const [mergeForm, setMergeForm] = useState({ email: '', password: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(() => LINK_ERRORS[searchParams.get('error')] || '');
+  const [message, setMessage] = useState('');
+  const confirmedToken = useRef(null);
+
+  useEffect(() => {
+    authService.getLogins(token)
+      .then(data => setLogins(data.logins))
+      .catch((err) => setError(err.message));
+  }, [token]);
+
+  // The link result is read once; take it out of the address bar
+  useEffect(() => {
+    if (searchParams.has('identityToken') || searchParams.has('error')) {
+      setSearchParams({}, { replace: true });
+    }
+  }, [searchParams, setSearchParams]);
+
+  useEffect(() => {
+    // Confirm once, even when effects run twice in development
+    if (!identityToken || confirmedToken.current === identityToken) return;
+    confirmedToken.current = identityToken;
+
+    authService.confirmLink(identityToken, token)
+      .then(data => {
+        setLogins(data.logins);
+        setMessage(data.message);
+      })
+      .catch((err) => {
+        setError(err.message);
+        if (err.code === 'IDENTITY_IN_USE') setDuplicate(err.duplicate);
+      });
+  }, [identityToken, token]);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const link = (provider) => run(async () => {
+    window.location.href = await authService.getLinkUrl(provider, token);
+  });
+
+  const unlink = (provider) => {
+    if (!window.confirm(`Unlink your ${PROVIDER_LABELS[provider]} account?`)) return;
+    run(async () => {
+      const data = await authService.unlink(provider, token);
+      setLogins(data.logins);
+      setMessage(data.message);
+    });
+  };
+
+  const merge = (proof) => run(async () => {
+    const result = await mergeAccount(proof);
+    if (!result.success) throw new Error(result.message);
+    setDuplicate(null);
+    setMergeForm({ email: '', password: '' });
+    setLogins(result.logins);
+    setMessage(result.message);
+  });
+
+  const submitMerge = (e) => {
+    e.preventDefault();
+    if (!window.confirm(`Merge ${mergeForm.email} into this account? It will be deleted.`)) return;
+    merge(mergeForm);
+  };
+
+  return (
+    <>
+      <h2 className="calendar-feeds-title">Login Methods</h2>
+      <p className="calendar-feeds-hint">
+        Ways to log in to this account; at least one has to stay. To add a password,
+        use a <Link to="/forgot-password">password reset link</Link>.
+      </p>
+      {error && <p className="calendar-feeds-error">{error}</p>}
+      {message && <p className="organizer-message">{message}</p>}
+
+      {duplicate && (
+        <div className="merge-prompt">
+          <p>
+            It is linked to {duplicate.name} ({duplicate.email}). If that account is yours
+            too, merge it into this one: its events, attendance and reviews move here and
+            it is deleted.
+          </p>
+          <button className="tab" onClick={() => merge({ identityToken })} disabled={busy}>
+            Merge Accounts
+          </button>
+        </div>
+      )}
+
+      {logins && (
+        <div className="profile-details">
+          <div className="detail-item session-item">
+            <span className="detail-label">Password</span>
+            <span className="detail-value">{logins.password ? 'Set' : 'Not set'}</span>
+          </div>
+          {Object.entries(PROVIDER_LABELS).map(([provider, label]) => (
+            <div key={provider} className="detail-item session-item">
+              <span className="detail-label">{label}</span>
+              {logins[provider] && (
+                <button className="tab" onClick={() => unlink(provider)} disabled={busy}>
+                  Unlink
+                </button>
+              )}
+              {!logins[provider] && logins.available.includes(provider) && (
+                <button className="tab" onClick={() => link(provider)} disabled={busy}>
+                  Link
+                </button>
+              )}
+              {!logins[provider] && !logins.available.includes(provider) && (
+                <span className="detail-value">Not available</span>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <p className="calendar-feeds-hint merge-hint">
+        Signed up twice by mistake? Merge the other account into this one with its email
+        and password.
+      </p>
+      <form className="organizer-form" onSubmit={submitMerge}>
+        <input
+          type="email"
+          placeholder="Other account's email"
+          value={mergeForm.email}
+          onChange={(e) => setMergeForm(prev => ({ ...prev, email: e.target.value }))}
+          required
+        />
+        <input
+          type="password"
+          placeholder="Other account's password"
+          value={mergeForm.password}
+          onChange={(e) => setMergeForm(prev => ({ ...prev, password: e.target.value }))}
+          required
+        />
+        <button type="submit" className="tab" disabled={busy}>Merge Account</button>
+      </form>
+    </>
+  );
+}
@@ -1,14 +1,24 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { useNavigate, useSearchParams, useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import './Auth.css';
 
+// Why a social login sent the user back here (?error=)
+const SOCIAL_LOGIN_ERRORS = {
+  account_exists: 'An account with this email already exists. Log in to it, then link your social account from your profile.',
+  social_login_failed: 'Social login failed. Please try again.'
+};
+
 export default function Login() {
+  const [searchParams] = useSearchParams();
+  // Set by pages sending the user here, e.g. after confirming an email address
+  const notice = useLocation().state?.message;
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [showPassword, setShowPassword] = useState(false);
-  const [error, setError] = useState('');
+  const [error, setError] = useState(() => SOCIAL_LOGIN_ERRORS[searchParams.get('error')] || '');
   const [loading, setLoading] = useState(false);
+  const [unverified, setUnverified] = useState(false);
 
   const { login } = useAuth();
   const navigate = useNavigate();
@@ -23,14 +33,18 @@ export default function Login() {
 
     setLoading(true);
     setError('');
+    setUnverified(false);
 
     try {
       const result = await login(email, password);
 
-      if (result.success) {
+      if (result.success && result.twoFactor) {
+        navigate('/two-factor', { state: { challengeToken: result.challengeToken, step: result.twoFactor } });
+      } else if (result.success) {
         navigate('/');
       } else {
         setError(result.message || 'Failed to log in');
+        setUnverified(result.code === 'EMAIL_NOT_VERIFIED');
       }
     } catch (err) {
       setError('Failed to log in');
@@ -54,7 +68,19 @@ export default function Login() {
           <p>Sign in to continue to your account</p>
         </div>
 
-        {error && <div className="alert alert-error">{error}</div>}
+        {notice && !error && <div className="alert alert-success">{notice}</div>}
+
+        {error && (
+          <div className="alert alert-error">
+            {error}
+            {unverified && (
+              <>
+                {' '}
+                <Link to={`/verify-email?email=${encodeURIComponent(email)}`}>Resend the link</Link>
+              </>
+            )}
+          </div>
+        )}
 
         <form onSubmit={handleSubmit} className="auth-form">
           <div className="form-group">
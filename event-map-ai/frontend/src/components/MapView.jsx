@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { MapContainer, TileLayer, Marker, Popup, Circle, useMap } from 'react-leaflet';
+import { MapContainer, TileLayer, Marker, Popup, Circle, Rectangle, useMap, useMapEvents } from 'react-leaflet';
 import L from 'leaflet';
 import eventService from '../api/eventService';
 import EventCard from './EventCard';
@@ -71,6 +71,38 @@ const getCategoryColor = (category) => {
   return colorMap[category?.toLowerCase()] || '#3b82f6';
 };
 
+// Server-side cluster: a bubble sized by its count, in its dominant category's color
+const getClusterIcon = (cluster) => {
+  const size = Math.min(32 + Math.log10(cluster.count) * 14, 64);
+  return L.divIcon({
+    html: `<div class="cluster-bubble" style="
+      background-color: ${getCategoryColor(cluster.dominantCategory)};
+      width: ${size}px;
+      height: ${size}px;
+    ">${cluster.count}</div>`,
+    className: 'cluster-marker',
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2]
+  });
+};
+
+// Above this many events in view, clusters are shown instead of markers
+const MAX_MARKERS = 300;
+
+// Geohash length giving heatmap cells of a few dozen pixels at a zoom level
+const getHeatmapPrecision = (zoom) => {
+  if (zoom <= 2) return 2;
+  if (zoom <= 4) return 3;
+  if (zoom <= 7) return 4;
+  if (zoom <= 9) return 5;
+  if (zoom <= 12) return 6;
+  if (zoom <= 14) return 7;
+  return 8;
+};
+
+// Yellow for the quietest cells through to red for the busiest
+const getHeatColor = (intensity) => `hsl(${Math.round(50 - intensity * 50)}, 100%, 50%)`;
+
 // User location icon (pulsing blue dot)
 const userLocationIcon = L.divIcon({
   html: `
@@ -104,8 +136,28 @@ function MapController({ center, zoom }) {
   return null;
 }
 
+// Reports the visible area ([minLng, minLat, maxLng, maxLat]) and zoom whenever the map stops moving
+function ViewportWatcher({ onChange }) {
+  const map = useMapEvents({
+    moveend: () => onChange({ bounds: toBounds(map.getBounds()), zoom: map.getZoom() })
+  });
+
+  useEffect(() => {
+    onChange({ bounds: toBounds(map.getBounds()), zoom: map.getZoom() });
+  }, [map, onChange]);
+
+  return null;
+}
+
+const toBounds = (bounds) => [
+  bounds.getWest(),
+  bounds.getSouth(),
+  bounds.getEast(),
+  bounds.getNorth()
+];
+
 export default function MapView() {
-  const { currentUser } = useAuth();
+  const { currentUser, token } = useAuth();
   const [userPosition, setUserPosition] = useState(null);
   const [locationAccuracy, setLocationAccuracy] = useState(null);
   const [locationPermission, setLocationPermission] = useState('prompt');
@@ -119,6 +171,13 @@ export default function MapView() {
   const mapRef = useRef();
   const watchIdRef = useRef(null);
   const [filters, setFilters] = useState({});
+  const [facets, setFacets] = useState(null);
+  const [viewport, setViewport] = useState(null);
+  // Clusters replace individual markers in dense views; null shows markers
+  const [clusters, setClusters] = useState(null);
+  const [showHeatmap, setShowHeatmap] = useState(false);
+  const [heatmap, setHeatmap] = useState(null);
+  const canViewHeatmap = currentUser?.role === 'organizer' || currentUser?.role === 'admin';
   const [searchQuery, setSearchQuery] = useState('');
   const [mapLayer, setMapLayer] = useState('standard');
   const [showLegend, setShowLegend] = useState(true);
@@ -153,14 +212,11 @@ export default function MapView() {
           setMapCenter(userPos);
           setMapZoom(14);
           setLoading(false);
-          
-          fetchAllEvents();
         },
         (err) => {
           console.error("Error getting location:", err);
           handleLocationError(err);
           setLoading(false);
-          fetchAllEvents();
         },
         options
       );
@@ -182,7 +238,6 @@ export default function MapView() {
       setError("Geolocation is not supported by your browser. Showing all events.");
       setLocationPermission('denied');
       setLoading(false);
-      fetchAllEvents();
     }
 
     // Cleanup watch on unmount
@@ -210,24 +265,61 @@ export default function MapView() {
     }
   };
 
-  const fetchAllEvents = async () => {
-    try {
-      const eventsData = await eventService.getEvents();
-      setAllEvents(eventsData);
-      setFilteredEvents(eventsData);
-    } catch (err) {
-      console.error("Error fetching events:", err);
-      setError("Failed to load events from server. Showing demo data.");
-      const staticEvents = eventService.getStaticEvents();
-      setAllEvents(staticEvents);
-      setFilteredEvents(staticEvents);
-    }
-  };
+  // Load the events inside the viewport once panning or zooming settles,
+  // or their clusters when there are too many to show one by one
+  useEffect(() => {
+    if (!viewport) return;
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const clusterData = await eventService.getEventClusters(viewport.bounds, viewport.zoom);
+        if (cancelled) return;
+        if (clusterData.total > MAX_MARKERS) {
+          setClusters(clusterData.clusters);
+          setAllEvents([]);
+          return;
+        }
+
+        const eventsData = await eventService.getEventsInBounds(viewport.bounds);
+        if (!cancelled) {
+          setClusters(null);
+          setAllEvents(eventsData);
+        }
+      } catch (err) {
+        console.error("Error fetching events:", err);
+        if (!cancelled) setError("Failed to load events from server.");
+      }
+    }, 300);
 
-  // Apply filters to events
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [viewport]);
+
+  // Density of the viewport for the heatmap layer
   useEffect(() => {
-    if (!allEvents.length) return;
+    if (!showHeatmap || !viewport || !token) return;
+
+    let cancelled = false;
+    const params = {
+      bbox: viewport.bounds.join(','),
+      precision: getHeatmapPrecision(viewport.zoom),
+      timezone: Intl.DateTimeFormat().resolvedOptions().timeZone
+    };
+    if (filters.categories?.length) params.category = filters.categories.join(',');
+    if (filters.dateRange?.start) params.startDate = filters.dateRange.start.toISOString();
+    if (filters.dateRange?.end) params.endDate = filters.dateRange.end.toISOString();
+
+    eventService.getEventDensity(params, token)
+      .then(data => { if (!cancelled) setHeatmap(data); })
+      .catch(() => { if (!cancelled) setHeatmap(null); });
+    return () => { cancelled = true; };
+  }, [showHeatmap, viewport, token, filters]);
 
+  // Apply filters to events
+  useEffect(() => {
     let filtered = [...allEvents];
 
     // Category filter
@@ -295,18 +387,33 @@ export default function MapView() {
     }
 
     setFilteredEvents(filtered);
+  }, [filters, allEvents, userPosition]);
 
-    // Auto-center map on filtered events
-    if (filtered.length > 0 && !userPosition) {
-      const firstEvent = filtered[0];
-      const lat = firstEvent.latitude || firstEvent.locationCoords?.coordinates[1];
-      const lng = firstEvent.longitude || firstEvent.locationCoords?.coordinates[0];
-      if (lat && lng) {
-        setMapCenter([lat, lng]);
-        setMapZoom(12);
-      }
+  // Facet counts for the filter panel. The position is rounded (~1 km) so
+  // location updates don't refetch on every small move.
+  const facetOrigin = userPosition ? userPosition.map(c => c.toFixed(2)).join(',') : '';
+  useEffect(() => {
+    const params = { limit: 1 };
+    if (facetOrigin) {
+      const [latitude, longitude] = facetOrigin.split(',');
+      Object.assign(params, { latitude, longitude, radius: filters.distance || 10 });
     }
-  }, [filters, allEvents, userPosition]);
+    if (filters.categories?.length) params.category = filters.categories.join(',');
+    if (filters.dateRange?.start) params.startDate = filters.dateRange.start.toISOString();
+    if (filters.dateRange?.end) params.endDate = filters.dateRange.end.toISOString();
+    if (filters.priceRange?.free) {
+      params.free = 'true';
+    } else if (filters.priceRange) {
+      if (filters.priceRange.min > 0) params.minPrice = filters.priceRange.min;
+      if (filters.priceRange.max < 1000) params.maxPrice = filters.priceRange.max;
+    }
+
+    let cancelled = false;
+    eventService.searchEvents(params)
+      .then(data => { if (!cancelled) setFacets(data.facets); })
+      .catch(() => { if (!cancelled) setFacets(null); });
+    return () => { cancelled = true; };
+  }, [filters, facetOrigin]);
 
   // Calculate distance between two coordinates (Haversine formula)
   const calculateDistance = (lat1, lon1, lat2, lon2) => {
@@ -399,6 +506,11 @@ export default function MapView() {
     }
   };
 
+  // Clusters aren't narrowed by the filter panel, so count what they hold
+  const visibleCount = clusters
+    ? clusters.reduce((sum, cluster) => sum + cluster.count, 0)
+    : filteredEvents.length;
+
   if (loading && allEvents.length === 0) {
     return (
       <div className="map-loading">
@@ -413,7 +525,8 @@ export default function MapView() {
       {/* Filter Panel */}
       <FilterPanel 
         onFilterChange={setFilters}
-        totalEvents={filteredEvents.length}
+        totalEvents={visibleCount}
+        facets={facets}
         userLocation={userPosition}
       />
 
@@ -450,7 +563,7 @@ export default function MapView() {
       {/* Event Counter */}
       <div className="event-counter-card">
         <div className="counter-content">
-          <span className="counter-number">{filteredEvents.length}</span>
+          <span className="counter-number">{visibleCount}</span>
           <span className="counter-label">Events Found</span>
         </div>
       </div>
@@ -551,6 +664,15 @@ export default function MapView() {
         >
           Terrain
         </button>
+        {canViewHeatmap && (
+          <button
+            className={`layer-btn ${showHeatmap ? 'active' : ''}`}
+            onClick={() => setShowHeatmap(!showHeatmap)}
+            title={heatmap?.peakHour ? `Busiest: ${heatmap.peakHour.day} ${heatmap.peakHour.hour}:00` : 'Event density'}
+          >
+            🔥 Heatmap
+          </button>
+        )}
       </div>
 
       {/* Location Permission Banner */}
@@ -596,6 +718,7 @@ export default function MapView() {
         />
         
         <MapController center={mapCenter} zoom={mapZoom} />
+        <ViewportWatcher onChange={setViewport} />
         
         {/* User Location Marker with Accuracy Circle */}
         {userPosition && (
@@ -651,7 +774,7 @@ export default function MapView() {
           
           return (
             <Marker 
-              key={`event-${event._id}`} 
+              key={`event-${event._id}${event.occurrenceId ? `-${event.occurrenceId}` : ""}`}
               position={[lat, lng]}
               icon={getCategoryIcon(event.category, categoryColor)}
             >
@@ -672,6 +795,49 @@ export default function MapView() {
           );
         })}
 
+        {/* Event density, one shaded cell per geohash */}
+        {showHeatmap && heatmap && heatmap.cells.map(cell => {
+          const [west, south, east, north] = cell.bounds;
+          const intensity = cell.count / heatmap.cells[0].count;
+          return (
+            <Rectangle
+              key={`heat-${cell.geohash}`}
+              bounds={[[south, west], [north, east]]}
+              pathOptions={{
+                stroke: false,
+                fillColor: getHeatColor(intensity),
+                fillOpacity: 0.2 + intensity * 0.5
+              }}
+            >
+              <Popup>
+                <strong>{cell.count}</strong> event{cell.count !== 1 ? 's' : ''}
+                {cell.categories[0] && ` · mostly ${cell.categories[0].value}`}
+              </Popup>
+            </Rectangle>
+          );
+        })}
+
+        {/* Clusters in dense views; clicking one zooms in until it splits */}
+        {clusters && clusters.map(cluster => (
+          <Marker
+            key={`cluster-${cluster.id}`}
+            position={[cluster.latitude, cluster.longitude]}
+            icon={getClusterIcon(cluster)}
+            eventHandlers={{
+              click: () => {
+                const [minLng, minLat, maxLng, maxLat] = cluster.bounds;
+                const map = mapRef.current;
+                if (!map) return;
+                if (minLng === maxLng && minLat === maxLat) {
+                  map.setView([minLat, minLng], map.getZoom() + 2);
+                } else {
+                  map.fitBounds([[minLat, minLng], [maxLat, maxLng]], { padding: [40, 40] });
+                }
+              }
+            }}
+          />
+        ))}
+
         {tasks.map(task => (
           <Marker 
             key={`task-${task._id}`} 
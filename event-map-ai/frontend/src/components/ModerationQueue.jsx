@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import adminService from '../api/adminService';
+
+const CLAIM_FILTERS = [
+  { value: '', label: 'All pending' },
+  { value: 'unclaimed', label: 'Unclaimed' },
+  { value: 'mine', label: 'Claimed by me' }
+];
+
+const ACTIONS = [
+  { value: 'approve', label: 'Approve' },
+  { value: 'request_changes', label: 'Request changes' },
+  { value: 'reject', label: 'Reject' }
+];
+
+// Pending events, most urgent first, claimed and decided by reviewers
+export default function ModerationQueue() {
+  const { currentUser, token } = useAuth();
+  const [claimFilter, setClaimFilter] = useState('');
+  const [queue, setQueue] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setQueue(await adminService.getModerationQueue(claimFilter, token));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [claimFilter, token]);
+
+  useEffect(() => {
+    adminService.getModerationQueue(claimFilter, token)
+      .then(setQueue)
+      .catch((err) => setError(err.message));
+  }, [claimFilter, token]);
+
+  const isMine = (item) =>
+    item.claimedBy && item.claimedBy.id === (currentUser.id || currentUser._id);
+
+  // Run a queue action, then refresh the queue
+  const run = async (eventId, action) => {
+    setBusyId(eventId);
+    setError('');
+    setMessage('');
+    try {
+      const result = await action();
+      setMessage(result.message);
+      await loadQueue();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusyId(null);
+  };
+
+  const updateDecision = (eventId, changes) => {
+    setDecisions(prev => ({
+      ...prev,
+      [eventId]: { action: 'approve', reason: '', ...prev[eventId], ...changes }
+    }));
+  };
+
+  const submitDecision = (eventId) => {
+    const { action = 'approve', reason = '' } = decisions[eventId] || {};
+    if (action !== 'approve' && !reason.trim()) {
+      setError('Give the organizer a reason when rejecting or requesting changes');
+      return;
+    }
+    run(eventId, () => adminService.decideEvent(eventId, action, reason, token));
+  };
+
+  return (
+    <>
+      <h2>Moderation Queue</h2>
+
+      <div className="admin-toolbar">
+        <select value={claimFilter} onChange={(e) => setClaimFilter(e.target.value)}>
+          {CLAIM_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+        {queue && (
+          <span className="admin-counts">
+            {queue.total} pending · {queue.counts.high} high · {queue.counts.medium} medium · {queue.counts.low} low
+          </span>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={loadQueue}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      {queue && queue.queue.length === 0 && (
+        <p className="admin-empty">Nothing waiting for review.</p>
+      )}
+
+      {queue && queue.queue.map(item => {
+        const decision = decisions[item._id] || { action: 'approve', reason: '' };
+        return (
+          <div key={item._id} className={`moderation-item priority-${item.priority}`}>
+            <div className="moderation-header">
+              <h3>{item.title}</h3>
+              <span className={`priority-badge priority-${item.priority}`}>{item.priority}</span>
+            </div>
+            <p className="moderation-meta">
+              {item.organizer?.name || 'Unknown organizer'} · {item.category} ·
+              📅 {new Date(item.date).toLocaleString()} · waiting {item.waitingTime}
+              {item.submissions > 1 && ` · resubmission #${item.submissions - 1}`}
+            </p>
+            <p className="moderation-description">{item.description}</p>
+            <p className="moderation-meta">
+              Risk {(item.aiFlags.riskScore || 0).toFixed(2)} ·
+              duplicate risk {(item.aiFlags.duplicateRisk || 0).toFixed(2)} ·
+              suggested: {item.recommendedAction}
+            </p>
+            {item.aiFlags.moderationWarnings?.length > 0 && (
+              <ul className="moderation-warnings">
+                {item.aiFlags.moderationWarnings.map((warning, index) => (
+                  <li key={index}>{warning}</li>
+                ))}
+              </ul>
+            )}
+
+            {item.claimedBy && !isMine(item) ? (
+              <p className="moderation-claim">
+                Claimed by {item.claimedBy.name} until {new Date(item.claimExpiresAt).toLocaleTimeString()}
+              </p>
+            ) : isMine(item) ? (
+              <div className="moderation-decision">
+                <select
+                  value={decision.action}
+                  onChange={(e) => updateDecision(item._id, { action: e.target.value })}
+                >
+                  {ACTIONS.map(action => (
+                    <option key={action.value} value={action.value}>{action.label}</option>
+                  ))}
+                </select>
+                <textarea
+                  rows="2"
+                  placeholder={decision.action === 'approve'
+                    ? 'Note for the organizer (optional)'
+                    : 'Reason shown to the organizer (required)'}
+                  value={decision.reason}
+                  onChange={(e) => updateDecision(item._id, { reason: e.target.value })}
+                />
+                <div className="moderation-actions">
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    disabled={busyId === item._id}
+                    onClick={() => run(item._id, () => adminService.releaseEvent(item._id, token))}
+                  >
+                    Release
+                  </button>
+                  <button
+                    type="button"
+                    className="btn btn-primary"
+                    disabled={busyId === item._id}
+                    onClick={() => submitDecision(item._id)}
+                  >
+                    Submit Decision
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={busyId === item._id}
+                onClick={() => run(item._id, () => adminService.claimEvent(item._id, token))}
+              >
+                Claim for Review
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </>
+  );
+}
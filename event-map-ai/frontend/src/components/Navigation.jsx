@@ -144,6 +144,12 @@ export default function Navigation() {
                         My Events
                       </Link>
                     )}
+                    {(currentUser.role === 'organizer' || currentUser.role === 'admin') && (
+                      <Link to="/import-events" className="dropdown-item">
+                        <span className="dropdown-icon">📥</span>
+                        Import Events
+                      </Link>
+                    )}
                     {currentUser.role === 'admin' && (
                       <Link to="/admin" className="dropdown-item">
                         <span className="dropdown-icon">⚙️</span>
@@ -228,6 +234,12 @@ export default function Navigation() {
                       Create Event
                     </Link>
                   </li>
+                  <li>
+                    <Link to="/import-events" className={`mobile-menu-item ${isActive('/import-events') ? 'active' : ''}`}>
+                      <span className="mobile-menu-icon">📥</span>
+                      Import Events
+                    </Link>
+                  </li>
                   <li>
                     <Link to="/image-analyzer" className="mobile-menu-item">
                       <span className="mobile-menu-icon">🖼️</span>
@@ -0,0 +1,137 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '../context/AuthContext';
+import adminService from '../api/adminService';
+
+const STATUS_FILTERS = [
+  { value: 'pending', label: 'Pending' },
+  { value: 'approved', label: 'Approved' },
+  { value: 'rejected', label: 'Rejected' },
+  { value: 'all', label: 'All' }
+];
+
+// Applications to become an organizer, approved or rejected by admins
+export default function OrganizerRequests() {
+  const { token } = useAuth();
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [requests, setRequests] = useState(null);
+  const [reasons, setReasons] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const loadRequests = useCallback(async () => {
+    try {
+      setRequests(await adminService.getOrganizerRequests(statusFilter, token));
+    } catch (err) {
+      setError(err.message);
+    }
+  }, [statusFilter, token]);
+
+  useEffect(() => {
+    adminService.getOrganizerRequests(statusFilter, token)
+      .then(setRequests)
+      .catch((err) => setError(err.message));
+  }, [statusFilter, token]);
+
+  const decide = async (requestId, action) => {
+    const reason = reasons[requestId] || '';
+    if (action === 'reject' && !reason.trim()) {
+      setError('Give the applicant a reason when rejecting');
+      return;
+    }
+
+    setBusyId(requestId);
+    setError('');
+    setMessage('');
+    try {
+      const result = await adminService.decideOrganizerRequest(requestId, action, reason, token);
+      setMessage(result.message);
+      await loadRequests();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusyId(null);
+  };
+
+  return (
+    <>
+      <h2>Organizer Requests</h2>
+
+      <div className="admin-toolbar">
+        <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+          {STATUS_FILTERS.map(filter => (
+            <option key={filter.value} value={filter.value}>{filter.label}</option>
+          ))}
+        </select>
+        <span className="admin-counts">
+          {requests && `${requests.length} request${requests.length === 1 ? '' : 's'}`}
+        </span>
+        <button type="button" className="btn btn-secondary" onClick={loadRequests}>
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="alert alert-error">{error}</div>}
+      {message && <div className="alert alert-success">{message}</div>}
+
+      {requests && requests.length === 0 && (
+        <p className="admin-empty">No requests.</p>
+      )}
+
+      {requests && requests.map(request => (
+        <div key={request._id} className={`moderation-item request-${request.status}`}>
+          <div className="moderation-header">
+            <h3>{request.organization}</h3>
+            <span className="priority-badge">{request.status}</span>
+          </div>
+          <p className="moderation-meta">
+            {request.user?.name || 'Deleted user'} · {request.user?.email} ·
+            applied {new Date(request.createdAt).toLocaleString()}
+          </p>
+          {/^https?:\/\//i.test(request.website || '') && (
+            <p className="moderation-meta">
+              <a href={request.website} target="_blank" rel="noopener noreferrer">{request.website}</a>
+            </p>
+          )}
+          <p className="moderation-description">{request.details}</p>
+
+          {request.status === 'pending' ? (
+            <div className="moderation-decision">
+              <textarea
+                rows="2"
+                placeholder="Reason shown to the applicant (required to reject)"
+                value={reasons[request._id] || ''}
+                onChange={(e) => setReasons(prev => ({ ...prev, [request._id]: e.target.value }))}
+              />
+              <div className="moderation-actions">
+                <button
+                  type="button"
+                  className="btn btn-secondary"
+                  disabled={busyId === request._id}
+                  onClick={() => decide(request._id, 'reject')}
+                >
+                  Reject
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-primary"
+                  disabled={busyId === request._id}
+                  onClick={() => decide(request._id, 'approve')}
+                >
+                  Approve
+                </button>
+              </div>
+            </div>
+          ) : (
+            <p className="moderation-meta">
+              {request.status === 'approved' ? 'Approved' : 'Rejected'}
+              {request.reviewedBy && ` by ${request.reviewedBy.name}`}
+              {request.reviewedAt && ` on ${new Date(request.reviewedAt).toLocaleString()}`}
+              {request.reason && ` - ${request.reason}`}
+            </p>
+          )}
+        </div>
+      ))}
+    </>
+  );
+}
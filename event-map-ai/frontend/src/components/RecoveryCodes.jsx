@@ -0,0 +1,32 @@
+import React from 'react';
+import './TwoFactor.css';
+
+// Recovery codes, shown once right after they are created
+export default function RecoveryCodes({ codes }) {
+  const download = () => {
+    const blob = new Blob([`EventMap recovery codes\n\n${codes.join('\n')}\n`], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'eventmap-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="recovery-codes">
+      <p>
+        Each of these codes logs you in once if you lose your authenticator app.
+        Keep them somewhere safe; they won't be shown again.
+      </p>
+      <ul>
+        {codes.map(code => (
+          <li key={code}><code>{code}</code></li>
+        ))}
+      </ul>
+      <button type="button" className="btn btn-secondary" onClick={download}>
+        Download Codes
+      </button>
+    </div>
+  );
+}
@@ -8,9 +8,11 @@ export default function Register() {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [confirmPassword, setConfirmPassword] = useState('');
-  const [role, setRole] = useState('user');
+  const [inviteCode, setInviteCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the account is created and waits for email confirmation
+  const [verificationMessage, setVerificationMessage] = useState('');
 
   const { register } = useAuth();
   const navigate = useNavigate();
@@ -37,9 +39,14 @@ export default function Register() {
     setError('');
 
     try {
-      const result = await register(name, email, password, role);
-
-      if (result.success) {
+      const result = await register(name, email, password, inviteCode.trim() || undefined);
+
+      if (result.success && result.requiresVerification) {
+        setVerificationMessage(result.message);
+      } else if (result.success && result.twoFactor) {
+        // Accounts made admins by an invite set up two-factor authentication first
+        navigate('/two-factor', { state: { challengeToken: result.challengeToken, step: result.twoFactor } });
+      } else if (result.success) {
         navigate('/');
       } else {
         setError(result.message || 'Failed to create account');
@@ -90,71 +97,83 @@ export default function Register() {
 
         {error && <div className="alert alert-error">{error}</div>}
 
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label htmlFor="name">Full Name</label>
-            <input
-              type="text"
-              id="name"
-              value={name}
-              onChange={(e) => setName(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="email">Email</label>
-            <input
-              type="email"
-              id="email"
-              value={email}
-              onChange={(e) => setEmail(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="password">Password</label>
-            <input
-              type="password"
-              id="password"
-              value={password}
-              onChange={(e) => setPassword(e.target.value)}
-              required
-            />
+        {verificationMessage ? (
+          <div>
+            <div className="alert alert-success">{verificationMessage}</div>
+            <p>
+              Didn't get the email?{' '}
+              <Link to={`/verify-email?email=${encodeURIComponent(email)}`}>Send it again</Link>
+            </p>
           </div>
-
-          <div className="form-group">
-            <label htmlFor="confirmPassword">Confirm Password</label>
-            <input
-              type="password"
-              id="confirmPassword"
-              value={confirmPassword}
-              onChange={(e) => setConfirmPassword(e.target.value)}
-              required
-            />
-          </div>
-
-          <div className="form-group">
-            <label htmlFor="role">Account Type</label>
-            <select
-              id="role"
-              value={role}
-              onChange={(e) => setRole(e.target.value)}
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div className="form-group">
+              <label htmlFor="name">Full Name</label>
+              <input
+                type="text"
+                id="name"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">Confirm Password</label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="inviteCode">Invite Code (optional)</label>
+              <input
+                type="text"
+                id="inviteCode"
+                value={inviteCode}
+                onChange={(e) => setInviteCode(e.target.value)}
+                placeholder="From an admin, to sign up as an organizer"
+              />
+              <small className="form-hint">
+                No code? Sign up, then apply to become an organizer from your profile.
+              </small>
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block"
+              disabled={loading}
             >
-              <option value="user">Regular User</option>
-              <option value="organizer">Event Organizer</option>
-            </select>
-          </div>
-
-          <button
-            type="submit"
-            className="btn btn-primary btn-block"
-            disabled={loading}
-          >
-            {loading ? 'Creating Account...' : 'Create Account'}
-          </button>
-        </form>
+              {loading ? 'Creating Account...' : 'Create Account'}
+            </button>
+          </form>
+        )}
 
         <div className="social-login">
           <p className="divider-text">Or continue with</p>
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { useSearchParams, Link } from 'react-router-dom';
+import authService from '../api/authService';
+import './Auth.css';
+
+// Sets a new password from the emailed reset link (?token=)
+export default function ResetPassword() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+    try {
+      const result = await authService.resetPassword(token, password);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-background">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="gradient-orb orb-3"></div>
+      </div>
+
+      <div className="auth-card enhanced">
+        <div className="auth-header">
+          <h2>Choose a New Password</h2>
+          <p>You'll be signed out of all your devices</p>
+        </div>
+
+        {!token && (
+          <div className="alert alert-error">
+            This link is incomplete. <Link to="/forgot-password">Ask for a new one</Link>
+          </div>
+        )}
+        {error && <div className="alert alert-error">{error}</div>}
+        {message && <div className="alert alert-success">{message}</div>}
+
+        {token && !message && (
+          <form onSubmit={handleSubmit} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="password">
+                <span className="label-icon">🔒</span>
+                New Password
+              </label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                className="form-input"
+                required
+                autoFocus
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="confirmPassword">
+                <span className="label-icon">🔒</span>
+                Confirm Password
+              </label>
+              <input
+                type="password"
+                id="confirmPassword"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                className="form-input"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block btn-auth"
+              disabled={loading}
+            >
+              {loading ? 'Saving...' : 'Reset Password'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            <Link to="/login" className="signup-link">Back to log in</Link>
+            {error && <> · <Link to="/forgot-password" className="signup-link">Ask for a new link</Link></>}
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,39 +1,40 @@
-import React, { useEffect } from 'react';
+import React, { useEffect, useRef } from 'react';
 import { useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 
+// Google and Facebook logins come back here with a one-time code, which is
+// swapped for the session
 export default function SocialCallback() {
     const [searchParams] = useSearchParams();
     const navigate = useNavigate();
-    // We need to access setToken and setCurrentUser from AuthContext, 
-    // but currently AuthContext only exposes login/register/logout methods.
-    // We might need to manually set localStorage and reload or modify AuthContext.
-    // For now, let's manually set localStorage and force a reload or use a simpler approach.
-    const { login } = useAuth(); // We can't use login because it expects email/password
+    const { socialLogin } = useAuth();
+    const exchangedCode = useRef(null);
 
     useEffect(() => {
-        const token = searchParams.get('token');
-        const userData = searchParams.get('user');
-
-        if (token && userData) {
-            try {
-                const user = JSON.parse(decodeURIComponent(userData));
+        const code = searchParams.get('code');
+        if (!code) {
+            navigate('/login', { replace: true });
+            return;
+        }
 
-                // Save to localStorage
-                localStorage.setItem('token', token);
-                localStorage.setItem('user', JSON.stringify(user));
+        // The code only works once, even when effects run twice in development
+        if (exchangedCode.current === code) return;
+        exchangedCode.current = code;
 
-                // Redirect to home and reload to let AuthContext pick up the changes
-                // A cleaner way would be to expose a method in AuthContext to set auth state
-                window.location.href = '/';
-            } catch (err) {
-                console.error('Error parsing social auth data', err);
-                navigate('/login');
+        socialLogin(code).then((result) => {
+            if (!result.success) {
+                navigate('/login', { replace: true });
+            } else if (result.challengeToken) {
+                // Logins needing a second factor continue on the two-factor page
+                navigate('/two-factor', {
+                    replace: true,
+                    state: { challengeToken: result.challengeToken, step: result.twoFactor }
+                });
+            } else {
+                navigate('/', { replace: true });
             }
-        } else {
-            navigate('/login');
-        }
-    }, [searchParams, navigate]);
+        });
+    }, [searchParams, navigate, socialLogin]);
 
     return (
         <div className="auth-container">
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useLocation, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../api/authService';
+import TwoFactorEnrolment from './TwoFactorEnrolment';
+import RecoveryCodes from './RecoveryCodes';
+import './Auth.css';
+import './TwoFactor.css';
+
+// Second login step. Logins arrive here with the challenge from the password
+// or social login step, either to enter a code ('required') or, for admins
+// without two-factor authentication, to set it up ('setup')
+export default function TwoFactor() {
+  const { state } = useLocation();
+  const challengeToken = state?.challengeToken;
+  const step = state?.step;
+  const [code, setCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+  const setupStarted = useRef(false);
+
+  const { verifyTwoFactor, enableTwoFactorLogin } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Each setup call makes a new secret, so only ask once
+    if (step !== 'setup' || !challengeToken || setupStarted.current) return;
+    setupStarted.current = true;
+
+    authService.setupTwoFactorLogin(challengeToken)
+      .then(setEnrolment)
+      .catch((err) => setError(err.message));
+  }, [step, challengeToken]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const credentials = useRecoveryCode ? { recoveryCode: code.trim() } : { code: code.trim() };
+    const result = await verifyTwoFactor(challengeToken, credentials);
+    if (result.success) {
+      navigate('/');
+      return;
+    }
+    setError(result.message);
+    setLoading(false);
+  };
+
+  const handleEnable = async (firstCode) => {
+    setLoading(true);
+    setError('');
+
+    const result = await enableTwoFactorLogin(challengeToken, firstCode);
+    if (result.success) {
+      setRecoveryCodes(result.recoveryCodes);
+    } else {
+      setError(result.message);
+    }
+    setLoading(false);
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(!useRecoveryCode);
+    setCode('');
+    setError('');
+  };
+
+  let title;
+  let subtitle;
+  if (!challengeToken) {
+    title = 'Log In Again';
+    subtitle = 'Your login has expired';
+  } else if (step === 'setup') {
+    title = 'Set Up Two-Factor Authentication';
+    subtitle = 'Admin accounts need a code from an authenticator app to log in';
+  } else {
+    title = 'Two-Factor Authentication';
+    subtitle = useRecoveryCode
+      ? 'Enter one of your recovery codes'
+      : 'Enter the 6-digit code from your authenticator app';
+  }
+
+  return (
+    <div className="auth-container">
+      <div className="auth-background">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="gradient-orb orb-3"></div>
+      </div>
+
+      <div className="auth-card enhanced">
+        <div className="auth-header">
+          <h2>{title}</h2>
+          <p>{subtitle}</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+
+        {challengeToken && step === 'required' && (
+          <form onSubmit={handleVerify} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="code">
+                <span className="label-icon">🔐</span>
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                id="code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+                className="form-input"
+                required
+                autoFocus
+              />
+              <button type="button" className="form-hint two-factor-switch" onClick={toggleRecoveryCode}>
+                {useRecoveryCode ? 'Use a code from your app instead' : 'Lost your device? Use a recovery code'}
+              </button>
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block btn-auth"
+              disabled={loading}
+            >
+              {loading ? 'Checking...' : 'Verify'}
+            </button>
+          </form>
+        )}
+
+        {challengeToken && step === 'setup' && !recoveryCodes && enrolment && (
+          <TwoFactorEnrolment enrolment={enrolment} onConfirm={handleEnable} busy={loading} />
+        )}
+
+        {recoveryCodes && (
+          <>
+            <RecoveryCodes codes={recoveryCodes} />
+            <button
+              type="button"
+              className="btn btn-primary btn-block btn-auth"
+              onClick={() => navigate('/')}
+            >
+              Continue
+            </button>
+          </>
+        )}
+
+        {!recoveryCodes && (
+          <div className="auth-footer">
+            <p>
+              <Link to="/login" className="signup-link">Back to log in</Link>
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
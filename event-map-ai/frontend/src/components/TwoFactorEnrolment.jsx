@@ -0,0 +1,43 @@
+import React, { useState } from 'react';
+import './TwoFactor.css';
+
+// Adding EventMap to an authenticator app: the QR code from setup, and the
+// first code from the app to confirm it
+export default function TwoFactorEnrolment({ enrolment, onConfirm, busy }) {
+  const [code, setCode] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(code.trim());
+  };
+
+  return (
+    <div className="two-factor-enrolment">
+      <p>
+        Scan this QR code with an authenticator app such as Google Authenticator,
+        Authy or 1Password, then enter the 6-digit code it shows.
+      </p>
+      <img src={enrolment.qrCode} alt="QR code for your authenticator app" className="two-factor-qr" />
+      <p className="two-factor-secret">
+        Can't scan it? Enter this key instead: <code>{enrolment.secret}</code>
+      </p>
+      <form className="two-factor-code" onSubmit={handleSubmit}>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          pattern="\d{6}"
+          maxLength="6"
+          placeholder="123456"
+          aria-label="Code from your authenticator app"
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          required
+        />
+        <button type="submit" className="btn btn-primary" disabled={busy}>
+          {busy ? 'Checking...' : 'Turn On'}
+        </button>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import authService from '../api/authService';
+import TwoFactorEnrolment from './TwoFactorEnrolment';
+import RecoveryCodes from './RecoveryCodes';
+import './TwoFactor.css';
+
+// Turning two-factor authentication on and off, and replacing recovery
+// codes. Admins can't turn it off
+export default function TwoFactorSettings({ enabled: initiallyEnabled, required }) {
+  const { token } = useAuth();
+  const [enabled, setEnabled] = useState(!!initiallyEnabled);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  const run = async (action) => {
+    setBusy(true);
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    }
+    setBusy(false);
+  };
+
+  const startSetup = () => run(async () => {
+    setRecoveryCodes(null);
+    setEnrolment(await authService.setupTwoFactor(token));
+  });
+
+  const confirmSetup = (firstCode) => run(async () => {
+    const data = await authService.enableTwoFactor(firstCode, token);
+    setEnabled(true);
+    setEnrolment(null);
+    setRecoveryCodes(data.recoveryCodes);
+    setMessage(data.message);
+  });
+
+  const regenerateCodes = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const data = await authService.regenerateRecoveryCodes(code.trim(), token);
+      setCode('');
+      setRecoveryCodes(data.recoveryCodes);
+      setMessage(data.message);
+    });
+  };
+
+  // Takes a code from the app or, for a lost device, a recovery code
+  const disable = () => run(async () => {
+    const value = code.trim();
+    const credentials = /^\d{6}$/.test(value) ? { code: value } : { recoveryCode: value };
+    const data = await authService.disableTwoFactor(credentials, token);
+    setCode('');
+    setEnabled(false);
+    setRecoveryCodes(null);
+    setMessage(data.message);
+  });
+
+  return (
+    <>
+      <h2 className="calendar-feeds-title">Two-Factor Authentication</h2>
+      <p className="calendar-feeds-hint">
+        {enabled
+          ? 'On. Logging in needs a code from your authenticator app.'
+          : 'Protect your account with a code from an authenticator app when you log in.'}
+        {required && !enabled && ' Admins must turn it on to use the admin panel.'}
+      </p>
+      {error && <p className="calendar-feeds-error">{error}</p>}
+      {message && <p className="organizer-message">{message}</p>}
+
+      {recoveryCodes && <RecoveryCodes codes={recoveryCodes} />}
+
+      {!enabled && (enrolment ? (
+        <TwoFactorEnrolment enrolment={enrolment} onConfirm={confirmSetup} busy={busy} />
+      ) : (
+        <button className="tab" onClick={startSetup} disabled={busy}>
+          Turn On
+        </button>
+      ))}
+
+      {enabled && (
+        <form className="organizer-form invite-redeem" onSubmit={regenerateCodes}>
+          <input
+            type="text"
+            autoComplete="one-time-code"
+            placeholder={required ? 'Code from your app' : 'Code from your app or a recovery code'}
+            aria-label="Code from your authenticator app"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            required
+          />
+          <button type="submit" className="tab" disabled={busy}>
+            New Recovery Codes
+          </button>
+          {!required && (
+            <button type="button" className="tab" onClick={disable} disabled={busy || !code.trim()}>
+              Turn Off
+            </button>
+          )}
+        </form>
+      )}
+    </>
+  );
+}
@@ -1,14 +1,31 @@
 import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import eventService from '../api/eventService';
+import authService from '../api/authService';
+import TwoFactorSettings from './TwoFactorSettings';
+import LinkedAccounts from './LinkedAccounts';
 import './UserProfile.css';
 
 export default function UserProfile() {
-  const { currentUser, getProfile } = useAuth();
+  const { currentUser, token, getProfile, logoutAll, redeemInvite } = useAuth();
   const [profile, setProfile] = useState(null);
   const [organizedEvents, setOrganizedEvents] = useState([]);
   const [attendingEvents, setAttendingEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('profile');
+  const [calendarFeeds, setCalendarFeeds] = useState(null);
+  const [feedError, setFeedError] = useState('');
+  // Status history per event, loaded when first shown
+  const [histories, setHistories] = useState({});
+  const [sessions, setSessions] = useState(null);
+  const [sessionError, setSessionError] = useState('');
+  // Latest application to become an organizer (null when there is none)
+  const [organizerRequest, setOrganizerRequest] = useState(null);
+  const [application, setApplication] = useState({ organization: '', website: '', details: '' });
+  const [inviteCode, setInviteCode] = useState('');
+  const [organizerError, setOrganizerError] = useState('');
+  const [organizerMessage, setOrganizerMessage] = useState('');
 
   useEffect(() => {
     const fetchProfile = async () => {
@@ -33,6 +50,13 @@ export default function UserProfile() {
     fetchProfile();
   }, [currentUser, getProfile]);
 
+  useEffect(() => {
+    if (currentUser?.role !== 'user' || !token) return;
+    authService.getOrganizerRequest(token)
+      .then(data => setOrganizerRequest(data.request))
+      .catch(err => console.error("Error fetching organizer request:", err));
+  }, [currentUser, token]);
+
   if (!currentUser) {
     return (
       <div className="profile-container">
@@ -43,11 +67,94 @@ export default function UserProfile() {
     );
   }
 
+  const toggleHistory = async (eventId) => {
+    if (histories[eventId]) {
+      setHistories(prev => ({ ...prev, [eventId]: null }));
+      return;
+    }
+    try {
+      const data = await eventService.getEventHistory(eventId, token);
+      setHistories(prev => ({ ...prev, [eventId]: data.history }));
+    } catch (err) {
+      console.error("Error fetching event history:", err);
+    }
+  };
+
+  const loadCalendarFeeds = async (regenerate = false) => {
+    setFeedError('');
+    try {
+      const data = regenerate
+        ? await eventService.regenerateCalendarFeeds(token)
+        : await eventService.getCalendarFeeds(token);
+      setCalendarFeeds(data.feeds);
+    } catch (err) {
+      setFeedError(err.message);
+    }
+  };
+
+  const loadSessions = async () => {
+    setSessionError('');
+    try {
+      const data = await authService.getSessions(token);
+      setSessions(data.sessions);
+    } catch (err) {
+      setSessionError(err.message);
+    }
+  };
+
+  const revokeSession = async (sessionId) => {
+    setSessionError('');
+    try {
+      await authService.revokeSession(sessionId, token);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+    } catch (err) {
+      setSessionError(err.message);
+    }
+  };
+
+  const signOutEverywhere = async () => {
+    if (!window.confirm('Sign out of every device, including this one?')) return;
+    const result = await logoutAll();
+    if (!result.success) setSessionError(result.message);
+  };
+
+  const submitApplication = async (e) => {
+    e.preventDefault();
+    setOrganizerError('');
+    setOrganizerMessage('');
+    try {
+      const data = await authService.requestOrganizer(application, token);
+      setOrganizerRequest(data.request);
+      setOrganizerMessage(data.message);
+    } catch (err) {
+      setOrganizerError(err.message);
+    }
+  };
+
+  const submitInviteCode = async (e) => {
+    e.preventDefault();
+    setOrganizerError('');
+    setOrganizerMessage('');
+    const result = await redeemInvite(inviteCode.trim());
+    if (result.success) {
+      setInviteCode('');
+      setOrganizerMessage(result.message);
+    } else {
+      setOrganizerError(result.message);
+    }
+  };
+
   const getStatusClass = (status) => {
     switch (status) {
       case 'pending': return 'status-pending';
       case 'approved': return 'status-approved';
       case 'rejected': return 'status-rejected';
+      case 'draft': return 'status-draft';
+      case 'changes_requested': return 'status-changes-requested';
+      case 'cancelled': return 'status-cancelled';
+      case 'postponed': return 'status-postponed';
+      case 'completed': return 'status-completed';
+      case 'archived': return 'status-archived';
       default: return '';
     }
   };
@@ -57,6 +164,12 @@ export default function UserProfile() {
       case 'pending': return 'Pending Approval';
       case 'approved': return 'Approved';
       case 'rejected': return 'Rejected';
+      case 'draft': return 'Draft';
+      case 'changes_requested': return 'Changes Requested';
+      case 'cancelled': return 'Cancelled';
+      case 'postponed': return 'Postponed';
+      case 'completed': return 'Completed';
+      case 'archived': return 'Archived';
       default: return status;
     }
   };
@@ -125,6 +238,139 @@ export default function UserProfile() {
                 <span className="detail-value">{attendingEvents.length}</span>
               </div>
             </div>
+
+            <h2 className="calendar-feeds-title">Calendar Feeds</h2>
+            <p className="calendar-feeds-hint">
+              Subscribe to these links in Google Calendar, Outlook or Apple Calendar.
+              Anyone with a link can see the feed, so keep them private. The All Events
+              link takes the same filters as the map, e.g. <code>?category=Music</code>.
+            </p>
+            {feedError && <p className="calendar-feeds-error">{feedError}</p>}
+            {calendarFeeds ? (
+              <div className="profile-details">
+                <div className="detail-item">
+                  <span className="detail-label">Attending</span>
+                  <input className="feed-url" readOnly value={calendarFeeds.attending} onFocus={(e) => e.target.select()} />
+                </div>
+                {calendarFeeds.myEvents && (
+                  <div className="detail-item">
+                    <span className="detail-label">My Events</span>
+                    <input className="feed-url" readOnly value={calendarFeeds.myEvents} onFocus={(e) => e.target.select()} />
+                  </div>
+                )}
+                <div className="detail-item">
+                  <span className="detail-label">All Events</span>
+                  <input className="feed-url" readOnly value={calendarFeeds.events} onFocus={(e) => e.target.select()} />
+                </div>
+                <button className="tab" onClick={() => loadCalendarFeeds(true)}>
+                  Reset Links
+                </button>
+              </div>
+            ) : (
+              <button className="tab" onClick={() => loadCalendarFeeds()}>
+                Show Feed Links
+              </button>
+            )}
+
+            {(profile?.role || currentUser.role) === 'user' && (
+              <>
+                <h2 className="calendar-feeds-title">Become an Organizer</h2>
+                {organizerError && <p className="calendar-feeds-error">{organizerError}</p>}
+                {organizerMessage && <p className="organizer-message">{organizerMessage}</p>}
+                {organizerRequest?.status === 'pending' ? (
+                  <p className="calendar-feeds-hint">
+                    Your request for {organizerRequest.organization} is waiting for review.
+                  </p>
+                ) : (
+                  <>
+                    {organizerRequest?.status === 'rejected' && (
+                      <p className="event-status-reason">
+                        Your last request was rejected{organizerRequest.reason && `: ${organizerRequest.reason}`}
+                      </p>
+                    )}
+                    <p className="calendar-feeds-hint">
+                      Tell us who you are and what you'd like to organize. An admin will review your request.
+                    </p>
+                    <form className="organizer-form" onSubmit={submitApplication}>
+                      <input
+                        type="text"
+                        placeholder="Organization or your name"
+                        value={application.organization}
+                        onChange={(e) => setApplication(prev => ({ ...prev, organization: e.target.value }))}
+                        required
+                      />
+                      <input
+                        type="url"
+                        placeholder="Website (optional)"
+                        value={application.website}
+                        onChange={(e) => setApplication(prev => ({ ...prev, website: e.target.value }))}
+                      />
+                      <textarea
+                        rows="3"
+                        placeholder="What events do you plan to organize?"
+                        value={application.details}
+                        onChange={(e) => setApplication(prev => ({ ...prev, details: e.target.value }))}
+                        required
+                      />
+                      <button type="submit" className="tab">Apply</button>
+                    </form>
+                  </>
+                )}
+                <form className="organizer-form invite-redeem" onSubmit={submitInviteCode}>
+                  <input
+                    type="text"
+                    placeholder="Have an invite code?"
+                    value={inviteCode}
+                    onChange={(e) => setInviteCode(e.target.value)}
+                    required
+                  />
+                  <button type="submit" className="tab">Redeem</button>
+                </form>
+              </>
+            )}
+
+            <LinkedAccounts />
+
+            <TwoFactorSettings
+              enabled={profile?.twoFactorEnabled}
+              required={(profile?.role || currentUser.role) === 'admin'}
+            />
+
+            <h2 className="calendar-feeds-title">Active Sessions</h2>
+            <p className="calendar-feeds-hint">
+              Devices signed in to your account. Sign out any you don't recognise.
+            </p>
+            {sessionError && <p className="calendar-feeds-error">{sessionError}</p>}
+            {sessions ? (
+              <div className="profile-details">
+                {sessions.map(session => (
+                  <div key={session.id} className="detail-item session-item">
+                    <div>
+                      <span className="detail-label">
+                        {session.userAgent || 'Unknown device'}
+                        {session.current && <span className="session-current">This device</span>}
+                      </span>
+                      <p className="session-meta">
+                        {session.ip && `${session.ip} · `}
+                        Last active {new Date(session.lastUsedAt).toLocaleString()}
+                      </p>
+                    </div>
+                    {!session.current && (
+                      <button className="tab" onClick={() => revokeSession(session.id)}>
+                        Sign Out
+                      </button>
+                    )}
+                  </div>
+                ))}
+                <button className="tab" onClick={signOutEverywhere}>
+                  Sign Out Everywhere
+                </button>
+              </div>
+            ) : (
+              <button className="tab" onClick={loadSessions}>
+                Show Sessions
+              </button>
+            )}
           </div>
         )}
         
@@ -147,13 +393,43 @@ export default function UserProfile() {
                   <div key={event._id} className="event-item">
                     <div className="event-item-content">
                       <h3>{event.title}</h3>
-                      <p className="event-location">📍 {event.location}</p>
+                      {event.location && <p className="event-location">📍 {event.location}</p>}
                       <p className="event-date">📅 {new Date(event.date).toLocaleDateString()}</p>
+                      {event.publishAt && (
+                        <p className="event-date">🕒 Publishes {new Date(event.publishAt).toLocaleString()}</p>
+                      )}
+                      {event.statusReason && ['changes_requested', 'rejected'].includes(event.status) && (
+                        <p className="event-status-reason">Reviewer: {event.statusReason}</p>
+                      )}
+                      <button type="button" className="history-toggle" onClick={() => toggleHistory(event._id)}>
+                        {histories[event._id] ? 'Hide history' : 'Show history'}
+                      </button>
+                      {histories[event._id] && (
+                        <ul className="status-history">
+                          {histories[event._id].map((change, index) => (
+                            <li key={index}>
+                              {new Date(change.at).toLocaleString()}: {getStatusText(change.to)}
+                              {change.by ? ` by ${change.by.name}` : ' (automatic)'}
+                              {change.reason && ` - ${change.reason}`}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
                     </div>
                     <div className="event-status">
                       <span className={getStatusClass(event.status)}>
                         {getStatusText(event.status)}
                       </span>
+                      {event.status === 'draft' && (
+                        <Link className="draft-edit-link" to={`/create-event?draft=${event._id}`}>
+                          Continue editing
+                        </Link>
+                      )}
+                      {['changes_requested', 'rejected'].includes(event.status) && (
+                        <Link className="draft-edit-link" to={`/create-event?draft=${event._id}`}>
+                          Edit &amp; resubmit
+                        </Link>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -0,0 +1,111 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams, Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import authService from '../api/authService';
+import './Auth.css';
+
+// Confirms an email address from the emailed link (?token=), or sends the
+// link again
+export default function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [email, setEmail] = useState(searchParams.get('email') || '');
+  const [verifying, setVerifying] = useState(!!token);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+  const verifiedToken = useRef(null);
+
+  const { verifyEmail } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    // Tokens are only sent once, even when effects run twice in development
+    if (!token || verifiedToken.current === token) return;
+    verifiedToken.current = token;
+
+    verifyEmail(token).then(result => {
+      if (result.success && result.loginRequired) {
+        navigate('/login', { replace: true, state: { message: result.message } });
+      } else if (result.success && result.twoFactor) {
+        navigate('/two-factor', {
+          replace: true,
+          state: { challengeToken: result.challengeToken, step: result.twoFactor }
+        });
+      } else if (result.success) {
+        navigate('/');
+      } else {
+        setError(result.message);
+        setVerifying(false);
+      }
+    });
+  }, [token, verifyEmail, navigate]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    setMessage('');
+    try {
+      const result = await authService.resendVerification(email);
+      setMessage(result.message);
+    } catch (err) {
+      setError(err.message);
+    }
+    setLoading(false);
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-background">
+        <div className="gradient-orb orb-1"></div>
+        <div className="gradient-orb orb-2"></div>
+        <div className="gradient-orb orb-3"></div>
+      </div>
+
+      <div className="auth-card enhanced">
+        <div className="auth-header">
+          <h2>Confirm Your Email</h2>
+          <p>{verifying ? 'Confirming your email address...' : 'We can send you a new confirmation link'}</p>
+        </div>
+
+        {error && <div className="alert alert-error">{error}</div>}
+        {message && <div className="alert alert-success">{message}</div>}
+
+        {!verifying && (
+          <form onSubmit={handleResend} className="auth-form">
+            <div className="form-group">
+              <label htmlFor="email">
+                <span className="label-icon">📧</span>
+                Email Address
+              </label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                placeholder="Enter your email"
+                className="form-input"
+                required
+              />
+            </div>
+
+            <button
+              type="submit"
+              className="btn btn-primary btn-block btn-auth"
+              disabled={loading}
+            >
+              {loading ? 'Sending...' : 'Send Confirmation Link'}
+            </button>
+          </form>
+        )}
+
+        <div className="auth-footer">
+          <p>
+            Already confirmed? <Link to="/login" className="signup-link">Log in</Link>
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -3,64 +3,153 @@ import authService from '../api/authService';
 
 const AuthContext = createContext();
 
+// Renew the access token this long before it expires
+const REFRESH_MARGIN_MS = 60 * 1000;
+
 export const useAuth = () => {
   return useContext(AuthContext);
 };
 
+// The session is kept in localStorage so reloads and other tabs share it
+const storeSession = ({ token, refreshToken, expiresIn, user }) => {
+  localStorage.setItem('token', token);
+  localStorage.setItem('refreshToken', refreshToken);
+  localStorage.setItem('tokenExpiresAt', String(Date.now() + expiresIn * 1000));
+  localStorage.setItem('user', JSON.stringify(user));
+};
+
+const readStoredSession = () => ({
+  token: localStorage.getItem('token'),
+  user: JSON.parse(localStorage.getItem('user')),
+  expiresAt: Number(localStorage.getItem('tokenExpiresAt')) || 0
+});
+
+const clearStoredSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+  localStorage.removeItem('tokenExpiresAt');
+  localStorage.removeItem('user');
+};
+
+// Renew the stored access token. Refresh tokens are single-use, so tabs take
+// turns, and a tab finding the token already renewed by another uses that one
+const refreshStoredSession = () => {
+  const refresh = async () => {
+    const stored = readStoredSession();
+    if (stored.expiresAt - Date.now() > REFRESH_MARGIN_MS) return stored;
+
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) throw new Error('Not signed in');
+
+    storeSession(await authService.refresh(refreshToken));
+    return readStoredSession();
+  };
+
+  return navigator.locks ? navigator.locks.request('auth-refresh', refresh) : refresh();
+};
+
 export default function AuthProvider({ children }) {
   const [currentUser, setCurrentUser] = useState(null);
-  const [loading, setLoading] = useState(true);
+  // Wait for the stored session to be renewed before rendering
+  const [loading, setLoading] = useState(() => !!localStorage.getItem('refreshToken'));
   const [token, setToken] = useState(null);
+  const [expiresAt, setExpiresAt] = useState(0);
+
+  const applySession = ({ token, user, expiresAt }) => {
+    setToken(token);
+    setCurrentUser(user);
+    setExpiresAt(expiresAt);
+  };
+
+  const clearSession = () => {
+    clearStoredSession();
+    setToken(null);
+    setCurrentUser(null);
+    setExpiresAt(0);
+  };
+
+  // Start the session a login response carries. A challenge instead means the
+  // login continues on the two-factor page ('required', or 'setup' for admins
+  // who haven't turned it on yet)
+  const startSession = (response) => {
+    if (response.challengeToken) {
+      return {
+        success: true,
+        twoFactor: response.twoFactorRequired ? 'required' : 'setup',
+        challengeToken: response.challengeToken
+      };
+    }
+
+    storeSession(response);
+    applySession(readStoredSession());
+    return { success: true };
+  };
 
   // Initialize auth state from localStorage
   useEffect(() => {
-    const storedToken = localStorage.getItem('token');
-    const storedUser = localStorage.getItem('user');
-    
-    if (storedToken && storedUser) {
-      setToken(storedToken);
-      setCurrentUser(JSON.parse(storedUser));
+    if (!localStorage.getItem('refreshToken')) {
+      // Tokens from before refresh tokens can't be renewed
+      clearStoredSession();
+      return;
     }
-    
-    setLoading(false);
+
+    refreshStoredSession()
+      .then(applySession)
+      .catch(clearSession)
+      .finally(() => setLoading(false));
+  }, []);
+
+  // Renew the access token shortly before it expires
+  useEffect(() => {
+    if (!expiresAt) return;
+
+    const timer = setTimeout(() => {
+      refreshStoredSession().then(applySession).catch(clearSession);
+    }, Math.max(0, expiresAt - Date.now() - REFRESH_MARGIN_MS));
+
+    return () => clearTimeout(timer);
+  }, [expiresAt]);
+
+  // Follow logins, logouts and renewals made in other tabs
+  useEffect(() => {
+    const onStorage = (e) => {
+      if (e.key !== 'token') return;
+      if (e.newValue) {
+        applySession(readStoredSession());
+      } else {
+        setToken(null);
+        setCurrentUser(null);
+        setExpiresAt(0);
+      }
+    };
+
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
   }, []);
 
   const login = async (email, password) => {
     try {
       const response = await authService.login(email, password);
-      
-      const { token, user } = response;
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setToken(token);
-      setCurrentUser(user);
-      
-      return { success: true };
+      return startSession(response);
     } catch (error) {
       return { 
         success: false, 
-        message: error.message || 'Login failed' 
+        message: error.message || 'Login failed',
+        code: error.code
       };
     }
   };
 
-  const register = async (name, email, password, role = 'user') => {
+  const register = async (name, email, password, inviteCode) => {
     try {
-      let response;
-      
-      if (role === 'organizer') {
-        response = await authService.registerOrganizer(name, email, password);
-      } else {
-        response = await authService.register(name, email, password);
+      const response = await authService.register(name, email, password, inviteCode);
+
+      // The account can't be used until its email address is confirmed
+      if (response.requiresVerification) {
+        return { success: true, requiresVerification: true, message: response.message };
       }
-      
-      const { token, user } = response;
-      localStorage.setItem('token', token);
-      localStorage.setItem('user', JSON.stringify(user));
-      setToken(token);
-      setCurrentUser(user);
-      
-      return { success: true };
+
+      return startSession(response);
     } catch (error) {
       return { 
         success: false, 
@@ -69,16 +158,86 @@ export default function AuthProvider({ children }) {
     }
   };
 
+  // Confirm an email address from the emailed link. Its first use on a new
+  // account logs the user in; otherwise loginRequired sends them to log in
+  const verifyEmail = async (verificationToken) => {
+    try {
+      const response = await authService.verifyEmail(verificationToken);
+      if (response.loginRequired) {
+        return { success: true, loginRequired: true, message: response.message };
+      }
+      return startSession(response);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Email verification failed'
+      };
+    }
+  };
+
+  // Finish a Google or Facebook login with the code it redirected back with
+  const socialLogin = async (code) => {
+    try {
+      const response = await authService.exchangeSocialLogin(code);
+      return startSession(response);
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Social login failed'
+      };
+    }
+  };
+
+  // Finish a login with a code from the authenticator app or a recovery code
+  const verifyTwoFactor = async (challengeToken, credentials) => {
+    try {
+      const response = await authService.verifyTwoFactor(challengeToken, credentials);
+      startSession(response);
+      return { success: true, recoveryCodesLeft: response.recoveryCodesLeft };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Verification failed'
+      };
+    }
+  };
+
+  // Finish a login that had to set up two-factor authentication first. The
+  // recovery codes are returned to show to the user
+  const enableTwoFactorLogin = async (challengeToken, code) => {
+    try {
+      const response = await authService.enableTwoFactorLogin(challengeToken, code);
+      startSession(response);
+      return { success: true, recoveryCodes: response.recoveryCodes };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to turn on two-factor authentication'
+      };
+    }
+  };
+
   const logout = async () => {
     try {
-      await authService.logout();
+      await authService.logout(token);
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      localStorage.removeItem('token');
-      localStorage.removeItem('user');
-      setToken(null);
-      setCurrentUser(null);
+      clearSession();
+    }
+  };
+
+  // Sign out every device, this one included
+  const logoutAll = async () => {
+    try {
+      await authService.logoutAll(token);
+      clearSession();
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Logout failed'
+      };
     }
   };
 
@@ -115,6 +274,40 @@ export default function AuthProvider({ children }) {
     }
   };
 
+  // Take the role an admin's invite code grants
+  const redeemInvite = async (code) => {
+    if (!token) return { success: false, message: 'Not authenticated' };
+
+    try {
+      const response = await authService.redeemInvite(code, token);
+      setCurrentUser(response.user);
+      localStorage.setItem('user', JSON.stringify(response.user));
+      return { success: true, ...response };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to redeem invite'
+      };
+    }
+  };
+
+  // Merge a duplicate account into this one; the role may change
+  const mergeAccount = async (proof) => {
+    if (!token) return { success: false, message: 'Not authenticated' };
+
+    try {
+      const response = await authService.mergeAccount(proof, token);
+      setCurrentUser(response.user);
+      localStorage.setItem('user', JSON.stringify(response.user));
+      return { success: true, ...response };
+    } catch (error) {
+      return {
+        success: false,
+        message: error.message || 'Failed to merge accounts'
+      };
+    }
+  };
+
   const changePassword = async (passwordData) => {
     if (!token) return { success: false, message: 'Not authenticated' };
     
@@ -134,9 +327,16 @@ export default function AuthProvider({ children }) {
     token,
     login,
     register,
+    verifyEmail,
+    socialLogin,
+    verifyTwoFactor,
+    enableTwoFactorLogin,
     logout,
+    logoutAll,
     getProfile,
     updateProfile,
+    redeemInvite,
+    mergeAccount,
     changePassword
   };
 